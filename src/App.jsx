@@ -1,4 +1,4 @@
-import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Fragment, useCallback, useDeferredValue, useEffect, useMemo, useRef, useState } from "react";
 import { flushSync } from "react-dom";
 import {
   LineChart,
@@ -22,45 +22,95 @@ import { Vector3 } from "three";
 import { BuildingPreview } from "@/scene/BuildingPreview";
 import { drawOverlays, calculateLayout } from "@/export/OverlayRenderer";
 import {
-  ACH_INFILTRATION_DEFAULT,
+  AIR_PERMEABILITY_METRICS,
+  BLIND_DEFAULTS,
   BUILDING_DEPTH,
   BUILDING_HEIGHT,
   BUILDING_WIDTH,
+  CO2_THRESHOLDS_PPM,
   COMFORT_BAND,
+  COMFORT_TEMPERATURE_MODES,
+  COMFORT_TEMPERATURE_MODE_ORDER,
   DAYS_PER_YEAR,
+  DEFAULT_COMFORT_TEMPERATURE_MODE,
+  CARBON_INTENSITY_FILE_URL,
+  CARBON_INTENSITY_MODES,
+  CARBON_INTENSITY_MODE_ORDER,
+  DEFAULT_CARBON_INTENSITY_MODE,
+  DEFAULT_ELECTRICITY_TARIFF,
+  DEFAULT_GLAZING_SETBACK_M,
+  DEFAULT_GROUND_FLOOR_MODE,
+  DEFAULT_HEATING_SYSTEM,
+  DEFAULT_INFILTRATION_SHELTER,
+  DEFAULT_INTERNAL_GAIN_PROFILE,
   DEFAULT_SITE,
+  DEFAULT_SKY_MODEL,
+  DEFAULT_THERMAL_BRIDGE_PRESET,
+  DEFAULT_THERMAL_MODEL,
   DEFAULT_U_VALUE_PRESET,
   DEFAULT_VENTILATION_PRESET,
+  ELECTRICITY_TARIFFS,
+  ELECTRICITY_TARIFF_ORDER,
   FACES,
+  GLAZING_PRODUCTS,
+  GLAZING_SETBACK_RANGE,
+  GLAZING_TARGETS,
+  GROUND_FLOOR_MODES,
+  GROUND_FLOOR_MODE_ORDER,
+  HEAT_PUMP_CONFIG,
+  HEATING_SYSTEMS,
+  HEATING_SYSTEM_ORDER,
+  HVAC_CONTROL_DEFAULTS,
+  INFILTRATION_SHELTER_PRESETS,
+  INTERNAL_GAIN_PROFILES,
+  LIGHTING_CONTROLS,
+  LIGHTING_DEFAULTS,
   MAX_VENTILATION_ACH,
   NIGHT_END_HOUR,
   NIGHT_START_HOUR,
+  OUTDOOR_CO2_PPM,
+  PMV_DEFAULTS,
+  PV_DEFAULTS,
   SIMULATION_SPINUP_DAYS,
   SIMULATION_STEP_MINUTES,
+  SITE_DEFAULTS,
+  SITE_OBSTRUCTION_DEFAULTS,
+  SITE_HORIZON_SECTORS,
+  SKY_MODELS,
+  SKY_MODEL_ORDER,
   SUMMER_SOLSTICE_DAY,
   SYNTHETIC_PROFILE,
-  THERMAL_CAPACITANCE_J_PER_K,
+  THERMAL_BRIDGE_PRESETS,
+  THERMAL_BRIDGE_PRESET_ORDER,
+  THERMAL_MODELS,
+  THERMAL_MODEL_ORDER,
   U_VALUE_PRESETS,
   U_VALUE_PRESET_ORDER,
   VENTILATION_PRESETS,
   VENTILATION_PRESET_ORDER,
   WEATHER_FILE_URL,
-  LUX_THRESHOLDS,
   MIN_WINDOW_CLEAR_HEIGHT,
   ROOFLIGHT_MAX_EDGE_OFFSET_M,
   ROOFLIGHT_MIN_CLEAR_SPAN_M,
+  WINDOW_OPENING_RULE_DEFAULTS,
   WINDOW_SEGMENT_STATE,
   WINDOW_OPEN_TRAVEL_M,
+  addElectricityUse,
+  annualTemperatureWave,
   assessVentilationComfort,
   buildPreviewFaceConfigs,
   calculateManualWindowVentilation,
   calculateOpeningArea,
   calculateOpenedWindowArea,
   clampWindowCenterRatio,
+  cloneConstructions,
+  constructionUValues,
   buildWindowsFromFaceState,
   cardinalFromAzimuth,
+  comfortTemperatureKey,
   computeCostCarbonSummary,
   computeSnapshot,
+  customScheduleFrom,
   dateFromDayOfYearUTC,
   daySunTimes,
   deg2rad,
@@ -68,20 +118,53 @@ import {
   formatClockTime,
   formatHourRange,
   formatMonthDayTime,
+  formatPence,
+  gridCarbonIntensityAt,
+  infiltrationAchAt,
   normalizedAzimuth,
   nextWindowSegmentState,
   normalizeWindowSegmentState,
+  openedWindowAreaUnderRules,
+  resolveConstructionMass,
+  resolveElectricityTariff,
+  resolveGlazingProduct,
+  resolveGroundFloor,
+  resolveBlinds,
+  resolveInfiltration,
+  resolveLighting,
+  resolvePvArray,
   resolveRooflightConfig,
+  resolveSiteShading,
+  resolveThermalBridges,
   resolveWindowOpeningHeight,
+  revealDiffuseFactors,
+  scheduledInternalGains,
   simulateAnnual1R1C,
+  simulateAnnualDaylight,
   simulateDay1R1C,
+  simulateTM59,
+  uniformGlazingProducts,
   WINTER_SOLSTICE_DAY,
   SPRING_EQUINOX_DAY,
   AUTUMN_EQUINOX_DAY,
 } from "@/engine";
 import { loadEpwDataset } from "@/weather/parseEpw";
+import { AirtightnessPanel } from "@/components/panels/AirtightnessPanel";
+import { BlindsPanel } from "@/components/panels/BlindsPanel";
+import { ConstructionPanel } from "@/components/panels/ConstructionPanel";
+import { DaylightPanel } from "@/components/panels/DaylightPanel";
+import { GlazingProductPanel } from "@/components/panels/GlazingProductPanel";
+import { InternalGainsPanel } from "@/components/panels/InternalGainsPanel";
+import { LightingPanel } from "@/components/panels/LightingPanel";
+import { PvPanel } from "@/components/panels/PvPanel";
+import { SitePanel } from "@/components/panels/SitePanel";
+import { WindowOpeningRulesPanel } from "@/components/panels/WindowOpeningRulesPanel";
+import { parseHalfHourlyTariffCsv } from "@/tariffs/parseTariffCsv";
+import { loadCarbonIntensityProfile, parseCarbonIntensityCsv } from "@/carbon/parseCarbonIntensityCsv";
 import {
+  AdaptiveComfortCard,
   ComfortGuidanceCard,
+  TM59Card,
   CostCarbonCard,
   EnergyAssumptionsCard,
   EnvelopeAssumptionsCard,
@@ -95,10 +178,8 @@ import {
 } from "@/components/cards";
 
 const MIDDAY_TIME_FRAC = 0.5;
-const GLASS_G_VALUE = 0.4;
-const DOWNLIGHTS_OFF_HOUR = 23;
-const DOWNLIGHTS_PRE_SUNRISE_HOURS = 1; // Turn on this many hours before sunrise
 const DOWNLIGHT_INTENSITY_DEFAULT = 60;
+const DOWNLIGHT_MIN_VISIBLE_FRACTION = 0.2; // Keep deeply dimmed lights visibly on
 const DOWNLIGHT_BEAM_ANGLE_DEFAULT = 0.95;
 const DOWNLIGHT_PENUMBRA_DEFAULT = 1;
 const DOWNLIGHT_THROW_SCALE_DEFAULT = 2.5;
@@ -109,11 +190,12 @@ const STANDARD_SW_WIND_DIR_DEG = 225;
 const PNG_EXPORT_RENDER_SETTLE_MS = 900;
 const PASSIVHAUS_U_VALUE_PRESET = "passivhaus";
 const PASSIVHAUS_VENTILATION_PRESET = "passivhaus";
+const SAMPLE_CARBON_PROFILE_NAME = "Sample UK grid profile (illustrative)";
 const PASSIVHAUS_FACE_STATE = {
-  north: { glazing: 0.16, overhang: 0, fin: 0, hFin: 0, cillLift: 0.8, headDrop: 0.6, windowCenterRatio: 0 },
-  east: { glazing: 0.18, overhang: 0, fin: 0.5, hFin: 0, cillLift: 0.8, headDrop: 0.6, windowCenterRatio: 0 },
-  south: { glazing: 0.34, overhang: 0.9, fin: 0, hFin: 0.45, cillLift: 0.8, headDrop: 0.6, windowCenterRatio: 0 },
-  west: { glazing: 0.18, overhang: 0, fin: 0.5, hFin: 0, cillLift: 0.8, headDrop: 0.6, windowCenterRatio: 0 },
+  north: { glazing: 0.16, overhang: 0, fin: 0, hFin: 0, cillLift: 0.8, headDrop: 0.6, windowCenterRatio: 0, glazingSetback: DEFAULT_GLAZING_SETBACK_M },
+  east: { glazing: 0.18, overhang: 0, fin: 0.5, hFin: 0, cillLift: 0.8, headDrop: 0.6, windowCenterRatio: 0, glazingSetback: DEFAULT_GLAZING_SETBACK_M },
+  south: { glazing: 0.34, overhang: 0.9, fin: 0, hFin: 0.45, cillLift: 0.8, headDrop: 0.6, windowCenterRatio: 0, glazingSetback: DEFAULT_GLAZING_SETBACK_M },
+  west: { glazing: 0.18, overhang: 0, fin: 0.5, hFin: 0, cillLift: 0.8, headDrop: 0.6, windowCenterRatio: 0, glazingSetback: DEFAULT_GLAZING_SETBACK_M },
 };
 const windowSegmentStateLabel = (state) => {
   if (state === WINDOW_SEGMENT_STATE.TOP_HUNG) return "top_hung";
@@ -130,10 +212,10 @@ export default function App() {
   const initialSolsticeDay =
     DEFAULT_SITE.latitude >= 0 ? SUMMER_SOLSTICE_DAY : WINTER_SOLSTICE_DAY;
   const [faceState, setFaceState] = useState({
-    north: { glazing: 0.5, overhang: 0, fin: 0, hFin: 0, cillLift: 0, headDrop: 0, windowCenterRatio: 0 },
-    east: { glazing: 0.5, overhang: 0, fin: 0, hFin: 0, cillLift: 0, headDrop: 0, windowCenterRatio: 0 },
-    south: { glazing: 0.5, overhang: 0, fin: 0, hFin: 0, cillLift: 0, headDrop: 0, windowCenterRatio: 0 },
-    west: { glazing: 0.5, overhang: 0, fin: 0, hFin: 0, cillLift: 0, headDrop: 0, windowCenterRatio: 0 },
+    north: { glazing: 0.5, overhang: 0, fin: 0, hFin: 0, cillLift: 0, headDrop: 0, windowCenterRatio: 0, glazingSetback: DEFAULT_GLAZING_SETBACK_M },
+    east: { glazing: 0.5, overhang: 0, fin: 0, hFin: 0, cillLift: 0, headDrop: 0, windowCenterRatio: 0, glazingSetback: DEFAULT_GLAZING_SETBACK_M },
+    south: { glazing: 0.5, overhang: 0, fin: 0, hFin: 0, cillLift: 0, headDrop: 0, windowCenterRatio: 0, glazingSetback: DEFAULT_GLAZING_SETBACK_M },
+    west: { glazing: 0.5, overhang: 0, fin: 0, hFin: 0, cillLift: 0, headDrop: 0, windowCenterRatio: 0, glazingSetback: DEFAULT_GLAZING_SETBACK_M },
   });
 
   const updateFace = (faceId, field, value) => {
@@ -166,13 +248,14 @@ export default function App() {
   const [buildingDepth, setBuildingDepth] = useState(BUILDING_DEPTH);
   const [buildingHeight, setBuildingHeight] = useState(BUILDING_HEIGHT);
   const [openWindowSegments, setOpenWindowSegments] = useState({});
+  const [windowOpeningRules, setWindowOpeningRules] = useState({});
+  const [blindSettings, setBlindSettings] = useState({});
   const [rooflightState, setRooflightState] = useState({
     width: ROOFLIGHT_MIN_CLEAR_SPAN_M,
     depth: ROOFLIGHT_MIN_CLEAR_SPAN_M,
     openHeight: 0,
   });
   const [rooflightEnabled, setRooflightEnabled] = useState(true);
-  const downlightIntensity = DOWNLIGHT_INTENSITY_DEFAULT;
   const downlightBeamAngle = DOWNLIGHT_BEAM_ANGLE_DEFAULT;
   const downlightPenumbra = DOWNLIGHT_PENUMBRA_DEFAULT;
   const downlightThrowScale = DOWNLIGHT_THROW_SCALE_DEFAULT;
@@ -182,6 +265,39 @@ export default function App() {
   const [ventilationPreset, setVentilationPreset] = useState(DEFAULT_VENTILATION_PRESET);
   const [nightPurgeEnabled, setNightPurgeEnabled] = useState(false);
   const [uValuePreset, setUValuePreset] = useState(DEFAULT_U_VALUE_PRESET);
+  const [constructions, setConstructions] = useState(() =>
+    cloneConstructions(U_VALUE_PRESETS[DEFAULT_U_VALUE_PRESET].constructions),
+  );
+  const [glazingProducts, setGlazingProducts] = useState(() =>
+    uniformGlazingProducts(U_VALUE_PRESETS[DEFAULT_U_VALUE_PRESET].glazing),
+  );
+  const [airPermeability, setAirPermeability] = useState({
+    ...U_VALUE_PRESETS[DEFAULT_U_VALUE_PRESET].airPermeability,
+  });
+  const [infiltrationShelter, setInfiltrationShelter] = useState(DEFAULT_INFILTRATION_SHELTER);
+  const [envelopeEdited, setEnvelopeEdited] = useState(false);
+  const [thermalModel, setThermalModel] = useState(DEFAULT_THERMAL_MODEL);
+  const [groundFloorMode, setGroundFloorMode] = useState(DEFAULT_GROUND_FLOOR_MODE);
+  const [thermalBridgePreset, setThermalBridgePreset] = useState(DEFAULT_THERMAL_BRIDGE_PRESET);
+  const [hvacEnabled, setHvacEnabled] = useState(false);
+  const [hvacSettings, setHvacSettings] = useState(HVAC_CONTROL_DEFAULTS);
+  const [pmvSettings, setPmvSettings] = useState(PMV_DEFAULTS);
+  const [pvSettings, setPvSettings] = useState(PV_DEFAULTS);
+  const [lightingSettings, setLightingSettings] = useState(LIGHTING_DEFAULTS);
+  const [siteSettings, setSiteSettings] = useState(SITE_DEFAULTS);
+  const [heatingSystemId, setHeatingSystemId] = useState(DEFAULT_HEATING_SYSTEM);
+  const [flowTempC, setFlowTempC] = useState(HEAT_PUMP_CONFIG.defaultFlowTempC);
+  const [electricityTariffId, setElectricityTariffId] = useState(DEFAULT_ELECTRICITY_TARIFF);
+  const [halfHourlyTariff, setHalfHourlyTariff] = useState(null);
+  const [tariffImportError, setTariffImportError] = useState("");
+  const [skyModel, setSkyModel] = useState(DEFAULT_SKY_MODEL);
+  const [carbonIntensityMode, setCarbonIntensityMode] = useState(DEFAULT_CARBON_INTENSITY_MODE);
+  const [carbonIntensityProfile, setCarbonIntensityProfile] = useState(null);
+  const [carbonIntensityError, setCarbonIntensityError] = useState("");
+  const [comfortTemperatureMode, setComfortTemperatureMode] = useState(DEFAULT_COMFORT_TEMPERATURE_MODE);
+  const [internalGainProfile, setInternalGainProfile] = useState(DEFAULT_INTERNAL_GAIN_PROFILE);
+  const [customInternalGains, setCustomInternalGains] = useState(null);
+  const [tm59RoomType, setTm59RoomType] = useState(null);
   const [dayOfYear, setDayOfYear] = useState(initialSolsticeDay);
   const [timeFrac, setTimeFrac] = useState(MIDDAY_TIME_FRAC);
   const [exportingVideo, setExportingVideo] = useState(false);
@@ -245,6 +361,28 @@ export default function App() {
     };
   }, [trackAnalyticsEvent]);
 
+  // The bundled sample profile is only fetched once hourly carbon is chosen
+  useEffect(() => {
+    if (carbonIntensityMode !== "hourly" || carbonIntensityProfile) return;
+    let cancelled = false;
+
+    loadCarbonIntensityProfile(CARBON_INTENSITY_FILE_URL, SAMPLE_CARBON_PROFILE_NAME)
+      .then((profile) => {
+        if (cancelled) return;
+        setCarbonIntensityProfile(profile);
+        setCarbonIntensityError("");
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.warn("[Carbon] Intensity profile load failed, annual-average factor remains active:", error);
+        setCarbonIntensityError(error?.message ?? "Unable to load carbon intensity profile.");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [carbonIntensityMode, carbonIntensityProfile]);
+
   const faceFacingLabel = (face) => {
     const azimuth = normalizedAzimuth(face.azimuth + orientationDeg);
     const cardinal = cardinalFromAzimuth(azimuth);
@@ -264,6 +402,8 @@ export default function App() {
       weather_mode: effectiveWeatherMode,
       orientation_deg: Math.round(orientationDeg),
       u_value_preset: uValuePreset,
+      thermal_model: thermalModel,
+      hvac: hvacEnabled ? "on" : "off",
       ventilation_preset: ventilationPreset,
       night_purge: nightPurgeEnabled ? "on" : "off",
       rooflight_enabled: rooflightEnabled ? "on" : "off",
@@ -272,10 +412,12 @@ export default function App() {
     [
       effectiveWeatherMode,
       exploreTab,
+      hvacEnabled,
       nightPurgeEnabled,
       openWindowSegments,
       orientationDeg,
       rooflightEnabled,
+      thermalModel,
       uValuePreset,
       ventilationPreset,
       viewMode,
@@ -381,7 +523,71 @@ export default function App() {
     () => U_VALUE_PRESETS[uValuePreset] ?? U_VALUE_PRESETS[DEFAULT_U_VALUE_PRESET],
     [uValuePreset],
   );
-  const activeUValues = activeUPreset.values;
+  const envelopeLabel = envelopeEdited ? `${activeUPreset.label} (edited)` : activeUPreset.label;
+  const activeThermalModel = THERMAL_MODELS[thermalModel] ?? THERMAL_MODELS[DEFAULT_THERMAL_MODEL];
+  const twoNodeModelActive = thermalModel === "2r2c";
+  const hvacOptions = useMemo(
+    () => ({ enabled: hvacEnabled, ...hvacSettings }),
+    [hvacEnabled, hvacSettings],
+  );
+  const updateHvacSetting = useCallback((key, value) => {
+    setHvacSettings((prev) => {
+      const next = { ...prev, [key]: value };
+      // Keep the cooling setpoint clear of the heating setpoint plus deadband
+      if (next.coolingSetpointC < next.heatingSetpointC + next.deadbandK) {
+        if (key === "coolingSetpointC") {
+          next.heatingSetpointC = next.coolingSetpointC - next.deadbandK;
+        } else {
+          next.coolingSetpointC = next.heatingSetpointC + next.deadbandK;
+        }
+      }
+      return next;
+    });
+  }, []);
+  // Hourly carbon only applies once a profile has loaded; until then the average factor stands
+  const activeCarbonIntensity = carbonIntensityMode === "hourly" ? carbonIntensityProfile : null;
+  const electricityTariff = useMemo(
+    () => resolveElectricityTariff(electricityTariffId, halfHourlyTariff?.prices),
+    [electricityTariffId, halfHourlyTariff],
+  );
+  const activeComfortTemperatureMode =
+    COMFORT_TEMPERATURE_MODES[comfortTemperatureMode] ??
+    COMFORT_TEMPERATURE_MODES[DEFAULT_COMFORT_TEMPERATURE_MODE];
+  const operativeComfortActive = comfortTemperatureMode === "operative";
+  const updatePmvSetting = useCallback((key, value) => {
+    setPmvSettings((prev) => ({ ...prev, [key]: value }));
+  }, []);
+  const updatePvSetting = useCallback((key, value) => {
+    setPvSettings((prev) => ({ ...prev, [key]: value }));
+  }, []);
+  const updateLightingSetting = useCallback((key, value) => {
+    setLightingSettings((prev) => ({ ...prev, [key]: value }));
+  }, []);
+  const updateHorizonSector = useCallback((index, value) => {
+    setSiteSettings((prev) => ({
+      ...prev,
+      horizonDeg: prev.horizonDeg.map((current, i) => (i === index ? value : current)),
+    }));
+  }, []);
+  const addSiteObstruction = useCallback(() => {
+    setSiteSettings((prev) => ({
+      ...prev,
+      obstructions: [...prev.obstructions, { ...SITE_OBSTRUCTION_DEFAULTS }],
+    }));
+    trackAnalyticsEvent("site_obstruction_added", {});
+  }, [trackAnalyticsEvent]);
+  const updateSiteObstruction = useCallback((index, key, value) => {
+    setSiteSettings((prev) => ({
+      ...prev,
+      obstructions: prev.obstructions.map((entry, i) => (i === index ? { ...entry, [key]: value } : entry)),
+    }));
+  }, []);
+  const removeSiteObstruction = useCallback((index) => {
+    setSiteSettings((prev) => ({
+      ...prev,
+      obstructions: prev.obstructions.filter((_, i) => i !== index),
+    }));
+  }, []);
   const activeVentPreset = useMemo(
     () =>
       VENTILATION_PRESETS[ventilationPreset] ??
@@ -390,6 +596,8 @@ export default function App() {
   );
   const ventilationAchTotal = activeVentPreset.achTotal;
   const ventilationHeatRecovery = activeVentPreset.heatRecoveryEfficiency ?? 0;
+  const ventilationMechanicalAch = activeVentPreset.mechanicalAch ?? 0;
+  const ventilationInfiltrationOnly = activeVentPreset.infiltrationOnly === true;
   const adaptiveVentEnabled = activeVentPreset.isAdaptive === true;
 
   const selectedDate = useMemo(() => dateFromDayOfYearUTC(dayOfYear), [dayOfYear]);
@@ -414,6 +622,15 @@ export default function App() {
     [selectedDate],
   );
   const effectiveSpinupDays = SIMULATION_SPINUP_DAYS;
+  const infiltration = useMemo(
+    () =>
+      resolveInfiltration(airPermeability, infiltrationShelter, {
+        width: buildingWidth,
+        depth: buildingDepth,
+        height: buildingHeight,
+      }),
+    [airPermeability, infiltrationShelter, buildingWidth, buildingDepth, buildingHeight],
+  );
 
   const windows = useMemo(
     () =>
@@ -421,9 +638,17 @@ export default function App() {
         width: buildingWidth,
         depth: buildingDepth,
         height: buildingHeight,
-      }),
-    [faceState, orientationDeg, buildingWidth, buildingDepth, buildingHeight],
+      }, glazingProducts),
+    [faceState, orientationDeg, buildingWidth, buildingDepth, buildingHeight, glazingProducts],
   );
+  // Walls, roof and floor come from the construction layers; windows are the area-weighted glazing products
+  const activeUValues = useMemo(() => {
+    const windowAreaM2 = windows.reduce((acc, w) => acc + w.w * w.h, 0);
+    const windowUValue = windowAreaM2 > 0
+      ? windows.reduce((acc, w) => acc + w.uValue * w.w * w.h, 0) / windowAreaM2
+      : activeUPreset.values.window;
+    return { ...constructionUValues(constructions), window: windowUValue };
+  }, [activeUPreset, constructions, windows]);
   const previewFaceConfigs = useMemo(
     () =>
       buildPreviewFaceConfigs(faceState, {
@@ -457,6 +682,15 @@ export default function App() {
     [faceState, buildingWidth, buildingDepth, buildingHeight],
   );
   const buildingFloorArea = buildingWidth * buildingDepth;
+  const activeInternalGainSchedule =
+    internalGainProfile === "custom" && customInternalGains
+      ? customInternalGains
+      : INTERNAL_GAIN_PROFILES[internalGainProfile] ??
+        INTERNAL_GAIN_PROFILES[DEFAULT_INTERNAL_GAIN_PROFILE];
+  const lighting = useMemo(
+    () => resolveLighting(lightingSettings, activeInternalGainSchedule),
+    [lightingSettings, activeInternalGainSchedule],
+  );
   const buildingVolume = buildingFloorArea * buildingHeight;
   const rooflightSpec = useMemo(
     () => resolveRooflightConfig(rooflightState, { width: buildingWidth, depth: buildingDepth }),
@@ -464,13 +698,29 @@ export default function App() {
   );
   const effectiveRooflightOpenHeight = rooflightEnabled ? rooflightSpec.openHeight : 0;
   const effectiveRooflightOpeningAreaM2 = rooflightEnabled ? rooflightSpec.openingAreaM2 : 0;
+  const rooflightGlazing = useMemo(() => resolveGlazingProduct(glazingProducts.rooflight), [glazingProducts.rooflight]);
   const rooflightThermalProps = useMemo(
     () => ({
       areaM2: rooflightEnabled ? Math.max(0, rooflightSpec.width * rooflightSpec.depth) : 0,
-      uValue: activeUValues.window,
-      gValue: GLASS_G_VALUE,
+      width: rooflightSpec.width,
+      depth: rooflightSpec.depth,
+      uValue: rooflightGlazing.uValue,
+      gValue: rooflightGlazing.gValue,
+      visibleTransmittance: rooflightGlazing.visibleTransmittance,
     }),
-    [rooflightEnabled, rooflightSpec.width, rooflightSpec.depth, activeUValues.window],
+    [rooflightEnabled, rooflightSpec.width, rooflightSpec.depth, rooflightGlazing],
+  );
+  const pvArray = useMemo(
+    () => resolvePvArray(pvSettings, { width: buildingWidth, depth: buildingDepth }, rooflightThermalProps.areaM2),
+    [pvSettings, buildingWidth, buildingDepth, rooflightThermalProps.areaM2],
+  );
+  const siteShading = useMemo(
+    () => resolveSiteShading(
+      siteSettings,
+      { width: buildingWidth, depth: buildingDepth, height: buildingHeight },
+      orientationDeg,
+    ),
+    [siteSettings, buildingWidth, buildingDepth, buildingHeight, orientationDeg],
   );
   const hasRooflightOpen = rooflightEnabled && rooflightSpec.isOpen;
   const rooflightSizeLimits = useMemo(
@@ -496,16 +746,31 @@ export default function App() {
       volume: buildingVolume,
       roofOpeningAreaM2: effectiveRooflightOpeningAreaM2,
       roomHeightM: buildingHeight,
-      fixedWindMS: STANDARD_SW_WIND_MS,
-      fixedWindDirDeg: STANDARD_SW_WIND_DIR_DEG,
+      // EPW runs use the hourly wind; synthetic weather keeps the standard southwest wind
+      fixedWindMS: effectiveWeatherMode === "epw" ? null : STANDARD_SW_WIND_MS,
+      fixedWindDirDeg: effectiveWeatherMode === "epw" ? null : STANDARD_SW_WIND_DIR_DEG,
+      orientationDeg,
+      openingRules: windowOpeningRules,
     }),
-    [openedWindowArea, buildingVolume, effectiveRooflightOpeningAreaM2, buildingHeight],
+    [
+      openedWindowArea,
+      buildingVolume,
+      effectiveRooflightOpeningAreaM2,
+      buildingHeight,
+      effectiveWeatherMode,
+      orientationDeg,
+      windowOpeningRules,
+    ],
   );
   const hasManualOpenWindows = openedWindowArea.openLeafCount > 0;
   const hasManualOpenings = hasManualOpenWindows || hasRooflightOpen;
 
   const applyPassivhausOverride = useCallback(() => {
     setUValuePreset(PASSIVHAUS_U_VALUE_PRESET);
+    setConstructions(cloneConstructions(U_VALUE_PRESETS[PASSIVHAUS_U_VALUE_PRESET].constructions));
+    setGlazingProducts(uniformGlazingProducts(U_VALUE_PRESETS[PASSIVHAUS_U_VALUE_PRESET].glazing));
+    setAirPermeability({ ...U_VALUE_PRESETS[PASSIVHAUS_U_VALUE_PRESET].airPermeability });
+    setEnvelopeEdited(false);
     setVentilationPreset(PASSIVHAUS_VENTILATION_PRESET);
     setNightPurgeEnabled(true);
     setFaceState({
@@ -515,6 +780,7 @@ export default function App() {
       west: { ...PASSIVHAUS_FACE_STATE.west },
     });
     setOpenWindowSegments({});
+    setWindowOpeningRules({});
     setRooflightEnabled(false);
     setRooflightState({
       width: ROOFLIGHT_MIN_CLEAR_SPAN_M,
@@ -666,6 +932,12 @@ export default function App() {
     if (nextState === WINDOW_SEGMENT_STATE.CLOSED) {
       next = { ...openWindowSegments };
       delete next[key];
+      setWindowOpeningRules((prev) => {
+        if (!prev[key]) return prev;
+        const nextRules = { ...prev };
+        delete nextRules[key];
+        return nextRules;
+      });
     } else {
       next = { ...openWindowSegments, [key]: nextState };
     }
@@ -678,6 +950,33 @@ export default function App() {
       open_sashes_after: Object.keys(next).length,
     });
   }, [buildAnalyticsContext, openWindowSegments, trackAnalyticsEvent]);
+  const handleWindowOpeningRuleChange = useCallback((key, field, value) => {
+    setWindowOpeningRules((prev) => ({
+      ...prev,
+      [key]: { ...WINDOW_OPENING_RULE_DEFAULTS, ...prev[key], [field]: value },
+    }));
+    trackAnalyticsEvent("window_opening_rule_changed", {
+      ...buildAnalyticsContext(),
+      sash: key,
+      rule: field,
+      value: value == null ? "off" : String(value),
+    });
+  }, [buildAnalyticsContext, trackAnalyticsEvent]);
+  const blinds = useMemo(() => resolveBlinds(blindSettings), [blindSettings]);
+  const handleBlindSettingChange = useCallback((faceId, field, value) => {
+    setBlindSettings((prev) => {
+      const next = { ...BLIND_DEFAULTS, ...prev[faceId], [field]: value };
+      // A new blind type starts from its own shading coefficient
+      if (field === "type") next.shadingCoefficient = null;
+      return { ...prev, [faceId]: next };
+    });
+    trackAnalyticsEvent("blind_setting_changed", {
+      ...buildAnalyticsContext(),
+      face_id: faceId,
+      setting: field,
+      value: value == null ? "default" : String(value),
+    });
+  }, [buildAnalyticsContext, trackAnalyticsEvent]);
 
   const baseParamsTemplate = useMemo(
     () => ({
@@ -688,19 +987,23 @@ export default function App() {
       U_window: activeUValues.window,
       U_roof: activeUValues.roof,
       U_floor: activeUValues.floor,
-      autoBlinds: false,
-      blindsThreshold: 400,
-      blindsReduction: 0.5,
-      g_glass: GLASS_G_VALUE, // Low-E glazing (was 0.6 for standard glazing)
+      blinds,
+      // Fallback for windows without a glazing product; every face has one in the app
+      g_glass: resolveGlazingProduct(activeUPreset.glazing).gValue,
       rooflight: rooflightThermalProps,
+      pv: pvArray,
       Q_internal: 180,
       latitude: weatherMeta.latitude,
       longitude: weatherMeta.longitude,
       timezoneHours: weatherMeta.tzHours,
       groundAlbedo: 0.25,
+      skyModel,
+      siteShading,
     }),
     [
+      activeUPreset.glazing,
       activeUValues,
+      blinds,
       weatherMeta.latitude,
       weatherMeta.longitude,
       weatherMeta.tzHours,
@@ -708,13 +1011,11 @@ export default function App() {
       buildingDepth,
       buildingHeight,
       rooflightThermalProps,
+      pvArray,
+      skyModel,
+      siteShading,
     ],
   );
-  const baseParams = useMemo(
-    () => ({ ...baseParamsTemplate, windows }),
-    [baseParamsTemplate, windows],
-  );
-
   const weatherProvider = useMemo(
     () => ({
       mode: effectiveWeatherMode,
@@ -723,6 +1024,38 @@ export default function App() {
     }),
     [effectiveWeatherMode, epwDataset],
   );
+  const groundTemperatureWave = useMemo(() => annualTemperatureWave(weatherProvider), [weatherProvider]);
+  const groundFloor = useMemo(
+    () => resolveGroundFloor(
+      groundFloorMode,
+      { width: buildingWidth, depth: buildingDepth },
+      activeUValues.floor,
+      groundTemperatureWave,
+    ),
+    [groundFloorMode, buildingWidth, buildingDepth, activeUValues.floor, groundTemperatureWave],
+  );
+  const thermalBridges = useMemo(
+    () => resolveThermalBridges(
+      thermalBridgePreset,
+      { width: buildingWidth, depth: buildingDepth, height: buildingHeight },
+      windows,
+      rooflightEnabled ? rooflightSpec : null,
+    ),
+    [thermalBridgePreset, buildingWidth, buildingDepth, buildingHeight, windows, rooflightEnabled, rooflightSpec],
+  );
+  const constructionMass = useMemo(
+    () => resolveConstructionMass(
+      constructions,
+      { width: buildingWidth, depth: buildingDepth, height: buildingHeight },
+      windows,
+      rooflightThermalProps.areaM2,
+    ),
+    [constructions, buildingWidth, buildingDepth, buildingHeight, windows, rooflightThermalProps.areaM2],
+  );
+  const baseParams = useMemo(
+    () => ({ ...baseParamsTemplate, windows, groundFloor, thermalBridges }),
+    [baseParamsTemplate, windows, groundFloor, thermalBridges],
+  );
 
   const sunWindow = useMemo(
     () => daySunTimes(selectedDate, weatherMeta.latitude, weatherMeta.longitude, weatherMeta.tzHours),
@@ -740,9 +1073,23 @@ export default function App() {
         comfortBand: COMFORT_BAND,
         stepMinutes: SIMULATION_STEP_MINUTES,
         spinupDays: effectiveSpinupDays,
-        thermalCapacitance: THERMAL_CAPACITANCE_J_PER_K,
+        thermalCapacitance: constructionMass.lumpedCapacitance,
+        massCapacitance: constructionMass.massCapacitance,
+        surfaceCouplingWPerK: constructionMass.surfaceCoupling,
+        thermalModel,
+        hvac: hvacOptions,
+        pmv: pmvSettings,
+        comfortTemperature: comfortTemperatureMode,
+        internalGainSchedule: activeInternalGainSchedule,
+        lighting,
+        heatingSystem: heatingSystemId,
+        flowTempC,
+        electricityTariff,
         achTotal: ventilationAchTotal,
         heatRecoveryEfficiency: ventilationHeatRecovery,
+        infiltration,
+        infiltrationOnly: ventilationInfiltrationOnly,
+        mechanicalAch: ventilationMechanicalAch,
         manualVentilationInput,
         nightPurgeEnabled,
         adaptiveVentEnabled,
@@ -751,8 +1098,21 @@ export default function App() {
       baseParams,
       selectedDate,
       weatherProvider,
+      constructionMass,
+      thermalModel,
+      hvacOptions,
+      pmvSettings,
+      comfortTemperatureMode,
+      activeInternalGainSchedule,
+      lighting,
+      heatingSystemId,
+      flowTempC,
+      electricityTariff,
       ventilationAchTotal,
       ventilationHeatRecovery,
+      infiltration,
+      ventilationInfiltrationOnly,
+      ventilationMechanicalAch,
       manualVentilationInput,
       nightPurgeEnabled,
       adaptiveVentEnabled,
@@ -782,20 +1142,42 @@ export default function App() {
   const outdoorTemp = currentForcing.T_out;
   const cloudCover = currentForcing.totalSkyCover; // tenths (0-10), undefined if synthetic
   const indoorTempAtTime = selectedPoint?.T_in ?? outdoorTemp;
+  const occupiedAtTime = useMemo(
+    () => scheduledInternalGains(activeInternalGainSchedule, dateAtTime, buildingFloorArea).people > 0,
+    [activeInternalGainSchedule, dateAtTime, buildingFloorArea],
+  );
+  const openedWindowAreaAtTime = useMemo(
+    () =>
+      openedWindowAreaUnderRules(openedWindowArea, windowOpeningRules, {
+        occupied: occupiedAtTime,
+        outdoorTempC: outdoorTemp,
+        indoorTempC: indoorTempAtTime,
+      }),
+    [openedWindowArea, windowOpeningRules, occupiedAtTime, outdoorTemp, indoorTempAtTime],
+  );
+  const openSashKeysAtTime = useMemo(
+    () => new Set(openedWindowAreaAtTime.leaves.map((leaf) => leaf.key)),
+    [openedWindowAreaAtTime],
+  );
   const manualWindowVentilation = useMemo(
     () =>
-      calculateManualWindowVentilation(openedWindowArea, buildingVolume, {
+      calculateManualWindowVentilation(openedWindowAreaAtTime, buildingVolume, {
         roofOpeningAreaM2: effectiveRooflightOpeningAreaM2,
         roomHeightM: buildingHeight,
-        windMS: STANDARD_SW_WIND_MS,
+        windMS: manualVentilationInput.fixedWindMS ?? currentForcing.windMS,
+        windDirDeg: manualVentilationInput.fixedWindDirDeg ?? currentForcing.windDirDeg,
+        orientationDeg,
         indoorTempC: indoorTempAtTime,
         outdoorTempC: outdoorTemp,
       }),
     [
-      openedWindowArea,
+      openedWindowAreaAtTime,
       buildingVolume,
       effectiveRooflightOpeningAreaM2,
       buildingHeight,
+      manualVentilationInput,
+      currentForcing,
+      orientationDeg,
       indoorTempAtTime,
       outdoorTemp,
     ],
@@ -819,10 +1201,27 @@ export default function App() {
   const rooflightVentSummaryText = rooflightEnabled
     ? `${effectiveRooflightOpeningAreaM2.toFixed(2)} m² @ ${(effectiveRooflightOpenHeight * 1000).toFixed(0)} mm`
     : "OFF";
+  const windFromLabel = SITE_HORIZON_SECTORS[Math.round(manualWindowVentilation.windDirDeg / 45) % 8];
+  const windwardOpenFacesText =
+    manualWindowVentilation.windwardFaceIds?.length > 0
+      ? `windward ${manualWindowVentilation.windwardFaceIds.join("/")}`
+      : "no windward opening";
   const manualWindowSummaryText = hasManualOpenings
-    ? ` Manual openings add ${manualWindowVentilation.totalManualOpenAreaM2.toFixed(2)} m² free area (~${openedWindowAch.toFixed(1)} ACH, ${manualWindowModeText}; wind ${(manualWindowVentilation.windMS ?? 0).toFixed(1)} m/s, dT ${(indoorTempAtTime - outdoorTemp).toFixed(1)}°C; windows ${openedWindowArea.totalOpenAreaM2.toFixed(2)} m² [${openedWindowArea.topHungLeafCount} top-hung = ${openedWindowArea.topHungAreaM2.toFixed(2)} m², ${openedWindowArea.turnLeafCount} turn = ${openedWindowArea.turnAreaM2.toFixed(2)} m²], rooflight ${rooflightVentSummaryText}).`
+    ? ` Manual openings add ${manualWindowVentilation.totalManualOpenAreaM2.toFixed(2)} m² free area (~${openedWindowAch.toFixed(1)} ACH, ${manualWindowModeText}; wind ${(manualWindowVentilation.windMS ?? 0).toFixed(1)} m/s from ${windFromLabel}, ${windwardOpenFacesText}, dT ${(indoorTempAtTime - outdoorTemp).toFixed(1)}°C; windows ${openedWindowArea.totalOpenAreaM2.toFixed(2)} m² [${openedWindowArea.topHungLeafCount} top-hung = ${openedWindowArea.topHungAreaM2.toFixed(2)} m², ${openedWindowArea.turnLeafCount} turn = ${openedWindowArea.turnAreaM2.toFixed(2)} m²], rooflight ${rooflightVentSummaryText}).`
     : "";
-  const achTotalAtTime = selectedPoint?.achTotal ?? ventilationAchTotal + openedWindowAch;
+  const achInfiltrationAtTime =
+    selectedPoint?.achInfiltration ??
+    infiltrationAchAt(infiltration, {
+      windMS: manualVentilationInput.fixedWindMS ?? currentForcing.windMS,
+      indoorTempC: indoorTempAtTime,
+      outdoorTempC: outdoorTemp,
+    });
+  // Infiltration-only and MVHR presets build their rate from the envelope; the others use the preset total
+  const baseAchAtTime =
+    ventilationInfiltrationOnly || ventilationMechanicalAch > 0
+      ? achInfiltrationAtTime + ventilationMechanicalAch
+      : ventilationAchTotal;
+  const achTotalAtTime = selectedPoint?.achTotal ?? baseAchAtTime + openedWindowAch;
   const ventilationComfort = useMemo(
     () =>
       assessVentilationComfort({
@@ -877,10 +1276,13 @@ export default function App() {
     ? `Adaptive ventilation: windows open automatically when cooling is beneficial (0.6-6.0 ACH).${manualWindowSummaryText}`
     : nightPurgeEnabled
       ? `${activeVentPreset.label} by day, smart night purge up to ${VENTILATION_PRESETS.purge.achTotal.toFixed(1)} air changes per hour (${String(NIGHT_START_HOUR).padStart(2, "0")}:00-${String(NIGHT_END_HOUR).padStart(2, "0")}:00) only when indoor is above ${COMFORT_BAND.max}°C and outdoor air is at least 1°C cooler.${manualWindowSummaryText}`
-      : `${activeVentPreset.label} (${ventilationAchTotal.toFixed(1)} air changes per hour).${manualWindowSummaryText}`;
+      : `${activeVentPreset.label} (${baseAchAtTime.toFixed(1)} air changes per hour).${manualWindowSummaryText}`;
   const ventilationComfortSummary = `Draught comfort check: ${ventilationComfort.label} (apparent cooling ~${ventilationComfort.apparentCoolingC.toFixed(1)}°C, feels like ~${ventilationComfort.perceivedTempC.toFixed(1)}°C).`;
   const ventilationSummaryWithComfort = `${ventilationSummary} ${ventilationComfortSummary}`;
-  const ventilationWindAssumptionText = `Manual-opening airflow uses a fixed southwest wind of ${STANDARD_SW_WIND_MPH} mph.`;
+  const ventilationWindAssumptionText =
+    effectiveWeatherMode === "epw"
+      ? "Manual-opening airflow uses the hourly EPW wind speed and direction. Each face's wind pressure follows its angle to the wind, so rotating the building changes cross-ventilation."
+      : `Manual-opening airflow uses a fixed southwest wind of ${STANDARD_SW_WIND_MPH} mph. Each face's wind pressure follows its angle to the wind, so rotating the building changes cross-ventilation.`;
 
   const snapshot = useMemo(() => {
     const indoorTempOverride = selectedPoint?.T_in;
@@ -888,36 +1290,36 @@ export default function App() {
     const effectiveHeatRecovery = hasManualOpenings ? 0 : ventilationHeatRecovery;
     return computeSnapshot({
       ...baseParams,
+      Q_internal: selectedPoint?.Q_internal ?? baseParams.Q_internal,
       dateMidday: dateAtTime,
       T_out: outdoorTemp,
       achTotal: achTotalAtTime,
+      achHeatRecovered: ventilationMechanicalAch > 0 ? ventilationMechanicalAch : achTotalAtTime,
       heatRecoveryEfficiency: effectiveHeatRecovery,
       weatherRadiation:
         currentForcing.source === "epw"
           ? { DNI: currentForcing.DNI, DHI: currentForcing.DHI, GHI: currentForcing.GHI }
           : undefined,
       T_room_override: indoorTempOverride,
+      occupied: (selectedPoint?.occupants ?? 1) > 0,
     });
-  }, [baseParams, dateAtTime, outdoorTemp, achTotalAtTime, ventilationHeatRecovery, hasManualOpenings, currentForcing, selectedPoint?.T_in]);
-  const downlightsOn = useMemo(() => {
-    const rawHour =
-      Number.isFinite(selectedHour) ? selectedHour : dateAtTime.getUTCHours();
-    const normalizedHour = ((Math.floor(rawHour) % 24) + 24) % 24;
-
-    // Calculate "on" hour based on sunrise (1 hour before)
-    let onHour = 6; // fallback if no sunrise
-    if (sunWindow.mode === "normal" && sunWindow.start) {
-      const sunriseHour = sunWindow.start.getHours() + sunWindow.start.getMinutes() / 60;
-      onHour = Math.max(0, sunriseHour - DOWNLIGHTS_PRE_SUNRISE_HOURS);
-    } else if (sunWindow.mode === "night") {
-      // Polar night - lights can be on all "day"
-      onHour = 0;
-    }
-
-    const isWithinSchedule =
-      normalizedHour >= onHour && normalizedHour < DOWNLIGHTS_OFF_HOUR;
-    return isWithinSchedule && (snapshot.illuminanceLux ?? 0) < LUX_THRESHOLDS.adequate;
-  }, [selectedHour, dateAtTime, snapshot.illuminanceLux, sunWindow]);
+  }, [baseParams, dateAtTime, outdoorTemp, achTotalAtTime, ventilationMechanicalAch, ventilationHeatRecovery, hasManualOpenings, currentForcing, selectedPoint?.T_in, selectedPoint?.Q_internal, selectedPoint?.occupants]);
+  // The downlights show the simulated electric lighting at the selected step
+  const lightingFractionNow = selectedPoint?.lightingFraction ?? 0;
+  const downlightsOn = lightingFractionNow > 0;
+  const downlightIntensity =
+    DOWNLIGHT_INTENSITY_DEFAULT * Math.max(DOWNLIGHT_MIN_VISIBLE_FRACTION, Math.min(1, lightingFractionNow));
+  // Blinds in the 3D view follow their state at the selected time
+  const previewBlinds = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(blinds).map(([faceId, blind]) => [
+          faceId,
+          { type: blind.type, position: blind.position, deployed: snapshot.blindsDeployedByFace?.[faceId] === true },
+        ]),
+      ),
+    [blinds, snapshot.blindsDeployedByFace],
+  );
   const solarGainNow = Number.isFinite(selectedPoint?.Q_solar)
     ? selectedPoint.Q_solar
     : snapshot.Q_solar;
@@ -933,6 +1335,25 @@ export default function App() {
         if (point.status === "cooling") acc.coolingHours += stepHours;
         acc.heatingEnergyKWh += (point.heatingW * stepHours) / 1000;
         acc.coolingEnergyKWh += (point.coolingW * stepHours) / 1000;
+        acc.heatingFuelKWh += (point.heatingFuelW * stepHours) / 1000;
+        acc.coolingFuelKWh += (point.coolingFuelW * stepHours) / 1000;
+        acc.lightingElectricityKWh += ((point.lightingElectricityW ?? 0) * stepHours) / 1000;
+        const gridImportKWh = (point.gridImportW * stepHours) / 1000;
+        const pvExportKWh = (point.pvExportW * stepHours) / 1000;
+        const gridIntensity = gridCarbonIntensityAt(activeCarbonIntensity, point.time);
+        addElectricityUse(
+          acc.electricityByBand,
+          daySimulation.electricityTariff,
+          point.time,
+          gridImportKWh,
+          stepHours,
+        );
+        acc.electricityCarbonKg += gridImportKWh * gridIntensity;
+        acc.pvGenerationKWh += (point.pvW * stepHours) / 1000;
+        acc.pvSelfConsumedKWh += ((point.electricityW - point.gridImportW) * stepHours) / 1000;
+        acc.pvExportKWh += pvExportKWh;
+        acc.pvExportCarbonKg += pvExportKWh * gridIntensity;
+        if (point.unmetHeating || point.unmetCooling) acc.unmetHours += stepHours;
         return acc;
       },
       {
@@ -941,18 +1362,39 @@ export default function App() {
         coolingHours: 0,
         heatingEnergyKWh: 0,
         coolingEnergyKWh: 0,
+        heatingFuelKWh: 0,
+        coolingFuelKWh: 0,
+        lightingElectricityKWh: 0,
+        electricityByBand: {},
+        electricityCarbonKg: 0,
+        pvGenerationKWh: 0,
+        pvSelfConsumedKWh: 0,
+        pvExportKWh: 0,
+        pvExportCarbonKg: 0,
+        unmetHours: 0,
       },
     );
-  }, [daySeries, daySimulation.stepMinutes]);
+  }, [daySeries, daySimulation.stepMinutes, daySimulation.electricityTariff, activeCarbonIntensity]);
 
   const dayCostSummary = useMemo(() => {
     if (!daySummary) return null;
     return computeCostCarbonSummary({
       heatingThermalKWh: daySummary.heatingEnergyKWh,
       coolingThermalKWh: daySummary.coolingEnergyKWh,
+      heatingFuelKWh: daySummary.heatingFuelKWh,
+      coolingFuelKWh: daySummary.coolingFuelKWh,
+      lightingElectricityKWh: daySummary.lightingElectricityKWh,
+      heatingSystem: daySimulation.heatingSystem,
+      electricityTariff: daySimulation.electricityTariff,
+      electricityByBand: daySummary.electricityByBand,
+      hourlyElectricityCarbonKg: activeCarbonIntensity ? daySummary.electricityCarbonKg : null,
+      pvGenerationKWh: daySummary.pvGenerationKWh,
+      pvSelfConsumedKWh: daySummary.pvSelfConsumedKWh,
+      pvExportKWh: daySummary.pvExportKWh,
+      pvExportCarbonKg: daySummary.pvExportCarbonKg,
       days: 1,
     });
-  }, [daySummary]);
+  }, [daySummary, daySimulation.heatingSystem, daySimulation.electricityTariff, activeCarbonIntensity]);
 
   const formatDateStamp = (date) => date.toISOString().slice(0, 10);
   const formatExportStamp = () =>
@@ -1046,6 +1488,7 @@ export default function App() {
       `East (${faceFacingLabel(FACES.find((f) => f.id === "east"))}): ${Math.round((faceWWR.east ?? 0) * 100)}%`,
       `South (${faceFacingLabel(FACES.find((f) => f.id === "south"))}): ${Math.round((faceWWR.south ?? 0) * 100)}%`,
       `West (${faceFacingLabel(FACES.find((f) => f.id === "west"))}): ${Math.round((faceWWR.west ?? 0) * 100)}%`,
+      `Products: ${GLAZING_TARGETS.map((target) => `${target} ${GLAZING_PRODUCTS[glazingProducts[target]].label}`).join(", ")}`,
     ].join("\n");
     const shadingSummary = [
       `North: overhang ${(faceState.north.overhang * 1000).toFixed(0)}mm, vertical fins ${faceState.north.fin.toFixed(2)}, horizontal fins ${faceState.north.hFin.toFixed(2)}`,
@@ -1054,11 +1497,13 @@ export default function App() {
       `West: overhang ${(faceState.west.overhang * 1000).toFixed(0)}mm, vertical fins ${faceState.west.fin.toFixed(2)}, horizontal fins ${faceState.west.hFin.toFixed(2)}`,
     ].join("\n");
     const fabricSummary = [
-      `Preset: ${activeUPreset.label}`,
+      `Preset: ${envelopeLabel}`,
       `${activeUPreset.detail}`,
       `U-values (W/m2K):`,
       `Walls ${activeUValues.wall.toFixed(2)} | Roof ${activeUValues.roof.toFixed(2)}`,
       `Floor ${activeUValues.floor.toFixed(2)} | Windows ${activeUValues.window.toFixed(2)}`,
+      `Thermal bridges: ${THERMAL_BRIDGE_PRESETS[thermalBridges.presetId].label}, ${thermalBridges.totalWPerK.toFixed(1)} W/K`,
+      `Airtightness: q50 ${infiltration.q50.toFixed(1)} m3/h.m2 (n50 ${infiltration.n50.toFixed(1)} ACH), ${INFILTRATION_SHELTER_PRESETS[infiltration.shelterId].label.toLowerCase()} site`,
     ].join("\n");
     const ventilationSummaryCompact = [
       `Preset: ${activeVentPreset.label}`,
@@ -1470,35 +1915,127 @@ export default function App() {
     }
   };
 
-  const annualCurrent = useMemo(
-    () =>
-      simulateAnnual1R1C(baseParams, weatherProvider, {
-        comfortBand: COMFORT_BAND,
-        thermalCapacitance: THERMAL_CAPACITANCE_J_PER_K,
-        achTotal: ventilationAchTotal,
-        heatRecoveryEfficiency: ventilationHeatRecovery,
-        manualVentilationInput,
-        nightPurgeEnabled,
-        adaptiveVentEnabled,
-        spinupHours: effectiveSpinupDays * 24,
-      }),
+  const annualSimulationOptions = useMemo(
+    () => ({
+      comfortBand: COMFORT_BAND,
+      thermalCapacitance: constructionMass.lumpedCapacitance,
+      massCapacitance: constructionMass.massCapacitance,
+      surfaceCouplingWPerK: constructionMass.surfaceCoupling,
+      thermalModel,
+      hvac: hvacOptions,
+      pmv: pmvSettings,
+      comfortTemperature: comfortTemperatureMode,
+      internalGainSchedule: activeInternalGainSchedule,
+      lighting,
+      heatingSystem: heatingSystemId,
+      flowTempC,
+      electricityTariff,
+      carbonIntensity: activeCarbonIntensity,
+      achTotal: ventilationAchTotal,
+      heatRecoveryEfficiency: ventilationHeatRecovery,
+      infiltration,
+      infiltrationOnly: ventilationInfiltrationOnly,
+      mechanicalAch: ventilationMechanicalAch,
+      manualVentilationInput,
+      nightPurgeEnabled,
+      adaptiveVentEnabled,
+      spinupHours: effectiveSpinupDays * 24,
+    }),
     [
-      baseParams,
-      weatherProvider,
+      constructionMass,
+      thermalModel,
+      hvacOptions,
+      pmvSettings,
+      comfortTemperatureMode,
+      activeInternalGainSchedule,
+      lighting,
+      heatingSystemId,
+      flowTempC,
+      electricityTariff,
+      activeCarbonIntensity,
       ventilationAchTotal,
       ventilationHeatRecovery,
+      infiltration,
+      ventilationInfiltrationOnly,
+      ventilationMechanicalAch,
       manualVentilationInput,
       nightPurgeEnabled,
       adaptiveVentEnabled,
       effectiveSpinupDays,
     ],
   );
+  const annualCurrent = useMemo(
+    () => simulateAnnual1R1C(baseParams, weatherProvider, annualSimulationOptions),
+    [baseParams, weatherProvider, annualSimulationOptions],
+  );
+  // TM59 re-runs the year with TM59 gain profiles, so only compute it when requested
+  const tm59Result = useMemo(() => {
+    if (!tm59RoomType) return null;
+    return simulateTM59(baseParams, weatherProvider, tm59RoomType, annualSimulationOptions);
+  }, [baseParams, weatherProvider, annualSimulationOptions, tm59RoomType]);
+  // The daylight grid traces every analysis hour, so it is keyed only on the inputs it
+  // reads (not fabric, HVAC or blinds) and runs deferred, after the edit that changed them
+  // has rendered. It is only computed on the evaluate view.
+  const daylightInputs = useMemo(
+    () => ({
+      params: {
+        width: baseParams.width,
+        depth: baseParams.depth,
+        height: baseParams.height,
+        windows: baseParams.windows,
+        rooflight: baseParams.rooflight,
+        g_glass: baseParams.g_glass,
+        latitude: baseParams.latitude,
+        longitude: baseParams.longitude,
+        timezoneHours: baseParams.timezoneHours,
+        groundAlbedo: baseParams.groundAlbedo,
+        skyModel: baseParams.skyModel,
+        siteShading: baseParams.siteShading,
+      },
+      weatherProvider,
+      orientationDeg,
+    }),
+    [
+      baseParams.width,
+      baseParams.depth,
+      baseParams.height,
+      baseParams.windows,
+      baseParams.rooflight,
+      baseParams.g_glass,
+      baseParams.latitude,
+      baseParams.longitude,
+      baseParams.timezoneHours,
+      baseParams.groundAlbedo,
+      baseParams.skyModel,
+      baseParams.siteShading,
+      weatherProvider,
+      orientationDeg,
+    ],
+  );
+  const deferredDaylightInputs = useDeferredValue(daylightInputs);
+  const annualDaylightPending = daylightInputs !== deferredDaylightInputs;
+  const annualDaylight = useMemo(() => {
+    if (viewMode !== "evaluate") return null;
+    const { params, weatherProvider: provider, orientationDeg: orientation } = deferredDaylightInputs;
+    return simulateAnnualDaylight(params, provider, { orientationDeg: orientation });
+  }, [viewMode, deferredDaylightInputs]);
 
   const annualCostSummary = useMemo(() => {
     if (!annualCurrent) return null;
     return computeCostCarbonSummary({
       heatingThermalKWh: annualCurrent.metrics.heatingEnergyKWh,
       coolingThermalKWh: annualCurrent.metrics.coolingEnergyKWh,
+      heatingFuelKWh: annualCurrent.metrics.heatingFuelKWh,
+      coolingFuelKWh: annualCurrent.metrics.coolingFuelKWh,
+      lightingElectricityKWh: annualCurrent.metrics.lightingElectricityKWh,
+      heatingSystem: annualCurrent.heatingSystem,
+      electricityTariff: annualCurrent.electricityTariff,
+      electricityByBand: annualCurrent.metrics.electricityByBand,
+      hourlyElectricityCarbonKg: annualCurrent.carbonIntensity ? annualCurrent.metrics.electricityCarbonKg : null,
+      pvGenerationKWh: annualCurrent.metrics.pvGenerationKWh,
+      pvSelfConsumedKWh: annualCurrent.metrics.pvSelfConsumedKWh,
+      pvExportKWh: annualCurrent.metrics.pvExportKWh,
+      pvExportCarbonKg: annualCurrent.metrics.pvExportCarbonKg,
       days: DAYS_PER_YEAR,
     });
   }, [annualCurrent]);
@@ -1518,18 +2055,40 @@ export default function App() {
     return daySeries.map((point) => ({
       hour: point.tf * 24,
       time: point.timeLabel,
-      roomTemperature: point.T_in,
+      roomTemperature: operativeComfortActive ? point.T_op : point.T_in,
+      massTemperature: point.T_mass,
+      radiantTemperature: point.T_mrt,
       outdoorTemperature: point.T_out,
       solarGain: point.Q_solar,
+      internalGain: point.Q_internal,
       ventAch: point.achTotal,
+      co2Ppm: point.co2Ppm,
       ventOn: point.ventActive ? 1 : 0,
       heatLoss: point.Q_loss_fabric + point.Q_loss_vent,
     }));
-  }, [daySeries]);
+  }, [daySeries, operativeComfortActive]);
+
+  const internalGainChartData = useMemo(
+    () =>
+      daySeries.map((point) => ({
+        hour: point.tf * 24,
+        occupants: point.Q_occupants ?? 0,
+        equipment: point.Q_equipment ?? 0,
+        lighting: point.Q_lighting ?? 0,
+      })),
+    [daySeries],
+  );
 
   const chartDomain = useMemo(() => {
     if (chartData.length === 0) return [0, 1];
-    const values = chartData.flatMap((point) => [point.roomTemperature, point.outdoorTemperature]);
+    const values = chartData
+      .flatMap((point) => [
+        point.roomTemperature,
+        point.outdoorTemperature,
+        point.massTemperature,
+        point.radiantTemperature,
+      ])
+      .filter(Number.isFinite);
     const min = Math.min(...values);
     const max = Math.max(...values);
     if (Math.abs(max - min) < 0.2) return [min - 1, max + 1];
@@ -1543,6 +2102,14 @@ export default function App() {
     );
     return Math.max(MAX_VENTILATION_ACH + 0.5, Math.ceil((peakVent + 0.5) * 2) / 2);
   }, [chartData]);
+  // Keep the upper CO2 threshold on the scale so the line reads against it
+  const co2ChartDomainMax = useMemo(() => {
+    const peakCo2 = chartData.reduce(
+      (acc, point) => Math.max(acc, Number.isFinite(point.co2Ppm) ? point.co2Ppm : 0),
+      CO2_THRESHOLDS_PPM[1],
+    );
+    return Math.ceil((peakCo2 * 1.1) / 500) * 500;
+  }, [chartData]);
 
   const dayHourTicks = useMemo(
     () => Array.from({ length: 13 }, (_, idx) => idx * 2),
@@ -1568,6 +2135,16 @@ export default function App() {
     );
   }, [daySeries, daySimulation.stepMinutes]);
 
+  const dayBlindHoursByFace = useMemo(() => {
+    const stepHours = daySimulation.stepMinutes / 60;
+    return daySeries.slice(0, -1).reduce((acc, point) => {
+      Object.entries(point.blindsDeployed ?? {}).forEach(([faceId, deployed]) => {
+        acc[faceId] = (acc[faceId] ?? 0) + (deployed ? stepHours : 0);
+      });
+      return acc;
+    }, {});
+  }, [daySeries, daySimulation.stepMinutes]);
+
   const viewTabs = [
     { id: "explore", label: "explore" },
     { id: "explain", label: "explain" },
@@ -1578,11 +2155,15 @@ export default function App() {
   const passivhausVentPreset = VENTILATION_PRESETS[PASSIVHAUS_VENTILATION_PRESET];
   const exploreTabs = [
     { id: "context", label: "Context" },
+    { id: "site", label: "Site & neighbours" },
     { id: "general", label: "General settings" },
     { id: "glazing", label: "Glazing" },
     { id: "shading", label: "Shading" },
     { id: "fabric", label: "Fabric (U values)" },
     { id: "ventilation", label: "Ventilation" },
+    { id: "gains", label: "Internal gains" },
+    { id: "hvac", label: "Heating & cooling" },
+    { id: "pv", label: "Solar PV" },
     { id: "passivhaus", label: "Passivhaus" },
     { id: "export", label: "Export" },
   ];
@@ -1610,14 +2191,191 @@ export default function App() {
       previous_mode: weatherMode,
     });
   }, [trackAnalyticsEvent, weatherMode]);
+  const handleSkyModelChange = useCallback((modelId) => {
+    if (skyModel === modelId) return;
+    setSkyModel(modelId);
+    trackAnalyticsEvent("sky_model_selected", {
+      from_model: skyModel,
+      to_model: modelId,
+    });
+  }, [skyModel, trackAnalyticsEvent]);
   const handleUPresetChange = useCallback((presetId) => {
-    if (uValuePreset === presetId) return;
+    if (uValuePreset === presetId && !envelopeEdited) return;
     setUValuePreset(presetId);
+    setConstructions(cloneConstructions(U_VALUE_PRESETS[presetId].constructions));
+    setGlazingProducts(uniformGlazingProducts(U_VALUE_PRESETS[presetId].glazing));
+    setAirPermeability({ ...U_VALUE_PRESETS[presetId].airPermeability });
+    setEnvelopeEdited(false);
     trackAnalyticsEvent("u_value_preset_selected", {
-      from_preset: uValuePreset,
+      from_preset: envelopeEdited ? `${uValuePreset}_edited` : uValuePreset,
       to_preset: presetId,
     });
-  }, [trackAnalyticsEvent, uValuePreset]);
+  }, [envelopeEdited, trackAnalyticsEvent, uValuePreset]);
+  const handleGlazingProductChange = useCallback((target, productId) => {
+    if (glazingProducts[target] === productId) return;
+    setGlazingProducts((prev) => ({ ...prev, [target]: productId }));
+    setEnvelopeEdited(true);
+    trackAnalyticsEvent("glazing_product_selected", {
+      target,
+      from_product: glazingProducts[target],
+      to_product: productId,
+    });
+  }, [glazingProducts, trackAnalyticsEvent]);
+  const handleAirPermeabilityMetricChange = useCallback((metricId) => {
+    if (infiltration.metric === metricId) return;
+    // Convert so the envelope keeps the same leakage in the new unit
+    const converted = metricId === "n50" ? infiltration.n50 : infiltration.q50;
+    const { min, max } = AIR_PERMEABILITY_METRICS[metricId].range;
+    setAirPermeability({ metric: metricId, value: Math.min(max, Math.max(min, Math.round(converted * 10) / 10)) });
+    trackAnalyticsEvent("air_permeability_metric_selected", {
+      from_metric: infiltration.metric,
+      to_metric: metricId,
+    });
+  }, [infiltration, trackAnalyticsEvent]);
+  const handleAirPermeabilityValueChange = useCallback((value) => {
+    setAirPermeability((prev) => ({ ...prev, value }));
+    setEnvelopeEdited(true);
+  }, []);
+  const handleInfiltrationShelterChange = useCallback((shelterId) => {
+    if (infiltrationShelter === shelterId) return;
+    setInfiltrationShelter(shelterId);
+    trackAnalyticsEvent("infiltration_shelter_selected", {
+      from_shelter: infiltrationShelter,
+      to_shelter: shelterId,
+    });
+  }, [infiltrationShelter, trackAnalyticsEvent]);
+  const updateConstructionLayers = useCallback((elementId, update) => {
+    setConstructions((prev) => ({ ...prev, [elementId]: update(prev[elementId]) }));
+    setEnvelopeEdited(true);
+  }, []);
+  const updateConstructionLayer = useCallback((elementId, index, key, value) => {
+    updateConstructionLayers(elementId, (layers) =>
+      layers.map((layer, i) => (i === index ? { ...layer, [key]: value } : layer)),
+    );
+  }, [updateConstructionLayers]);
+  const addConstructionLayer = useCallback((elementId) => {
+    updateConstructionLayers(elementId, (layers) => [...layers, { material: "plasterboard", thicknessM: 0.0125 }]);
+    trackAnalyticsEvent("construction_layer_added", { element: elementId });
+  }, [trackAnalyticsEvent, updateConstructionLayers]);
+  const removeConstructionLayer = useCallback((elementId, index) => {
+    updateConstructionLayers(elementId, (layers) => layers.filter((_, i) => i !== index));
+  }, [updateConstructionLayers]);
+  const moveConstructionLayer = useCallback((elementId, index, offset) => {
+    updateConstructionLayers(elementId, (layers) => {
+      const target = index + offset;
+      if (target < 0 || target >= layers.length) return layers;
+      const next = [...layers];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }, [updateConstructionLayers]);
+  const handleComfortTemperatureModeChange = useCallback((modeId) => {
+    if (comfortTemperatureMode === modeId) return;
+    setComfortTemperatureMode(modeId);
+    trackAnalyticsEvent("comfort_temperature_selected", {
+      from_mode: comfortTemperatureMode,
+      to_mode: modeId,
+    });
+  }, [comfortTemperatureMode, trackAnalyticsEvent]);
+  const handleInternalGainProfileChange = useCallback((profileId) => {
+    if (internalGainProfile === profileId) return;
+    if (profileId === "custom") {
+      setCustomInternalGains(customScheduleFrom(activeInternalGainSchedule, buildingFloorArea));
+    }
+    setInternalGainProfile(profileId);
+    trackAnalyticsEvent("internal_gain_profile_selected", {
+      from_profile: internalGainProfile,
+      to_profile: profileId,
+    });
+  }, [activeInternalGainSchedule, buildingFloorArea, internalGainProfile, trackAnalyticsEvent]);
+  const handleLightingControlChange = useCallback((controlId) => {
+    if (lightingSettings.control === controlId || !LIGHTING_CONTROLS[controlId]) return;
+    setLightingSettings((prev) => ({ ...prev, control: controlId }));
+    trackAnalyticsEvent("lighting_control_selected", {
+      from_control: lightingSettings.control,
+      to_control: controlId,
+    });
+  }, [lightingSettings.control, trackAnalyticsEvent]);
+  const handleHeatingSystemChange = useCallback((systemId) => {
+    if (heatingSystemId === systemId) return;
+    setHeatingSystemId(systemId);
+    trackAnalyticsEvent("heating_system_selected", {
+      from_system: heatingSystemId,
+      to_system: systemId,
+    });
+  }, [heatingSystemId, trackAnalyticsEvent]);
+  const handleElectricityTariffChange = useCallback((tariffId) => {
+    if (electricityTariffId === tariffId) return;
+    setElectricityTariffId(tariffId);
+    trackAnalyticsEvent("electricity_tariff_selected", {
+      from_tariff: electricityTariffId,
+      to_tariff: tariffId,
+    });
+  }, [electricityTariffId, trackAnalyticsEvent]);
+  const handleTariffCsvImport = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const parsed = parseHalfHourlyTariffCsv(await file.text(), file.name);
+      setHalfHourlyTariff(parsed);
+      setTariffImportError("");
+      setElectricityTariffId("agile");
+      trackAnalyticsEvent("tariff_csv_imported", {
+        row_count: parsed.meta.rowCount,
+      });
+    } catch (error) {
+      setTariffImportError(error instanceof Error ? error.message : "Tariff CSV import failed.");
+    }
+  }, [trackAnalyticsEvent]);
+  const handleCarbonIntensityModeChange = useCallback((modeId) => {
+    if (carbonIntensityMode === modeId) return;
+    setCarbonIntensityMode(modeId);
+    trackAnalyticsEvent("carbon_intensity_mode_selected", {
+      from_mode: carbonIntensityMode,
+      to_mode: modeId,
+    });
+  }, [carbonIntensityMode, trackAnalyticsEvent]);
+  const handleCarbonCsvImport = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const parsed = parseCarbonIntensityCsv(await file.text(), file.name);
+      setCarbonIntensityProfile(parsed);
+      setCarbonIntensityError("");
+      setCarbonIntensityMode("hourly");
+      trackAnalyticsEvent("carbon_intensity_csv_imported", {
+        row_count: parsed.meta.rowCount,
+      });
+    } catch (error) {
+      setCarbonIntensityError(error instanceof Error ? error.message : "Carbon intensity CSV import failed.");
+    }
+  }, [trackAnalyticsEvent]);
+  const handleGroundFloorModeChange = useCallback((modeId) => {
+    if (groundFloorMode === modeId) return;
+    setGroundFloorMode(modeId);
+    trackAnalyticsEvent("ground_floor_mode_selected", {
+      from_mode: groundFloorMode,
+      to_mode: modeId,
+    });
+  }, [groundFloorMode, trackAnalyticsEvent]);
+  const handleThermalBridgePresetChange = useCallback((presetId) => {
+    if (thermalBridgePreset === presetId) return;
+    setThermalBridgePreset(presetId);
+    trackAnalyticsEvent("thermal_bridge_preset_selected", {
+      from_preset: thermalBridgePreset,
+      to_preset: presetId,
+    });
+  }, [thermalBridgePreset, trackAnalyticsEvent]);
+  const handleThermalModelChange = useCallback((modelId) => {
+    if (thermalModel === modelId) return;
+    setThermalModel(modelId);
+    trackAnalyticsEvent("thermal_model_selected", {
+      from_model: thermalModel,
+      to_model: modelId,
+    });
+  }, [thermalModel, trackAnalyticsEvent]);
   const handleVentilationPresetChange = useCallback((presetId) => {
     if (ventilationPreset === presetId) return;
     setVentilationPreset(presetId);
@@ -1633,6 +2391,21 @@ export default function App() {
       enabled: enabled ? "true" : "false",
     });
   }, [nightPurgeEnabled, trackAnalyticsEvent]);
+  const handleHvacEnabledChange = useCallback((enabled) => {
+    if (hvacEnabled === enabled) return;
+    setHvacEnabled(enabled);
+    trackAnalyticsEvent("hvac_toggled", {
+      enabled: enabled ? "true" : "false",
+    });
+  }, [hvacEnabled, trackAnalyticsEvent]);
+  const handleTm59RoomTypeChange = useCallback((roomTypeId) => {
+    if (tm59RoomType === roomTypeId) return;
+    setTm59RoomType(roomTypeId);
+    trackAnalyticsEvent("tm59_room_type_selected", {
+      from_room_type: tm59RoomType ?? "off",
+      to_room_type: roomTypeId ?? "off",
+    });
+  }, [tm59RoomType, trackAnalyticsEvent]);
   const handleForceLowPerfModelChange = useCallback((enabled) => {
     if (forceLowPerfModel === enabled) return;
     setForceLowPerfModel(enabled);
@@ -1657,6 +2430,7 @@ export default function App() {
   }, [trackAnalyticsEvent]);
   const handleCloseAllOpenings = useCallback(() => {
     setOpenWindowSegments({});
+    setWindowOpeningRules({});
     setRooflightState((prev) => ({ ...prev, openHeight: 0 }));
     setVentilationPreset("background");
     trackAnalyticsEvent("manual_openings_reset", {
@@ -1742,8 +2516,12 @@ export default function App() {
                       rooflightSpec={rooflightSpec}
                       rooflightEnabled={rooflightEnabled}
                       onToggleRooflight={toggleRooflightOpen}
+                      pvArray={pvArray}
+                      siteShading={siteShading}
+                      glazingProducts={glazingProducts}
                       downlightsOn={downlightsOn}
                       downlightIntensity={downlightIntensity}
+                      blinds={previewBlinds}
                       downlightAngle={downlightBeamAngle}
                       downlightPenumbra={downlightPenumbra}
                       downlightThrowScale={downlightThrowScale}
@@ -1819,6 +2597,7 @@ export default function App() {
                       <GainsLossesCard
                         solarGain={solarGainNow}
                         heatLoss={snapshot.Q_loss_total}
+                        thermalBridgeLoss={snapshot.Q_loss_thermalBridges}
                         solarHelper={
                           solarGainHelper === "Sun below horizon"
                             ? "Sun below horizon"
@@ -1833,7 +2612,8 @@ export default function App() {
                               Solar gain is the heat entering through glazing at the selected hour.
                             </p>
                             <p className="mt-1">
-                              Heat loss combines envelope + ventilation losses at the same hour.
+                              Heat loss combines envelope + ventilation losses at the same hour. The envelope
+                              part includes linear thermal bridges at window, roof, floor and corner junctions.
                             </p>
                           </>
                         }
@@ -1933,7 +2713,8 @@ export default function App() {
                         = solar gains (W).
                       </p>
                       <p className="mt-1">
-                        Purple dashed = fresh air rate (ACH). Red = heat loss (W). When
+                        Purple dashed = fresh air rate (ACH). Grey dotted = CO2 (ppm, its own scale). Red = heat
+                        loss (W). When
                         indoor rises above outdoor, ventilation can help; large midday peaks suggest
                         glazing or shading issues.
                       </p>
@@ -1976,19 +2757,29 @@ export default function App() {
                               label={{ value: "Time of Day", position: "insideBottom", offset: -5, fontSize: 11, fill: "#64748b" }}
                             />
                             <YAxis domain={chartDomain} allowDecimals label={{ value: "Temperature (°C)", angle: -90, position: "insideLeft", fontSize: 11, fill: "#64748b" }} />
-                            <YAxis yAxisId="solar" orientation="right" tickFormatter={(v) => `${Math.round(v)}`} label={{ value: "Solar Gain (W)", angle: 90, position: "insideRight", fontSize: 11, fill: "#64748b" }} />
+                            <YAxis yAxisId="solar" orientation="right" tickFormatter={(v) => `${Math.round(v)}`} label={{ value: "Gains (W)", angle: 90, position: "insideRight", fontSize: 11, fill: "#64748b" }} />
                             <YAxis yAxisId="vent" hide domain={[0, ventChartDomainMax]} />
+                            <YAxis yAxisId="co2" hide domain={[0, co2ChartDomainMax]} />
                             <YAxis yAxisId="heatLoss" hide domain={[0, 'auto']} />
                             <Tooltip
                               wrapperStyle={{ zIndex: 50 }}
                               formatter={(val, name) => {
-                                if (name === "Room temperature" || name === "Outdoor temperature") {
+                                if (
+                                  name === "Room temperature" ||
+                                  name === "Operative temperature" ||
+                                  name === "Outdoor temperature" ||
+                                  name === "Exposed mass" ||
+                                  name === "Mean radiant"
+                                ) {
                                   return `${Number(val).toFixed(1)}°C`;
                                 }
-                                if (name === "Solar gains") return `${Math.round(Number(val))} W`;
+                                if (name === "Solar gains" || name === "Internal gains") {
+                                  return `${Math.round(Number(val))} W`;
+                                }
                                 if (name === "Fresh air rate") {
                                   return `${Number(val).toFixed(2)} air changes per hour`;
                                 }
+                                if (name === "CO2") return `${Math.round(Number(val))} ppm`;
                                 if (name === "Heat loss") return `${Math.round(Number(val))} W`;
                                 return `${Number(val).toFixed(0)}`;
                               }}
@@ -2008,8 +2799,30 @@ export default function App() {
                               isAnimationActive={false}
                               strokeWidth={2}
                               stroke="#0f766e"
-                              name="Room temperature"
+                              name={operativeComfortActive ? "Operative temperature" : "Room temperature"}
                             />
+                            {operativeComfortActive && (
+                              <Line
+                                dataKey="radiantTemperature"
+                                dot={false}
+                                isAnimationActive={false}
+                                strokeWidth={2}
+                                strokeDasharray="1 3"
+                                stroke="#c2410c"
+                                name="Mean radiant"
+                              />
+                            )}
+                            {twoNodeModelActive && (
+                              <Line
+                                dataKey="massTemperature"
+                                dot={false}
+                                isAnimationActive={false}
+                                strokeWidth={2}
+                                strokeDasharray="2 3"
+                                stroke="#78716c"
+                                name="Exposed mass"
+                              />
+                            )}
                             <Line
                               dataKey="outdoorTemperature"
                               dot={false}
@@ -2028,6 +2841,16 @@ export default function App() {
                               stroke="#f59e0b"
                               name="Solar gains"
                             />
+                            <Line
+                              yAxisId="solar"
+                              dataKey="internalGain"
+                              dot={false}
+                              isAnimationActive={false}
+                              strokeWidth={2}
+                              type="stepAfter"
+                              stroke="#7c3aed"
+                              name="Internal gains"
+                            />
                             <Line
                               yAxisId="vent"
                               dataKey="ventAch"
@@ -2038,6 +2861,16 @@ export default function App() {
                               stroke="#7c3aed"
                               name="Fresh air rate"
                             />
+                            <Line
+                              yAxisId="co2"
+                              dataKey="co2Ppm"
+                              dot={false}
+                              isAnimationActive={false}
+                              strokeWidth={2}
+                              strokeDasharray="1 2"
+                              stroke="#475569"
+                              name="CO2"
+                            />
                             <Line
                               yAxisId="heatLoss"
                               dataKey="heatLoss"
@@ -2093,7 +2926,7 @@ export default function App() {
                       <Metric
                         label="Heat through surfaces"
                         value={`${Math.round(snapshot.Q_loss_fabric)} W`}
-                        helper={`Walls ${Math.round(snapshot.Q_loss_walls)} · Windows ${Math.round(snapshot.Q_loss_windows)} · Rooflight ${Math.round(snapshot.Q_loss_rooflight ?? 0)} · Roof ${Math.round(snapshot.Q_loss_roof)} · Floor ${Math.round(snapshot.Q_loss_floor)} W at the selected hour`}
+                        helper={`Walls ${Math.round(snapshot.Q_loss_walls)} · Windows ${Math.round(snapshot.Q_loss_windows)} · Rooflight ${Math.round(snapshot.Q_loss_rooflight ?? 0)} · Roof ${Math.round(snapshot.Q_loss_roof)} · Floor ${Math.round(snapshot.Q_loss_floor)} · Thermal bridges ${Math.round(snapshot.Q_loss_thermalBridges)} W at the selected hour`}
                         accent="#be123c"
                       />
                       <Metric
@@ -2139,8 +2972,12 @@ export default function App() {
                   rooflightSpec={rooflightSpec}
                   rooflightEnabled={rooflightEnabled}
                   onToggleRooflight={toggleRooflightOpen}
+                  pvArray={pvArray}
+                  siteShading={siteShading}
+                  glazingProducts={glazingProducts}
                   downlightsOn={downlightsOn}
                   downlightIntensity={downlightIntensity}
+                  blinds={previewBlinds}
                   downlightAngle={downlightBeamAngle}
                   downlightPenumbra={downlightPenumbra}
                   downlightThrowScale={downlightThrowScale}
@@ -2167,6 +3004,8 @@ export default function App() {
                   summary={daySummary}
                   comfortBand={COMFORT_BAND}
                   stepMinutes={daySimulation.stepMinutes}
+                  hvacControl={daySimulation.hvacControl}
+                  comfortTemperature={daySimulation.comfortTemperature}
                 />
 
                 <CostCarbonCard
@@ -2232,17 +3071,21 @@ export default function App() {
                     <li>Humidity, latent loads, and PMV/PPD comfort effects.</li>
                     <li>Room-to-room heat transfer or distributed thermal mass.</li>
                     <li>Radiant asymmetry and mean radiant temperature effects.</li>
-                    <li>Detailed HVAC controls, efficiency, and plant dynamics.</li>
+                    <li>Detailed HVAC plant dynamics, part-load efficiency, and zoning.</li>
                   </ul>
                 </Card>
 
                 <EnvelopeAssumptionsCard
                   uValues={activeUValues}
-                  presetLabel={activeUPreset.label}
+                  presetLabel={envelopeLabel}
                   presetDetail={activeUPreset.detail}
                 />
 
-                <EnergyAssumptionsCard />
+                <EnergyAssumptionsCard
+                  heatingSystem={daySimulation.heatingSystem}
+                  electricityTariff={daySimulation.electricityTariff}
+                  carbonIntensity={activeCarbonIntensity?.meta ?? null}
+                />
               </>
             )}
 
@@ -2261,7 +3104,7 @@ export default function App() {
                     <p className="text-xs text-slate-500">Full year simulation (8,760 hours)</p>
                   </div>
                   <p className="text-xs text-slate-600">
-                    Annual comfort hours, overheating, and degree-hour loads for the current design.
+                    Annual comfort hours, overheating, degree-hour loads, indoor CO2 and lighting use for the current design.
                   </p>
                   <div className="grid gap-3 md:grid-cols-2 lg:grid-cols-3">
                     <Metric label="Hours in comfort" value={`${Math.round(annualCurrent.metrics.hoursInComfort)} h`} />
@@ -2285,6 +3128,56 @@ export default function App() {
                       helper={formatMonthDayTime(annualCurrent.metrics.peakTime)}
                       accent="#7c2d12"
                     />
+                    <Metric
+                      label="Peak heating load"
+                      value={`${Math.round(annualCurrent.metrics.peakHeatingW)} W`}
+                      helper={
+                        annualCurrent.metrics.peakHeatingTime
+                          ? formatMonthDayTime(annualCurrent.metrics.peakHeatingTime)
+                          : "No heating needed"
+                      }
+                      accent="#1d4ed8"
+                    />
+                    <Metric
+                      label="Peak cooling load"
+                      value={`${Math.round(annualCurrent.metrics.peakCoolingW)} W`}
+                      helper={
+                        annualCurrent.metrics.peakCoolingTime
+                          ? formatMonthDayTime(annualCurrent.metrics.peakCoolingTime)
+                          : "No cooling needed"
+                      }
+                      accent="#c2410c"
+                    />
+                    <Metric
+                      label={`CO2 > ${CO2_THRESHOLDS_PPM[0]} ppm`}
+                      value={`${annualCurrent.metrics.co2HoursAbove1000} h`}
+                      helper={`${annualCurrent.metrics.co2HoursAbove1500} h above ${CO2_THRESHOLDS_PPM[1]} ppm`}
+                      accent="#475569"
+                    />
+                    <Metric
+                      label="Peak CO2"
+                      value={`${Math.round(annualCurrent.metrics.peakCo2Ppm)} ppm`}
+                      helper={
+                        annualCurrent.metrics.peakCo2Time
+                          ? formatMonthDayTime(annualCurrent.metrics.peakCo2Time)
+                          : `Outdoor air ${OUTDOOR_CO2_PPM} ppm`
+                      }
+                      accent="#334155"
+                    />
+                    <Metric
+                      label="Lighting electricity"
+                      value={`${annualCurrent.metrics.lightingElectricityKWh.toFixed(0)} kWh`}
+                      helper={`Lights on ${annualCurrent.metrics.lightingHours.toLocaleString()} h · ${LIGHTING_CONTROLS[lighting.control].label.toLowerCase()} control`}
+                      accent="#ca8a04"
+                    />
+                    {annualCurrent.hvacControl && (
+                      <Metric
+                        label="Unmet hours"
+                        value={`${annualCurrent.metrics.unmetHeatingHours + annualCurrent.metrics.unmetCoolingHours} h`}
+                        helper={`Heating ${annualCurrent.metrics.unmetHeatingHours} h · Cooling ${annualCurrent.metrics.unmetCoolingHours} h`}
+                        accent="#6d28d9"
+                      />
+                    )}
                   </div>
                   <div className="grid gap-4 lg:grid-cols-2">
                     <div className="rounded-lg border border-slate-200 bg-white p-3">
@@ -2338,7 +3231,7 @@ export default function App() {
                             <YAxis label={{ value: "°C", angle: -90, position: "insideLeft", fontSize: 10, fill: "#64748b" }} />
                             <Tooltip wrapperStyle={{ zIndex: 50 }} formatter={(val) => `${Number(val).toFixed(1)}°C`} />
                             <Legend />
-                            <Line dataKey="T_in" dot={false} stroke="#b91c1c" name="Indoor" />
+                            <Line dataKey={comfortTemperatureKey(annualCurrent.comfortTemperature)} dot={false} stroke="#b91c1c" name="Indoor" />
                             <Line dataKey="T_out" dot={false} stroke="#2563eb" name="Outdoor" />
                           </LineChart>
                         </ResponsiveContainer>
@@ -2361,7 +3254,7 @@ export default function App() {
                             <YAxis label={{ value: "°C", angle: -90, position: "insideLeft", fontSize: 10, fill: "#64748b" }} />
                             <Tooltip wrapperStyle={{ zIndex: 50 }} formatter={(val) => `${Number(val).toFixed(1)}°C`} />
                             <Legend />
-                            <Line dataKey="T_in" dot={false} stroke="#0f766e" name="Indoor" />
+                            <Line dataKey={comfortTemperatureKey(annualCurrent.comfortTemperature)} dot={false} stroke="#0f766e" name="Indoor" />
                             <Line dataKey="T_out" dot={false} stroke="#1d4ed8" name="Outdoor" />
                           </LineChart>
                         </ResponsiveContainer>
@@ -2369,6 +3262,53 @@ export default function App() {
                     </div>
                   </div>
                 </Card>
+
+                {annualDaylight && (
+                  <Card className="space-y-4 p-5">
+                    <div className="flex items-center justify-between">
+                      <p className="text-sm font-semibold text-slate-800">Annual Daylight</p>
+                      <p className="text-xs text-slate-500">
+                        {annualDaylightPending ? "Updating..." : "sDA, ASE and UDI on the working plane"}
+                      </p>
+                    </div>
+                    <p className="text-xs text-slate-600">
+                      Daylight from every window and the rooflight, including external shading and the site, traced
+                      onto a floor grid for each daytime hour of the weather year. Blinds are not included.
+                    </p>
+                    <DaylightPanel daylight={annualDaylight} />
+                  </Card>
+                )}
+
+                <AdaptiveComfortCard assessment={annualCurrent.adaptiveComfort} />
+
+                <Card className="space-y-3 p-5">
+                  <p className="text-sm font-semibold text-slate-800">Adaptive Comfort Limits Through the Year</p>
+                  <p className="text-xs text-slate-600">
+                    Daily indoor range against the Category II band, which follows the running mean outdoor temperature.
+                  </p>
+                  <div className="h-44">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={annualCurrent.adaptiveComfort.daily}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                        <XAxis dataKey="dateLabel" minTickGap={24} label={{ value: "Day", position: "insideBottom", offset: -5, fontSize: 10, fill: "#64748b" }} />
+                        <YAxis label={{ value: "°C", angle: -90, position: "insideLeft", fontSize: 10, fill: "#64748b" }} />
+                        <Tooltip wrapperStyle={{ zIndex: 50 }} formatter={(val) => `${Number(val).toFixed(1)}°C`} />
+                        <Legend />
+                        <Line dataKey="maxIndoorC" dot={false} isAnimationActive={false} stroke="#b91c1c" name="Daily max indoor" />
+                        <Line dataKey="minIndoorC" dot={false} isAnimationActive={false} stroke="#0f766e" name="Daily min indoor" />
+                        <Line dataKey="upperC" dot={false} isAnimationActive={false} strokeDasharray="6 4" stroke="#c2410c" name="Cat II upper" />
+                        <Line dataKey="lowerC" dot={false} isAnimationActive={false} strokeDasharray="6 4" stroke="#1d4ed8" name="Cat II lower" />
+                        <Line dataKey="runningMeanC" dot={false} isAnimationActive={false} strokeDasharray="2 3" stroke="#64748b" name="Running mean outdoor" />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                </Card>
+
+                <TM59Card
+                  roomTypeId={tm59RoomType}
+                  onRoomTypeChange={handleTm59RoomTypeChange}
+                  assessment={tm59Result?.assessment}
+                />
               </>
             )}
           </div>
@@ -2503,6 +3443,25 @@ export default function App() {
                             TZ {weatherMeta.tzHours >= 0 ? `+${weatherMeta.tzHours}` : weatherMeta.tzHours}
                           </p>
                         </div>
+                        <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
+                          <p className="text-xs font-medium text-slate-600">Diffuse sky model</p>
+                          <div className="grid grid-cols-2 gap-2">
+                            {SKY_MODEL_ORDER.map((modelId) => (
+                              <Button
+                                key={modelId}
+                                size="sm"
+                                variant={skyModel === modelId ? "default" : "secondary"}
+                                onClick={() => handleSkyModelChange(modelId)}
+                              >
+                                {SKY_MODELS[modelId].label}
+                              </Button>
+                            ))}
+                          </div>
+                          <p className="text-xs text-slate-500">{SKY_MODELS[skyModel].detail}</p>
+                          <p className="text-xs text-slate-500">
+                            Applies to the facade glazing, the rooflight and the PV array.
+                          </p>
+                        </div>
                         <div className="relative z-0 info-popover-host space-y-2 rounded-lg border border-slate-200 bg-white p-3">
                           <InfoPopover className="right-2 top-2">
                             <p className="text-sm font-medium text-slate-800 mb-2">Orientation & facades</p>
@@ -2529,6 +3488,18 @@ export default function App() {
                       </div>
                     )}
 
+                    {exploreTab === "site" && (
+                      <SitePanel
+                        settings={siteSettings}
+                        siteShading={siteShading}
+                        sunBlocked={snapshot.siteSunBlocked}
+                        onHorizonChange={updateHorizonSector}
+                        onAddObstruction={addSiteObstruction}
+                        onObstructionChange={updateSiteObstruction}
+                        onRemoveObstruction={removeSiteObstruction}
+                      />
+                    )}
+
                     {exploreTab === "general" && (
                       <div className="space-y-2">
                         <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
@@ -2564,6 +3535,57 @@ export default function App() {
                             Floor area {buildingFloorArea.toFixed(2)} m² · Volume {buildingVolume.toFixed(2)} m³
                           </div>
                         </div>
+                        <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
+                          <p className="text-sm font-medium text-slate-800">Comfort temperature</p>
+                          <div className="grid grid-cols-2 gap-2">
+                            {COMFORT_TEMPERATURE_MODE_ORDER.map((modeId) => (
+                              <Button
+                                key={modeId}
+                                size="sm"
+                                variant={comfortTemperatureMode === modeId ? "default" : "secondary"}
+                                onClick={() => handleComfortTemperatureModeChange(modeId)}
+                              >
+                                {COMFORT_TEMPERATURE_MODES[modeId].label}
+                              </Button>
+                            ))}
+                          </div>
+                          <p className="text-xs text-slate-500">
+                            {activeComfortTemperatureMode.detail} Applies to the comfort status, charts and annual metrics.
+                          </p>
+                        </div>
+                        <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
+                          <p className="text-sm font-medium text-slate-800">Occupant (PMV / PPD)</p>
+                          <SliderField
+                            label="Clothing"
+                            value={pmvSettings.clo}
+                            onChange={(v) => updatePmvSetting("clo", v)}
+                            min={0.3}
+                            max={1.5}
+                            step={0.05}
+                            formatValue={(v) => `${v.toFixed(2)} clo`}
+                          />
+                          <SliderField
+                            label="Metabolic rate"
+                            value={pmvSettings.met}
+                            onChange={(v) => updatePmvSetting("met", v)}
+                            min={0.8}
+                            max={2}
+                            step={0.1}
+                            formatValue={(v) => `${v.toFixed(1)} met`}
+                          />
+                          <SliderField
+                            label="Air speed"
+                            value={pmvSettings.airSpeedMS}
+                            onChange={(v) => updatePmvSetting("airSpeedMS", v)}
+                            min={0}
+                            max={1}
+                            step={0.05}
+                            formatValue={(v) => `${v.toFixed(2)} m/s`}
+                          />
+                          <p className="text-xs text-slate-500">
+                            0.5 clo is summer indoor clothing, 1.0 clo a winter suit. 1.2 met is seated office work.
+                          </p>
+                        </div>
                         <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
                           <div className="flex items-center justify-between gap-3">
                             <div>
@@ -2764,6 +3786,11 @@ export default function App() {
                             {MIN_WINDOW_CLEAR_HEIGHT.toFixed(2)} m.
                           </p>
                         </div>
+                        <GlazingProductPanel
+                          glazingProducts={glazingProducts}
+                          onProductChange={handleGlazingProductChange}
+                          faceFacingLabel={faceFacingLabel}
+                        />
                       </div>
                     )}
 
@@ -2772,6 +3799,11 @@ export default function App() {
                         {FACES.map((face) => {
                           const config = faceState[face.id];
                           if (config.glazing <= 0) return null;
+                          const faceWindow = windows.find((w) => w.face === face.id);
+                          const revealSkyShare = faceWindow
+                            ? revealDiffuseFactors(faceWindow.w, faceWindow.h, faceWindow.reveal).sky
+                            : 1;
+                          const beamShading = snapshot.beamShadingByFace?.[face.id];
                           return (
                             <div key={face.id} className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
                               <div className="flex items-center justify-between gap-2">
@@ -2809,6 +3841,21 @@ export default function App() {
                                 step={0.05}
                                 formatValue={(v) => v.toFixed(2)}
                               />
+                              <SliderField
+                                label="Glazing setback (reveal depth)"
+                                value={config.glazingSetback ?? DEFAULT_GLAZING_SETBACK_M}
+                                onChange={(v) => updateFace(face.id, "glazingSetback", v)}
+                                min={GLAZING_SETBACK_RANGE.min}
+                                max={GLAZING_SETBACK_RANGE.max}
+                                step={GLAZING_SETBACK_RANGE.step}
+                                formatValue={(v) => `${(v * 1000).toFixed(0)} mm`}
+                              />
+                              <p className="text-[11px] text-slate-500">
+                                Head, jamb and cill reveals pass {Math.round(revealSkyShare * 100)}% of the sky light.{" "}
+                                {beamShading
+                                  ? `Now the reveals shade ${Math.round(beamShading.reveal * 100)}% of the glass from direct sun, ${Math.round(beamShading.total * 100)}% with the other devices.`
+                                  : "No direct sun on this face at the selected time."}
+                              </p>
                             </div>
                           );
                         })}
@@ -2817,13 +3864,23 @@ export default function App() {
                             Add glazing to a face to see shading controls.
                           </p>
                         )}
+                        <BlindsPanel
+                          faces={FACES.filter((face) => faceState[face.id].glazing > 0)}
+                          blindSettings={blindSettings}
+                          blinds={blinds}
+                          deployedNow={snapshot.blindsDeployedByFace}
+                          dayHoursByFace={dayBlindHoursByFace}
+                          annualHoursByFace={annualCurrent?.metrics.blindsHoursByFace}
+                          onSettingChange={handleBlindSettingChange}
+                          faceFacingLabel={faceFacingLabel}
+                        />
                       </div>
                     )}
 
                     {exploreTab === "fabric" && (
                       <div className="space-y-2">
                         <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
-                          <p className="text-xs font-medium text-slate-600">U-value presets</p>
+                          <p className="text-xs font-medium text-slate-600">Saved constructions</p>
                           <div className="grid gap-2">
                             {U_VALUE_PRESET_ORDER.map((presetId) => {
                               const preset = U_VALUE_PRESETS[presetId];
@@ -2847,6 +3904,122 @@ export default function App() {
                             {activeUValues.window.toFixed(2)} W/m²K.
                           </p>
                         </div>
+                        <ConstructionPanel
+                          constructions={constructions}
+                          uValues={activeUValues}
+                          kappa={constructionMass.kappa}
+                          edited={envelopeEdited}
+                          onLayerChange={updateConstructionLayer}
+                          onAddLayer={addConstructionLayer}
+                          onRemoveLayer={removeConstructionLayer}
+                          onMoveLayer={moveConstructionLayer}
+                        />
+                        <AirtightnessPanel
+                          infiltration={infiltration}
+                          achInfiltrationNow={achInfiltrationAtTime}
+                          annualMeanAch={annualCurrent?.metrics.meanInfiltrationAch}
+                          onMetricChange={handleAirPermeabilityMetricChange}
+                          onValueChange={handleAirPermeabilityValueChange}
+                          onShelterChange={handleInfiltrationShelterChange}
+                        />
+                        <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
+                          <p className="text-xs font-medium text-slate-600">Ground floor (ISO 13370)</p>
+                          <div className="grid grid-cols-3 gap-2">
+                            {GROUND_FLOOR_MODE_ORDER.map((modeId) => (
+                              <Button
+                                key={modeId}
+                                size="sm"
+                                variant={groundFloorMode === modeId ? "default" : "secondary"}
+                                onClick={() => handleGroundFloorModeChange(modeId)}
+                              >
+                                {GROUND_FLOOR_MODES[modeId].label}
+                              </Button>
+                            ))}
+                          </div>
+                          <p className="text-xs text-slate-500">{GROUND_FLOOR_MODES[groundFloorMode].detail}</p>
+                          {groundFloor && (
+                            <>
+                              <p className="text-xs text-slate-600">
+                                B&apos; = {groundFloor.characteristicDimensionM.toFixed(2)} m (area / half perimeter) ·
+                                floor + ground U {groundFloor.uValue.toFixed(3)} W/m²K (floor alone{" "}
+                                {activeUValues.floor.toFixed(2)}) · ground now {snapshot.T_ground.toFixed(1)}°C
+                              </p>
+                              <p className="text-xs text-slate-500">
+                                {groundFloor.wave.source === "epw"
+                                  ? `Ground wave from the EPW ground temperatures at ${groundFloor.wave.depthM} m`
+                                  : "Ground wave fitted to the outdoor air temperature"}
+                                : mean {groundFloor.wave.meanC.toFixed(1)}°C, ±{groundFloor.wave.amplitudeK.toFixed(1)} K.{" "}
+                                {groundFloor.wave.source === "epw"
+                                  ? "The measured ground wave is the floor boundary as it is."
+                                  : `${Math.round(groundFloor.periodicRatio * 100)}% of the swing reaches the floor, one month late.`}
+                              </p>
+                            </>
+                          )}
+                        </div>
+                        <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
+                          <p className="text-xs font-medium text-slate-600">Thermal bridges (psi-values)</p>
+                          <div className="grid grid-cols-2 gap-2">
+                            {THERMAL_BRIDGE_PRESET_ORDER.map((presetId) => (
+                              <Button
+                                key={presetId}
+                                size="sm"
+                                variant={thermalBridgePreset === presetId ? "default" : "secondary"}
+                                onClick={() => handleThermalBridgePresetChange(presetId)}
+                              >
+                                {THERMAL_BRIDGE_PRESETS[presetId].label}
+                              </Button>
+                            ))}
+                          </div>
+                          <p className="text-xs text-slate-500">{THERMAL_BRIDGE_PRESETS[thermalBridgePreset].detail}</p>
+                          <div className="grid grid-cols-[1fr_auto_auto_auto] gap-x-3 gap-y-0.5 text-xs text-slate-600">
+                            <p className="font-medium text-slate-500">Junction</p>
+                            <p className="text-right font-medium text-slate-500">Length</p>
+                            <p className="text-right font-medium text-slate-500">Psi</p>
+                            <p className="text-right font-medium text-slate-500">W/K</p>
+                            {thermalBridges.junctions.map((junction) => (
+                              <Fragment key={junction.id}>
+                                <p>
+                                  {junction.label} <span className="text-slate-400">{junction.reference}</span>
+                                </p>
+                                <p className="text-right">{junction.lengthM.toFixed(1)} m</p>
+                                <p className="text-right">{junction.psi.toFixed(2)}</p>
+                                <p className="text-right">{junction.wPerK.toFixed(2)}</p>
+                              </Fragment>
+                            ))}
+                          </div>
+                          <p className="text-xs text-slate-600">
+                            Total {thermalBridges.totalWPerK.toFixed(1)} W/K, against{" "}
+                            {(snapshot.UA_out - snapshot.UA_components.thermalBridges).toFixed(1)} W/K through the
+                            elements by area × U · {Math.round(snapshot.Q_loss_thermalBridges)} W now.
+                          </p>
+                          <p className="text-xs text-slate-500">
+                            Lengths follow the room size and the current windows and rooflight.
+                          </p>
+                        </div>
+                        <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
+                          <p className="text-xs font-medium text-slate-600">Thermal model</p>
+                          <div className="grid gap-2">
+                            {THERMAL_MODEL_ORDER.map((modelId) => (
+                              <Button
+                                key={modelId}
+                                size="sm"
+                                variant={thermalModel === modelId ? "default" : "secondary"}
+                                className="w-full justify-start"
+                                onClick={() => handleThermalModelChange(modelId)}
+                              >
+                                {THERMAL_MODELS[modelId].label}
+                              </Button>
+                            ))}
+                          </div>
+                          <p className="text-xs text-slate-500">{activeThermalModel.detail}</p>
+                          <p className="text-xs text-slate-600">
+                            Exposed mass from the construction layers: {(constructionMass.massCapacitance / 1e6).toFixed(1)}{" "}
+                            MJ/K ({Math.round(constructionMass.massCapacitance / buildingFloorArea / 1000)} kJ/m²K of floor)
+                            {twoNodeModelActive
+                              ? `, coupled to the air over ${constructionMass.effectiveMassAreaM2.toFixed(1)} m² (${Math.round(constructionMass.surfaceCoupling)} W/K).`
+                              : `, lumped with the air and furnishings to ${(constructionMass.lumpedCapacitance / 1e6).toFixed(1)} MJ/K.`}
+                          </p>
+                        </div>
                       </div>
                     )}
 
@@ -2875,7 +4048,8 @@ export default function App() {
                           {!adaptiveVentEnabled && (
                             <p className="text-xs text-slate-500">
                               Current rate: {achTotalAtTime.toFixed(1)} air changes per hour (includes{" "}
-                              {ACH_INFILTRATION_DEFAULT.toFixed(1)} background
+                              {achInfiltrationAtTime.toFixed(2)} infiltration
+                              {ventilationMechanicalAch > 0 ? ` + ${ventilationMechanicalAch.toFixed(1)} mechanical supply` : ""}
                               {hasManualOpenings ? ` + ${openedWindowAch.toFixed(1)} from manual openings` : ""}).
                             </p>
                           )}
@@ -2888,6 +4062,8 @@ export default function App() {
                               Clicked windows open area: {openedWindowArea.totalOpenAreaM2.toFixed(2)} m² across{" "}
                               {openedWindowArea.openLeafCount} sash
                               {openedWindowArea.openLeafCount === 1 ? "" : "es"} ({openedWindowArea.topHungLeafCount} top-hung = {openedWindowArea.topHungAreaM2.toFixed(2)} m², {openedWindowArea.turnLeafCount} turn = {openedWindowArea.turnAreaM2.toFixed(2)} m²; {manualWindowModeText}).
+                              {openedWindowAreaAtTime.openLeafCount < openedWindowArea.openLeafCount &&
+                                ` At ${timeLabel} the opening rules leave ${openedWindowAreaAtTime.openLeafCount} open.`}
                             </p>
                           )}
                           <p className="text-xs text-slate-500">
@@ -2896,6 +4072,13 @@ export default function App() {
                               : "Rooflight: OFF."}
                           </p>
                         </div>
+                        <WindowOpeningRulesPanel
+                          leaves={openedWindowArea.leaves}
+                          rules={windowOpeningRules}
+                          openNowKeys={openSashKeysAtTime}
+                          annualOpenHours={annualCurrent?.metrics.manualSashOpenHours}
+                          onRuleChange={handleWindowOpeningRuleChange}
+                        />
                         <div className={`flex items-center justify-between rounded-lg border border-slate-200 bg-white p-3 ${adaptiveVentEnabled ? "opacity-50" : ""}`}>
                           <div>
                             <p className="text-sm font-medium text-slate-800">Night purge</p>
@@ -2927,6 +4110,264 @@ export default function App() {
                       </div>
                     )}
 
+                    {exploreTab === "gains" && (
+                      <div className="space-y-2">
+                        <InternalGainsPanel
+                          profileId={internalGainProfile}
+                          schedule={activeInternalGainSchedule}
+                          floorAreaM2={buildingFloorArea}
+                          onProfileChange={handleInternalGainProfileChange}
+                          onCustomScheduleChange={setCustomInternalGains}
+                          dayGains={internalGainChartData}
+                          lightingPowerDensity={lighting.powerDensityWPerM2}
+                        />
+                        <LightingPanel
+                          lighting={lighting}
+                          profilePowerDensity={activeInternalGainSchedule.lighting.peakWPerM2}
+                          floorAreaM2={buildingFloorArea}
+                          daylightLuxNow={snapshot.illuminanceLux}
+                          lightingWNow={selectedPoint?.Q_lighting ?? 0}
+                          dayLightingKWh={daySummary?.lightingElectricityKWh ?? 0}
+                          annualLighting={annualCurrent?.metrics}
+                          onControlChange={handleLightingControlChange}
+                          onSettingChange={updateLightingSetting}
+                        />
+                      </div>
+                    )}
+
+                    {exploreTab === "pv" && (
+                      <PvPanel
+                        settings={pvSettings}
+                        pvArray={pvArray}
+                        onSettingChange={updatePvSetting}
+                        outputNowW={snapshot.P_pv}
+                        dayGenerationKWh={daySummary?.pvGenerationKWh ?? 0}
+                        annualPv={annualCostSummary?.pv ?? null}
+                      />
+                    )}
+
+                    {exploreTab === "hvac" && (
+                      <div className="space-y-2">
+                        <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
+                          <p className="text-xs font-medium text-slate-600">Heating system</p>
+                          <div className="grid grid-cols-2 gap-2">
+                            {HEATING_SYSTEM_ORDER.map((systemId) => (
+                              <Button
+                                key={systemId}
+                                size="sm"
+                                variant={heatingSystemId === systemId ? "default" : "secondary"}
+                                onClick={() => handleHeatingSystemChange(systemId)}
+                              >
+                                {HEATING_SYSTEMS[systemId].label}
+                              </Button>
+                            ))}
+                          </div>
+                          <p className="text-xs text-slate-500">{daySimulation.heatingSystem.detail}</p>
+                          {daySimulation.heatingSystem.heatPump && (
+                            <>
+                              <SliderField
+                                label="Flow temperature"
+                                value={flowTempC}
+                                onChange={setFlowTempC}
+                                min={HEAT_PUMP_CONFIG.minFlowTempC}
+                                max={HEAT_PUMP_CONFIG.maxFlowTempC}
+                                step={1}
+                                formatValue={(v) => `${Math.round(v)}°C`}
+                              />
+                              <div className="grid grid-cols-2 gap-2 text-xs text-slate-600">
+                                <div className="rounded-md bg-slate-50 p-2">
+                                  <p className="font-medium text-slate-700">COP at selected time</p>
+                                  <p>{Number.isFinite(selectedPoint?.heatingCop) ? selectedPoint.heatingCop.toFixed(2) : "—"}</p>
+                                </div>
+                                <div className="rounded-md bg-slate-50 p-2">
+                                  <p className="font-medium text-slate-700">Seasonal COP (year)</p>
+                                  <p>{Number.isFinite(annualCostSummary?.seasonalEfficiency) ? annualCostSummary.seasonalEfficiency.toFixed(2) : "—"}</p>
+                                </div>
+                              </div>
+                              <p className="text-xs text-slate-500">
+                                Underfloor heating runs at 30-35°C; older radiators need 55°C or more. A lower flow temperature raises the COP.
+                              </p>
+                            </>
+                          )}
+                        </div>
+                        <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
+                          <p className="text-xs font-medium text-slate-600">Electricity tariff</p>
+                          <div className="grid grid-cols-2 gap-2">
+                            {ELECTRICITY_TARIFF_ORDER.map((tariffId) => (
+                              <Button
+                                key={tariffId}
+                                size="sm"
+                                variant={electricityTariff.id === tariffId ? "default" : "secondary"}
+                                disabled={ELECTRICITY_TARIFFS[tariffId].halfHourly && !halfHourlyTariff}
+                                onClick={() => handleElectricityTariffChange(tariffId)}
+                              >
+                                {ELECTRICITY_TARIFFS[tariffId].label}
+                              </Button>
+                            ))}
+                          </div>
+                          <p className="text-xs text-slate-500">{electricityTariff.detail}</p>
+                          {electricityTariff.prices ? (
+                            <p className="text-xs text-slate-600">
+                              {halfHourlyTariff.meta.name}: mean {formatPence(halfHourlyTariff.meta.meanRate)}/kWh, range{" "}
+                              {formatPence(halfHourlyTariff.meta.minRate)} to {formatPence(halfHourlyTariff.meta.maxRate)}
+                              {halfHourlyTariff.meta.filledSlots > 0 ? ` (${halfHourlyTariff.meta.filledSlots} half hours filled)` : ""}.
+                            </p>
+                          ) : (
+                            <div className="space-y-1 text-xs text-slate-600">
+                              {electricityTariff.bands.map((band) => (
+                                <div key={band.id} className="flex items-center justify-between">
+                                  <span>{band.label}</span>
+                                  <span className="font-mono text-[11px] text-slate-700">{formatPence(band.unitRate)}/kWh</span>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                          <label className="block text-xs text-slate-600">
+                            <span className="font-medium">Import half-hourly prices (CSV)</span>
+                            <input
+                              type="file"
+                              accept=".csv,text/csv"
+                              className="mt-1 block w-full text-xs text-slate-500 file:mr-2 file:rounded-md file:border-0 file:bg-slate-100 file:px-2 file:py-1 file:text-xs file:font-medium file:text-slate-700"
+                              onChange={handleTariffCsvImport}
+                            />
+                          </label>
+                          {tariffImportError && <p className="text-xs text-rose-700">{tariffImportError}</p>}
+                          <p className="text-xs text-slate-500">
+                            One row per half hour with a start time and a price (p/kWh or £/kWh), e.g. an Agile export. Times are read as GMT.
+                          </p>
+                        </div>
+                        <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
+                          <p className="text-xs font-medium text-slate-600">Grid carbon intensity</p>
+                          <div className="grid grid-cols-2 gap-2">
+                            {CARBON_INTENSITY_MODE_ORDER.map((modeId) => (
+                              <Button
+                                key={modeId}
+                                size="sm"
+                                variant={carbonIntensityMode === modeId ? "default" : "secondary"}
+                                onClick={() => handleCarbonIntensityModeChange(modeId)}
+                              >
+                                {CARBON_INTENSITY_MODES[modeId].label}
+                              </Button>
+                            ))}
+                          </div>
+                          <p className="text-xs text-slate-500">{CARBON_INTENSITY_MODES[carbonIntensityMode].detail}</p>
+                          {carbonIntensityMode === "hourly" && (
+                            carbonIntensityProfile ? (
+                              <p className="text-xs text-slate-600">
+                                {carbonIntensityProfile.meta.name}: mean{" "}
+                                {Math.round(carbonIntensityProfile.meta.meanKgPerKWh * 1000)} g/kWh, range{" "}
+                                {Math.round(carbonIntensityProfile.meta.minKgPerKWh * 1000)} to{" "}
+                                {Math.round(carbonIntensityProfile.meta.maxKgPerKWh * 1000)} g/kWh
+                                {carbonIntensityProfile.meta.filledHours > 0
+                                  ? ` (${carbonIntensityProfile.meta.filledHours} hours filled)`
+                                  : ""}
+                                .
+                              </p>
+                            ) : (
+                              !carbonIntensityError && <p className="text-xs text-slate-500">Loading sample UK profile...</p>
+                            )
+                          )}
+                          <label className="block text-xs text-slate-600">
+                            <span className="font-medium">Import hourly intensity (CSV)</span>
+                            <input
+                              type="file"
+                              accept=".csv,text/csv"
+                              className="mt-1 block w-full text-xs text-slate-500 file:mr-2 file:rounded-md file:border-0 file:bg-slate-100 file:px-2 file:py-1 file:text-xs file:font-medium file:text-slate-700"
+                              onChange={handleCarbonCsvImport}
+                            />
+                          </label>
+                          {carbonIntensityProfile && carbonIntensityProfile.meta.name !== SAMPLE_CARBON_PROFILE_NAME && (
+                            <Button
+                              size="sm"
+                              variant="secondary"
+                              className="w-full"
+                              onClick={() => setCarbonIntensityProfile(null)}
+                            >
+                              Use sample UK profile
+                            </Button>
+                          )}
+                          {carbonIntensityError && <p className="text-xs text-rose-700">{carbonIntensityError}</p>}
+                          <p className="text-xs text-slate-500">
+                            8,760 hourly values (or timestamped hourly/half-hourly rows) in g or kg CO2e/kWh. The bundled sample is illustrative, scaled to the annual-average factor.
+                          </p>
+                        </div>
+                        <div className="flex items-center justify-between rounded-lg border border-slate-200 bg-white p-3">
+                          <div>
+                            <p className="text-sm font-medium text-slate-800">Conditioned mode</p>
+                            <p className="text-xs text-slate-500">
+                              {hvacEnabled
+                                ? "A thermostat drives heating and cooling inside the simulation, limited by plant capacity."
+                                : "Free-running: heating and cooling are steady-state estimates that do not change the room temperature."}
+                            </p>
+                          </div>
+                          <Switch checked={hvacEnabled} onCheckedChange={handleHvacEnabledChange} />
+                        </div>
+                        <div className={`space-y-3 rounded-lg border border-slate-200 bg-white p-3 ${hvacEnabled ? "" : "opacity-50"}`}>
+                          <p className="text-xs font-medium text-slate-600">Thermostat</p>
+                          <SliderField
+                            label="Heating setpoint"
+                            value={hvacSettings.heatingSetpointC}
+                            onChange={(v) => updateHvacSetting("heatingSetpointC", v)}
+                            min={14}
+                            max={24}
+                            step={0.5}
+                            disabled={!hvacEnabled}
+                            formatValue={(v) => `${v.toFixed(1)}°C`}
+                          />
+                          <SliderField
+                            label="Cooling setpoint"
+                            value={hvacSettings.coolingSetpointC}
+                            onChange={(v) => updateHvacSetting("coolingSetpointC", v)}
+                            min={20}
+                            max={30}
+                            step={0.5}
+                            disabled={!hvacEnabled}
+                            formatValue={(v) => `${v.toFixed(1)}°C`}
+                          />
+                          <SliderField
+                            label="Deadband"
+                            value={hvacSettings.deadbandK}
+                            onChange={(v) => updateHvacSetting("deadbandK", v)}
+                            min={0}
+                            max={3}
+                            step={0.25}
+                            disabled={!hvacEnabled}
+                            formatValue={(v) => `${v.toFixed(2)} K`}
+                          />
+                          <p className="text-xs font-medium text-slate-600">Plant capacity</p>
+                          <SliderField
+                            label="Heating capacity"
+                            value={hvacSettings.heatingCapacityKW}
+                            onChange={(v) => updateHvacSetting("heatingCapacityKW", v)}
+                            min={0}
+                            max={3}
+                            step={0.1}
+                            disabled={!hvacEnabled}
+                            formatValue={(v) => `${v.toFixed(1)} kW`}
+                          />
+                          <SliderField
+                            label="Cooling capacity"
+                            value={hvacSettings.coolingCapacityKW}
+                            onChange={(v) => updateHvacSetting("coolingCapacityKW", v)}
+                            min={0}
+                            max={3}
+                            step={0.1}
+                            disabled={!hvacEnabled}
+                            formatValue={(v) => `${v.toFixed(1)} kW`}
+                          />
+                          <p className="text-xs text-slate-500">
+                            Heating switches on below {(hvacSettings.heatingSetpointC - hvacSettings.deadbandK / 2).toFixed(1)}°C and cooling above{" "}
+                            {(hvacSettings.coolingSetpointC + hvacSettings.deadbandK / 2).toFixed(1)}°C, then each runs back to its setpoint. Hours the plant cannot hold are reported as unmet.
+                          </p>
+                          {hvacEnabled && daySummary && (
+                            <p className="text-xs text-slate-500">
+                              Selected day: {daySummary.unmetHours.toFixed(1)} unmet hours.
+                            </p>
+                          )}
+                        </div>
+                      </div>
+                    )}
+
                     {exploreTab === "passivhaus" && (
                       <div className="space-y-2">
                         <div className="space-y-2 rounded-lg border border-emerald-200 bg-emerald-50/60 p-3">
@@ -3044,7 +4485,7 @@ export default function App() {
                     <p className="text-xs font-medium text-slate-600">Current inputs</p>
                     <p className="text-xs text-slate-500">
                     Weather {weatherSummary} · Date {selectedDateLabel} · Orientation {Math.round(orientationDeg)}° ·
-                      WWR {Math.round(overallWWR * 100)}% · Envelope {activeUPreset.label}
+                      WWR {Math.round(overallWWR * 100)}% · Envelope {envelopeLabel}
                     </p>
                   </div>
                 </Card>
@@ -0,0 +1,139 @@
+import { parseCsvTimestamp } from "@/tariffs/parseTariffCsv";
+
+const HOURS_PER_DAY = 24;
+const DAYS_PER_MODEL_YEAR = 365;
+const HOURS_PER_YEAR = HOURS_PER_DAY * DAYS_PER_MODEL_YEAR;
+const MIN_VALID_ROWS = HOURS_PER_DAY;
+
+/**
+ * @typedef {Object} CarbonIntensityProfile
+ * @property {{name: string, rowCount: number, filledHours: number, meanKgPerKWh: number, minKgPerKWh: number, maxKgPerKWh: number}} meta
+ * @property {number[]} intensities - kg CO2e/kWh for each hour of a 365-day year, from 1 Jan 00:00 (GMT)
+ */
+
+function parseNumeric(value) {
+  const cleaned = (value ?? "").trim().replace(/^"|"$/g, "");
+  if (cleaned.length === 0) return null;
+  const parsed = Number(cleaned);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function hourSlot(date) {
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  let dayIndex = Math.floor((date.getTime() - yearStart) / (24 * 3600 * 1000));
+  const isLeapYear = new Date(Date.UTC(date.getUTCFullYear(), 1, 29)).getUTCMonth() === 1;
+  if (isLeapYear) {
+    if (dayIndex === 59) return null; // 29 Feb has no slot in the model year
+    if (dayIndex > 59) dayIndex -= 1;
+  }
+  if (dayIndex < 0 || dayIndex >= DAYS_PER_MODEL_YEAR) return null;
+  return dayIndex * HOURS_PER_DAY + date.getUTCHours();
+}
+
+/**
+ * Parse a grid carbon intensity CSV into a full model year of hourly values.
+ * Rows either carry a timestamp (half-hourly data is averaged into hours) or,
+ * without timestamps, are read as consecutive hours from 1 January. The value is
+ * the last numeric column, in g or kg CO2e/kWh. Gaps are filled with the mean for
+ * that hour of the day.
+ * @param {string} csvText
+ * @param {string} [name]
+ * @returns {CarbonIntensityProfile}
+ */
+export function parseCarbonIntensityCsv(csvText, name = "Imported carbon intensity") {
+  const lines = csvText.replace(/\r/g, "").split("\n").filter((line) => line.trim().length > 0);
+  const rows = [];
+  let untimedRows = 0;
+
+  lines.forEach((line) => {
+    const fields = line.split(",");
+    const timestampIndex = fields.findIndex((field) => parseCsvTimestamp(field) !== null);
+    let value = null;
+    for (let i = fields.length - 1; i > timestampIndex; i--) {
+      value = parseNumeric(fields[i]);
+      if (value !== null) break;
+    }
+    if (value === null) return;
+    if (timestampIndex === -1) {
+      if (untimedRows < HOURS_PER_YEAR) rows.push({ slot: untimedRows, value });
+      untimedRows += 1;
+      return;
+    }
+    const slot = hourSlot(parseCsvTimestamp(fields[timestampIndex]));
+    if (slot === null) return;
+    rows.push({ slot, value });
+  });
+
+  if (rows.length < MIN_VALID_ROWS) {
+    throw new Error(
+      `Carbon intensity CSV parse failed: found ${rows.length} valid rows, need at least ${MIN_VALID_ROWS}.`,
+    );
+  }
+
+  // Published profiles are in g/kWh; a median above 5 means grams
+  const sortedValues = rows.map((row) => row.value).sort((a, b) => a - b);
+  const medianValue = sortedValues[Math.floor(sortedValues.length / 2)];
+  const toKg = medianValue > 5 ? 0.001 : 1;
+
+  const sums = new Array(HOURS_PER_YEAR).fill(0);
+  const counts = new Array(HOURS_PER_YEAR).fill(0);
+  rows.forEach(({ slot, value }) => {
+    sums[slot] += Math.max(0, value) * toKg;
+    counts[slot] += 1;
+  });
+
+  const hourOfDaySums = new Array(HOURS_PER_DAY).fill(0);
+  const hourOfDayCounts = new Array(HOURS_PER_DAY).fill(0);
+  sums.forEach((sum, slot) => {
+    if (counts[slot] === 0) return;
+    hourOfDaySums[slot % HOURS_PER_DAY] += sum / counts[slot];
+    hourOfDayCounts[slot % HOURS_PER_DAY] += 1;
+  });
+  const overallMean =
+    hourOfDaySums.reduce((acc, value) => acc + value, 0) /
+    Math.max(1, hourOfDayCounts.reduce((acc, value) => acc + value, 0));
+
+  let filledHours = 0;
+  const intensities = sums.map((sum, slot) => {
+    if (counts[slot] > 0) return sum / counts[slot];
+    filledHours += 1;
+    const ofDay = slot % HOURS_PER_DAY;
+    return hourOfDayCounts[ofDay] > 0 ? hourOfDaySums[ofDay] / hourOfDayCounts[ofDay] : overallMean;
+  });
+
+  return {
+    meta: {
+      name,
+      rowCount: rows.length,
+      filledHours,
+      meanKgPerKWh: intensities.reduce((acc, value) => acc + value, 0) / intensities.length,
+      minKgPerKWh: Math.min(...intensities),
+      maxKgPerKWh: Math.max(...intensities),
+    },
+    intensities,
+  };
+}
+
+const profilePromiseCache = new Map();
+
+/**
+ * Load and parse a bundled carbon intensity CSV once, then reuse it.
+ * @param {string} url
+ * @param {string} [name]
+ * @returns {Promise<CarbonIntensityProfile>}
+ */
+export function loadCarbonIntensityProfile(url, name) {
+  if (profilePromiseCache.has(url)) return profilePromiseCache.get(url);
+
+  const pending = fetch(url)
+    .then((res) => {
+      if (!res.ok) {
+        throw new Error(`Failed to fetch carbon intensity CSV (${res.status} ${res.statusText}).`);
+      }
+      return res.text();
+    })
+    .then((text) => parseCarbonIntensityCsv(text, name));
+
+  profilePromiseCache.set(url, pending);
+  return pending;
+}
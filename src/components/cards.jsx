@@ -1,21 +1,33 @@
+import { Button } from "@/components/ui/button";
 import { Card } from "@/components/ui/card";
 import { InfoPopover } from "@/components/ui/info-popover";
 import { Slider } from "@/components/ui/slider";
 import { cn } from "@/lib/utils";
 import {
   ACH_INFILTRATION_DEFAULT,
+  ADAPTIVE_COMFORT_CATEGORIES,
+  ADAPTIVE_COMFORT_CATEGORY_ORDER,
+  ADAPTIVE_COMFORT_CONFIG,
   BUILDING_DEPTH,
   BUILDING_HEIGHT,
   BUILDING_WIDTH,
   CARBON_FACTORS,
+  CO2_THRESHOLDS_PPM,
   COOLING_SYSTEM,
   ENERGY_TARIFFS,
   FACES,
-  HEATING_SYSTEM,
+  NIGHT_START_HOUR,
   PRICE_CAP_PERIOD_LABEL,
+  TM52_CONFIG,
+  TM59_BEDROOM_NIGHT_LIMIT_C,
+  TM59_BEDROOM_NIGHT_MAX_PERCENT,
+  TM59_NIGHT_END_HOUR,
+  TM59_ROOM_TYPES,
+  TM59_ROOM_TYPE_ORDER,
   formatGBP,
   formatKg,
   formatPence,
+  pmvSensationLabel,
 } from "@/engine";
 
 export function SliderField({
@@ -197,6 +209,7 @@ export function OutcomeCard({
 export function GainsLossesCard({
   solarGain,
   heatLoss,
+  thermalBridgeLoss,
   solarHelper,
   compact = false,
   tight = false,
@@ -232,7 +245,11 @@ export function GainsLossesCard({
           <p className={`${valueClass} font-semibold text-rose-600`}>
             −{Math.round(heatLoss)} W
           </p>
-          <p className={`${helperClass} text-slate-500`}>Through envelope + air</p>
+          <p className={`${helperClass} text-slate-500`}>
+            {Number.isFinite(thermalBridgeLoss) && Math.round(thermalBridgeLoss) !== 0
+              ? `Envelope + air, incl. ${Math.round(thermalBridgeLoss)} W thermal bridges`
+              : "Through envelope + air"}
+          </p>
         </div>
       </div>
     </Card>
@@ -298,7 +315,14 @@ export function IlluminanceCard({ illuminance, compact = false, className, info
   );
 }
 
-export function ComfortGuidanceCard({ currentPoint, summary, comfortBand, stepMinutes }) {
+export function ComfortGuidanceCard({
+  currentPoint,
+  summary,
+  comfortBand,
+  stepMinutes,
+  hvacControl,
+  comfortTemperature = "air",
+}) {
   if (!currentPoint || !summary) return null;
 
   const isHeating = currentPoint.status === "heating";
@@ -314,11 +338,17 @@ export function ComfortGuidanceCard({ currentPoint, summary, comfortBand, stepMi
       ? "text-sky-700"
       : "text-emerald-700";
 
-  const actionText = isHeating
-    ? `Heating needed: ~${Math.round(currentPoint.heatingW)} W over the next ${stepMinutes} min.`
-    : isCooling
-      ? `Cooling needed: ~${Math.round(currentPoint.coolingW)} W over the next ${stepMinutes} min.`
-      : "No immediate heating or cooling required.";
+  const actionText = hvacControl
+    ? currentPoint.heatingW > 0
+      ? `Thermostat heating: ${Math.round(currentPoint.heatingW)} W over the next ${stepMinutes} min (setpoint ${hvacControl.heatingSetpointC}°C).`
+      : currentPoint.coolingW > 0
+        ? `Thermostat cooling: ${Math.round(currentPoint.coolingW)} W over the next ${stepMinutes} min (setpoint ${hvacControl.coolingSetpointC}°C).`
+        : "Thermostat idle: the room is floating inside the deadband."
+    : isHeating
+      ? `Heating needed: ~${Math.round(currentPoint.heatingW)} W over the next ${stepMinutes} min.`
+      : isCooling
+        ? `Cooling needed: ~${Math.round(currentPoint.coolingW)} W over the next ${stepMinutes} min.`
+        : "No immediate heating or cooling required.";
 
   const ventilationText = isCooling
     ? currentPoint.ventilationHelpful
@@ -326,22 +356,68 @@ export function ComfortGuidanceCard({ currentPoint, summary, comfortBand, stepMi
       : "Outdoor air is warmer: ventilation won’t cool."
     : "Ventilation is optional for temperature right now.";
 
+  const hasPmv = Number.isFinite(currentPoint.pmv);
+  const pmvColor = !hasPmv || Math.abs(currentPoint.pmv) <= 0.5
+    ? "text-emerald-700"
+    : currentPoint.pmv < 0
+      ? "text-sky-700"
+      : "text-amber-700";
+  const co2Note = currentPoint.co2Ppm > CO2_THRESHOLDS_PPM[1]
+    ? ", poor air: ventilate more"
+    : currentPoint.co2Ppm > CO2_THRESHOLDS_PPM[0]
+      ? `, above the ${CO2_THRESHOLDS_PPM[0]} ppm guide`
+      : "";
+
   return (
     <Card className="space-y-3 p-5">
       <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">
         Comfort guidance (1R1C)
       </p>
       <p className={`text-lg font-semibold ${titleColor}`}>{title}</p>
-      <p className="text-sm text-slate-600">
-        Indoor {currentPoint.T_in.toFixed(1)}°C versus comfort band {comfortBand.min} to {comfortBand.max}°C.
-      </p>
+      {comfortTemperature === "operative" && Number.isFinite(currentPoint.T_op) ? (
+        <p className="text-sm text-slate-600">
+          Operative {currentPoint.T_op.toFixed(1)}°C (air {currentPoint.T_in.toFixed(1)}°C, mean radiant{" "}
+          {currentPoint.T_mrt.toFixed(1)}°C) versus comfort band {comfortBand.min} to {comfortBand.max}°C.
+        </p>
+      ) : (
+        <p className="text-sm text-slate-600">
+          Indoor {currentPoint.T_in.toFixed(1)}°C versus comfort band {comfortBand.min} to {comfortBand.max}°C.
+        </p>
+      )}
+      {hasPmv && (
+        <div className="grid grid-cols-3 gap-2 text-xs text-slate-600">
+          <div className="rounded-md bg-slate-50 p-2">
+            <p className="font-medium text-slate-700">PMV</p>
+            <p className={pmvColor}>
+              {currentPoint.pmv.toFixed(2)} · {pmvSensationLabel(currentPoint.pmv)}
+            </p>
+          </div>
+          <div className="rounded-md bg-slate-50 p-2">
+            <p className="font-medium text-slate-700">PPD</p>
+            <p>{Math.round(currentPoint.ppd)}% dissatisfied</p>
+          </div>
+          <div className="rounded-md bg-slate-50 p-2">
+            <p className="font-medium text-slate-700">Relative humidity</p>
+            <p>
+              {Math.round(currentPoint.RH_in)}% in · {Math.round(currentPoint.RH_out)}% out
+            </p>
+          </div>
+        </div>
+      )}
       <p className="text-sm text-slate-600">{actionText}</p>
+      {hvacControl && (currentPoint.unmetHeating || currentPoint.unmetCooling) && (
+        <p className="text-sm text-rose-700">Plant at capacity: setpoint not met this step.</p>
+      )}
       <p className="text-sm text-slate-600">{ventilationText}</p>
       <p className="text-xs italic text-slate-500">
-        Note: The model assumes 180 W of constant internal heat gains (occupants, equipment, lighting). This is why indoor temperature stays above outdoor even with no windows or solar gain.
+        {Number.isFinite(currentPoint.Q_occupants)
+          ? `Note: Internal gains right now are ${Math.round(currentPoint.Q_internal)} W (occupants ${Math.round(currentPoint.Q_occupants)} W, equipment ${Math.round(currentPoint.Q_equipment)} W, lighting ${Math.round(currentPoint.Q_lighting)} W), following the schedule in the Internal gains tab.`
+          : `Note: Internal gains right now are ${Math.round(currentPoint.Q_internal)} W (occupants, equipment, lighting).`}{" "}
+        Along with solar gain, this is why indoor temperature stays above outdoor.
       </p>
       <p className="text-xs text-slate-500">
-        Fresh air rate {currentPoint.achTotal.toFixed(2)} air changes per hour (includes {ACH_INFILTRATION_DEFAULT.toFixed(2)} background).
+        Fresh air rate {currentPoint.achTotal.toFixed(2)} air changes per hour (includes {(currentPoint.achInfiltration ?? ACH_INFILTRATION_DEFAULT).toFixed(2)} infiltration).
+        {Number.isFinite(currentPoint.co2Ppm) && ` Indoor CO2 ${Math.round(currentPoint.co2Ppm)} ppm${co2Note}.`}
       </p>
       <div className="grid grid-cols-2 gap-2 text-xs text-slate-600 md:grid-cols-4">
         <div className="rounded-md bg-slate-50 p-2">
@@ -441,14 +517,36 @@ export function CostCarbonCard({ title, periodLabel, summary, isAnnual = false }
       <p className="text-xs text-slate-600">
         Thermal demand {summary.heatingThermalKWh.toFixed(1)} / {summary.coolingThermalKWh.toFixed(1)} kWh (heat/cool).
       </p>
+      {summary.heatingSystemLabel && (
+        <p className="text-xs text-slate-600">
+          Heating by {summary.heatingSystemLabel.toLowerCase()}
+          {Number.isFinite(summary.seasonalEfficiency) && summary.heatingFuel === "electricity" && summary.seasonalEfficiency > 1.01
+            ? `, average COP ${summary.seasonalEfficiency.toFixed(2)}`
+            : ""}
+          .
+        </p>
+      )}
       <div className="grid grid-cols-2 gap-2 text-xs text-slate-600">
         <div className="rounded-md bg-slate-50 p-2">
           <p className="font-medium text-slate-700">Gas use (heating)</p>
           <p>{gasUseKWh.toFixed(1)} kWh</p>
         </div>
         <div className="rounded-md bg-slate-50 p-2">
-          <p className="font-medium text-slate-700">Electricity use (cooling)</p>
+          <p className="font-medium text-slate-700">Electricity use</p>
           <p>{electricityUseKWh.toFixed(1)} kWh</p>
+          {Number.isFinite(summary.heatingElectricityKWh) && (
+            <p className="text-[10px] text-slate-500">
+              heating {summary.heatingElectricityKWh.toFixed(1)} · cooling {summary.coolingElectricityKWh.toFixed(1)}
+              {Number.isFinite(summary.lightingElectricityKWh)
+                ? ` · lighting ${summary.lightingElectricityKWh.toFixed(1)}`
+                : ""}
+            </p>
+          )}
+          {summary.pv && (
+            <p className="text-[10px] text-slate-500">
+              grid import {summary.gridImportKWh.toFixed(1)} kWh
+            </p>
+          )}
         </div>
         <div className="rounded-md bg-slate-50 p-2">
           <p className="font-medium text-slate-700">Gas spend</p>
@@ -461,6 +559,20 @@ export function CostCarbonCard({ title, periodLabel, summary, isAnnual = false }
           <p className="text-[10px] text-slate-500">+ standing {formatGBP(electricityStandingCost)}</p>
         </div>
       </div>
+      {summary.electricityBands && electricityUseKWh > 0 && (
+        <div className="space-y-1 rounded-md bg-slate-50 p-2 text-xs text-slate-600">
+          <p className="font-medium text-slate-700">{summary.electricityTariffLabel}</p>
+          {summary.electricityBands.map((band) => (
+            <div key={band.id} className="flex items-center justify-between">
+              <span>{band.label}</span>
+              <span className="font-mono text-[11px] text-slate-700">
+                {band.kWh.toFixed(1)} kWh · {formatGBP(band.cost)}
+                {band.kWh > 0 ? ` · ${formatPence(band.cost / band.kWh)}/kWh` : ""}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
       <div className="flex items-center justify-between rounded-md bg-slate-100 px-3 py-2 text-slate-700">
         <span className="text-xs">Total spend (all-in)</span>
         <span className="text-right">
@@ -480,11 +592,73 @@ export function CostCarbonCard({ title, periodLabel, summary, isAnnual = false }
           </span>
         </span>
       </div>
+      {summary.pv && (
+        <div className="space-y-2">
+          <div className="grid grid-cols-3 gap-2 text-xs text-slate-600">
+            <div className="rounded-md bg-amber-50 p-2">
+              <p className="font-medium text-slate-700">PV generated</p>
+              <p>{summary.pv.generationKWh.toFixed(1)} kWh</p>
+            </div>
+            <div className="rounded-md bg-amber-50 p-2">
+              <p className="font-medium text-slate-700">Used on site</p>
+              <p>{summary.pv.selfConsumedKWh.toFixed(1)} kWh</p>
+              <p className="text-[10px] text-slate-500">
+                {Math.round(summary.pv.selfConsumptionRatio * 100)}% of output
+              </p>
+            </div>
+            <div className="rounded-md bg-amber-50 p-2">
+              <p className="font-medium text-slate-700">Exported</p>
+              <p>{summary.pv.exportKWh.toFixed(1)} kWh</p>
+              <p className="text-[10px] text-slate-500">earns {formatGBP(summary.pv.exportIncome)}</p>
+            </div>
+          </div>
+          <div className="flex items-center justify-between rounded-md bg-emerald-50 px-3 py-2 text-slate-700">
+            <span className="text-xs">Net after PV export</span>
+            <span className="text-right">
+              <span className="block text-sm font-bold">
+                {formatGBP(summary.netCost)} · {formatKg(summary.netCarbonKg)}
+              </span>
+              <span className="text-[10px] text-slate-500">
+                export credit {formatGBP(summary.pv.exportIncome)} · {formatKg(summary.pv.exportCarbonKg)} displaced
+              </span>
+            </span>
+          </div>
+        </div>
+      )}
+      {summary.carbonComparison && (
+        <div className="space-y-1">
+          <div className="grid grid-cols-2 gap-2 text-xs text-slate-600">
+            {[
+              ["Annual-average factor", summary.carbonComparison.average],
+              ["Hourly grid profile", summary.carbonComparison.hourly],
+            ].map(([label, result]) => (
+              <div key={label} className="rounded-md bg-slate-50 p-2">
+                <p className="font-medium text-slate-700">{label}</p>
+                <p>{formatKg(result.carbonKg)}</p>
+                <p className="text-[10px] text-slate-500">
+                  Elec {formatKg(result.electricityCarbonKg)}
+                  {Number.isFinite(result.electricityFactor)
+                    ? ` at ${Math.round(result.electricityFactor * 1000)} g/kWh`
+                    : ""}
+                </p>
+              </div>
+            ))}
+          </div>
+          <p className="text-[10px] text-slate-500">
+            The hourly figure weights each kWh by the grid intensity when it was used; the headline uses it.
+          </p>
+        </div>
+      )}
     </Card>
   );
 }
 
-export function EnergyAssumptionsCard() {
+export function EnergyAssumptionsCard({ heatingSystem, electricityTariff, carbonIntensity = null }) {
+  const electricityRateLabel = electricityTariff.halfHourly
+    ? "half-hourly"
+    : electricityTariff.bands.length > 1
+      ? electricityTariff.bands.map((band) => formatPence(band.unitRate)).join(" / ")
+      : formatPence(electricityTariff.bands[0].unitRate);
   return (
     <Card className="space-y-3 p-5">
       <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">
@@ -494,7 +668,9 @@ export function EnergyAssumptionsCard() {
         <div className="flex items-center justify-between">
           <span>Heating system</span>
           <span className="font-mono text-[11px] text-slate-700">
-            {HEATING_SYSTEM.label} (η {HEATING_SYSTEM.efficiency.toFixed(2)})
+            {heatingSystem.heatPump
+              ? `${heatingSystem.label} (hourly COP, ${heatingSystem.flowTempC}°C flow)`
+              : `${heatingSystem.label} (η ${heatingSystem.efficiency.toFixed(2)})`}
           </span>
         </div>
         <div className="flex items-center justify-between">
@@ -504,9 +680,9 @@ export function EnergyAssumptionsCard() {
           </span>
         </div>
         <div className="flex items-center justify-between">
-          <span>Electricity tariff</span>
+          <span>Electricity tariff ({electricityTariff.label})</span>
           <span className="font-mono text-[11px] text-slate-700">
-            {formatPence(ENERGY_TARIFFS.electricity.unitRate)}/kWh · {formatPence(ENERGY_TARIFFS.electricity.standingChargePerDay)}/day
+            {electricityRateLabel}/kWh · {formatPence(electricityTariff.standingChargePerDay)}/day
           </span>
         </div>
         <div className="flex items-center justify-between">
@@ -516,9 +692,11 @@ export function EnergyAssumptionsCard() {
           </span>
         </div>
         <div className="flex items-center justify-between">
-          <span>Electricity carbon</span>
+          <span>Electricity carbon{carbonIntensity ? " (hourly profile)" : ""}</span>
           <span className="font-mono text-[11px] text-slate-700">
-            {CARBON_FACTORS.electricity.consumption.toFixed(3)} kg CO2e/kWh
+            {carbonIntensity
+              ? `mean ${carbonIntensity.meanKgPerKWh.toFixed(3)} kg CO2e/kWh`
+              : `${CARBON_FACTORS.electricity.consumption.toFixed(3)} kg CO2e/kWh`}
           </span>
         </div>
         <div className="flex items-center justify-between">
@@ -528,9 +706,188 @@ export function EnergyAssumptionsCard() {
           </span>
         </div>
         <p className="text-[10px] text-slate-500">
-          Tariffs use the Ofgem price cap for {PRICE_CAP_PERIOD_LABEL}. Standing charges are included.
+          Tariffs use the Ofgem price cap for {PRICE_CAP_PERIOD_LABEL}. Standing charges are included
+          (gas only when heating is on gas).
+          {heatingSystem.heatPump &&
+            ` Heat pump COP is ${Math.round(heatingSystem.carnotEfficiency * 100)}% of the Carnot limit between the flow and source temperatures.`}
+        </p>
+      </div>
+    </Card>
+  );
+}
+
+/* -------------------- Adaptive comfort -------------------- */
+export function AdaptiveComfortCard({ assessment }) {
+  if (!assessment) return null;
+  const { tm52, categories, occupiedHours } = assessment;
+  const occupied = ADAPTIVE_COMFORT_CONFIG.occupiedHours;
+  const criteria = [
+    {
+      key: "criterion1",
+      label: "1. Hours of exceedance",
+      value: `${tm52.criterion1.hours} h (${tm52.criterion1.percent.toFixed(1)}%)`,
+      limit: `≤ ${TM52_CONFIG.maxExceedancePercent}% of occupied hours with ΔT ≥ 1 K`,
+      pass: tm52.criterion1.pass,
+    },
+    {
+      key: "criterion2",
+      label: "2. Daily weighted exceedance",
+      value: `${tm52.criterion2.maxDailyWeighted} K·h${tm52.criterion2.worstDayLabel ? ` (${tm52.criterion2.worstDayLabel})` : ""}`,
+      limit: `≤ ${TM52_CONFIG.maxDailyWeightedExceedance} K·h on any day`,
+      pass: tm52.criterion2.pass,
+    },
+    {
+      key: "criterion3",
+      label: "3. Upper limit temperature",
+      value: `max ΔT ${tm52.criterion3.maxDeltaK} K · ${tm52.criterion3.hours} h over`,
+      limit: `ΔT never above ${TM52_CONFIG.maxDeltaK} K`,
+      pass: tm52.criterion3.pass,
+    },
+  ];
+
+  return (
+    <Card className="space-y-3 p-5">
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">
+          Adaptive comfort (EN 16798-1 / CIBSE TM52)
+        </p>
+        <span
+          className={cn(
+            "rounded-full px-2 py-0.5 text-[10px] font-semibold uppercase tracking-wide",
+            tm52.pass ? "bg-emerald-100 text-emerald-700" : "bg-rose-100 text-rose-700",
+          )}
+        >
+          TM52 {tm52.pass ? "pass" : "fail"}
+        </span>
+      </div>
+      <p className="text-xs text-slate-600">
+        Limits move with the running mean outdoor temperature. TM52 checks {tm52.assessedHours} occupied hours
+        ({String(occupied.start).padStart(2, "0")}:00-{String(occupied.end).padStart(2, "0")}:00, May-September)
+        against the {ADAPTIVE_COMFORT_CATEGORIES[tm52.category].label} upper limit. Failing any two criteria fails the room.
+      </p>
+      <div className="space-y-2 text-xs text-slate-600">
+        {criteria.map((criterion) => (
+          <div key={criterion.key} className="flex items-center justify-between rounded-md bg-slate-50 p-2">
+            <div>
+              <p className="font-medium text-slate-700">{criterion.label}</p>
+              <p className="text-[10px] text-slate-500">{criterion.limit}</p>
+            </div>
+            <div className="text-right">
+              <p>{criterion.value}</p>
+              <p className={criterion.pass ? "font-semibold text-emerald-700" : "font-semibold text-rose-700"}>
+                {criterion.pass ? "Pass" : "Fail"}
+              </p>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="grid grid-cols-3 gap-2 text-xs text-slate-600">
+        {ADAPTIVE_COMFORT_CATEGORY_ORDER.map((id) => (
+          <div key={id} className="rounded-md bg-slate-50 p-2">
+            <p className="font-medium text-slate-700">{ADAPTIVE_COMFORT_CATEGORIES[id].label}</p>
+            <p>{categories[id].percentWithin.toFixed(0)}% within</p>
+            <p className="text-[10px] text-slate-500">
+              {categories[id].hoursAbove} h above · {categories[id].hoursBelow} h below
+            </p>
+          </div>
+        ))}
+      </div>
+      <p className="text-[10px] text-slate-500">
+        Category shares use all {occupiedHours} occupied hours of the year. Indoor air temperature stands in for operative temperature.
+      </p>
+    </Card>
+  );
+}
+
+/* -------------------- TM59 overheating -------------------- */
+export function TM59Card({ roomTypeId, onRoomTypeChange, assessment }) {
+  const roomType = roomTypeId ? TM59_ROOM_TYPES[roomTypeId] : null;
+  const nightWindow = `${String(NIGHT_START_HOUR).padStart(2, "0")}:00-${String(TM59_NIGHT_END_HOUR).padStart(2, "0")}:00`;
+
+  return (
+    <Card className="space-y-3 p-5">
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">
+          Overheating check (CIBSE TM59)
         </p>
+        {assessment && (
+          <span
+            className={cn(
+              "rounded-full px-2 py-0.5 text-[10px] font-semibold uppercase tracking-wide",
+              assessment.pass ? "bg-emerald-100 text-emerald-700" : "bg-rose-100 text-rose-700",
+            )}
+          >
+            {assessment.pass ? "Pass" : "Fail"}
+          </span>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <Button
+          size="sm"
+          variant={roomTypeId ? "secondary" : "default"}
+          onClick={() => onRoomTypeChange(null)}
+        >
+          Off
+        </Button>
+        {TM59_ROOM_TYPE_ORDER.map((id) => (
+          <Button
+            key={id}
+            size="sm"
+            variant={roomTypeId === id ? "default" : "secondary"}
+            onClick={() => onRoomTypeChange(id)}
+          >
+            {TM59_ROOM_TYPES[id].label}
+          </Button>
+        ))}
       </div>
+      {!roomType || !assessment ? (
+        <p className="text-xs text-slate-500">
+          Pick a room type to re-run the year with TM59 occupancy, equipment and lighting gains in place of the constant internal gains. The room runs free with heating and cooling off.
+        </p>
+      ) : (
+        <>
+          <p className="text-xs text-slate-600">{roomType.detail}</p>
+          <div className="space-y-2 text-xs text-slate-600">
+            <div className="flex items-center justify-between rounded-md bg-slate-50 p-2">
+              <div>
+                <p className="font-medium text-slate-700">(a) Hours of exceedance</p>
+                <p className="text-[10px] text-slate-500">
+                  ΔT ≥ 1 K above the TM52 limit for ≤ {assessment.criterionA.maxPercent}% of occupied hours (May-Sep)
+                </p>
+              </div>
+              <div className="text-right">
+                <p>
+                  {assessment.criterionA.hours} / {assessment.criterionA.assessedHours} h ({assessment.criterionA.percent.toFixed(1)}%)
+                </p>
+                <p className={assessment.criterionA.pass ? "font-semibold text-emerald-700" : "font-semibold text-rose-700"}>
+                  {assessment.criterionA.pass ? "Pass" : "Fail"}
+                </p>
+              </div>
+            </div>
+            {assessment.criterionB && (
+              <div className="flex items-center justify-between rounded-md bg-slate-50 p-2">
+                <div>
+                  <p className="font-medium text-slate-700">(b) Bedroom night-time</p>
+                  <p className="text-[10px] text-slate-500">
+                    Above {TM59_BEDROOM_NIGHT_LIMIT_C}°C for ≤ {TM59_BEDROOM_NIGHT_MAX_PERCENT}% of {nightWindow} hours ({assessment.criterionB.maxHours} h)
+                  </p>
+                </div>
+                <div className="text-right">
+                  <p>
+                    {assessment.criterionB.hoursAbove} / {assessment.criterionB.nightHours} h ({assessment.criterionB.percent.toFixed(1)}%)
+                  </p>
+                  <p className={assessment.criterionB.pass ? "font-semibold text-emerald-700" : "font-semibold text-rose-700"}>
+                    {assessment.criterionB.pass ? "Pass" : "Fail"}
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+          <p className="text-[10px] text-slate-500">
+            Indicative only: single-zone model with indoor air temperature in place of operative temperature.
+          </p>
+        </>
+      )}
     </Card>
   );
 }
@@ -0,0 +1,74 @@
+import { Button } from "@/components/ui/button";
+import { SliderField } from "@/components/cards";
+import {
+  AIR_PERMEABILITY_METRICS,
+  AIR_PERMEABILITY_METRIC_ORDER,
+  INFILTRATION_SHELTER_ORDER,
+  INFILTRATION_SHELTER_PRESETS,
+} from "@/engine";
+
+export function AirtightnessPanel({
+  infiltration,
+  achInfiltrationNow,
+  annualMeanAch,
+  onMetricChange,
+  onValueChange,
+  onShelterChange,
+}) {
+  const metric = AIR_PERMEABILITY_METRICS[infiltration.metric];
+
+  return (
+    <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
+      <p className="text-xs font-medium text-slate-600">Airtightness and infiltration</p>
+      <div className="grid grid-cols-2 gap-2">
+        {AIR_PERMEABILITY_METRIC_ORDER.map((metricId) => (
+          <Button
+            key={metricId}
+            size="sm"
+            variant={infiltration.metric === metricId ? "default" : "secondary"}
+            onClick={() => onMetricChange(metricId)}
+          >
+            {AIR_PERMEABILITY_METRICS[metricId].label} ({AIR_PERMEABILITY_METRICS[metricId].unit})
+          </Button>
+        ))}
+      </div>
+      <p className="text-xs text-slate-500">{metric.detail}</p>
+      <SliderField
+        label={`Air test result (${metric.label})`}
+        value={infiltration.value}
+        onChange={onValueChange}
+        min={metric.range.min}
+        max={metric.range.max}
+        step={metric.range.step}
+        formatValue={(v) => `${v.toFixed(1)} ${metric.unit}`}
+      />
+      <p className="text-xs text-slate-600">
+        For this room: q50 {infiltration.q50.toFixed(1)} m³/h·m² · n50 {infiltration.n50.toFixed(1)} ACH over{" "}
+        {infiltration.envelopeAreaM2.toFixed(0)} m² of envelope.
+      </p>
+      <p className="text-xs font-medium text-slate-600">Site shelter</p>
+      <div className="grid grid-cols-3 gap-2">
+        {INFILTRATION_SHELTER_ORDER.map((shelterId) => (
+          <Button
+            key={shelterId}
+            size="sm"
+            variant={infiltration.shelterId === shelterId ? "default" : "secondary"}
+            onClick={() => onShelterChange(shelterId)}
+          >
+            {INFILTRATION_SHELTER_PRESETS[shelterId].label}
+          </Button>
+        ))}
+      </div>
+      <p className="text-xs text-slate-500">
+        {INFILTRATION_SHELTER_PRESETS[infiltration.shelterId].detail} Wind at the building is{" "}
+        {Math.round(infiltration.windFactor * 100)}% of the weather file wind.
+      </p>
+      <p className="text-xs text-slate-600">
+        Infiltration now {achInfiltrationNow.toFixed(2)} ACH
+        {Number.isFinite(annualMeanAch) ? `, annual mean ${annualMeanAch.toFixed(2)} ACH` : ""} (n50 / 20 rule of
+        thumb: {infiltration.ruleOfThumbAch.toFixed(2)} ACH). It rises with wind and with the indoor-outdoor
+        temperature difference.
+      </p>
+    </div>
+  );
+}
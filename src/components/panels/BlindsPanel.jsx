@@ -0,0 +1,111 @@
+import { SliderField } from "@/components/cards";
+import {
+  BLIND_CONTROLS,
+  BLIND_CONTROL_ORDER,
+  BLIND_DEFAULTS,
+  BLIND_GLARE_BEAM_WM2,
+  BLIND_IRRADIANCE_THRESHOLD_RANGE,
+  BLIND_TYPES,
+  BLIND_TYPE_ORDER,
+} from "@/engine";
+
+const SELECT_CLASS =
+  "h-8 min-w-0 flex-1 rounded-md border border-slate-300 bg-white px-2 text-xs text-slate-900";
+
+export function BlindsPanel({
+  faces,
+  blindSettings,
+  blinds,
+  deployedNow,
+  dayHoursByFace,
+  annualHoursByFace,
+  onSettingChange,
+  faceFacingLabel,
+}) {
+  if (faces.length === 0) return null;
+
+  return (
+    <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
+      <p className="text-xs font-medium text-slate-600">Blinds</p>
+      {faces.map((face) => {
+        const settings = { ...BLIND_DEFAULTS, ...blindSettings[face.id] };
+        const blind = blinds[face.id];
+        const annualHours = annualHoursByFace?.[face.id];
+        return (
+          <div key={face.id} className="space-y-2 rounded-md bg-slate-50 p-2">
+            <div className="flex items-center gap-2">
+              <p className="w-24 shrink-0 text-xs font-semibold text-slate-700">
+                {face.label}
+                <span className="block text-[10px] font-normal text-slate-400">Facing {faceFacingLabel(face)}</span>
+              </p>
+              <select
+                className={SELECT_CLASS}
+                value={settings.type}
+                onChange={(event) => onSettingChange(face.id, "type", event.target.value)}
+              >
+                {BLIND_TYPE_ORDER.map((typeId) => (
+                  <option key={typeId} value={typeId}>
+                    {BLIND_TYPES[typeId].label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {blind && (
+              <>
+                <p className="text-[11px] text-slate-500">{BLIND_TYPES[blind.type].detail}</p>
+                <div className="flex items-center gap-2">
+                  <p className="w-24 shrink-0 text-xs text-slate-600">Control</p>
+                  <select
+                    className={SELECT_CLASS}
+                    value={blind.control}
+                    onChange={(event) => onSettingChange(face.id, "control", event.target.value)}
+                  >
+                    {BLIND_CONTROL_ORDER.map((controlId) => (
+                      <option key={controlId} value={controlId}>
+                        {BLIND_CONTROLS[controlId].label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <p className="text-[11px] text-slate-500">
+                  {BLIND_CONTROLS[blind.control].detail}
+                  {blind.control === "glare" && ` Direct sun counts above ${BLIND_GLARE_BEAM_WM2} W/m².`}
+                </p>
+                {blind.control === "irradiance" && (
+                  <SliderField
+                    label="Lower above"
+                    value={blind.thresholdWm2}
+                    onChange={(v) => onSettingChange(face.id, "thresholdWm2", v)}
+                    min={BLIND_IRRADIANCE_THRESHOLD_RANGE.min}
+                    max={BLIND_IRRADIANCE_THRESHOLD_RANGE.max}
+                    step={BLIND_IRRADIANCE_THRESHOLD_RANGE.step}
+                    formatValue={(v) => `${Math.round(v)} W/m²`}
+                  />
+                )}
+                <SliderField
+                  label="Shading coefficient"
+                  value={blind.shadingCoefficient}
+                  onChange={(v) => onSettingChange(face.id, "shadingCoefficient", v)}
+                  min={0.05}
+                  max={1}
+                  step={0.05}
+                  formatValue={(v) => `${v.toFixed(2)} of solar gain`}
+                />
+                <p className="text-[11px] text-slate-600">
+                  {deployedNow?.[face.id] ? "Down" : "Up"} now · {(dayHoursByFace[face.id] ?? 0).toFixed(1)} h down on
+                  the selected day
+                  {Number.isFinite(annualHours) ? ` · ${Math.round(annualHours).toLocaleString()} h down in the year` : ""}
+                </p>
+              </>
+            )}
+          </div>
+        );
+      })}
+      <p className="text-xs text-slate-500">
+        Blinds are checked every simulation step. External blinds also cut the heat reaching the glass; internal
+        blinds keep the heat they absorb in the room. Daylight on the desk drops to the blind&apos;s light
+        transmittance while it is down.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { SliderField } from "@/components/cards";
+import {
+  CONSTRUCTION_ELEMENTS,
+  CONSTRUCTION_ELEMENT_ORDER,
+  MATERIALS,
+  MATERIAL_ORDER,
+} from "@/engine";
+
+function materialSummary(material) {
+  if (Number.isFinite(material.resistance)) return `R ${material.resistance.toFixed(2)} m²K/W`;
+  return `λ ${material.conductivity} W/mK · ${material.density} kg/m³`;
+}
+
+export function ConstructionPanel({
+  constructions,
+  uValues,
+  kappa,
+  edited,
+  onLayerChange,
+  onAddLayer,
+  onRemoveLayer,
+  onMoveLayer,
+}) {
+  const [elementId, setElementId] = useState("wall");
+  const layers = constructions[elementId] ?? [];
+
+  return (
+    <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-xs font-medium text-slate-600">Construction layers</p>
+        {edited && <span className="text-[11px] text-amber-700">Edited</span>}
+      </div>
+      <div className="grid grid-cols-3 gap-1 text-center text-xs text-slate-600">
+        {CONSTRUCTION_ELEMENT_ORDER.map((id) => (
+          <button
+            key={id}
+            type="button"
+            className={`rounded-md p-1 ${
+              elementId === id ? "bg-slate-900 text-white" : "bg-slate-50 hover:bg-slate-100"
+            }`}
+            onClick={() => setElementId(id)}
+          >
+            <p className="font-medium">{CONSTRUCTION_ELEMENTS[id].label}</p>
+            <p>U {uValues[id].toFixed(2)}</p>
+            <p>κ {Math.round(kappa[id] / 1000)} kJ/m²K</p>
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-slate-500">
+        Layers run from outside (top) to the room side (bottom). U-value per BS EN ISO 6946; κ counts the layers
+        within 100 mm of the room, stopping at insulation.
+      </p>
+      {layers.length === 0 && <p className="text-xs text-slate-500">No layers: surface resistances only.</p>}
+      {layers.map((layer, index) => {
+        const material = MATERIALS[layer.material] ?? MATERIALS.plasterboard;
+        return (
+          <div key={`${elementId}-${index}`} className="space-y-2 rounded-md bg-slate-50 p-2">
+            <div className="flex items-center gap-1">
+              <select
+                className="h-8 min-w-0 flex-1 rounded-md border border-slate-300 bg-white px-2 text-xs text-slate-900"
+                value={layer.material}
+                onChange={(event) => onLayerChange(elementId, index, "material", event.target.value)}
+              >
+                {MATERIAL_ORDER.map((materialId) => (
+                  <option key={materialId} value={materialId}>
+                    {MATERIALS[materialId].label}
+                  </option>
+                ))}
+              </select>
+              <Button
+                size="sm"
+                variant="ghost"
+                disabled={index === 0}
+                onClick={() => onMoveLayer(elementId, index, -1)}
+              >
+                ↑
+              </Button>
+              <Button
+                size="sm"
+                variant="ghost"
+                disabled={index === layers.length - 1}
+                onClick={() => onMoveLayer(elementId, index, 1)}
+              >
+                ↓
+              </Button>
+              <Button size="sm" variant="ghost" onClick={() => onRemoveLayer(elementId, index)}>
+                Remove
+              </Button>
+            </div>
+            <SliderField
+              label="Thickness"
+              value={layer.thicknessM}
+              onChange={(v) => onLayerChange(elementId, index, "thicknessM", v)}
+              min={0.005}
+              max={0.4}
+              step={0.001}
+              formatValue={(v) => `${Math.round(v * 1000)} mm`}
+            />
+            <p className="text-[11px] text-slate-500">{materialSummary(material)}</p>
+          </div>
+        );
+      })}
+      <Button size="sm" variant="secondary" className="w-full" onClick={() => onAddLayer(elementId)}>
+        Add layer on the room side
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  ASE_HOURS_LIMIT,
+  ASE_THRESHOLD_LUX,
+  DAYLIGHT_ANALYSIS_HOURS,
+  SDA_THRESHOLD_LUX,
+  SDA_TIME_FRACTION,
+  UDI_BANDS,
+} from "@/engine";
+
+const MAP_METRICS = {
+  daylit: {
+    label: `Daylit (${SDA_THRESHOLD_LUX} lux)`,
+    legend: `Share of analysis hours at or above ${SDA_THRESHOLD_LUX} lux`,
+    value: (point) => point.daylitFraction,
+    max: () => 1,
+    format: (value) => `${Math.round(value * 100)}%`,
+  },
+  sunlit: {
+    label: "Direct sun",
+    legend: `Hours of direct sun above ${ASE_THRESHOLD_LUX} lux (limit ${ASE_HOURS_LIMIT} h)`,
+    value: (point) => point.sunlitHours,
+    max: () => ASE_HOURS_LIMIT * 2,
+    format: (value) => `${Math.round(value)} h`,
+  },
+  useful: {
+    label: "Useful (100-3000 lux)",
+    legend: "Share of analysis hours in the useful daylight range",
+    value: (point) => point.udi.supplementary + point.udi.autonomous,
+    max: () => 1,
+    format: (value) => `${Math.round(value * 100)}%`,
+  },
+};
+const MAP_METRIC_ORDER = ["daylit", "sunlit", "useful"];
+
+// Dark blue (none) through green to red (most), as on radiance false-colour maps
+const FALSE_COLOUR_STOPS = ["#1e3a8a", "#0ea5e9", "#22c55e", "#facc15", "#ef4444"];
+
+function falseColour(t) {
+  const clamped = Math.max(0, Math.min(1, t)) * (FALSE_COLOUR_STOPS.length - 1);
+  const index = Math.min(FALSE_COLOUR_STOPS.length - 2, Math.floor(clamped));
+  const mix = clamped - index;
+  const channel = (hex, offset) => parseInt(hex.slice(offset, offset + 2), 16);
+  const [from, to] = [FALSE_COLOUR_STOPS[index], FALSE_COLOUR_STOPS[index + 1]];
+  const rgb = [1, 3, 5].map((offset) =>
+    Math.round(channel(from, offset) + (channel(to, offset) - channel(from, offset)) * mix),
+  );
+  return `rgb(${rgb.join(",")})`;
+}
+
+const MAP_SCALE_PX = 48;
+const MAP_MARGIN_PX = 14;
+
+function FloorMap({ daylight, metric }) {
+  const roomWidth = daylight.cols * daylight.cellWidthM;
+  const roomDepth = daylight.rows * daylight.cellDepthM;
+  const widthPx = roomWidth * MAP_SCALE_PX;
+  const depthPx = roomDepth * MAP_SCALE_PX;
+  const maxValue = metric.max();
+  // Plan x runs east, y north; the map draws north at the top
+  const toPx = (x, y) => [MAP_MARGIN_PX + (x + roomWidth / 2) * MAP_SCALE_PX, MAP_MARGIN_PX + (roomDepth / 2 - y) * MAP_SCALE_PX];
+  const windowLine = (aperture) => {
+    const half = { x: roomWidth / 2, y: roomDepth / 2 };
+    const ends = {
+      north: [[aperture.lateralMin, half.y], [aperture.lateralMax, half.y]],
+      south: [[aperture.lateralMin, -half.y], [aperture.lateralMax, -half.y]],
+      east: [[half.x, aperture.lateralMin], [half.x, aperture.lateralMax]],
+      west: [[-half.x, aperture.lateralMin], [-half.x, aperture.lateralMax]],
+    }[aperture.face];
+    const [[x1, y1], [x2, y2]] = ends.map(([x, y]) => toPx(x, y));
+    return { x1, y1, x2, y2 };
+  };
+
+  return (
+    <svg
+      viewBox={`0 0 ${widthPx + MAP_MARGIN_PX * 2} ${depthPx + MAP_MARGIN_PX * 2}`}
+      className="mx-auto block max-h-80 w-full max-w-[14rem]"
+      role="img"
+      aria-label={`${metric.label} floor map`}
+    >
+      {daylight.points.map((point, index) => {
+        const [x, y] = toPx(point.x - daylight.cellWidthM / 2, point.y + daylight.cellDepthM / 2);
+        const value = metric.value(point);
+        return (
+          <rect
+            key={index}
+            x={x}
+            y={y}
+            width={daylight.cellWidthM * MAP_SCALE_PX}
+            height={daylight.cellDepthM * MAP_SCALE_PX}
+            fill={falseColour(value / maxValue)}
+          >
+            <title>{metric.format(value)}</title>
+          </rect>
+        );
+      })}
+      <rect
+        x={MAP_MARGIN_PX}
+        y={MAP_MARGIN_PX}
+        width={widthPx}
+        height={depthPx}
+        fill="none"
+        stroke="#334155"
+        strokeWidth={3}
+      />
+      {daylight.apertures.map((aperture, index) =>
+        aperture.type === "rooflight" ? (
+          <rect
+            key={`aperture-${index}`}
+            x={toPx(-aperture.halfW, aperture.halfD)[0]}
+            y={toPx(-aperture.halfW, aperture.halfD)[1]}
+            width={aperture.halfW * 2 * MAP_SCALE_PX}
+            height={aperture.halfD * 2 * MAP_SCALE_PX}
+            fill="none"
+            stroke="#f8fafc"
+            strokeWidth={1.5}
+            strokeDasharray="4 3"
+          />
+        ) : (
+          <line key={`aperture-${index}`} {...windowLine(aperture)} stroke="#bae6fd" strokeWidth={5} />
+        ),
+      )}
+      <text x={MAP_MARGIN_PX + widthPx / 2} y={MAP_MARGIN_PX - 3} textAnchor="middle" fontSize={10} fill="#475569">
+        N
+      </text>
+      <text x={MAP_MARGIN_PX + widthPx / 2} y={depthPx + MAP_MARGIN_PX * 2 - 2} textAnchor="middle" fontSize={10} fill="#475569">
+        S
+      </text>
+    </svg>
+  );
+}
+
+export function DaylightPanel({ daylight }) {
+  const [metricId, setMetricId] = useState("daylit");
+  const metric = MAP_METRICS[metricId];
+
+  return (
+    <div className="space-y-3">
+      <div className="grid gap-3 md:grid-cols-3">
+        <div className="rounded-lg border border-slate-200 bg-white p-3 text-xs text-slate-600">
+          <p className="font-medium text-slate-700">Spatial daylight autonomy (sDA)</p>
+          <p className="text-lg font-semibold text-slate-900">{Math.round(daylight.sDA * 100)}%</p>
+          <p>
+            of the floor gets {SDA_THRESHOLD_LUX} lux for at least {Math.round(SDA_TIME_FRACTION * 100)}% of the
+            hours. LM-83 looks for 55% (nominally accepted) or 75% (preferred).
+          </p>
+        </div>
+        <div className="rounded-lg border border-slate-200 bg-white p-3 text-xs text-slate-600">
+          <p className="font-medium text-slate-700">Annual sunlight exposure (ASE)</p>
+          <p className="text-lg font-semibold text-slate-900">{Math.round(daylight.ase * 100)}%</p>
+          <p>
+            of the floor gets more than {ASE_THRESHOLD_LUX} lux of direct sun for over {ASE_HOURS_LIMIT} h. Above 10%
+            glare and overheating from sun patches are likely.
+          </p>
+        </div>
+        <div className="rounded-lg border border-slate-200 bg-white p-3 text-xs text-slate-600">
+          <p className="font-medium text-slate-700">Useful daylight illuminance (UDI)</p>
+          <div className="my-1 flex h-3 overflow-hidden rounded-full">
+            {UDI_BANDS.map((band) => (
+              <div
+                key={band.id}
+                style={{ width: `${daylight.udi[band.id] * 100}%`, backgroundColor: band.color }}
+                title={`${band.label}: ${Math.round(daylight.udi[band.id] * 100)}%`}
+              />
+            ))}
+          </div>
+          {UDI_BANDS.map((band) => (
+            <p key={band.id} className="flex items-center gap-1">
+              <span className="inline-block h-2 w-2 rounded-full" style={{ backgroundColor: band.color }} />
+              {band.label}: {Math.round(daylight.udi[band.id] * 100)}% of hours
+            </p>
+          ))}
+        </div>
+      </div>
+      <div className="rounded-lg border border-slate-200 bg-white p-3">
+        <div className="grid grid-cols-3 gap-2">
+          {MAP_METRIC_ORDER.map((id) => (
+            <Button
+              key={id}
+              size="sm"
+              variant={metricId === id ? "default" : "secondary"}
+              onClick={() => setMetricId(id)}
+            >
+              {MAP_METRICS[id].label}
+            </Button>
+          ))}
+        </div>
+        <div className="mt-3 flex flex-col items-center gap-2">
+          <FloorMap daylight={daylight} metric={metric} />
+          <div className="w-full max-w-[14rem] text-[11px] text-slate-500">
+            <div
+              className="h-2 rounded-full"
+              style={{ background: `linear-gradient(to right, ${FALSE_COLOUR_STOPS.join(", ")})` }}
+            />
+            <div className="flex justify-between">
+              <span>{metric.format(0)}</span>
+              <span>{metric.format(metric.max())}+</span>
+            </div>
+          </div>
+          <p className="text-xs text-slate-500">
+            {metric.legend}. Plan at {daylight.workingPlaneM.toFixed(2)} m above the floor, north wall at the top;
+            light blue lines are windows and the dashed outline is the rooflight.
+          </p>
+        </div>
+      </div>
+      <p className="text-xs text-slate-500">
+        {daylight.analysisHours.toLocaleString()} hours from {String(DAYLIGHT_ANALYSIS_HOURS.start).padStart(2, "0")}
+        :00 to {DAYLIGHT_ANALYSIS_HOURS.end}:00 every day, mean {Math.round(daylight.meanLux)} lux across the grid.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import {
+  FACES,
+  GLAZING_FRAME_FRACTION,
+  GLAZING_PRODUCTS,
+  GLAZING_PRODUCT_ORDER,
+  GLAZING_TARGETS,
+  resolveGlazingProduct,
+} from "@/engine";
+
+const TARGET_LABELS = {
+  ...Object.fromEntries(FACES.map((face) => [face.id, face.label])),
+  rooflight: "Rooflight",
+};
+
+export function GlazingProductPanel({ glazingProducts, onProductChange, faceFacingLabel }) {
+  return (
+    <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
+      <p className="text-xs font-medium text-slate-600">Glazing products</p>
+      {GLAZING_TARGETS.map((target) => {
+        const product = resolveGlazingProduct(glazingProducts[target]);
+        const face = FACES.find((entry) => entry.id === target);
+        return (
+          <div key={target} className="space-y-1 rounded-md bg-slate-50 p-2">
+            <div className="flex items-center gap-2">
+              <p className="w-24 shrink-0 text-xs font-semibold text-slate-700">
+                {TARGET_LABELS[target]}
+                {face && faceFacingLabel && (
+                  <span className="block text-[10px] font-normal text-slate-400">
+                    Facing {faceFacingLabel(face)}
+                  </span>
+                )}
+              </p>
+              <select
+                className="h-8 min-w-0 flex-1 rounded-md border border-slate-300 bg-white px-2 text-xs text-slate-900"
+                value={product.id}
+                onChange={(event) => onProductChange(target, event.target.value)}
+              >
+                {GLAZING_PRODUCT_ORDER.map((productId) => (
+                  <option key={productId} value={productId}>
+                    {GLAZING_PRODUCTS[productId].label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <p className="text-[11px] text-slate-600">
+              Ug {product.ug.toFixed(1)} · Uf {product.uf.toFixed(1)} · g {product.g.toFixed(2)} · VLT{" "}
+              {Math.round(product.vlt * 100)}% → window U {product.uValue.toFixed(2)} W/m²K, g{" "}
+              {product.gValue.toFixed(2)}, VLT {Math.round(product.visibleTransmittance * 100)}%
+            </p>
+          </div>
+        );
+      })}
+      <p className="text-xs text-slate-500">
+        Window values include a {Math.round(GLAZING_FRAME_FRACTION * 100)}% frame share: U is area-weighted between
+        glass and frame, and the frame blocks sun and daylight.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,250 @@
+import { useRef, useState } from "react";
+import { Area, AreaChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { Button } from "@/components/ui/button";
+import { SliderField } from "@/components/cards";
+import {
+  DEFAULT_OCCUPANT_ACTIVITY_MET,
+  INTERNAL_GAIN_CATEGORIES,
+  INTERNAL_GAIN_PROFILES,
+  INTERNAL_GAIN_PROFILE_ORDER,
+  SCHEDULE_DAY_TYPES,
+  scheduledPeakPeople,
+} from "@/engine";
+
+const SCHEDULE_STEP = 0.1;
+
+function ScheduleBars({ values, editable, onChange }) {
+  const containerRef = useRef(null);
+  const draggingRef = useRef(false);
+
+  const applyPointer = (event) => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    if (!rect || rect.width <= 0 || rect.height <= 0) return;
+    const hour = Math.min(23, Math.max(0, Math.floor(((event.clientX - rect.left) / rect.width) * 24)));
+    const raw = 1 - (event.clientY - rect.top) / rect.height;
+    const value = Math.min(1, Math.max(0, Math.round(raw / SCHEDULE_STEP) * SCHEDULE_STEP));
+    if (values[hour] !== value) onChange(hour, value);
+  };
+
+  return (
+    <div className="space-y-1">
+      <div
+        ref={containerRef}
+        className={`flex h-20 items-end gap-px rounded-md bg-slate-50 p-1 ${editable ? "cursor-crosshair touch-none" : ""}`}
+        onPointerDown={(event) => {
+          if (!editable) return;
+          draggingRef.current = true;
+          event.currentTarget.setPointerCapture(event.pointerId);
+          applyPointer(event);
+        }}
+        onPointerMove={(event) => {
+          if (editable && draggingRef.current) applyPointer(event);
+        }}
+        onPointerUp={() => {
+          draggingRef.current = false;
+        }}
+        onPointerCancel={() => {
+          draggingRef.current = false;
+        }}
+      >
+        {values.map((value, hour) => (
+          <div
+            key={hour}
+            className="flex-1 rounded-sm bg-teal-600/80"
+            style={{ height: `${Math.max(2, value * 100)}%`, opacity: value > 0 ? 1 : 0.25 }}
+            title={`${String(hour).padStart(2, "0")}:00 · ${Math.round(value * 100)}%`}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-[10px] text-slate-400">
+        <span>00:00</span>
+        <span>12:00</span>
+        <span>24:00</span>
+      </div>
+    </div>
+  );
+}
+
+export function InternalGainsPanel({
+  profileId,
+  schedule,
+  floorAreaM2,
+  onProfileChange,
+  onCustomScheduleChange,
+  dayGains,
+  lightingPowerDensity,
+}) {
+  const [categoryId, setCategoryId] = useState("occupancy");
+  const [dayTypeId, setDayTypeId] = useState("weekday");
+  const isCustom = profileId === "custom";
+  const category = schedule[categoryId];
+  const peakPeople = scheduledPeakPeople(schedule, floorAreaM2);
+  const activityMet = schedule.occupancy.activityMet ?? DEFAULT_OCCUPANT_ACTIVITY_MET;
+
+  const updateCategory = (key, value) => {
+    onCustomScheduleChange((prev) => ({
+      ...prev,
+      [categoryId]: { ...prev[categoryId], [key]: value },
+    }));
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
+        <p className="text-xs font-medium text-slate-600">Schedule profile</p>
+        <div className="grid grid-cols-2 gap-2">
+          {INTERNAL_GAIN_PROFILE_ORDER.map((id) => (
+            <Button
+              key={id}
+              size="sm"
+              variant={profileId === id ? "default" : "secondary"}
+              onClick={() => onProfileChange(id)}
+            >
+              {INTERNAL_GAIN_PROFILES[id].label}
+            </Button>
+          ))}
+          <Button
+            size="sm"
+            variant={isCustom ? "default" : "secondary"}
+            className="col-span-2"
+            onClick={() => onProfileChange("custom")}
+          >
+            Custom (edit current)
+          </Button>
+        </div>
+        <p className="text-xs text-slate-500">{schedule.detail}</p>
+        <div className="grid grid-cols-3 gap-2 text-xs text-slate-600">
+          <div className="rounded-md bg-slate-50 p-2">
+            <p className="font-medium text-slate-700">Peak people</p>
+            <p>
+              {peakPeople.toFixed(1)} · {activityMet.toFixed(1)} met
+            </p>
+          </div>
+          <div className="rounded-md bg-slate-50 p-2">
+            <p className="font-medium text-slate-700">Equipment</p>
+            <p>{schedule.equipment.peakWPerM2} W/m²</p>
+          </div>
+          <div className="rounded-md bg-slate-50 p-2">
+            <p className="font-medium text-slate-700">Lighting</p>
+            <p>{lightingPowerDensity ?? schedule.lighting.peakWPerM2} W/m²</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
+        <div className="grid grid-cols-3 gap-2">
+          {INTERNAL_GAIN_CATEGORIES.map((entry) => (
+            <Button
+              key={entry.id}
+              size="sm"
+              variant={categoryId === entry.id ? "default" : "secondary"}
+              onClick={() => setCategoryId(entry.id)}
+            >
+              {entry.label}
+            </Button>
+          ))}
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          {SCHEDULE_DAY_TYPES.map((entry) => (
+            <Button
+              key={entry.id}
+              size="sm"
+              variant={dayTypeId === entry.id ? "default" : "secondary"}
+              onClick={() => setDayTypeId(entry.id)}
+            >
+              {entry.label}
+            </Button>
+          ))}
+        </div>
+        <ScheduleBars
+          values={category[dayTypeId]}
+          editable={isCustom}
+          onChange={(hour, value) =>
+            updateCategory(
+              dayTypeId,
+              category[dayTypeId].map((current, idx) => (idx === hour ? value : current)),
+            )
+          }
+        />
+        {isCustom ? (
+          <>
+            {categoryId === "occupancy" && (
+              <SliderField
+                label="Peak occupants"
+                value={schedule.occupancy.people}
+                onChange={(v) => updateCategory("people", v)}
+                min={0}
+                max={10}
+                step={0.5}
+                formatValue={(v) => `${v.toFixed(1)} people`}
+              />
+            )}
+            {categoryId === "occupancy" && (
+              <SliderField
+                label="Activity (sets CO2 output)"
+                value={activityMet}
+                onChange={(v) => updateCategory("activityMet", v)}
+                min={0.8}
+                max={3}
+                step={0.1}
+                formatValue={(v) => `${v.toFixed(1)} met`}
+              />
+            )}
+            {categoryId === "equipment" && (
+              <SliderField
+                label={`Peak ${categoryId}`}
+                value={category.peakWPerM2}
+                onChange={(v) => updateCategory("peakWPerM2", v)}
+                min={0}
+                max={30}
+                step={0.5}
+                formatValue={(v) => `${v.toFixed(1)} W/m²`}
+              />
+            )}
+            {categoryId === "lighting" && (
+              <p className="text-xs text-slate-500">
+                Installed lighting power and controls are set under Electric lighting below.
+              </p>
+            )}
+            <p className="text-xs text-slate-500">
+              Click or drag on the bars to set each hour as a fraction of peak.
+            </p>
+          </>
+        ) : (
+          <p className="text-xs text-slate-500">
+            Bars show each hour as a fraction of peak. Choose Custom to edit them.
+          </p>
+        )}
+      </div>
+
+      {dayGains.length > 0 && (
+        <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
+          <p className="text-xs font-medium text-slate-600">Selected day internal gains</p>
+          <div className="h-32">
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={dayGains}>
+                <XAxis
+                  type="number"
+                  dataKey="hour"
+                  domain={[0, 24]}
+                  ticks={[0, 6, 12, 18, 24]}
+                  tickFormatter={(hour) => `${String(Math.round(hour)).padStart(2, "0")}:00`}
+                  fontSize={10}
+                />
+                <YAxis fontSize={10} width={36} />
+                <Tooltip
+                  wrapperStyle={{ zIndex: 50 }}
+                  formatter={(val) => `${Math.round(Number(val))} W`}
+                  labelFormatter={(hour) => `${String(Math.floor(Number(hour))).padStart(2, "0")}:00`}
+                />
+                <Area dataKey="occupants" stackId="gains" stroke="#0f766e" fill="#99f6e4" name="Occupants" isAnimationActive={false} />
+                <Area dataKey="equipment" stackId="gains" stroke="#7c3aed" fill="#ddd6fe" name="Equipment" isAnimationActive={false} />
+                <Area dataKey="lighting" stackId="gains" stroke="#ca8a04" fill="#fef08a" name="Lighting" isAnimationActive={false} />
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
+import { SliderField } from "@/components/cards";
+import {
+  LIGHTING_CONTROLS,
+  LIGHTING_CONTROL_ORDER,
+  LIGHTING_DIMMING_MIN_POWER_FRACTION,
+  LIGHTING_POWER_DENSITY_RANGE,
+  LIGHTING_TARGET_LUX_RANGE,
+} from "@/engine";
+
+export function LightingPanel({
+  lighting,
+  profilePowerDensity,
+  floorAreaM2,
+  daylightLuxNow,
+  lightingWNow,
+  dayLightingKWh,
+  annualLighting,
+  onControlChange,
+  onSettingChange,
+}) {
+  const installedW = lighting.powerDensityWPerM2 * floorAreaM2;
+  const followsProfile = lighting.powerDensityWPerM2 === profilePowerDensity;
+  const daylightLinked = lighting.control !== "manual";
+
+  return (
+    <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
+      <p className="text-xs font-medium text-slate-600">Electric lighting</p>
+      <SliderField
+        label="Lighting power density"
+        value={lighting.powerDensityWPerM2}
+        onChange={(v) => onSettingChange("powerDensityWPerM2", v)}
+        min={LIGHTING_POWER_DENSITY_RANGE.min}
+        max={LIGHTING_POWER_DENSITY_RANGE.max}
+        step={LIGHTING_POWER_DENSITY_RANGE.step}
+        formatValue={(v) => `${v.toFixed(1)} W/m²`}
+      />
+      <div className="flex items-center justify-between gap-2 text-xs text-slate-600">
+        <span>
+          {Math.round(installedW)} W installed over {floorAreaM2.toFixed(1)} m²
+        </span>
+        {!followsProfile && (
+          <Button size="sm" variant="secondary" onClick={() => onSettingChange("powerDensityWPerM2", null)}>
+            Use profile ({profilePowerDensity} W/m²)
+          </Button>
+        )}
+      </div>
+      <p className="text-xs font-medium text-slate-600">Control</p>
+      <div className="grid grid-cols-3 gap-2">
+        {LIGHTING_CONTROL_ORDER.map((controlId) => (
+          <Button
+            key={controlId}
+            size="sm"
+            variant={lighting.control === controlId ? "default" : "secondary"}
+            onClick={() => onControlChange(controlId)}
+          >
+            {LIGHTING_CONTROLS[controlId].label}
+          </Button>
+        ))}
+      </div>
+      <p className="text-xs text-slate-500">
+        {LIGHTING_CONTROLS[lighting.control].detail}
+        {lighting.control === "dimming" &&
+          ` Drivers draw at least ${Math.round(LIGHTING_DIMMING_MIN_POWER_FRACTION * 100)}% of full power while on.`}
+      </p>
+      <SliderField
+        label="Target on the desk"
+        value={lighting.targetLux}
+        onChange={(v) => onSettingChange("targetLux", v)}
+        min={LIGHTING_TARGET_LUX_RANGE.min}
+        max={LIGHTING_TARGET_LUX_RANGE.max}
+        step={LIGHTING_TARGET_LUX_RANGE.step}
+        disabled={!daylightLinked}
+        formatValue={(v) => `${Math.round(v)} lux`}
+      />
+      <label className="flex items-center justify-between gap-2 text-xs text-slate-600">
+        Occupancy sensing (off when the room is empty)
+        <Switch
+          checked={lighting.occupancySensing}
+          onCheckedChange={(checked) => onSettingChange("occupancySensing", checked)}
+        />
+      </label>
+      <p className="text-xs text-slate-600">
+        Now: {Math.round(daylightLuxNow ?? 0)} lux of daylight on the desk, lights drawing {Math.round(lightingWNow)} W.
+        Selected day {dayLightingKWh.toFixed(2)} kWh
+        {annualLighting
+          ? `, year ${annualLighting.lightingElectricityKWh.toFixed(0)} kWh (${(annualLighting.lightingElectricityKWh / Math.max(1e-6, floorAreaM2)).toFixed(1)} kWh/m², lights on ${annualLighting.lightingHours.toLocaleString()} h)`
+          : ""}
+        .
+      </p>
+      <p className="text-xs text-slate-500">
+        The lighting schedule sets when lights are wanted. Daylight on the desk follows the light reaching each
+        window after shading, the site and blinds. All lighting power ends up as heat in the room and is costed as
+        electricity.
+      </p>
+    </div>
+  );
+}
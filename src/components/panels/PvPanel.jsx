@@ -0,0 +1,171 @@
+import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
+import { SliderField } from "@/components/cards";
+import {
+  PV_EXPORT_RATE,
+  PV_MAX_ROOF_COVERAGE,
+  PV_SIZING_MODES,
+  PV_SIZING_MODE_ORDER,
+  cardinalFromAzimuth,
+  formatGBP,
+  formatPence,
+} from "@/engine";
+
+function azimuthLabel(azimuthDeg) {
+  const cardinal = cardinalFromAzimuth(azimuthDeg);
+  const label = cardinal ? `${cardinal[0].toUpperCase()}${cardinal.slice(1)}` : "";
+  return `${Math.round(azimuthDeg)}° ${label}`.trim();
+}
+
+export function PvPanel({
+  settings,
+  pvArray,
+  onSettingChange,
+  outputNowW,
+  dayGenerationKWh,
+  annualPv,
+}) {
+  return (
+    <div className="space-y-2">
+      <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-xs font-medium text-slate-600">Rooftop PV array</p>
+          <div className="flex items-center gap-2">
+            <span className="text-[11px] text-slate-600">On/off</span>
+            <Switch
+              checked={settings.enabled}
+              onCheckedChange={(checked) => onSettingChange("enabled", checked)}
+            />
+          </div>
+        </div>
+        <p className="text-xs text-slate-500">
+          Panels sit on frames inside the parapet. Output uses the same sun position and DNI/DHI/GHI as the room&apos;s solar gains.
+        </p>
+        {settings.enabled && (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              {PV_SIZING_MODE_ORDER.map((modeId) => (
+                <Button
+                  key={modeId}
+                  size="sm"
+                  variant={settings.sizing === modeId ? "default" : "secondary"}
+                  onClick={() => onSettingChange("sizing", modeId)}
+                >
+                  {PV_SIZING_MODES[modeId].label}
+                </Button>
+              ))}
+            </div>
+            {settings.sizing === "area" ? (
+              <SliderField
+                label="Module area"
+                value={settings.areaM2}
+                onChange={(v) => onSettingChange("areaM2", v)}
+                min={1}
+                max={30}
+                step={0.5}
+                formatValue={(v) => `${v.toFixed(1)} m²`}
+              />
+            ) : (
+              <SliderField
+                label="Peak capacity"
+                value={settings.capacityKWp}
+                onChange={(v) => onSettingChange("capacityKWp", v)}
+                min={0.5}
+                max={6}
+                step={0.1}
+                formatValue={(v) => `${v.toFixed(1)} kWp`}
+              />
+            )}
+            {pvArray && (
+              <p className={`text-xs ${pvArray.limitedByRoof ? "text-amber-700" : "text-slate-600"}`}>
+                {pvArray.capacityKWp.toFixed(2)} kWp on {pvArray.areaM2.toFixed(1)} m² of modules
+                {pvArray.limitedByRoof
+                  ? ` (limited to ${pvArray.maxAreaM2.toFixed(1)} m², ${Math.round(PV_MAX_ROOF_COVERAGE * 100)}% of the clear roof)`
+                  : ""}
+                .
+              </p>
+            )}
+            <SliderField
+              label="Tilt"
+              value={settings.tiltDeg}
+              onChange={(v) => onSettingChange("tiltDeg", v)}
+              min={0}
+              max={60}
+              step={1}
+              formatValue={(v) => `${Math.round(v)}°`}
+            />
+            <SliderField
+              label="Azimuth (facing)"
+              value={settings.azimuthDeg}
+              onChange={(v) => onSettingChange("azimuthDeg", v)}
+              min={90}
+              max={270}
+              step={5}
+              formatValue={azimuthLabel}
+            />
+            <SliderField
+              label="Module efficiency"
+              value={settings.moduleEfficiency}
+              onChange={(v) => onSettingChange("moduleEfficiency", v)}
+              min={0.15}
+              max={0.24}
+              step={0.005}
+              formatValue={(v) => `${(v * 100).toFixed(1)}%`}
+            />
+            <SliderField
+              label="System losses"
+              value={settings.systemLosses}
+              onChange={(v) => onSettingChange("systemLosses", v)}
+              min={0.05}
+              max={0.25}
+              step={0.01}
+              formatValue={(v) => `${Math.round(v * 100)}%`}
+            />
+            <p className="text-xs text-slate-500">
+              Losses cover inverter, wiring, soiling and mismatch. Hot cells lose a further 0.4% per °C above 25°C.
+            </p>
+          </>
+        )}
+      </div>
+
+      {pvArray && (
+        <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
+          <p className="text-xs font-medium text-slate-600">Generation</p>
+          <div className="grid grid-cols-2 gap-2 text-xs text-slate-600">
+            <div className="rounded-md bg-slate-50 p-2">
+              <p className="font-medium text-slate-700">Now</p>
+              <p>{Math.round(outputNowW)} W</p>
+            </div>
+            <div className="rounded-md bg-slate-50 p-2">
+              <p className="font-medium text-slate-700">Selected day</p>
+              <p>{dayGenerationKWh.toFixed(1)} kWh</p>
+            </div>
+            {annualPv && (
+              <>
+                <div className="rounded-md bg-slate-50 p-2">
+                  <p className="font-medium text-slate-700">Annual yield</p>
+                  <p>{Math.round(annualPv.generationKWh)} kWh</p>
+                  <p className="text-[10px] text-slate-500">
+                    {Math.round(annualPv.generationKWh / Math.max(0.01, pvArray.capacityKWp))} kWh/kWp
+                  </p>
+                </div>
+                <div className="rounded-md bg-slate-50 p-2">
+                  <p className="font-medium text-slate-700">Self-consumed</p>
+                  <p>{Math.round(annualPv.selfConsumptionRatio * 100)}% of output</p>
+                  <p className="text-[10px] text-slate-500">
+                    {Math.round(annualPv.selfConsumedKWh)} kWh · export {Math.round(annualPv.exportKWh)} kWh
+                  </p>
+                </div>
+              </>
+            )}
+          </div>
+          <p className="text-xs text-slate-500">
+            Heating, cooling and lighting electricity count as on-site demand; the rest is exported at{" "}
+            {formatPence(PV_EXPORT_RATE)}/kWh
+            {annualPv ? ` (${formatGBP(annualPv.exportIncome)} a year)` : ""}.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+import { Button } from "@/components/ui/button";
+import { SliderField } from "@/components/cards";
+import {
+  FACES,
+  SITE_HORIZON_SECTORS,
+  normalizedAzimuth,
+  siteSkyViewFactor,
+} from "@/engine";
+
+const LEVEL_LABELS = {
+  north: "North",
+  east: "East",
+  south: "South",
+  west: "West",
+  roof: "Roof",
+};
+
+export function SitePanel({
+  settings,
+  siteShading,
+  sunBlocked,
+  onHorizonChange,
+  onAddObstruction,
+  onObstructionChange,
+  onRemoveObstruction,
+}) {
+  const blockedLevels = Object.entries(sunBlocked ?? {})
+    .filter(([, blocked]) => blocked)
+    .map(([level]) => LEVEL_LABELS[level]);
+
+  return (
+    <div className="space-y-2">
+      <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
+        <p className="text-xs font-medium text-slate-600">Horizon profile</p>
+        <p className="text-xs text-slate-500">
+          Elevation of distant terrain or skyline in each compass sector. These are true bearings and stay fixed when
+          the building is rotated.
+        </p>
+        <div className="grid grid-cols-2 gap-x-3 gap-y-2">
+          {SITE_HORIZON_SECTORS.map((sector, index) => (
+            <SliderField
+              key={sector}
+              label={sector}
+              value={settings.horizonDeg[index]}
+              onChange={(v) => onHorizonChange(index, v)}
+              min={0}
+              max={45}
+              step={1}
+              formatValue={(v) => `${Math.round(v)}°`}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-xs font-medium text-slate-600">Neighbouring buildings</p>
+          <Button size="sm" variant="secondary" onClick={onAddObstruction}>
+            Add block
+          </Button>
+        </div>
+        <p className="text-xs text-slate-500">
+          Blocks sit opposite a facade and turn with the building. Distance runs from the facade to the near side of the
+          block; offset is to the right looking out.
+        </p>
+        {settings.obstructions.length === 0 && (
+          <p className="text-xs text-slate-500">Open site: no neighbouring blocks.</p>
+        )}
+        {settings.obstructions.map((obstruction, index) => (
+          <div key={index} className="space-y-2 rounded-md bg-slate-50 p-2">
+            <div className="flex items-center justify-between gap-2">
+              <p className="text-xs font-medium text-slate-700">Block {index + 1}</p>
+              <Button size="sm" variant="ghost" onClick={() => onRemoveObstruction(index)}>
+                Remove
+              </Button>
+            </div>
+            <div className="grid grid-cols-4 gap-1">
+              {FACES.map((face) => (
+                <Button
+                  key={face.id}
+                  size="sm"
+                  variant={obstruction.face === face.id ? "default" : "secondary"}
+                  onClick={() => onObstructionChange(index, "face", face.id)}
+                >
+                  {face.label}
+                </Button>
+              ))}
+            </div>
+            <SliderField
+              label="Distance"
+              value={obstruction.distanceM}
+              onChange={(v) => onObstructionChange(index, "distanceM", v)}
+              min={1}
+              max={40}
+              step={0.5}
+              formatValue={(v) => `${v.toFixed(1)} m`}
+            />
+            <SliderField
+              label="Offset"
+              value={obstruction.offsetM}
+              onChange={(v) => onObstructionChange(index, "offsetM", v)}
+              min={-20}
+              max={20}
+              step={0.5}
+              formatValue={(v) => `${v.toFixed(1)} m`}
+            />
+            <SliderField
+              label="Length"
+              value={obstruction.widthM}
+              onChange={(v) => onObstructionChange(index, "widthM", v)}
+              min={2}
+              max={60}
+              step={1}
+              formatValue={(v) => `${Math.round(v)} m`}
+            />
+            <SliderField
+              label="Depth"
+              value={obstruction.depthM}
+              onChange={(v) => onObstructionChange(index, "depthM", v)}
+              min={2}
+              max={30}
+              step={1}
+              formatValue={(v) => `${Math.round(v)} m`}
+            />
+            <SliderField
+              label="Height"
+              value={obstruction.heightM}
+              onChange={(v) => onObstructionChange(index, "heightM", v)}
+              min={1}
+              max={40}
+              step={0.5}
+              formatValue={(v) => `${v.toFixed(1)} m`}
+            />
+          </div>
+        ))}
+      </div>
+
+      {siteShading && (
+        <div className="space-y-2 rounded-lg border border-slate-200 bg-white p-3">
+          <p className="text-xs font-medium text-slate-600">Sky view</p>
+          <div className="grid grid-cols-5 gap-1 text-center text-xs text-slate-600">
+            {FACES.map((face) => (
+              <div key={face.id} className="rounded-md bg-slate-50 p-1">
+                <p className="font-medium text-slate-700">{face.label}</p>
+                <p>
+                  {Math.round(
+                    siteSkyViewFactor(
+                      siteShading,
+                      face.id,
+                      90,
+                      normalizedAzimuth(face.azimuth + siteShading.orientationDeg),
+                    ) * 100,
+                  )}
+                  %
+                </p>
+              </div>
+            ))}
+            <div className="rounded-md bg-slate-50 p-1">
+              <p className="font-medium text-slate-700">Roof</p>
+              <p>{Math.round(siteSkyViewFactor(siteShading, "roof", 0, 180) * 100)}%</p>
+            </div>
+          </div>
+          <p className="text-xs text-slate-500">
+            Share of each surface&apos;s open-site diffuse sky that still reaches it. Facade labels are the model faces.
+          </p>
+          <p className={`text-xs ${blockedLevels.length > 0 ? "text-amber-700" : "text-slate-600"}`}>
+            {blockedLevels.length > 0
+              ? `Sun is hidden now from: ${blockedLevels.join(", ")}.`
+              : "No surface is in the site's shadow right now."}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
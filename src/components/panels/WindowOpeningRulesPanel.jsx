@@ -0,0 +1,88 @@
+import { Switch } from "@/components/ui/switch";
+import {
+  FACES,
+  WINDOW_OPENING_MIN_OUTDOOR_OPTIONS_C,
+  WINDOW_OPENING_RULE_DEFAULTS,
+  WINDOW_SEGMENT_STATE,
+} from "@/engine";
+
+const FACE_LABELS = Object.fromEntries(FACES.map((face) => [face.id, face.label]));
+
+function RuleSwitch({ label, checked, onCheckedChange }) {
+  return (
+    <label className="flex items-center justify-between gap-2 text-xs text-slate-600">
+      {label}
+      <Switch checked={checked} onCheckedChange={onCheckedChange} />
+    </label>
+  );
+}
+
+export function WindowOpeningRulesPanel({ leaves, rules, openNowKeys, annualOpenHours, onRuleChange }) {
+  if (leaves.length === 0) return null;
+
+  return (
+    <div className="space-y-3 rounded-lg border border-slate-200 bg-white p-3">
+      <p className="text-xs font-medium text-slate-600">Opening rules</p>
+      <p className="text-xs text-slate-500">
+        Each step of the day and annual runs checks these rules, so an open sash can close at night, in cold weather
+        or when it is hotter outside. A sash with no rules stays open all the time.
+      </p>
+      {leaves.map((leaf) => {
+        const rule = { ...WINDOW_OPENING_RULE_DEFAULTS, ...rules[leaf.key] };
+        const openNow = openNowKeys.has(leaf.key);
+        return (
+          <div key={leaf.key} className="space-y-2 rounded-md bg-slate-50 p-2">
+            <div className="flex items-center justify-between gap-2">
+              <p className="text-xs font-semibold text-slate-700">
+                {FACE_LABELS[leaf.faceId]} sash {leaf.leafIndex + 1}
+                <span className="ml-1 font-normal text-slate-500">
+                  ({leaf.state === WINDOW_SEGMENT_STATE.TURN ? "turn" : "top-hung"}, {leaf.openAreaM2.toFixed(2)} m²)
+                </span>
+              </p>
+              <span className={`text-[11px] ${openNow ? "text-emerald-700" : "text-amber-700"}`}>
+                {openNow ? "Open now" : "Closed now"}
+              </span>
+            </div>
+            <RuleSwitch
+              label="Only when occupied"
+              checked={rule.occupiedOnly}
+              onCheckedChange={(checked) => onRuleChange(leaf.key, "occupiedOnly", checked)}
+            />
+            <RuleSwitch
+              label="Close when warmer outside"
+              checked={rule.closeWhenWarmerOutside}
+              onCheckedChange={(checked) => onRuleChange(leaf.key, "closeWhenWarmerOutside", checked)}
+            />
+            <label className="flex items-center gap-2 text-xs text-slate-600">
+              <span className="shrink-0">Close below</span>
+              <select
+                className="h-8 min-w-0 flex-1 rounded-md border border-slate-300 bg-white px-2 text-xs text-slate-900"
+                value={Number.isFinite(rule.minOutdoorTempC) ? String(rule.minOutdoorTempC) : ""}
+                onChange={(event) =>
+                  onRuleChange(
+                    leaf.key,
+                    "minOutdoorTempC",
+                    event.target.value === "" ? null : Number(event.target.value),
+                  )
+                }
+              >
+                <option value="">Any outdoor temperature</option>
+                {WINDOW_OPENING_MIN_OUTDOOR_OPTIONS_C.map((tempC) => (
+                  <option key={tempC} value={String(tempC)}>
+                    {tempC}°C outdoors
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        );
+      })}
+      {Number.isFinite(annualOpenHours) && (
+        <p className="text-xs text-slate-600">
+          Over the year at least one sash is open for {annualOpenHours.toLocaleString()} h (
+          {Math.round((annualOpenHours / 8760) * 100)}% of the time).
+        </p>
+      )}
+    </div>
+  );
+}
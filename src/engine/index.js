@@ -1,5 +1,6 @@
 /* -------------------- Reference data -------------------- */
 export const WEATHER_FILE_URL = "/weather/GBR_WAL_Pencelli.Aux.036100_TMYx.epw";
+export const CARBON_INTENSITY_FILE_URL = "/carbon/GB_sample_carbon_intensity_8760.csv";
 export const DEFAULT_SITE = {
   name: "Pencelli (Brecon)",
   latitude: 51.917,
@@ -11,6 +12,7 @@ export const SYNTHETIC_PROFILE = {
   ...DEFAULT_SITE,
   temps: { summer: 23, winter: 6 },
   diurnalRange: 8,
+  prevailingWindDirDeg: 225, // south-westerly, as in the Pencelli EPW
 };
 
 export const FACES = [
@@ -24,47 +26,235 @@ export const BUILDING_WIDTH = 2.4;
 export const BUILDING_DEPTH = 4.8;
 export const BUILDING_HEIGHT = 2.6;
 
+// Bundled material library: conductivity W/mK, density kg/m³, specific heat J/kgK
+// (BS EN ISO 10456 / CIBSE Guide A design values). Air layers carry a fixed
+// thermal resistance instead of a conductivity (BS EN ISO 6946 Table 8).
+export const MATERIALS = {
+  brick: { label: "Brick (outer leaf)", conductivity: 0.77, density: 1700, specificHeat: 800 },
+  denseBlock: { label: "Dense concrete block", conductivity: 1.13, density: 2000, specificHeat: 1000 },
+  aircreteBlock: { label: "Aircrete block", conductivity: 0.15, density: 600, specificHeat: 1000 },
+  concrete: { label: "Reinforced concrete", conductivity: 2.3, density: 2300, specificHeat: 1000 },
+  screed: { label: "Sand-cement screed", conductivity: 1.4, density: 2000, specificHeat: 1000 },
+  render: { label: "External render", conductivity: 1.0, density: 1800, specificHeat: 1000 },
+  plaster: { label: "Gypsum plaster", conductivity: 0.57, density: 1300, specificHeat: 1000 },
+  plasterboard: { label: "Plasterboard", conductivity: 0.25, density: 900, specificHeat: 1000 },
+  membrane: { label: "Bituminous membrane", conductivity: 0.23, density: 1100, specificHeat: 1000 },
+  softwood: { label: "Softwood cladding", conductivity: 0.13, density: 500, specificHeat: 1600 },
+  osb: { label: "OSB / plywood", conductivity: 0.13, density: 650, specificHeat: 1700 },
+  clt: { label: "Cross-laminated timber", conductivity: 0.12, density: 470, specificHeat: 1600 },
+  mineralWool: { label: "Mineral wool", conductivity: 0.035, density: 30, specificHeat: 1030 },
+  woodFibre: { label: "Wood fibre board", conductivity: 0.038, density: 160, specificHeat: 2100 },
+  eps: { label: "EPS insulation", conductivity: 0.035, density: 20, specificHeat: 1450 },
+  xps: { label: "XPS insulation", conductivity: 0.033, density: 35, specificHeat: 1450 },
+  pir: { label: "PIR board", conductivity: 0.022, density: 30, specificHeat: 1400 },
+  airCavity: { label: "Unventilated air cavity", resistance: 0.18, density: 1.2, specificHeat: 1006 },
+};
+export const MATERIAL_ORDER = [
+  "brick",
+  "denseBlock",
+  "aircreteBlock",
+  "concrete",
+  "screed",
+  "render",
+  "plaster",
+  "plasterboard",
+  "membrane",
+  "softwood",
+  "osb",
+  "clt",
+  "mineralWool",
+  "woodFibre",
+  "eps",
+  "xps",
+  "pir",
+  "airCavity",
+];
+// Opaque elements built from layers, with BS EN ISO 6946 surface resistances (m²K/W) for
+// horizontal, upward and downward heat flow
+export const CONSTRUCTION_ELEMENTS = {
+  wall: { label: "Walls", surfaceResistanceInside: 0.13, surfaceResistanceOutside: 0.04 },
+  roof: { label: "Roof", surfaceResistanceInside: 0.1, surfaceResistanceOutside: 0.04 },
+  floor: { label: "Floor", surfaceResistanceInside: 0.17, surfaceResistanceOutside: 0.04 },
+};
+export const CONSTRUCTION_ELEMENT_ORDER = ["wall", "roof", "floor"];
+// Areal heat capacity stops at this depth from the room, at the first insulating layer or at mid-thickness (ISO 13786 Annex A)
+export const KAPPA_MAX_DEPTH_M = 0.1;
+export const INSULATION_CONDUCTIVITY_LIMIT = 0.08;
+
+// Glazing products: centre-pane Ug, frame Uf (W/m²K), total solar energy transmittance g
+// and visible light transmittance of the glass. Tints are only used for drawing.
+export const GLAZING_PRODUCTS = {
+  doubleLowE: {
+    label: "Double low-E",
+    detail: "Argon-filled double glazing with a soft low-E coat in a timber or PVC frame.",
+    ug: 1.1,
+    uf: 1.3,
+    g: 0.6,
+    vlt: 0.8,
+    tint: "#def3ff",
+  },
+  doubleSolarControl: {
+    label: "Double solar control",
+    detail: "Double glazing with a selective solar-control coat that cuts solar gain but keeps most daylight.",
+    ug: 1.0,
+    uf: 1.3,
+    g: 0.4,
+    vlt: 0.7,
+    tint: "#cfe6f2",
+  },
+  doubleHighG: {
+    label: "Double low-iron high-g",
+    detail: "Low-iron double glazing with a high-solar-gain low-E coat, for passive solar south glazing.",
+    ug: 1.2,
+    uf: 1.3,
+    g: 0.72,
+    vlt: 0.85,
+    tint: "#eef9ff",
+  },
+  tripleSolarControl: {
+    label: "Triple solar control",
+    detail: "Triple glazing with a solar-control outer pane in a standard frame.",
+    ug: 0.7,
+    uf: 1.3,
+    g: 0.33,
+    vlt: 0.6,
+    tint: "#c6dfec",
+  },
+  tripleLowE: {
+    label: "Triple low-E",
+    detail: "Argon-filled triple glazing with two low-E coats in an insulated frame.",
+    ug: 0.6,
+    uf: 1.0,
+    g: 0.5,
+    vlt: 0.72,
+    tint: "#d8eefa",
+  },
+  tripleLowIron: {
+    label: "Triple low-iron (Passivhaus)",
+    detail: "Krypton-filled low-iron triple glazing in a Passivhaus-certified frame.",
+    ug: 0.5,
+    uf: 0.8,
+    g: 0.62,
+    vlt: 0.74,
+    tint: "#e8f7ff",
+  },
+};
+export const GLAZING_PRODUCT_ORDER = [
+  "doubleLowE",
+  "doubleSolarControl",
+  "doubleHighG",
+  "tripleSolarControl",
+  "tripleLowE",
+  "tripleLowIron",
+];
+export const DEFAULT_GLAZING_PRODUCT = "tripleLowE";
+// Share of each window opening taken by frame (BS EN ISO 10077-1 style area weighting)
+export const GLAZING_FRAME_FRACTION = 0.2;
+export const GLAZING_TARGETS = ["north", "east", "south", "west", "rooflight"];
+
+// Saved constructions: layers run from outside to the room side, with a glazing
+// product for every window. The U-values in `values` are calculated from them.
 export const U_VALUE_PRESETS = {
-  baseline: {
+  baseline: constructionPreset({
     label: "Baseline - Building Regs 2025",
     detail: "Low-E double glazing and solid insulation.",
-    values: {
-      wall: 0.35,
-      roof: 0.2,
-      floor: 0.25,
-      window: 1.1,
+    constructions: {
+      wall: [
+        { material: "brick", thicknessM: 0.102 },
+        { material: "mineralWool", thicknessM: 0.085 },
+        { material: "denseBlock", thicknessM: 0.1 },
+        { material: "plaster", thicknessM: 0.013 },
+      ],
+      roof: [
+        { material: "membrane", thicknessM: 0.005 },
+        { material: "pir", thicknessM: 0.1 },
+        { material: "concrete", thicknessM: 0.15 },
+        { material: "plaster", thicknessM: 0.013 },
+      ],
+      floor: [
+        { material: "concrete", thicknessM: 0.15 },
+        { material: "pir", thicknessM: 0.08 },
+        { material: "screed", thicknessM: 0.065 },
+      ],
     },
-  },
-  improved: {
+    glazing: "doubleSolarControl",
+    airPermeability: { metric: "q50", value: 5 },
+  }),
+  improved: constructionPreset({
     label: "25% Above Baseline",
     detail: "Upgraded insulation and better glazing.",
-    values: {
-      wall: 0.25,
-      roof: 0.15,
-      floor: 0.2,
-      window: 0.9,
+    constructions: {
+      wall: [
+        { material: "brick", thicknessM: 0.102 },
+        { material: "mineralWool", thicknessM: 0.13 },
+        { material: "denseBlock", thicknessM: 0.1 },
+        { material: "plaster", thicknessM: 0.013 },
+      ],
+      roof: [
+        { material: "membrane", thicknessM: 0.005 },
+        { material: "pir", thicknessM: 0.14 },
+        { material: "concrete", thicknessM: 0.15 },
+        { material: "plaster", thicknessM: 0.013 },
+      ],
+      floor: [
+        { material: "concrete", thicknessM: 0.15 },
+        { material: "pir", thicknessM: 0.1 },
+        { material: "screed", thicknessM: 0.065 },
+      ],
     },
-  },
-  high: {
+    glazing: "tripleSolarControl",
+    airPermeability: { metric: "q50", value: 3 },
+  }),
+  high: constructionPreset({
     label: "High-performance",
     detail: "Super-insulated envelope with high spec glazing.",
-    values: {
-      wall: 0.15,
-      roof: 0.15,
-      floor: 0.15,
-      window: 0.7,
+    constructions: {
+      wall: [
+        { material: "render", thicknessM: 0.015 },
+        { material: "eps", thicknessM: 0.22 },
+        { material: "denseBlock", thicknessM: 0.1 },
+        { material: "plaster", thicknessM: 0.013 },
+      ],
+      roof: [
+        { material: "membrane", thicknessM: 0.005 },
+        { material: "pir", thicknessM: 0.14 },
+        { material: "concrete", thicknessM: 0.15 },
+        { material: "plaster", thicknessM: 0.013 },
+      ],
+      floor: [
+        { material: "concrete", thicknessM: 0.15 },
+        { material: "pir", thicknessM: 0.14 },
+        { material: "screed", thicknessM: 0.065 },
+      ],
     },
-  },
-  passivhaus: {
+    glazing: "tripleLowE",
+    airPermeability: { metric: "q50", value: 1.5 },
+  }),
+  passivhaus: constructionPreset({
     label: "Passivhaus (indicative)",
     detail: "Indicative Passivhaus-style fabric values for early-stage option testing (not certification).",
-    values: {
-      wall: 0.1,
-      roof: 0.1,
-      floor: 0.1,
-      window: 0.7,
+    constructions: {
+      wall: [
+        { material: "softwood", thicknessM: 0.02 },
+        { material: "airCavity", thicknessM: 0.025 },
+        { material: "woodFibre", thicknessM: 0.08 },
+        { material: "mineralWool", thicknessM: 0.25 },
+        { material: "clt", thicknessM: 0.1 },
+      ],
+      roof: [
+        { material: "membrane", thicknessM: 0.005 },
+        { material: "pir", thicknessM: 0.2 },
+        { material: "clt", thicknessM: 0.12 },
+      ],
+      floor: [
+        { material: "osb", thicknessM: 0.018 },
+        { material: "mineralWool", thicknessM: 0.3 },
+        { material: "clt", thicknessM: 0.1 },
+      ],
     },
-  },
+    glazing: "tripleLowIron",
+    airPermeability: { metric: "n50", value: 0.6 },
+  }),
 };
 export const U_VALUE_PRESET_ORDER = ["baseline", "improved", "high", "passivhaus"];
 export const DEFAULT_U_VALUE_PRESET = "high";
@@ -78,6 +268,45 @@ export const AUTUMN_EQUINOX_DAY = 265;
 export const SIMULATION_STEP_MINUTES = 10;
 export const SIMULATION_SPINUP_DAYS = 7;
 export const THERMAL_CAPACITANCE_J_PER_K = 6_000_000;
+export const THERMAL_MODELS = {
+  "1r1c": {
+    label: "Single node (1R1C)",
+    detail: "Air and structure share one lumped temperature, so the room air follows the slab exactly.",
+  },
+  "2r2c": {
+    label: "Air + exposed mass (2R2C)",
+    detail: "Room air and exposed thermal mass are separate nodes linked by a surface coupling conductance, so the air can swing faster than the structure.",
+  },
+};
+export const THERMAL_MODEL_ORDER = ["1r1c", "2r2c"];
+export const DEFAULT_THERMAL_MODEL = "1r1c";
+// Internal heat capacity per m2 floor and exposed mass area ratio (ISO 13790 Table 12 classes).
+export const THERMAL_MASS_PRESETS = {
+  lightweight: {
+    label: "Lightweight",
+    detail: "Timber frame with plasterboard linings: little exposed mass, fast air response.",
+    capacitancePerFloorAreaJPerM2K: 80_000,
+    exposedAreaRatio: 2.5,
+  },
+  medium: {
+    label: "Medium",
+    detail: "Masonry walls with a lightweight floor or suspended ceiling.",
+    capacitancePerFloorAreaJPerM2K: 165_000,
+    exposedAreaRatio: 2.5,
+  },
+  heavyweight: {
+    label: "Heavyweight",
+    detail: "Exposed concrete slab and dense masonry walls coupled to the room air.",
+    capacitancePerFloorAreaJPerM2K: 260_000,
+    exposedAreaRatio: 3.0,
+  },
+};
+export const THERMAL_MASS_PRESET_ORDER = ["lightweight", "medium", "heavyweight"];
+export const DEFAULT_THERMAL_MASS_PRESET = "heavyweight";
+export const SURFACE_COUPLING_W_PER_M2K = 9.1;
+export const AIR_NODE_FURNISHING_J_PER_M2K = 10_000;
+export const MASS_NODE_SOLAR_FRACTION = 0.7;
+export const MASS_NODE_INTERNAL_FRACTION = 0.5;
 export const COMFORT_BAND = { min: 18, max: 23 };
 export const RHO_AIR = 1.2;
 export const CP_AIR = 1006;
@@ -87,8 +316,9 @@ export const ACH_INFILTRATION_DEFAULT = 0.3;
 export const VENTILATION_PRESETS = {
   background: {
     label: "Background only",
-    detail: "Standard infiltration only.",
+    detail: "Infiltration only, from the envelope's air permeability and the weather.",
     achTotal: ACH_INFILTRATION_DEFAULT,
+    infiltrationOnly: true,
   },
   trickle: {
     label: "Trickle vents",
@@ -99,6 +329,8 @@ export const VENTILATION_PRESETS = {
     label: "MVHR (Passivhaus-style)",
     detail: "Indicative continuous balanced ventilation for a well-sealed envelope with heat recovery.",
     achTotal: 0.4,
+    // Balanced supply on top of infiltration; only this air passes the heat exchanger
+    mechanicalAch: 0.4,
     heatRecoveryEfficiency: 0.85,
   },
   open: {
@@ -131,11 +363,62 @@ export const ADAPTIVE_VENTILATION_CONFIG = {
   achRange: { min: 0.6, max: 6.0 },
 };
 
+// Conditioned mode: thermostat setpoints (°C), deadband (K) and plant capacity (kW)
+export const HVAC_CONTROL_DEFAULTS = {
+  heatingSetpointC: 20,
+  coolingSetpointC: 24,
+  deadbandK: 1,
+  heatingCapacityKW: 1.0,
+  coolingCapacityKW: 1.0,
+};
+export const HVAC_UNMET_TOLERANCE_K = 0.2;
+
 /* -------------------- Energy cost + carbon assumptions -------------------- */
-export const HEATING_SYSTEM = {
-  label: "High-efficiency gas boiler",
-  fuel: "gas",
-  efficiency: 0.9,
+export const HEATING_SYSTEMS = {
+  gasBoiler: {
+    label: "Gas boiler",
+    detail: "High-efficiency condensing boiler, 90% seasonal efficiency.",
+    fuel: "gas",
+    efficiency: 0.9,
+  },
+  directElectric: {
+    label: "Direct electric",
+    detail: "Panel heaters: every kWh of electricity becomes a kWh of heat.",
+    fuel: "electricity",
+    efficiency: 1.0,
+  },
+  ashp: {
+    label: "Air-source heat pump",
+    detail: "COP falls as outdoor air gets colder and as the flow temperature rises.",
+    fuel: "electricity",
+    heatPump: true,
+    source: "air",
+    carnotEfficiency: 0.5,
+  },
+  gshp: {
+    label: "Ground-source heat pump",
+    detail: "Draws heat from ground loops at a steady 10°C, so COP barely changes with the weather.",
+    fuel: "electricity",
+    heatPump: true,
+    source: "ground",
+    carnotEfficiency: 0.5,
+  },
+};
+export const HEATING_SYSTEM_ORDER = ["gasBoiler", "directElectric", "ashp", "gshp"];
+export const DEFAULT_HEATING_SYSTEM = "gasBoiler";
+export const HEAT_PUMP_CONFIG = {
+  defaultFlowTempC: 45,
+  minFlowTempC: 30,
+  maxFlowTempC: 65,
+  groundSourceTempC: 10,
+  // Temperature differences across the condenser and evaporator heat exchangers
+  condenserApproachK: 3,
+  evaporatorApproachK: 6,
+  // Defrost penalty for air-source units in cold, damp air
+  defrostRangeC: { min: -5, max: 5 },
+  defrostPenalty: 0.1,
+  minCop: 1,
+  maxCop: 6,
 };
 export const COOLING_SYSTEM = {
   label: "Electric DX cooling",
@@ -153,6 +436,50 @@ export const ENERGY_TARIFFS = {
     standingChargePerDay: 0.3509,
   },
 };
+// Electricity tariffs with time-of-day bands (hours, local standard time).
+// Band rates for the time-of-use tariffs are indicative of early-2026 offers.
+export const ELECTRICITY_TARIFFS = {
+  flat: {
+    label: "Price cap (flat)",
+    detail: "One unit rate all day, from the Ofgem price cap.",
+    standingChargePerDay: ENERGY_TARIFFS.electricity.standingChargePerDay,
+    bands: [
+      { id: "standard", label: "All day", unitRate: ENERGY_TARIFFS.electricity.unitRate, windows: [[0, 24]] },
+    ],
+  },
+  economy7: {
+    label: "Economy 7",
+    detail: "Seven cheap night hours (00:30-07:30) for storage heaters and hot water; dearer by day.",
+    standingChargePerDay: 0.5475,
+    bands: [
+      { id: "night", label: "Night", unitRate: 0.1469, windows: [[0.5, 7.5]] },
+      { id: "day", label: "Day", unitRate: 0.3168, windows: [[7.5, 0.5]] },
+    ],
+  },
+  heatPumpTou: {
+    label: "Heat pump time-of-use",
+    detail: "Cheap windows overnight, mid-afternoon and late evening, with a 16:00-19:00 peak.",
+    standingChargePerDay: 0.5475,
+    bands: [
+      { id: "cheap", label: "Cheap", unitRate: 0.135, windows: [[4, 7], [13, 16], [22, 24]] },
+      { id: "peak", label: "Peak", unitRate: 0.405, windows: [[16, 19]] },
+      { id: "standard", label: "Standard", unitRate: 0.27, windows: [[0, 24]] },
+    ],
+  },
+  agile: {
+    label: "Agile (imported)",
+    detail: "Half-hourly wholesale-linked prices from an imported CSV, grouped into price bands.",
+    standingChargePerDay: 0.5475,
+    halfHourly: true,
+    bands: [
+      { id: "cheap", label: "Below 15p", maxRate: 0.15 },
+      { id: "standard", label: "15-30p", maxRate: 0.3 },
+      { id: "peak", label: "30p and above", maxRate: Infinity },
+    ],
+  },
+};
+export const ELECTRICITY_TARIFF_ORDER = ["flat", "economy7", "heatPumpTou", "agile"];
+export const DEFAULT_ELECTRICITY_TARIFF = "flat";
 export const CARBON_FACTORS = {
   electricity: {
     generation: 0.177,
@@ -165,6 +492,19 @@ export const CARBON_FACTORS = {
     year: 2025,
   },
 };
+// Hourly mode prices electricity carbon at each hour's grid intensity (8760 profile)
+export const CARBON_INTENSITY_MODES = {
+  average: {
+    label: "Annual average",
+    detail: "One grid factor for every kWh, whenever it is used.",
+  },
+  hourly: {
+    label: "Hourly grid profile",
+    detail: "Each hour's electricity is multiplied by that hour's grid carbon intensity.",
+  },
+};
+export const CARBON_INTENSITY_MODE_ORDER = ["average", "hourly"];
+export const DEFAULT_CARBON_INTENSITY_MODE = "average";
 export const INCLUDE_STANDING_CHARGES = true;
 
 /* -------------------- Daylight / Illuminance -------------------- */
@@ -184,42 +524,37 @@ export const LUX_THRESHOLDS = {
   bright: 1000,    // Detailed tasks, drawing
 };
 
+// Estimate visible light transmittance from SHGC when no glazing product is given
+function visibleTransmittanceFromG(g_glass) {
+  return Math.min(0.9, g_glass * VLT_TO_SHGC_RATIO);
+}
+
 /**
  * Calculate desk-level illuminance (lux) at room centre
- * Uses a simplified daylight factor approach suitable for teaching
+ * Uses a simplified daylight factor approach suitable for teaching, fed by the light
+ * that actually gets through the glazing: each window's vertical illuminance after
+ * external shading, the site and any blind, times its light transmittance and area.
+ * Orientation, overhangs, obstructions and blinds therefore all move the result.
  *
- * @param {number} GHI - Global Horizontal Irradiance [W/m²]
- * @param {number} totalWindowArea - Total glazed area [m²]
+ * @param {number} transmittedLumens - Light entering through the windows [lm]
  * @param {number} floorArea - Room floor area [m²]
- * @param {number} g_glass - Solar heat gain coefficient (SHGC)
  * @param {number} roomDepth - Distance from window to back wall [m]
  * @returns {number} Illuminance at desk height [lux]
  */
-export function calculateDeskIlluminance(GHI, totalWindowArea, floorArea, g_glass, roomDepth) {
-  if (!Number.isFinite(GHI) || GHI <= 0) return 0;
+export function calculateDeskIlluminance(transmittedLumens, floorArea, roomDepth) {
+  if (!Number.isFinite(transmittedLumens) || transmittedLumens <= 0 || floorArea <= 0) return 0;
 
-  // Convert irradiance to outdoor illuminance
-  const outdoorLux = GHI * LUMINOUS_EFFICACY;
-
-  // Estimate visible light transmittance from SHGC
-  const VLT = Math.min(0.9, g_glass * VLT_TO_SHGC_RATIO);
-
-  // Simplified daylight factor calculation
-  // DF = (Aw × T × θ) / (A × (1 - R²))
-  // Where: Aw = window area, T = transmittance, θ = sky angle factor (~0.5 for vertical windows)
-  //        A = total room surface area, R = average reflectance (~0.5)
-  // Simplified: DF ≈ (window area × VLT × 0.4) / (floor area × 2)
-  const skyFactor = 0.4; // accounts for window orientation and obstruction
+  // Share of the entering light that reaches the desk, spread over the room
+  // Under an overcast sky a window sees about 0.625 × GHI (half the sky plus half the
+  // ground at albedo 0.25), so 0.64 reproduces the earlier 0.4 × GHI sky factor
+  const glazingFactor = 0.64;
   const roomFactor = 2.0; // accounts for room depth and surface absorption
 
-  const daylightFactor = (totalWindowArea * VLT * skyFactor) / (floorArea * roomFactor);
-
   // Apply depth correction: light falls off toward back of room
   // At room centre (depth/2), we get ~70% of window-adjacent light
   const depthCorrection = Math.max(0.3, 1 - (roomDepth / 2) * 0.1);
 
-  // Calculate desk illuminance
-  const deskLux = outdoorLux * daylightFactor * depthCorrection;
+  const deskLux = ((transmittedLumens * glazingFactor) / (floorArea * roomFactor)) * depthCorrection;
 
   return Math.round(Math.max(0, deskLux));
 }
@@ -235,6 +570,98 @@ export function classifyIlluminance(lux) {
   return { level: "very_bright", label: "Very bright", description: "May need shading" };
 }
 
+/* -------------------- Infiltration (air permeability) -------------------- */
+export const AIR_PERMEABILITY_METRICS = {
+  q50: {
+    label: "q50",
+    unit: "m³/h·m²",
+    detail: "Leakage per m² of envelope at 50 Pa, as reported by UK Part L air tests.",
+    range: { min: 0.3, max: 15, step: 0.1 },
+  },
+  n50: {
+    label: "n50",
+    unit: "ACH",
+    detail: "Air changes per hour at 50 Pa, as reported by Passivhaus blower door tests.",
+    range: { min: 0.3, max: 20, step: 0.1 },
+  },
+};
+export const AIR_PERMEABILITY_METRIC_ORDER = ["q50", "n50"];
+// Wind speed at the building as a share of the 10 m weather station wind
+export const INFILTRATION_SHELTER_PRESETS = {
+  exposed: {
+    label: "Exposed",
+    detail: "Open country, hilltop or coast with nothing upwind.",
+    windFactor: 0.75,
+  },
+  normal: {
+    label: "Normal",
+    detail: "Suburban or rural with scattered trees and neighbours.",
+    windFactor: 0.5,
+  },
+  sheltered: {
+    label: "Sheltered",
+    detail: "Town centre or surrounded by buildings of similar height.",
+    windFactor: 0.3,
+  },
+};
+export const INFILTRATION_SHELTER_ORDER = ["exposed", "normal", "sheltered"];
+export const DEFAULT_INFILTRATION_SHELTER = "normal";
+const INFILTRATION_TEST_PRESSURE_PA = 50;
+const INFILTRATION_FLOW_EXPONENT = 0.67;
+const INFILTRATION_WIND_PRESSURE_COEFF = 0.5; // mean windward-leeward Cp spread across the envelope
+const INFILTRATION_INFLOW_SHARE = 0.5; // half of the leakage paths carry air in at any time
+
+/**
+ * Resolve an air test result into the leakage of this room's envelope (walls, roof
+ * and floor). q50 and n50 convert through the envelope area and volume.
+ * @param {{metric: "q50"|"n50", value: number}} airPermeability
+ * @param {string} shelterId - INFILTRATION_SHELTER_PRESETS key
+ * @param {{width?: number, depth?: number, height?: number}} dimensions
+ */
+export function resolveInfiltration(airPermeability = {}, shelterId = DEFAULT_INFILTRATION_SHELTER, dimensions = {}) {
+  const width = dimensions.width ?? BUILDING_WIDTH;
+  const depth = dimensions.depth ?? BUILDING_DEPTH;
+  const height = dimensions.height ?? BUILDING_HEIGHT;
+  const envelopeAreaM2 = 2 * (width + depth) * height + 2 * width * depth;
+  const volumeM3 = width * depth * height;
+  const metric = AIR_PERMEABILITY_METRICS[airPermeability.metric] ? airPermeability.metric : "q50";
+  const value = Math.max(0, Number.isFinite(airPermeability.value) ? airPermeability.value : 5);
+  const n50 = metric === "n50" ? value : (value * envelopeAreaM2) / volumeM3;
+  const shelter = INFILTRATION_SHELTER_PRESETS[shelterId] ?? INFILTRATION_SHELTER_PRESETS[DEFAULT_INFILTRATION_SHELTER];
+  return {
+    metric,
+    value,
+    q50: (n50 * volumeM3) / envelopeAreaM2,
+    n50,
+    envelopeAreaM2,
+    volumeM3,
+    stackHeightM: height / 2,
+    shelterId: INFILTRATION_SHELTER_PRESETS[shelterId] ? shelterId : DEFAULT_INFILTRATION_SHELTER,
+    windFactor: shelter.windFactor,
+    // Common rule of thumb for the annual mean (n50 / 20), shown for comparison
+    ruleOfThumbAch: n50 / 20,
+  };
+}
+
+/**
+ * Infiltration at one step. Leakage follows the power law Q = C * dP^0.67, fixed by
+ * the 50 Pa test. Wind and stack pressures drive separate flows, which are added in
+ * quadrature; half of the leaks carry air inwards.
+ */
+export function infiltrationAchAt(infiltration, { windMS = 0, indoorTempC, outdoorTempC } = {}) {
+  if (!infiltration) return ACH_INFILTRATION_DEFAULT;
+  const localWindMS = Math.max(0, windMS) * infiltration.windFactor;
+  const windPressurePa = 0.5 * RHO_AIR * localWindMS * localWindMS * INFILTRATION_WIND_PRESSURE_COEFF;
+  const deltaT =
+    Number.isFinite(indoorTempC) && Number.isFinite(outdoorTempC) ? Math.abs(indoorTempC - outdoorTempC) : 0;
+  const meanAirTempK = KELVIN_OFFSET + (Number.isFinite(outdoorTempC) ? outdoorTempC : 10);
+  const stackPressurePa = (RHO_AIR * GRAVITY_MPS2 * infiltration.stackHeightM * deltaT) / meanAirTempK;
+  const share = (pressurePa) => (pressurePa / INFILTRATION_TEST_PRESSURE_PA) ** INFILTRATION_FLOW_EXPONENT;
+  return (
+    INFILTRATION_INFLOW_SHARE * infiltration.n50 * Math.hypot(share(windPressurePa), share(stackPressurePa))
+  );
+}
+
 /* -------------------- Ventilation opening area -------------------- */
 // Constants for natural ventilation calculation
 const DISCHARGE_COEFFICIENT = 0.6; // Typical for window openings
@@ -243,10 +670,17 @@ const GRAVITY_MPS2 = 9.81;
 const KELVIN_OFFSET = 273.15;
 const DEFAULT_SYNTHETIC_WIND_MS = 2.2;
 const PRESSURE_COEFF_SINGLE_SIDED = 0.05; // turbulent single-sided pressure difference
-const PRESSURE_COEFF_MULTI_FACE = 0.1; // adjacent facades with modest directional pressure
-const PRESSURE_COEFF_CROSS = 0.35; // opposite facades (windward/leeward path)
-const PRESSURE_COEFF_ROOF_TO_FACADE = 0.18; // roof suction vs facade pressure
-const PRESSURE_COEFF_ROOF_ONLY = 0.12; // rooflight-only case with infiltration make-up path
+// Wind pressure coefficient against incidence (0 = wind straight onto the face) for an
+// exposed low-rise block of square plan (AIVC TN44, Liddament 1996)
+export const FACADE_PRESSURE_COEFFICIENTS = [
+  { incidenceDeg: 0, cp: 0.7 },
+  { incidenceDeg: 45, cp: 0.35 },
+  { incidenceDeg: 90, cp: -0.5 },
+  { incidenceDeg: 135, cp: -0.4 },
+  { incidenceDeg: 180, cp: -0.2 },
+];
+export const ROOF_PRESSURE_COEFFICIENT = -0.6; // flat roof, mean over wind directions (AIVC TN44)
+const NETWORK_SOLVER_ITERATIONS = 60;
 const MIN_STACK_HEIGHT_M = 0.5;
 const MAKEUP_AREA_RATIO_OF_FLOOR = 0.004;
 const MIN_MAKEUP_AREA_M2 = 0.02;
@@ -421,6 +855,45 @@ function pressureDrivenFlowRate(openingAreaM2, deltaPressurePa) {
   return DISCHARGE_COEFFICIENT * area * effectiveVelocity;
 }
 
+export function windIncidenceDeg(windDirDeg, surfaceAzimuthDeg) {
+  const diff = Math.abs(normalizedAzimuth(windDirDeg) - normalizedAzimuth(surfaceAzimuthDeg));
+  return diff > 180 ? 360 - diff : diff;
+}
+
+export function facadePressureCoefficient(incidenceDeg) {
+  const angle = Math.max(0, Math.min(180, Number.isFinite(incidenceDeg) ? incidenceDeg : 0));
+  const upper = FACADE_PRESSURE_COEFFICIENTS.findIndex((entry) => entry.incidenceDeg >= angle);
+  if (upper <= 0) return FACADE_PRESSURE_COEFFICIENTS[0].cp;
+  const a = FACADE_PRESSURE_COEFFICIENTS[upper - 1];
+  const b = FACADE_PRESSURE_COEFFICIENTS[upper];
+  return lerp(a.cp, b.cp, (angle - a.incidenceDeg) / (b.incidenceDeg - a.incidenceDeg));
+}
+
+// Orifice network with one internal node: find the room pressure where inflow and outflow
+// balance, by bisection between the lowest and highest external pressures.
+function solveOpeningNetwork(openings) {
+  const netInflow = (internalPa) =>
+    openings.reduce((sum, opening) => {
+      const delta = opening.pressurePa - internalPa;
+      return sum + Math.sign(delta) * pressureDrivenFlowRate(opening.areaM2, Math.abs(delta));
+    }, 0);
+  let low = Math.min(...openings.map((opening) => opening.pressurePa));
+  let high = Math.max(...openings.map((opening) => opening.pressurePa));
+  for (let i = 0; i < NETWORK_SOLVER_ITERATIONS && high - low > 1e-6; i++) {
+    const mid = (low + high) / 2;
+    if (netInflow(mid) > 0) low = mid;
+    else high = mid;
+  }
+  const internalPressurePa = (low + high) / 2;
+  return {
+    internalPressurePa,
+    flowsM3s: openings.map((opening) => {
+      const delta = opening.pressurePa - internalPressurePa;
+      return Math.sign(delta) * pressureDrivenFlowRate(opening.areaM2, Math.abs(delta));
+    }),
+  };
+}
+
 export function calculateManualWindowVentilation(openedWindowArea, volume, options = {}) {
   const safeVolume = Math.max(0, Number.isFinite(volume) ? volume : 0);
   const byFace = openedWindowArea?.byFace ?? {};
@@ -436,6 +909,10 @@ export function calculateManualWindowVentilation(openedWindowArea, volume, optio
     0,
     Number.isFinite(options.windMS) ? options.windMS : DEFAULT_SYNTHETIC_WIND_MS,
   );
+  const windDirDeg = normalizedAzimuth(
+    Number.isFinite(options.windDirDeg) ? options.windDirDeg : SYNTHETIC_PROFILE.prevailingWindDirDeg,
+  );
+  const orientationDeg = Number.isFinite(options.orientationDeg) ? options.orientationDeg : 0;
   const effectiveWindMS = windMS * WIND_SPEED_SHELTER_FACTOR;
   const indoorTempC = Number.isFinite(options.indoorTempC) ? options.indoorTempC : 21;
   const outdoorTempC = Number.isFinite(options.outdoorTempC) ? options.outdoorTempC : indoorTempC;
@@ -445,8 +922,16 @@ export function calculateManualWindowVentilation(openedWindowArea, volume, optio
   );
   const windPressurePa = 0.5 * RHO_AIR * effectiveWindMS * effectiveWindMS;
   const meanAirTempK = Math.max(260, KELVIN_OFFSET + (indoorTempC + outdoorTempC) / 2);
-  const stackPressurePa =
-    RHO_AIR * GRAVITY_MPS2 * stackHeightM * (Math.abs(indoorTempC - outdoorTempC) / meanAirTempK);
+  // Positive when the room is warmer: air then leaves through the rooflight
+  const stackPressureSignedPa =
+    RHO_AIR * GRAVITY_MPS2 * stackHeightM * ((indoorTempC - outdoorTempC) / meanAirTempK);
+  const stackPressurePa = Math.abs(stackPressureSignedPa);
+  const pressureCoefficientByFace = FACES.reduce((acc, face) => {
+    acc[face.id] = facadePressureCoefficient(
+      windIncidenceDeg(windDirDeg, face.azimuth + orientationDeg),
+    );
+    return acc;
+  }, {});
   const areaByFace = FACES.reduce((acc, face) => {
     const area = byFace?.[face.id]?.openAreaM2;
     acc[face.id] = Math.max(0, Number.isFinite(area) ? area : 0);
@@ -455,12 +940,14 @@ export function calculateManualWindowVentilation(openedWindowArea, volume, optio
   const totalOpenAreaM2 = FACES.reduce((sum, face) => sum + areaByFace[face.id], 0);
   const totalManualOpenAreaM2 = totalOpenAreaM2 + roofOpeningAreaM2;
   const openFaceIds = FACES.filter((face) => areaByFace[face.id] > 1e-6).map((face) => face.id);
+  const windwardFaceIds = openFaceIds.filter((id) => pressureCoefficientByFace[id] > 0);
 
   if (safeVolume <= 0 || totalManualOpenAreaM2 <= 1e-6) {
     return {
       mode: "none",
       modeLabel: "none",
       openFaceIds: [],
+      windwardFaceIds: [],
       totalOpenAreaM2: 0,
       totalManualOpenAreaM2: 0,
       roofOpeningAreaM2: 0,
@@ -469,10 +956,13 @@ export function calculateManualWindowVentilation(openedWindowArea, volume, optio
       roofFlowM3s: 0,
       facadePressurePa: 0,
       roofPressurePa: 0,
+      internalPressurePa: 0,
       windMS,
+      windDirDeg,
       effectiveWindMS,
       windPressurePa,
       stackPressurePa,
+      pressureCoefficientByFace,
       flowRateM3s: 0,
       manualOpenAchRaw: 0,
       manualOpenAch: 0,
@@ -495,57 +985,63 @@ export function calculateManualWindowVentilation(openedWindowArea, volume, optio
 
   let mode = "single-sided";
   let modeLabel = "single-sided";
-  let facadeFlowRateM3s = 0;
   let residualAreaM2 = totalOpenAreaM2;
-  let facadePressurePa = windPressurePa * PRESSURE_COEFF_SINGLE_SIDED;
-
   if (totalOpenAreaM2 <= 1e-6) {
     mode = "roof-only";
     modeLabel = "rooflight-only";
     residualAreaM2 = 0;
-    facadePressurePa = 0;
   } else if (hasCrossPair && crossAreaM2 > 1e-6) {
     mode = "cross";
     modeLabel = "cross-ventilation";
-    facadePressurePa = windPressurePa * PRESSURE_COEFF_CROSS;
     residualAreaM2 = Math.max(0, totalOpenAreaM2 - crossAreaM2 * 2);
-    const crossFlow = pressureDrivenFlowRate(crossAreaM2, facadePressurePa);
-    const residualFlow = pressureDrivenFlowRate(
-      residualAreaM2,
-      windPressurePa * PRESSURE_COEFF_SINGLE_SIDED,
-    );
-    facadeFlowRateM3s = crossFlow + residualFlow;
   } else if (openFaceIds.length >= 2) {
     mode = "multi-face";
     modeLabel = "multi-face";
-    residualAreaM2 = totalOpenAreaM2;
-    facadePressurePa = windPressurePa * PRESSURE_COEFF_MULTI_FACE;
-    facadeFlowRateM3s = pressureDrivenFlowRate(totalOpenAreaM2, facadePressurePa);
-  } else {
-    facadeFlowRateM3s = pressureDrivenFlowRate(totalOpenAreaM2, facadePressurePa);
   }
 
-  let roofPressurePa = 0;
-  let roofFlowM3s = 0;
+  // Each open face sits at its own wind pressure; the rooflight adds roof suction and the
+  // stack. With no facade opening, air makes up through the background leakage paths.
+  const openings = openFaceIds.map((id) => ({
+    id,
+    areaM2: areaByFace[id],
+    pressurePa: windPressurePa * pressureCoefficientByFace[id],
+  }));
   if (roofOpeningAreaM2 > 1e-6) {
-    if (totalOpenAreaM2 > 1e-6) {
-      roofPressurePa =
-        windPressurePa * PRESSURE_COEFF_ROOF_TO_FACADE + stackPressurePa;
-      const roofEquivalentAreaM2 = equivalentOpeningArea(totalOpenAreaM2, roofOpeningAreaM2);
-      roofFlowM3s = pressureDrivenFlowRate(roofEquivalentAreaM2, roofPressurePa);
-    } else {
+    openings.push({
+      id: "roof",
+      areaM2: roofOpeningAreaM2,
+      pressurePa: windPressurePa * ROOF_PRESSURE_COEFFICIENT - stackPressureSignedPa,
+    });
+    if (totalOpenAreaM2 <= 1e-6) {
       const floorAreaM2 = safeVolume / roomHeightM;
-      const makeUpAreaM2 = Math.max(MIN_MAKEUP_AREA_M2, floorAreaM2 * MAKEUP_AREA_RATIO_OF_FLOOR);
-      roofPressurePa = windPressurePa * PRESSURE_COEFF_ROOF_ONLY + stackPressurePa;
-      const roofOnlyEquivalentAreaM2 = equivalentOpeningArea(roofOpeningAreaM2, makeUpAreaM2);
-      roofFlowM3s = pressureDrivenFlowRate(roofOnlyEquivalentAreaM2, roofPressurePa);
+      const meanFacadeCp =
+        FACES.reduce((sum, face) => sum + pressureCoefficientByFace[face.id], 0) / FACES.length;
+      openings.push({
+        id: "makeup",
+        areaM2: Math.max(MIN_MAKEUP_AREA_M2, floorAreaM2 * MAKEUP_AREA_RATIO_OF_FLOOR),
+        pressurePa: windPressurePa * meanFacadeCp,
+      });
     }
   }
-
-  const flowRateM3s =
-    roofFlowM3s > 0 && facadeFlowRateM3s > 0
-      ? Math.sqrt(facadeFlowRateM3s ** 2 + roofFlowM3s ** 2)
-      : facadeFlowRateM3s + roofFlowM3s;
+  const network = solveOpeningNetwork(openings);
+  const flowById = Object.fromEntries(openings.map((opening, index) => [opening.id, network.flowsM3s[index]]));
+  const networkFlowM3s = network.flowsM3s.reduce((sum, flow) => sum + Math.max(0, flow), 0);
+  const facadeFlowRateM3s = openFaceIds.reduce((sum, id) => sum + Math.max(0, flowById[id]), 0);
+  const roofFlowM3s = Math.abs(flowById.roof ?? 0);
+  // Gusts still exchange air at every open window, even with no pressure difference across the room
+  const turbulentFlowM3s = pressureDrivenFlowRate(
+    totalOpenAreaM2,
+    windPressurePa * PRESSURE_COEFF_SINGLE_SIDED,
+  );
+  const facadeCps = openFaceIds.map((id) => pressureCoefficientByFace[id]);
+  const facadePressurePa =
+    facadeCps.length > 0 ? windPressurePa * (Math.max(...facadeCps) - Math.min(...facadeCps)) : 0;
+  const roofPressurePa =
+    roofOpeningAreaM2 > 1e-6
+      ? Math.abs(openings.find((opening) => opening.id === "roof").pressurePa - network.internalPressurePa)
+      : 0;
+
+  const flowRateM3s = Math.sqrt(networkFlowM3s ** 2 + turbulentFlowM3s ** 2);
   const manualOpenAchRaw = (flowRateM3s * 3600) / safeVolume;
   const manualOpenAch = Number.isFinite(manualOpenAchRaw) ? Math.max(0, manualOpenAchRaw) : 0;
   const wasCapped = false;
@@ -555,6 +1051,7 @@ export function calculateManualWindowVentilation(openedWindowArea, volume, optio
     mode,
     modeLabel,
     openFaceIds,
+    windwardFaceIds,
     totalOpenAreaM2,
     totalManualOpenAreaM2,
     roofOpeningAreaM2,
@@ -563,11 +1060,16 @@ export function calculateManualWindowVentilation(openedWindowArea, volume, optio
     roofFlowM3s,
     facadePressurePa,
     roofPressurePa,
+    internalPressurePa: network.internalPressurePa,
     windMS,
+    windDirDeg,
     effectiveWindMS,
     windPressurePa,
     stackPressurePa,
+    pressureCoefficientByFace,
     facadeFlowRateM3s,
+    networkFlowM3s,
+    turbulentFlowM3s,
     flowRateM3s,
     manualOpenAchRaw,
     manualOpenAch,
@@ -633,6 +1135,8 @@ export function assessVentilationComfort({ achTotal, indoorTemp, outdoorTemp })
 export const deg2rad = (d) => (d * Math.PI) / 180;
 export const rad2deg = (r) => (r * 180) / Math.PI;
 export const lerp = (a, b, t) => a + (b - a) * t;
+// Interpolate compass bearings the short way round
+export const lerpAngleDeg = (a, b, t) => normalizedAzimuth(a + ((((b - a) % 360) + 540) % 360 - 180) * t);
 export const GBP_FORMAT = new Intl.NumberFormat("en-GB", {
   style: "currency",
   currency: "GBP",
@@ -701,35 +1205,230 @@ export function safeRadiation(value) {
   return Number.isFinite(value) && value > 0 ? value : 0;
 }
 
-export function computeCostCarbonSummary({ heatingThermalKWh, coolingThermalKWh, days = 1 }) {
+export function resolveHeatingSystem(options = {}) {
+  const id = HEATING_SYSTEMS[options.heatingSystem] ? options.heatingSystem : DEFAULT_HEATING_SYSTEM;
+  const flowTempC = Number.isFinite(options.flowTempC)
+    ? Math.min(HEAT_PUMP_CONFIG.maxFlowTempC, Math.max(HEAT_PUMP_CONFIG.minFlowTempC, options.flowTempC))
+    : HEAT_PUMP_CONFIG.defaultFlowTempC;
+  return { id, ...HEATING_SYSTEMS[id], flowTempC };
+}
+
+/**
+ * Heat pump COP as a fixed fraction of the Carnot COP between the condensing
+ * (flow + approach) and evaporating (source - approach) temperatures.
+ */
+export function heatPumpCop(system, outdoorTempC, flowTempC = system.flowTempC) {
+  const sourceTempC =
+    system.source === "ground" ? HEAT_PUMP_CONFIG.groundSourceTempC : outdoorTempC;
+  const condensingK = flowTempC + HEAT_PUMP_CONFIG.condenserApproachK + KELVIN_OFFSET;
+  const evaporatingK = sourceTempC - HEAT_PUMP_CONFIG.evaporatorApproachK + KELVIN_OFFSET;
+  const liftK = Math.max(1, condensingK - evaporatingK);
+  let cop = (system.carnotEfficiency * condensingK) / liftK;
+  const defrost = HEAT_PUMP_CONFIG.defrostRangeC;
+  if (system.source === "air" && outdoorTempC > defrost.min && outdoorTempC < defrost.max) {
+    cop *= 1 - HEAT_PUMP_CONFIG.defrostPenalty;
+  }
+  return Math.min(HEAT_PUMP_CONFIG.maxCop, Math.max(HEAT_PUMP_CONFIG.minCop, cop));
+}
+
+/** Delivered heat per unit of fuel: boiler efficiency or heat pump COP at this outdoor temperature. */
+export function heatingSystemEfficiency(system, outdoorTempC) {
+  return system.heatPump ? heatPumpCop(system, outdoorTempC) : system.efficiency;
+}
+
+/**
+ * Electricity tariff by id. The half-hourly tariff needs imported `prices`
+ * (£/kWh per half hour of the model year) and falls back to flat without them.
+ */
+export function resolveElectricityTariff(tariffId, halfHourlyPrices = null) {
+  let id = ELECTRICITY_TARIFFS[tariffId] ? tariffId : DEFAULT_ELECTRICITY_TARIFF;
+  if (ELECTRICITY_TARIFFS[id].halfHourly && !(halfHourlyPrices?.length > 0)) {
+    id = DEFAULT_ELECTRICITY_TARIFF;
+  }
+  const tariff = ELECTRICITY_TARIFFS[id];
+  return { id, ...tariff, prices: tariff.halfHourly ? halfHourlyPrices : null };
+}
+
+export function electricityRateAt(tariff, time) {
+  const hourOfDay = time.getUTCHours() + time.getUTCMinutes() / 60;
+  if (tariff.prices) {
+    const dayIndex = (dayOfYearUTC(time) - 1) % 365;
+    const slot = (dayIndex * 48 + Math.floor(hourOfDay * 2)) % tariff.prices.length;
+    const unitRate = tariff.prices[slot];
+    const band = tariff.bands.find((entry) => unitRate < entry.maxRate) ?? tariff.bands[tariff.bands.length - 1];
+    return { unitRate, bandId: band.id };
+  }
+  const band =
+    tariff.bands.find((entry) =>
+      entry.windows.some(([start, end]) => isHourInWindow(hourOfDay, start, end)),
+    ) ?? tariff.bands[tariff.bands.length - 1];
+  return { unitRate: band.unitRate, bandId: band.id };
+}
+
+/**
+ * Time-weighted mean unit rate (£/kWh): the imported prices averaged over the
+ * year, or each band's rate weighted by the half hours it covers in a day.
+ */
+export function averageElectricityRate(tariff) {
+  if (tariff.prices?.length) {
+    return tariff.prices.reduce((acc, price) => acc + price, 0) / tariff.prices.length;
+  }
+  const dayStart = dateFromDayOfYearUTC(1).getTime();
+  let sum = 0;
+  for (let slot = 0; slot < 48; slot++) {
+    sum += electricityRateAt(tariff, new Date(dayStart + slot * 30 * 60 * 1000)).unitRate;
+  }
+  return sum / 48;
+}
+
+/**
+ * Grid carbon intensity (kg CO2e/kWh) at a local time. Without an hourly
+ * profile this is the annual-average consumption factor.
+ */
+export function gridCarbonIntensityAt(profile, time) {
+  if (!profile?.intensities?.length) return CARBON_FACTORS.electricity.consumption;
+  const dayIndex = (dayOfYearUTC(time) - 1) % 365;
+  return profile.intensities[(dayIndex * 24 + time.getUTCHours()) % profile.intensities.length];
+}
+
+/**
+ * Add electricity used over a step to a per-band ledger, priced half hour by half hour.
+ * @param {Object<string, {kWh: number, cost: number}>} ledger - Mutated and returned
+ * @param {object} tariff - Result of resolveElectricityTariff
+ * @param {Date} startTime - Step start (local time, UTC fields)
+ * @param {number} kWh - Electricity used over the step
+ * @param {number} durationHours - Step length
+ */
+export function addElectricityUse(ledger, tariff, startTime, kWh, durationHours) {
+  if (!(kWh > 0)) return ledger;
+  const slices = Math.max(1, Math.round(durationHours * 2));
+  for (let i = 0; i < slices; i++) {
+    const { unitRate, bandId } = electricityRateAt(
+      tariff,
+      new Date(startTime.getTime() + i * 30 * 60 * 1000),
+    );
+    const entry = ledger[bandId] ?? (ledger[bandId] = { kWh: 0, cost: 0 });
+    entry.kWh += kWh / slices;
+    entry.cost += (kWh / slices) * unitRate;
+  }
+  return ledger;
+}
+
+/**
+ * Fuel, spend and carbon for a period. Pass heatingFuelKWh/coolingFuelKWh when
+ * they were accumulated step by step; otherwise thermal kWh are converted at the
+ * system's efficiency (heat pumps at 7°C outdoor). Lighting electricity adds to the
+ * heating and cooling electricity. With hourlyElectricityCarbonKg
+ * (summed against an hourly grid profile) the headline carbon uses it and
+ * carbonComparison sets it beside the annual-average result. PV self-consumption
+ * reduces grid imports; exports earn the export rate and a carbon credit, given
+ * as netCost and netCarbonKg.
+ */
+export function computeCostCarbonSummary({
+  heatingThermalKWh,
+  coolingThermalKWh,
+  heatingFuelKWh,
+  coolingFuelKWh,
+  lightingElectricityKWh = 0,
+  heatingSystem = resolveHeatingSystem(),
+  electricityTariff = resolveElectricityTariff(DEFAULT_ELECTRICITY_TARIFF),
+  electricityByBand = null,
+  hourlyElectricityCarbonKg = null,
+  pvGenerationKWh = 0,
+  pvSelfConsumedKWh = 0,
+  pvExportKWh = 0,
+  pvExportCarbonKg = null,
+  days = 1,
+}) {
   const safeHeating = Number.isFinite(heatingThermalKWh) ? heatingThermalKWh : 0;
   const safeCooling = Number.isFinite(coolingThermalKWh) ? coolingThermalKWh : 0;
-  const gasUseKWh = safeHeating / Math.max(0.01, HEATING_SYSTEM.efficiency);
-  const electricityUseKWh = safeCooling / Math.max(0.01, COOLING_SYSTEM.cop);
+  const heatingFuelUseKWh = Number.isFinite(heatingFuelKWh)
+    ? heatingFuelKWh
+    : safeHeating / Math.max(0.01, heatingSystemEfficiency(heatingSystem, 7));
+  const coolingElectricityKWh = Number.isFinite(coolingFuelKWh)
+    ? coolingFuelKWh
+    : safeCooling / Math.max(0.01, COOLING_SYSTEM.cop);
+  const heatingOnGas = heatingSystem.fuel === "gas";
+  const gasUseKWh = heatingOnGas ? heatingFuelUseKWh : 0;
+  const heatingElectricityKWh = heatingOnGas ? 0 : heatingFuelUseKWh;
+  const lightingKWh = Number.isFinite(lightingElectricityKWh) ? Math.max(0, lightingElectricityKWh) : 0;
+  const electricityUseKWh = heatingElectricityKWh + coolingElectricityKWh + lightingKWh;
+  const gridImportKWh = Math.max(0, electricityUseKWh - pvSelfConsumedKWh);
   const gasEnergyCost = gasUseKWh * ENERGY_TARIFFS.gas.unitRate;
-  const electricityEnergyCost = electricityUseKWh * ENERGY_TARIFFS.electricity.unitRate;
+  // Time-of-use costs come from the per-band ledger; without one, price at the tariff's time-weighted mean rate
+  const electricityBands = electricityTariff.bands.map((band) => ({
+    id: band.id,
+    label: band.label,
+    kWh: electricityByBand?.[band.id]?.kWh ?? 0,
+    cost: electricityByBand?.[band.id]?.cost ?? 0,
+  }));
+  const electricityEnergyCost = electricityByBand
+    ? electricityBands.reduce((acc, band) => acc + band.cost, 0)
+    : gridImportKWh * averageElectricityRate(electricityTariff);
   const energyCost = gasEnergyCost + electricityEnergyCost;
-  const gasStandingCost = INCLUDE_STANDING_CHARGES
+  // An all-electric home has no gas connection, so no gas standing charge
+  const gasStandingCost = INCLUDE_STANDING_CHARGES && heatingOnGas
     ? days * ENERGY_TARIFFS.gas.standingChargePerDay
     : 0;
   const electricityStandingCost = INCLUDE_STANDING_CHARGES
-    ? days * ENERGY_TARIFFS.electricity.standingChargePerDay
+    ? days * electricityTariff.standingChargePerDay
     : 0;
   const standingCost = INCLUDE_STANDING_CHARGES
     ? gasStandingCost + electricityStandingCost
     : 0;
   const totalCost = energyCost + standingCost;
   const gasCarbonKg = gasUseKWh * CARBON_FACTORS.gas.perKWh;
-  const electricityCarbonKg =
-    electricityUseKWh * CARBON_FACTORS.electricity.consumption;
+  const averageElectricityCarbonKg =
+    gridImportKWh * CARBON_FACTORS.electricity.consumption;
+  const hasHourlyCarbon = Number.isFinite(hourlyElectricityCarbonKg);
+  const electricityCarbonKg = hasHourlyCarbon ? hourlyElectricityCarbonKg : averageElectricityCarbonKg;
   const carbonKg = gasCarbonKg + electricityCarbonKg;
+  const carbonComparison = hasHourlyCarbon
+    ? {
+        average: {
+          electricityCarbonKg: averageElectricityCarbonKg,
+          carbonKg: gasCarbonKg + averageElectricityCarbonKg,
+          electricityFactor: CARBON_FACTORS.electricity.consumption,
+        },
+        hourly: {
+          electricityCarbonKg: hourlyElectricityCarbonKg,
+          carbonKg: gasCarbonKg + hourlyElectricityCarbonKg,
+          // Use-weighted grid intensity actually seen by this building's electricity
+          electricityFactor: gridImportKWh > 0 ? hourlyElectricityCarbonKg / gridImportKWh : null,
+        },
+      }
+    : null;
+  const pvExportIncome = pvExportKWh * PV_EXPORT_RATE;
+  const pvExportCarbonCreditKg = Number.isFinite(pvExportCarbonKg)
+    ? pvExportCarbonKg
+    : pvExportKWh * CARBON_FACTORS.electricity.consumption;
+  const pv = pvGenerationKWh > 0
+    ? {
+        generationKWh: pvGenerationKWh,
+        selfConsumedKWh: pvSelfConsumedKWh,
+        exportKWh: pvExportKWh,
+        selfConsumptionRatio: pvSelfConsumedKWh / pvGenerationKWh,
+        demandCoverage: electricityUseKWh > 0 ? pvSelfConsumedKWh / electricityUseKWh : null,
+        exportIncome: pvExportIncome,
+        exportCarbonKg: pvExportCarbonCreditKg,
+      }
+    : null;
   return {
     heatingThermalKWh: safeHeating,
     coolingThermalKWh: safeCooling,
-    heatingFuelKWh: gasUseKWh,
-    coolingFuelKWh: electricityUseKWh,
+    heatingSystemLabel: heatingSystem.label,
+    heatingFuel: heatingSystem.fuel,
+    heatingFuelKWh: heatingFuelUseKWh,
+    coolingFuelKWh: coolingElectricityKWh,
+    seasonalEfficiency: heatingFuelUseKWh > 0 ? safeHeating / heatingFuelUseKWh : null,
     gasUseKWh,
     electricityUseKWh,
+    gridImportKWh,
+    heatingElectricityKWh,
+    coolingElectricityKWh,
+    lightingElectricityKWh: lightingKWh,
+    electricityTariffLabel: electricityTariff.label,
+    electricityBands: electricityByBand ? electricityBands : null,
     gasEnergyCost,
     electricityEnergyCost,
     energyCost,
@@ -740,6 +1439,10 @@ export function computeCostCarbonSummary({ heatingThermalKWh, coolingThermalKWh,
     gasCarbonKg,
     electricityCarbonKg,
     carbonKg,
+    carbonComparison,
+    pv,
+    netCost: totalCost - (pv ? pvExportIncome : 0),
+    netCarbonKg: carbonKg - (pv ? pvExportCarbonCreditKg : 0),
   };
 }
 
@@ -768,6 +1471,9 @@ export function epwForcingAt(dateLocal, dataset) {
       ? lerp(h0.totalSkyCover, h1.totalSkyCover, frac)
       : undefined;
 
+  const lerpIfFinite = (a, b) =>
+    Number.isFinite(a) && Number.isFinite(b) ? lerp(a, b, frac) : undefined;
+
   return {
     T_out: lerp(h0.tDryC, h1.tDryC, frac),
     DNI: safeRadiation(lerp(h0.dniWhm2, h1.dniWhm2, frac)),
@@ -777,7 +1483,14 @@ export function epwForcingAt(dateLocal, dataset) {
       Number.isFinite(h0.windMS) && Number.isFinite(h1.windMS)
         ? lerp(h0.windMS, h1.windMS, frac)
         : undefined,
+    windDirDeg:
+      Number.isFinite(h0.windDirDeg) && Number.isFinite(h1.windDirDeg)
+        ? lerpAngleDeg(h0.windDirDeg, h1.windDirDeg, frac)
+        : undefined,
     totalSkyCover,
+    dewPointC: lerpIfFinite(h0.dewPointC, h1.dewPointC),
+    relHumidityPct: lerpIfFinite(h0.relHumidityPct, h1.relHumidityPct),
+    pressurePa: lerpIfFinite(h0.pressurePa, h1.pressurePa),
   };
 }
 
@@ -795,23 +1508,34 @@ export function syntheticWindSpeedAt(dateLocal, profile = SYNTHETIC_PROFILE) {
 }
 
 export function forcingAt(dateLocal, provider) {
-  const fallbackWindMS = syntheticWindSpeedAt(
-    dateLocal,
-    provider?.syntheticProfile || SYNTHETIC_PROFILE,
-  );
+  const syntheticProfile = provider?.syntheticProfile || SYNTHETIC_PROFILE;
+  const fallbackWindMS = syntheticWindSpeedAt(dateLocal, syntheticProfile);
   if (provider?.mode === "epw" && provider.dataset) {
     const epw = epwForcingAt(dateLocal, provider.dataset);
     if (epw) {
-      return {
-        ...epw,
-        windMS: Number.isFinite(epw.windMS) ? epw.windMS : fallbackWindMS,
-        source: "epw",
-      };
+      return outdoorHumidityForcing(
+        {
+          ...epw,
+          windMS: Number.isFinite(epw.windMS) ? epw.windMS : fallbackWindMS,
+          windDirDeg: Number.isFinite(epw.windDirDeg) ? epw.windDirDeg : syntheticProfile.prevailingWindDirDeg,
+          source: "epw",
+        },
+        provider.dataset.meta?.elevationM,
+      );
     }
   }
 
-  const T_out = outdoorTemperatureAt(dateLocal, provider.syntheticProfile || SYNTHETIC_PROFILE);
-  return { T_out, windMS: fallbackWindMS, source: "synthetic" };
+  const T_out = outdoorTemperatureAt(dateLocal, syntheticProfile);
+  return outdoorHumidityForcing(
+    {
+      T_out,
+      windMS: fallbackWindMS,
+      windDirDeg: syntheticProfile.prevailingWindDirDeg,
+      dewPointC: syntheticDewPointAt(dateLocal, syntheticProfile),
+      source: "synthetic",
+    },
+    syntheticProfile.elevationM,
+  );
 }
 
 export function isNightHour(hour) {
@@ -831,6 +1555,7 @@ export function ventilationPresetLabel(presetId) {
 
 export function ventilationStateForStep({
   achTotal = ACH_INFILTRATION_DEFAULT,
+  achInfiltration = ACH_INFILTRATION_DEFAULT,
   hourOfDay = 12,
   nightPurgeEnabled = false,
   indoorTemp,
@@ -852,8 +1577,8 @@ export function ventilationStateForStep({
     aboveFloor &&
     coolingBenefit >= minBenefitDelta;
   const targetTotal = purgeActive ? Math.max(achTotal, purgeTotal) : achTotal;
-  const safeTotal = Math.max(ACH_INFILTRATION_DEFAULT, targetTotal);
-  const achWindow = Math.max(0, safeTotal - ACH_INFILTRATION_DEFAULT);
+  const safeTotal = Math.max(achInfiltration, targetTotal);
+  const achWindow = Math.max(0, safeTotal - achInfiltration);
   const ventActive = achWindow > 0;
   let nightPurgeReason = "disabled";
   if (isNightPurgeWindow) {
@@ -878,6 +1603,7 @@ export function adaptiveVentilationStateForStep({
   hourOfDay = 12,
   comfortBand = COMFORT_BAND,
   config = ADAPTIVE_VENTILATION_CONFIG,
+  achInfiltration = ACH_INFILTRATION_DEFAULT,
 }) {
   const { nightFloorTemp, minBenefitDelta, overheatScaleMax, achRange } = config;
   const isNight = isNightHour(hourOfDay);
@@ -885,12 +1611,12 @@ export function adaptiveVentilationStateForStep({
   const coolingBenefit = indoorTemp - outdoorTemp;
   const ventilationHelpful = overheatDelta > 0 && coolingBenefit >= minBenefitDelta;
 
-  let targetAch = ACH_INFILTRATION_DEFAULT;
+  let targetAch = achInfiltration;
   let adaptiveReason = "comfortable";
 
   if (ventilationHelpful) {
     if (isNight && indoorTemp <= nightFloorTemp) {
-      targetAch = ACH_INFILTRATION_DEFAULT;
+      targetAch = achInfiltration;
       adaptiveReason = "night-floor";
     } else {
       const scale = Math.min(1, Math.max(0, overheatDelta / overheatScaleMax));
@@ -898,12 +1624,12 @@ export function adaptiveVentilationStateForStep({
       adaptiveReason = isNight ? "night-cooling" : "day-cooling";
     }
   } else if (overheatDelta > 0) {
-    targetAch = ACH_INFILTRATION_DEFAULT;
+    targetAch = achInfiltration;
     adaptiveReason = "outdoor-warm";
   }
 
-  const safeTotal = Math.max(ACH_INFILTRATION_DEFAULT, targetAch);
-  const achWindow = Math.max(0, safeTotal - ACH_INFILTRATION_DEFAULT);
+  const safeTotal = Math.max(achInfiltration, targetAch);
+  const achWindow = Math.max(0, safeTotal - achInfiltration);
   const ventActive = achWindow > 0;
 
   return { ventActive, achWindow, achTotal: safeTotal, adaptiveReason };
@@ -1031,6 +1757,7 @@ export function calculateOpenedWindowArea(faceState, dimensions = {}, openWindow
   let topHungLeafCount = 0;
   let turnLeafCount = 0;
   let totalLeafCount = 0;
+  const leaves = [];
 
   FACES.forEach((face) => {
     const config = faceState?.[face.id];
@@ -1069,11 +1796,13 @@ export function calculateOpenedWindowArea(faceState, dimensions = {}, openWindow
         faceTopHungLeafCount += 1;
         faceOpenArea += geometry.topHungOpeningAreaPerLeaf;
         faceTopHungArea += geometry.topHungOpeningAreaPerLeaf;
+        leaves.push({ key, faceId: face.id, leafIndex, state: leafState, openAreaM2: geometry.topHungOpeningAreaPerLeaf });
       } else if (leafState === WINDOW_SEGMENT_STATE.TURN) {
         faceOpenLeafCount += 1;
         faceTurnLeafCount += 1;
         faceOpenArea += geometry.turnOpeningAreaPerLeaf;
         faceTurnArea += geometry.turnOpeningAreaPerLeaf;
+        leaves.push({ key, faceId: face.id, leafIndex, state: leafState, openAreaM2: geometry.turnOpeningAreaPerLeaf });
       }
     }
 
@@ -1104,13 +1833,69 @@ export function calculateOpenedWindowArea(faceState, dimensions = {}, openWindow
     turnLeafCount,
     totalLeafCount,
     byFace,
+    leaves,
+  };
+}
+
+// An open sash with no rule stays open for the whole run
+export const WINDOW_OPENING_RULE_DEFAULTS = {
+  occupiedOnly: false,
+  minOutdoorTempC: null,
+  closeWhenWarmerOutside: false,
+};
+export const WINDOW_OPENING_MIN_OUTDOOR_OPTIONS_C = [5, 8, 10, 12, 15, 18];
+
+/**
+ * Whether a sash set open is actually open at a step, given its opening rule.
+ * @param {object|null} rule - Fields of WINDOW_OPENING_RULE_DEFAULTS
+ * @param {{occupied?: boolean, outdoorTempC?: number, indoorTempC?: number}} conditions
+ * @returns {boolean}
+ */
+export function isSashOpenUnderRule(rule, { occupied = true, outdoorTempC, indoorTempC } = {}) {
+  if (!rule) return true;
+  if (rule.occupiedOnly && !occupied) return false;
+  if (
+    Number.isFinite(rule.minOutdoorTempC) &&
+    Number.isFinite(outdoorTempC) &&
+    outdoorTempC < rule.minOutdoorTempC
+  ) {
+    return false;
+  }
+  if (
+    rule.closeWhenWarmerOutside &&
+    Number.isFinite(outdoorTempC) &&
+    Number.isFinite(indoorTempC) &&
+    outdoorTempC > indoorTempC
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/** Open area by face from calculateOpenedWindowArea, keeping only the sashes their rules leave open. */
+export function openedWindowAreaUnderRules(openedWindowArea, openingRules, conditions) {
+  if (!openingRules || Object.keys(openingRules).length === 0) return openedWindowArea;
+  const byFace = Object.fromEntries(FACES.map((face) => [face.id, { openAreaM2: 0, openLeafCount: 0 }]));
+  const leaves = (openedWindowArea?.leaves ?? []).filter((leaf) =>
+    isSashOpenUnderRule(openingRules[leaf.key], conditions),
+  );
+  leaves.forEach((leaf) => {
+    byFace[leaf.faceId].openAreaM2 += leaf.openAreaM2;
+    byFace[leaf.faceId].openLeafCount += 1;
+  });
+  return {
+    totalOpenAreaM2: leaves.reduce((sum, leaf) => sum + leaf.openAreaM2, 0),
+    openLeafCount: leaves.length,
+    byFace,
+    leaves,
   };
 }
 
 export function buildWindowsFromFaceState(
   faceState,
   orientationDeg = 0,
-  dimensions = {}
+  dimensions = {},
+  glazingProducts = null
 ) {
   const width = Number.isFinite(dimensions.width) ? dimensions.width : BUILDING_WIDTH;
   const depth = Number.isFinite(dimensions.depth) ? dimensions.depth : BUILDING_DEPTH;
@@ -1122,13 +1907,25 @@ export function buildWindowsFromFaceState(
     const faceSpan = face.id === "east" || face.id === "west" ? depth : width;
     const opening = resolveWindowOpeningHeight(height, config.cillLift, config.headDrop);
     if (opening.effectiveHeight <= 0.001) return null;
+    // Without product choices the window falls back to the snapshot's U_window and g_glass
+    const product = glazingProducts ? resolveGlazingProduct(glazingProducts[face.id]) : null;
     return {
+      face: face.id,
       w: faceSpan * glazing,
       h: opening.effectiveHeight,
+      sill: opening.cillLift,
+      centerRatio: clampWindowCenterRatio(glazing, config.windowCenterRatio ?? 0),
       az: normalizedAzimuth(face.azimuth + orientationDeg),
       overhangDepth: Math.max(0, Math.min(1.5, config.overhang || 0)),
       finDepth: ratioToDepthMeters(config.fin, height),
       hFinDepth: ratioToDepthMeters(config.hFin, height),
+      reveal: resolveRevealDepths(config.glazingSetback),
+      ...(product && {
+        productId: product.id,
+        uValue: product.uValue,
+        gValue: product.gValue,
+        visibleTransmittance: product.visibleTransmittance,
+      }),
     };
   }).filter(Boolean);
 }
@@ -1152,6 +1949,7 @@ export function buildPreviewFaceConfigs(faceState, dimensions = {}) {
       fin: ratioToDepthMeters(config.fin, height),
       hFin: ratioToDepthMeters(config.hFin, height),
       windowCenterRatio: clampWindowCenterRatio(glazing, config.windowCenterRatio ?? 0),
+      glazingSetback: resolveRevealDepths(config.glazingSetback).head,
       ...resolveWindowOpeningHeight(height, config.cillLift, config.headDrop),
     };
     return acc;
@@ -1168,6 +1966,7 @@ export function cloneFaceState(faceState) {
       cillLift: faceState[face.id]?.cillLift ?? 0,
       headDrop: faceState[face.id]?.headDrop ?? 0,
       windowCenterRatio: faceState[face.id]?.windowCenterRatio ?? 0,
+      glazingSetback: faceState[face.id]?.glazingSetback ?? DEFAULT_GLAZING_SETBACK_M,
     };
     return acc;
   }, {});
@@ -1318,6 +2117,16 @@ export function overhangShadingFraction(windowH, depth_m, altDeg, azimuthDeg, su
   return Math.max(0, Math.min(1, L / windowH));
 }
 
+// Brise-soleil fin/slat spacing: the shading slider value (a ratio encoded as meters,
+// 0 to ~2.6m) runs from 60cm (sparse) to 10cm (dense) gaps - matches rendering
+const BRISE_SOLEIL_MIN_GAP_M = 0.1;
+const BRISE_SOLEIL_MAX_GAP_M = 0.6;
+
+function briseSoleilGap(depthEncodedM, windowH) {
+  const ratio = Math.max(0, Math.min(1, depthEncodedM / Math.max(0.001, windowH)));
+  return BRISE_SOLEIL_MAX_GAP_M - ratio * (BRISE_SOLEIL_MAX_GAP_M - BRISE_SOLEIL_MIN_GAP_M);
+}
+
 export function finsShadingFraction(windowH, finDepth_m, azimuthDeg, surfaceAzimuthDeg, overhangDepth = 0, altitudeDeg = 45) {
   if (finDepth_m <= 0) return 0;
 
@@ -1328,14 +2137,7 @@ export function finsShadingFraction(windowH, finDepth_m, azimuthDeg, surfaceAzim
   // Brise-soleil geometry: fins at regular intervals with fixed projection
   // These values match the visual rendering in BuildingPreview.jsx/WallFace.jsx
   const FIN_PROJECTION = EXTERNAL_SHADING_PROJECTION_M;
-  const MIN_GAP = 0.1; // 10cm spacing (dense) - matches rendering
-  const MAX_GAP = 0.6; // 60cm spacing (sparse) - matches rendering
-
-  // finDepth_m is actually a ratio encoded as meters (0 to ~2.6m)
-  // Convert back to 0-1 ratio to calculate gap
-  const ratio = Math.min(1, finDepth_m / Math.max(0.001, windowH));
-  const effectiveRatio = Math.max(0, Math.min(1, ratio));
-  const gap = MAX_GAP - effectiveRatio * (MAX_GAP - MIN_GAP);
+  const gap = briseSoleilGap(finDepth_m, windowH);
 
   // Calculate shadow width from each fin based on sun angle
   const dAz = deg2rad(dAzDeg);
@@ -1374,14 +2176,7 @@ export function horizontalFinsShadingFraction(windowH, hFinDepth_m, altDeg, azim
   // Horizontal louver geometry: slats at regular intervals with fixed projection
   // These values match the visual rendering in BuildingPreview.jsx/WallFace.jsx
   const SLAT_PROJECTION = EXTERNAL_SHADING_PROJECTION_M;
-  const MIN_GAP = 0.1; // 10cm spacing (dense) - matches rendering
-  const MAX_GAP = 0.6; // 60cm spacing (sparse) - matches rendering
-
-  // hFinDepth_m is a ratio encoded as meters (0 to ~2.6m)
-  // Convert back to 0-1 ratio to calculate gap
-  const ratio = Math.min(1, hFinDepth_m / Math.max(0.001, windowH));
-  const effectiveRatio = Math.max(0, Math.min(1, ratio));
-  const gap = MAX_GAP - effectiveRatio * (MAX_GAP - MIN_GAP);
+  const gap = briseSoleilGap(hFinDepth_m, windowH);
 
   // Calculate shadow depth from each slat based on profile angle (sun altitude relative to surface)
   const phi = profileAngle(altDeg, azimuthDeg, surfaceAzimuthDeg);
@@ -1411,6 +2206,62 @@ export function horizontalFinsShadingFraction(windowH, hFinDepth_m, altDeg, azim
   return Math.max(0, Math.min(1, shadingFraction));
 }
 
+// Window reveals: the frame sits `glazingSetback` behind the outer wall face, so the
+// head and jambs shade the glass like a small overhang and fins tight to the frame.
+// The default matches the frame position drawn in BuildingPreview.jsx.
+export const WINDOW_FRAME_DEPTH_M = 0.05;
+export const DEFAULT_GLAZING_SETBACK_M = 0.15;
+export const GLAZING_SETBACK_RANGE = {
+  min: 0,
+  max: MODEL_WALL_THICKNESS_M - WINDOW_FRAME_DEPTH_M,
+  step: 0.01,
+};
+
+/**
+ * Outer reveal depths (m) for a glazing setback, limited so the frame stays within
+ * the wall. The external cill is thin and sloped, so the cill reveal is the setback too.
+ */
+export function resolveRevealDepths(glazingSetback, wallThicknessM = MODEL_WALL_THICKNESS_M) {
+  const setback = Number.isFinite(glazingSetback) ? glazingSetback : DEFAULT_GLAZING_SETBACK_M;
+  const depth = Math.max(0, Math.min(Math.max(0, wallThicknessM - WINDOW_FRAME_DEPTH_M), setback));
+  return { head: depth, jamb: depth, cill: depth };
+}
+
+/**
+ * Reveal shadows on the glass (m): the head shadow drops by depth x tan(profile angle)
+ * and one jamb's shadow runs in by depth x tan(relative azimuth).
+ */
+export function revealShadowDepths(reveal, altDeg, azimuthDeg, surfaceAzimuthDeg) {
+  if (!reveal || altDeg <= 0) return { headM: 0, jambM: 0 };
+  const dAzDeg = ((azimuthDeg - surfaceAzimuthDeg + 540) % 360) - 180;
+  if (Math.abs(dAzDeg) >= 90) return { headM: 0, jambM: 0 };
+  const phi = profileAngle(altDeg, azimuthDeg, surfaceAzimuthDeg);
+  return {
+    headM: phi > 0 ? reveal.head * Math.tan(deg2rad(phi)) : 0,
+    jambM: reveal.jamb * Math.abs(Math.tan(deg2rad(dAzDeg))),
+  };
+}
+
+/** Share of the glass shaded from beam sun by its reveals (what is left is a sunlit rectangle). */
+export function revealShadingFraction(windowW, windowH, reveal, altDeg, azimuthDeg, surfaceAzimuthDeg) {
+  if (windowW <= 0 || windowH <= 0) return 0;
+  const { headM, jambM } = revealShadowDepths(reveal, altDeg, azimuthDeg, surfaceAzimuthDeg);
+  return 1 - Math.max(0, 1 - headM / windowH) * Math.max(0, 1 - jambM / windowW);
+}
+
+/**
+ * Share of the sky and ground light that still reaches the glass past its reveals:
+ * the head and cill cut the vertical view, the jambs the horizontal one.
+ */
+export function revealDiffuseFactors(windowW, windowH, reveal) {
+  if (!reveal) return { sky: 1, ground: 1 };
+  const lateral = averageViewPastProjection(windowW, reveal.jamb);
+  return {
+    sky: averageViewPastProjection(windowH, reveal.head) * lateral,
+    ground: averageViewPastProjection(windowH, reveal.cill) * lateral,
+  };
+}
+
 export function cardinalFromAzimuth(azimuthDeg) {
   if (typeof azimuthDeg !== "number" || Number.isNaN(azimuthDeg)) return null;
   const az = ((azimuthDeg % 360) + 360) % 360;
@@ -1420,6 +2271,86 @@ export function cardinalFromAzimuth(azimuthDeg) {
   return "west";
 }
 
+/* -------------------- Sky diffuse models -------------------- */
+
+// Diffuse sky radiance: uniform (isotropic) or Perez 1990 with circumsolar and horizon brightening
+export const SKY_MODELS = {
+  isotropic: {
+    label: "Isotropic",
+    detail: "Diffuse light is spread evenly over the sky dome.",
+  },
+  perez: {
+    label: "Perez (1990)",
+    detail: "Adds circumsolar and horizon brightening, so sun-facing surfaces get more diffuse light.",
+  },
+};
+export const SKY_MODEL_ORDER = ["isotropic", "perez"];
+export const DEFAULT_SKY_MODEL = "isotropic";
+export const SOLAR_CONSTANT = 1367; // W/m²
+
+// Perez et al. (1990) brightness coefficients [F11, F12, F13, F21, F22, F23] by sky clearness bin
+const PEREZ_CLEARNESS_BINS = [1.065, 1.23, 1.5, 1.95, 2.8, 4.5, 6.2];
+const PEREZ_COEFFICIENTS = [
+  [-0.008, 0.588, -0.062, -0.06, 0.072, -0.022],
+  [0.13, 0.683, -0.151, -0.019, 0.066, -0.029],
+  [0.33, 0.487, -0.221, 0.055, -0.064, -0.026],
+  [0.568, 0.187, -0.295, 0.109, -0.152, -0.014],
+  [0.873, -0.392, -0.362, 0.226, -0.462, 0.001],
+  [1.132, -1.237, -0.412, 0.288, -0.823, 0.056],
+  [1.06, -1.6, -0.359, 0.264, -1.127, 0.131],
+  [0.678, -0.327, -0.25, 0.156, -1.377, 0.251],
+];
+
+export function extraterrestrialIrradiance(dayOfYear) {
+  return SOLAR_CONSTANT * (1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365));
+}
+
+/**
+ * Sky diffuse irradiance on a plane tilted `tiltDeg` from horizontal, using the
+ * Perez 1990 model. Sky clearness and brightness come from DNI, DHI, the solar
+ * zenith and the extraterrestrial irradiance for the day; F1 scales the
+ * circumsolar disc and F2 the horizon band. The circumsolar disc sits round the sun,
+ * so when the site hides the sun (`sunVisible` false) it goes with the beam.
+ */
+export function perezSkyDiffuse({
+  tiltDeg,
+  surfaceAzimuthDeg,
+  altitudeDeg,
+  azimuthDeg,
+  DNI,
+  DHI,
+  dayOfYear,
+  sunVisible = true,
+}) {
+  const tilt = deg2rad(tiltDeg);
+  const isotropic = DHI * (1 + Math.cos(tilt)) / 2;
+  if (altitudeDeg <= 0 || DHI <= 0) return isotropic;
+
+  const zenithDeg = 90 - altitudeDeg;
+  const zenith = deg2rad(zenithDeg);
+  const cosZenith = Math.cos(zenith);
+  // Kasten and Young (1989) relative air mass
+  const airMass = 1 / (cosZenith + 0.50572 * Math.pow(96.07995 - zenithDeg, -1.6364));
+  const kappaZ3 = 1.041 * zenith ** 3;
+  const clearness = ((DHI + DNI) / DHI + kappaZ3) / (1 + kappaZ3);
+  const brightness = (airMass * DHI) / extraterrestrialIrradiance(dayOfYear);
+
+  let bin = PEREZ_CLEARNESS_BINS.findIndex((upper) => clearness < upper);
+  if (bin === -1) bin = PEREZ_COEFFICIENTS.length - 1;
+  const [f11, f12, f13, f21, f22, f23] = PEREZ_COEFFICIENTS[bin];
+  const F1 = Math.max(0, f11 + f12 * brightness + f13 * zenith);
+  const F2 = f21 + f22 * brightness + f23 * zenith;
+
+  const alt = deg2rad(altitudeDeg);
+  const dAz = deg2rad(azimuthDeg - surfaceAzimuthDeg);
+  const cosIncidence = Math.sin(alt) * Math.cos(tilt) + Math.cos(alt) * Math.sin(tilt) * Math.cos(dAz);
+  const a = Math.max(0, cosIncidence);
+  const b = Math.max(Math.cos(deg2rad(85)), cosZenith);
+  const circumsolar = sunVisible ? F1 * (a / b) : 0;
+
+  return Math.max(0, DHI * ((1 - F1) * (1 + Math.cos(tilt)) / 2 + circumsolar + F2 * Math.sin(tilt)));
+}
+
 export function planeIrradianceVertical({
   surfaceAzimuthDeg,
   altitudeDeg,
@@ -1428,78 +2359,1876 @@ export function planeIrradianceVertical({
   DHI,
   GHI,
   groundAlbedo = 0.2,
+  skyModel = DEFAULT_SKY_MODEL,
+  dayOfYear = 172,
+  sunVisible = true,
 }) {
   const dAz = deg2rad(Math.abs(((azimuthDeg - surfaceAzimuthDeg + 540) % 360) - 180));
   const cosTheta = Math.max(0, Math.cos(deg2rad(altitudeDeg)) * Math.cos(dAz));
   const I_beam = DNI * cosTheta;
-  const I_diff = 0.5 * DHI;
+  const I_diff = skyModel === "perez"
+    ? perezSkyDiffuse({ tiltDeg: 90, surfaceAzimuthDeg, altitudeDeg, azimuthDeg, DNI, DHI, dayOfYear, sunVisible })
+    : 0.5 * DHI;
   const I_gnd = 0.5 * GHI * groundAlbedo;
   return { I_beam, I_diff, I_gnd };
 }
 
 export function planeIrradianceHorizontalUp({
   altitudeDeg,
+  azimuthDeg = 180,
   DNI,
   DHI,
+  skyModel = DEFAULT_SKY_MODEL,
+  dayOfYear = 172,
+  sunVisible = true,
 }) {
   if (altitudeDeg <= 0) {
     return { I_beam: 0, I_diff: 0, I_gnd: 0 };
   }
   const sinAlt = Math.max(0, Math.sin(deg2rad(altitudeDeg)));
   const I_beam = DNI * sinAlt;
-  const I_diff = DHI;
+  const I_diff = skyModel === "perez"
+    ? perezSkyDiffuse({ tiltDeg: 0, surfaceAzimuthDeg: 180, altitudeDeg, azimuthDeg, DNI, DHI, dayOfYear, sunVisible })
+    : DHI;
   const I_gnd = 0;
   return { I_beam, I_diff, I_gnd };
 }
 
-/* -------------------- Thermal engine -------------------- */
-export function computeSnapshot(params) {
-  const {
-    width,
-    depth,
-    height,
-    U_wall,
-    U_window,
-    U_roof,
-    U_floor,
-    windows,
-    autoBlinds,
-    blindsThreshold,
-    blindsReduction,
-    g_glass,
-    achTotal = ACH_INFILTRATION_DEFAULT,
-    heatRecoveryEfficiency = 0,
-    T_out,
-    Q_internal,
-    latitude,
-    longitude,
-    dateMidday,
-    groundAlbedo,
-    T_room_override,
-    weatherRadiation,
-    timezoneHours = 0,
-    rooflight,
-  } = params;
+/** Irradiance on a plane tilted `tiltDeg` from horizontal (0 = flat, 90 = vertical). */
+export function planeIrradianceTilted({
+  tiltDeg,
+  surfaceAzimuthDeg,
+  altitudeDeg,
+  azimuthDeg,
+  DNI,
+  DHI,
+  GHI,
+  groundAlbedo = 0.2,
+  skyModel = DEFAULT_SKY_MODEL,
+  dayOfYear = 172,
+  sunVisible = true,
+}) {
+  if (altitudeDeg <= 0) {
+    return { I_beam: 0, I_diff: 0, I_gnd: 0 };
+  }
+  const tilt = deg2rad(tiltDeg);
+  const alt = deg2rad(altitudeDeg);
+  const dAz = deg2rad(azimuthDeg - surfaceAzimuthDeg);
+  const cosTheta = Math.max(
+    0,
+    Math.sin(alt) * Math.cos(tilt) + Math.cos(alt) * Math.sin(tilt) * Math.cos(dAz),
+  );
+  const I_beam = DNI * cosTheta;
+  const I_diff = skyModel === "perez"
+    ? perezSkyDiffuse({ tiltDeg, surfaceAzimuthDeg, altitudeDeg, azimuthDeg, DNI, DHI, dayOfYear, sunVisible })
+    : DHI * (1 + Math.cos(tilt)) / 2;
+  const I_gnd = GHI * groundAlbedo * (1 - Math.cos(tilt)) / 2;
+  return { I_beam, I_diff, I_gnd };
+}
 
-  const volume = width * depth * height;
-  const hrEff = Math.max(0, Math.min(1, heatRecoveryEfficiency || 0));
-  const UA_vent = ((RHO_AIR * CP_AIR * achTotal * volume) / 3600) * (1 - hrEff);
+/* -------------------- Site horizon + obstructions -------------------- */
 
-  const solarDateUtc = toSolarUtcDate(dateMidday, timezoneHours);
-  const { altitude, azimuth } = solarPosition(solarDateUtc, latitude, longitude);
-  const clearSky = skyGroundComponents(altitude);
-  const DNI = safeRadiation(weatherRadiation?.DNI ?? clearSky.DNI);
-  const DHI = safeRadiation(weatherRadiation?.DHI ?? clearSky.DHI);
-  const GHI = safeRadiation(weatherRadiation?.GHI ?? clearSky.GHI);
+// Terrain horizon in eight 45° sectors of absolute azimuth, centred on N, NE, E ... NW
+export const SITE_HORIZON_SECTORS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+export const SITE_DEFAULTS = {
+  horizonDeg: [0, 0, 0, 0, 0, 0, 0, 0],
+  obstructions: [],
+};
+// A new box starts as a terrace across the street from the south facade
+export const SITE_OBSTRUCTION_DEFAULTS = {
+  face: "south",
+  distanceM: 12,
+  offsetM: 0,
+  widthM: 20,
+  depthM: 8,
+  heightM: 9,
+};
+export const SITE_SURFACE_LEVELS = ["north", "east", "south", "west", "roof"];
+const SITE_PROFILE_STEP_DEG = 2;
+const SITE_PROFILE_SAMPLES = 360 / SITE_PROFILE_STEP_DEG;
+const SITE_SKY_ALTITUDE_STEPS = 45;
+
+function siteFaceFrame(faceId) {
+  const face = FACES.find((entry) => entry.id === faceId) ?? FACES[2];
+  const normal = { x: Math.round(Math.sin(deg2rad(face.azimuth))), z: Math.round(Math.cos(deg2rad(face.azimuth))) };
+  // Positive offsets run to the right when looking out of the facade
+  return { id: face.id, normal, right: { x: normal.z, z: -normal.x } };
+}
 
-  const wallAreas = {
-    north: width * height,
-    south: width * height,
-    east: depth * height,
-    west: depth * height,
-  };
+// Distance along a plan ray to an axis-aligned box footprint, or null when the ray misses it
+function rayBoxDistance(origin, direction, box) {
+  let tMin = -Infinity;
+  let tMax = Infinity;
+  for (const [o, d, min, max] of [
+    [origin.x, direction.x, box.minX, box.maxX],
+    [origin.z, direction.z, box.minZ, box.maxZ],
+  ]) {
+    if (Math.abs(d) < 1e-9) {
+      if (o < min || o > max) return null;
+      continue;
+    }
+    const t1 = (min - o) / d;
+    const t2 = (max - o) / d;
+    tMin = Math.max(tMin, Math.min(t1, t2));
+    tMax = Math.min(tMax, Math.max(t1, t2));
+  }
+  if (tMax < Math.max(0, tMin)) return null;
+  return Math.max(0.1, tMin);
+}
+
+/**
+ * Resolve the site horizon and box obstructions into horizon elevation profiles
+ * (every 2° of absolute azimuth) seen from the centre of each facade at
+ * mid-height and from the roof. Boxes are placed off a facade in the building's
+ * own frame, so they turn with the orientation. Returns null for an open site.
+ */
+export function resolveSiteShading(site = {}, dimensions = {}, orientationDeg = 0) {
+  const config = { ...SITE_DEFAULTS, ...site };
+  const horizonDeg = SITE_HORIZON_SECTORS.map((_, index) =>
+    Math.min(60, Math.max(0, Number(config.horizonDeg?.[index]) || 0)),
+  );
+  const width = Number.isFinite(dimensions.width) ? dimensions.width : BUILDING_WIDTH;
+  const depth = Number.isFinite(dimensions.depth) ? dimensions.depth : BUILDING_DEPTH;
+  const height = Number.isFinite(dimensions.height) ? dimensions.height : BUILDING_HEIGHT;
+
+  const boxes = (config.obstructions || []).map((obstruction) => {
+    const entry = { ...SITE_OBSTRUCTION_DEFAULTS, ...obstruction };
+    const frame = siteFaceFrame(entry.face);
+    const alongX = frame.normal.x === 0;
+    const faceHalfDepth = alongX ? depth / 2 : width / 2;
+    const widthM = Math.max(0.5, entry.widthM);
+    const depthM = Math.max(0.5, entry.depthM);
+    const reach = faceHalfDepth + Math.max(0.5, entry.distanceM) + depthM / 2;
+    const centerX = frame.normal.x * reach + frame.right.x * entry.offsetM;
+    const centerZ = frame.normal.z * reach + frame.right.z * entry.offsetM;
+    const halfX = (alongX ? widthM : depthM) / 2;
+    const halfZ = (alongX ? depthM : widthM) / 2;
+    return {
+      ...entry,
+      centerX,
+      centerZ,
+      minX: centerX - halfX,
+      maxX: centerX + halfX,
+      minZ: centerZ - halfZ,
+      maxZ: centerZ + halfZ,
+      heightM: Math.max(0, entry.heightM),
+    };
+  }).filter((box) => box.heightM > 0);
+
+  if (boxes.length === 0 && horizonDeg.every((value) => value <= 0)) return null;
+
+  const observers = {
+    roof: { x: 0, z: 0, y: height },
+    ...Object.fromEntries(FACES.map((face) => {
+      const frame = siteFaceFrame(face.id);
+      const halfDepth = frame.normal.x === 0 ? depth / 2 : width / 2;
+      return [face.id, { x: frame.normal.x * halfDepth, z: frame.normal.z * halfDepth, y: height / 2 }];
+    })),
+  };
+
+  const profiles = Object.fromEntries(SITE_SURFACE_LEVELS.map((level) => {
+    const observer = observers[level];
+    const profile = new Array(SITE_PROFILE_SAMPLES);
+    for (let i = 0; i < SITE_PROFILE_SAMPLES; i++) {
+      const azimuthDeg = i * SITE_PROFILE_STEP_DEG;
+      let elevation = horizonDeg[Math.round(azimuthDeg / 45) % SITE_HORIZON_SECTORS.length];
+      const localBearing = deg2rad(azimuthDeg - orientationDeg);
+      const direction = { x: Math.sin(localBearing), z: Math.cos(localBearing) };
+      boxes.forEach((box) => {
+        const distance = rayBoxDistance(observer, direction, box);
+        if (distance === null || box.heightM <= observer.y) return;
+        elevation = Math.max(elevation, rad2deg(Math.atan2(box.heightM - observer.y, distance)));
+      });
+      profile[i] = elevation;
+    }
+    return [level, profile];
+  }));
+
+  return {
+    orientationDeg,
+    horizonDeg,
+    obstructions: boxes,
+    profiles,
+    skyViewCache: new Map(),
+  };
+}
+
+/** Which horizon profile a window uses: its facade in the building's own frame. */
+export function siteLevelForAzimuth(siteShading, surfaceAzimuthDeg) {
+  return cardinalFromAzimuth(surfaceAzimuthDeg - (siteShading?.orientationDeg ?? 0)) ?? "south";
+}
+
+export function siteHorizonElevation(siteShading, level, azimuthDeg) {
+  const profile = siteShading?.profiles?.[level];
+  if (!profile) return 0;
+  const index = Math.round(normalizedAzimuth(azimuthDeg) / SITE_PROFILE_STEP_DEG) % SITE_PROFILE_SAMPLES;
+  return profile[index];
+}
+
+export function siteSunVisible(siteShading, level, altitudeDeg, azimuthDeg) {
+  if (altitudeDeg <= 0) return false;
+  return altitudeDeg > siteHorizonElevation(siteShading, level, azimuthDeg);
+}
+
+/**
+ * Share of a plane's isotropic sky diffuse that still arrives past the horizon
+ * profile, integrated over the visible sky and weighted by incidence. Cached per
+ * plane on the resolved site.
+ */
+export function siteSkyViewFactor(siteShading, level, tiltDeg, surfaceAzimuthDeg) {
+  const profile = siteShading?.profiles?.[level];
+  if (!profile) return 1;
+  const key = `${level}|${tiltDeg}|${Math.round(surfaceAzimuthDeg)}`;
+  if (siteShading.skyViewCache.has(key)) return siteShading.skyViewCache.get(key);
+
+  const tilt = deg2rad(tiltDeg);
+  const altitudeStep = 90 / SITE_SKY_ALTITUDE_STEPS;
+  let open = 0;
+  let visible = 0;
+  for (let i = 0; i < SITE_PROFILE_SAMPLES; i++) {
+    const cosAz = Math.cos(deg2rad(i * SITE_PROFILE_STEP_DEG - surfaceAzimuthDeg));
+    for (let j = 0; j < SITE_SKY_ALTITUDE_STEPS; j++) {
+      const altitudeDeg = (j + 0.5) * altitudeStep;
+      const alt = deg2rad(altitudeDeg);
+      const weight =
+        Math.max(0, Math.sin(alt) * Math.cos(tilt) + Math.cos(alt) * Math.sin(tilt) * cosAz) * Math.cos(alt);
+      open += weight;
+      if (altitudeDeg > profile[i]) visible += weight;
+    }
+  }
+  const factor = open > 0 ? visible / open : 1;
+  siteShading.skyViewCache.set(key, factor);
+  return factor;
+}
+
+/* -------------------- Rooftop PV -------------------- */
+
+// Typical crystalline silicon module (about 400 Wp) on a flat-roof frame
+export const PV_MODULE = {
+  widthM: 1.72,
+  heightM: 1.13,
+};
+export const PV_DEFAULTS = {
+  enabled: false,
+  sizing: "capacity",
+  capacityKWp: 2,
+  areaM2: 10,
+  tiltDeg: 30,
+  azimuthDeg: 180,
+  moduleEfficiency: 0.21,
+  systemLosses: 0.14,
+};
+export const PV_SIZING_MODES = {
+  capacity: { label: "By kWp" },
+  area: { label: "By area" },
+};
+export const PV_SIZING_MODE_ORDER = ["capacity", "area"];
+// Share of the clear roof that tilted rows can cover without shading each other
+export const PV_MAX_ROOF_COVERAGE = 0.6;
+// Power falls 0.4%/K above 25°C cell temperature; NOCT model for the cell temperature
+export const PV_TEMPERATURE_COEFFICIENT = -0.004;
+export const PV_NOCT_C = 45;
+// Smart Export Guarantee payment for exported units (£/kWh)
+export const PV_EXPORT_RATE = 0.15;
+
+/**
+ * Resolve a PV array definition to area and peak capacity. Sized by kWp or by
+ * module area (kWp = area × efficiency at 1,000 W/m²), capped to the roof left
+ * around the rooflight. Returns null when the array is switched off.
+ */
+export function resolvePvArray(pv = {}, dimensions = {}, rooflightAreaM2 = 0) {
+  const config = { ...PV_DEFAULTS, ...pv };
+  if (!config.enabled) return null;
+  const width = Number.isFinite(dimensions.width) ? dimensions.width : BUILDING_WIDTH;
+  const depth = Number.isFinite(dimensions.depth) ? dimensions.depth : BUILDING_DEPTH;
+  const moduleEfficiency = Math.min(0.3, Math.max(0.05, config.moduleEfficiency));
+  const requestedAreaM2 = config.sizing === "area"
+    ? Math.max(0, config.areaM2)
+    : Math.max(0, config.capacityKWp) / moduleEfficiency;
+  const maxAreaM2 = Math.max(0, width * depth - Math.max(0, rooflightAreaM2)) * PV_MAX_ROOF_COVERAGE;
+  const areaM2 = Math.min(requestedAreaM2, maxAreaM2);
+  return {
+    sizing: config.sizing,
+    areaM2,
+    capacityKWp: areaM2 * moduleEfficiency,
+    maxAreaM2,
+    limitedByRoof: requestedAreaM2 > maxAreaM2 + 1e-6,
+    tiltDeg: Math.min(90, Math.max(0, config.tiltDeg)),
+    azimuthDeg: normalizedAzimuth(config.azimuthDeg),
+    moduleEfficiency,
+    systemLosses: Math.min(0.5, Math.max(0, config.systemLosses)),
+  };
+}
+
+/** AC output of a resolved PV array for one sun position and weather state. */
+export function pvArrayOutput(pvArray, {
+  altitudeDeg,
+  azimuthDeg,
+  DNI,
+  DHI,
+  GHI,
+  groundAlbedo,
+  T_out,
+  skyModel,
+  dayOfYear,
+  siteShading = null,
+}) {
+  if (!pvArray || pvArray.areaM2 <= 0) return { I_poa: 0, cellTempC: T_out, P_ac: 0 };
+  const sunVisible = !siteShading || siteSunVisible(siteShading, "roof", altitudeDeg, azimuthDeg);
+  const { I_beam, I_diff, I_gnd } = planeIrradianceTilted({
+    tiltDeg: pvArray.tiltDeg,
+    surfaceAzimuthDeg: pvArray.azimuthDeg,
+    altitudeDeg,
+    azimuthDeg,
+    DNI,
+    DHI,
+    GHI,
+    groundAlbedo,
+    skyModel,
+    dayOfYear,
+    sunVisible,
+  });
+  const I_poa = siteShading
+    ? (sunVisible ? I_beam : 0) +
+      I_diff * siteSkyViewFactor(siteShading, "roof", pvArray.tiltDeg, pvArray.azimuthDeg) +
+      I_gnd
+    : I_beam + I_diff + I_gnd;
+  const cellTempC = T_out + ((PV_NOCT_C - 20) / 800) * I_poa;
+  const temperatureFactor = Math.max(0, 1 + PV_TEMPERATURE_COEFFICIENT * (cellTempC - 25));
+  const P_ac = pvArray.areaM2 * pvArray.moduleEfficiency * I_poa * temperatureFactor * (1 - pvArray.systemLosses);
+  return { I_poa, cellTempC, P_ac };
+}
+
+/**
+ * Split a step's electricity demand against PV output: PV serves the load first
+ * and any surplus is exported. Works in kWh or W alike.
+ */
+export function pvEnergyBalance(demandKWh, generationKWh) {
+  const selfConsumedKWh = Math.min(Math.max(0, demandKWh), Math.max(0, generationKWh));
+  return {
+    selfConsumedKWh,
+    gridImportKWh: Math.max(0, demandKWh - selfConsumedKWh),
+    exportKWh: Math.max(0, generationKWh - selfConsumedKWh),
+  };
+}
+
+/* -------------------- Internal gain schedules -------------------- */
+
+// Sensible heat per occupant for seated, light work (CIBSE Guide A)
+export const OCCUPANT_SENSIBLE_W = 75;
+// Metabolic rate of an occupant when the schedule does not give one (seated, light work)
+export const DEFAULT_OCCUPANT_ACTIVITY_MET = 1.2;
+export const INTERNAL_GAIN_CATEGORIES = [
+  { id: "occupancy", label: "Occupancy" },
+  { id: "equipment", label: "Equipment" },
+  { id: "lighting", label: "Lighting" },
+];
+export const SCHEDULE_DAY_TYPES = [
+  { id: "weekday", label: "Weekday" },
+  { id: "weekend", label: "Weekend" },
+];
+
+/** 24 hourly fractions: `base` everywhere, overridden by [start, end, value] windows. */
+function hourlyProfile(base, windows = []) {
+  return Array.from({ length: 24 }, (_, hour) =>
+    windows.reduce(
+      (value, [start, end, windowValue]) => (isHourInWindow(hour, start, end) ? windowValue : value),
+      base,
+    ),
+  );
+}
+
+const OFFICE_HOURS = [
+  [8, 9, 0.5],
+  [9, 12, 1],
+  [12, 13, 0.6],
+  [13, 17, 1],
+  [17, 18, 0.5],
+];
+
+// Occupancy is a fixed head count (`people`) or a density (`areaPerPersonM2`) with an
+// activity level in met; equipment and lighting peaks are per m² of floor. Schedules
+// are fractions of peak.
+export const INTERNAL_GAIN_PROFILES = {
+  homeOffice: {
+    label: "Home office",
+    detail: "One person working at a desk on weekdays, laptop and monitor, light use at weekends.",
+    occupancy: {
+      people: 1,
+      activityMet: 1.2,
+      weekday: hourlyProfile(0, OFFICE_HOURS),
+      weekend: hourlyProfile(0, [[10, 12, 0.5]]),
+    },
+    equipment: {
+      peakWPerM2: 12,
+      weekday: hourlyProfile(0.1, OFFICE_HOURS),
+      weekend: hourlyProfile(0.1, [[10, 12, 0.5]]),
+    },
+    lighting: {
+      peakWPerM2: 6,
+      weekday: hourlyProfile(0, [[8, 10, 0.5], [16, 18, 1]]),
+      weekend: hourlyProfile(0, [[10, 12, 0.3]]),
+    },
+  },
+  bedroom: {
+    label: "Bedroom",
+    detail: "Two sleepers overnight (70% gain while asleep), short morning and evening use.",
+    occupancy: {
+      people: 2,
+      // Awake and relaxed; the 70% schedule fraction covers the drop while asleep
+      activityMet: 1.0,
+      weekday: hourlyProfile(0, [[21, 22, 1], [22, 7, 0.7], [7, 8, 1]]),
+      weekend: hourlyProfile(0, [[22, 23, 1], [23, 9, 0.7], [9, 10, 1]]),
+    },
+    equipment: {
+      peakWPerM2: 6,
+      weekday: hourlyProfile(0.1, [[7, 8, 1], [21, 23, 1]]),
+      weekend: hourlyProfile(0.1, [[9, 10, 1], [22, 24, 1]]),
+    },
+    lighting: {
+      peakWPerM2: 4,
+      weekday: hourlyProfile(0, [[6, 8, 1], [21, 23, 1]]),
+      weekend: hourlyProfile(0, [[8, 10, 0.5], [22, 24, 1]]),
+    },
+  },
+  classroom: {
+    label: "Classroom",
+    detail: "Pupils at 2 m² each during school hours, empty at weekends.",
+    occupancy: {
+      areaPerPersonM2: 2,
+      activityMet: 1.2,
+      weekday: hourlyProfile(0, [[9, 12, 1], [12, 13, 0.2], [13, 15, 1], [15, 16, 0.3]]),
+      weekend: hourlyProfile(0),
+    },
+    equipment: {
+      peakWPerM2: 6,
+      weekday: hourlyProfile(0.05, [[8, 16, 1]]),
+      weekend: hourlyProfile(0.05),
+    },
+    lighting: {
+      peakWPerM2: 8,
+      weekday: hourlyProfile(0, [[8, 16, 1]]),
+      weekend: hourlyProfile(0),
+    },
+  },
+  smallOffice: {
+    label: "Small office",
+    detail: "One person per 10 m² in office hours, IT on standby overnight and at weekends.",
+    occupancy: {
+      areaPerPersonM2: 10,
+      activityMet: 1.2,
+      weekday: hourlyProfile(0, OFFICE_HOURS),
+      weekend: hourlyProfile(0),
+    },
+    equipment: {
+      peakWPerM2: 15,
+      weekday: hourlyProfile(0.15, [[8, 18, 1]]),
+      weekend: hourlyProfile(0.15),
+    },
+    lighting: {
+      peakWPerM2: 8,
+      weekday: hourlyProfile(0, [[8, 18, 1]]),
+      weekend: hourlyProfile(0),
+    },
+  },
+};
+export const INTERNAL_GAIN_PROFILE_ORDER = ["homeOffice", "bedroom", "classroom", "smallOffice"];
+export const DEFAULT_INTERNAL_GAIN_PROFILE = "homeOffice";
+
+export function isWeekendDate(date) {
+  const day = date.getUTCDay();
+  return day === 0 || day === 6;
+}
+
+export function scheduledPeakPeople(schedule, floorAreaM2) {
+  const { occupancy } = schedule;
+  if (Number.isFinite(occupancy.areaPerPersonM2) && occupancy.areaPerPersonM2 > 0) {
+    return Math.max(0, floorAreaM2) / occupancy.areaPerPersonM2;
+  }
+  return Math.max(0, occupancy.people ?? 0);
+}
+
+/**
+ * Occupant, equipment and lighting gains at a time from a weekday/weekend schedule.
+ * @param {object} schedule - An INTERNAL_GAIN_PROFILES entry or custom schedule
+ * @param {Date} time - Local time (UTC fields)
+ * @param {number} floorAreaM2
+ * @returns {{people: number, occupantsW: number, equipmentW: number, lightingW: number, lightingFraction: number, totalW: number, latentW: number, co2LitresPerS: number}}
+ */
+export function scheduledInternalGains(schedule, time, floorAreaM2) {
+  const dayType = isWeekendDate(time) ? "weekend" : "weekday";
+  const hour = time.getUTCHours();
+  const fractionOf = (category) => Math.max(0, category[dayType]?.[hour] ?? 0);
+  const areaM2 = Math.max(0, floorAreaM2);
+  const people = scheduledPeakPeople(schedule, floorAreaM2) * fractionOf(schedule.occupancy);
+  const occupantsW = people * OCCUPANT_SENSIBLE_W;
+  const equipmentW = schedule.equipment.peakWPerM2 * areaM2 * fractionOf(schedule.equipment);
+  const lightingFraction = fractionOf(schedule.lighting);
+  const lightingW = schedule.lighting.peakWPerM2 * areaM2 * lightingFraction;
+  return {
+    people,
+    occupantsW,
+    equipmentW,
+    lightingW,
+    lightingFraction,
+    totalW: occupantsW + equipmentW + lightingW,
+    latentW: people * OCCUPANT_LATENT_W,
+    co2LitresPerS: occupantCo2LitresPerS(people, schedule.occupancy.activityMet),
+  };
+}
+
+/** Editable copy of a schedule, with occupancy fixed to the head count for this room. */
+export function customScheduleFrom(schedule, floorAreaM2) {
+  const copyCategory = (category) => ({
+    ...category,
+    weekday: [...category.weekday],
+    weekend: [...category.weekend],
+  });
+  return {
+    label: "Custom",
+    detail: `Edited from ${schedule.label}.`,
+    occupancy: {
+      people: Math.round(scheduledPeakPeople(schedule, floorAreaM2) * 10) / 10,
+      activityMet: schedule.occupancy.activityMet ?? DEFAULT_OCCUPANT_ACTIVITY_MET,
+      weekday: [...schedule.occupancy.weekday],
+      weekend: [...schedule.occupancy.weekend],
+    },
+    equipment: copyCategory(schedule.equipment),
+    lighting: copyCategory(schedule.lighting),
+  };
+}
+
+/* -------------------- Electric lighting -------------------- */
+export const LIGHTING_CONTROLS = {
+  manual: {
+    label: "Manual",
+    detail: "Lights follow the schedule's switching habits whatever the daylight, as when people switch on and forget.",
+  },
+  photocell: {
+    label: "On/off photocell",
+    detail: "Scheduled lights switch fully off while daylight on the desk meets the target.",
+  },
+  dimming: {
+    label: "Daylight dimming",
+    detail: "Scheduled lights dim to top daylight up to the target, and switch off when daylight alone is enough.",
+  },
+};
+export const LIGHTING_CONTROL_ORDER = ["manual", "photocell", "dimming"];
+export const DEFAULT_LIGHTING_CONTROL = "manual";
+export const LIGHTING_POWER_DENSITY_RANGE = { min: 0, max: 20, step: 0.5 };
+export const LIGHTING_TARGET_LUX_RANGE = { min: 100, max: 750, step: 50 };
+// Dimmable LED drivers still draw about a tenth of full power at the bottom of their range
+export const LIGHTING_DIMMING_MIN_POWER_FRACTION = 0.1;
+// powerDensityWPerM2 null follows the gain schedule's lighting peak
+export const LIGHTING_DEFAULTS = {
+  control: DEFAULT_LIGHTING_CONTROL,
+  occupancySensing: false,
+  targetLux: LUX_THRESHOLDS.adequate,
+  powerDensityWPerM2: null,
+};
+
+/**
+ * Lighting settings with defaults filled in. The installed power density falls
+ * back to the schedule's lighting peak.
+ */
+export function resolveLighting(settings = {}, schedule = null) {
+  const merged = { ...LIGHTING_DEFAULTS, ...settings };
+  const control = LIGHTING_CONTROLS[merged.control] ? merged.control : DEFAULT_LIGHTING_CONTROL;
+  const powerDensityWPerM2 = Number.isFinite(merged.powerDensityWPerM2)
+    ? Math.max(0, merged.powerDensityWPerM2)
+    : schedule?.lighting?.peakWPerM2 ?? 0;
+  return {
+    control,
+    occupancySensing: merged.occupancySensing === true,
+    targetLux: Math.max(1, merged.targetLux),
+    powerDensityWPerM2,
+  };
+}
+
+/**
+ * Share of the installed lighting power drawn in a step. The schedule fraction is
+ * when lights are wanted; occupancy sensing switches them off in an empty room and
+ * the daylight controls trim them against the desk illuminance.
+ */
+export function lightingPowerFraction(lighting, { scheduleFraction, occupied, daylightLux }) {
+  const wanted = Math.max(0, scheduleFraction ?? 0);
+  if (wanted <= 0 || (lighting.occupancySensing && !occupied)) return 0;
+  if (lighting.control === "manual") return wanted;
+  const daylight = Math.max(0, daylightLux ?? 0);
+  if (daylight >= lighting.targetLux) return 0;
+  if (lighting.control === "photocell") return wanted;
+  return wanted * Math.max(LIGHTING_DIMMING_MIN_POWER_FRACTION, 1 - daylight / lighting.targetLux);
+}
+
+/**
+ * Scheduled gains with the lighting term replaced by the controlled lighting power.
+ * @param {object} gains - scheduledInternalGains result
+ * @param {object} lighting - resolveLighting result
+ * @param {number} daylightLux - Desk illuminance from daylight this step
+ * @param {number} floorAreaM2
+ */
+export function applyLightingControl(gains, lighting, daylightLux, floorAreaM2) {
+  const lightingFraction = lightingPowerFraction(lighting, {
+    scheduleFraction: gains.lightingFraction,
+    occupied: gains.people > 0,
+    daylightLux,
+  });
+  const lightingW = lighting.powerDensityWPerM2 * Math.max(0, floorAreaM2) * lightingFraction;
+  return {
+    ...gains,
+    lightingW,
+    lightingFraction,
+    totalW: gains.totalW - gains.lightingW + lightingW,
+  };
+}
+
+/* -------------------- Humidity + PMV/PPD (ISO 7730) -------------------- */
+export const STANDARD_ATMOSPHERIC_PRESSURE_PA = 101325;
+export const LATENT_HEAT_VAPORISATION_J_PER_KG = 2.45e6;
+export const OCCUPANT_LATENT_W = 55;
+// One seated occupant's moisture output, paired with the default sensible internal gains
+export const DEFAULT_LATENT_GAINS_W = OCCUPANT_LATENT_W;
+// Effective moisture capacity of finishes and furnishings relative to the room air alone
+export const MOISTURE_BUFFER_FACTOR = 5;
+// Synthetic weather: dew point sits just below the daily minimum temperature
+export const SYNTHETIC_DEW_POINT_DEPRESSION_K = 2;
+export const PMV_DEFAULTS = {
+  clo: 0.7,
+  met: 1.2,
+  airSpeedMS: 0.1,
+};
+export const PMV_SENSATION_LABELS = [
+  { max: -2.5, label: "Cold" },
+  { max: -1.5, label: "Cool" },
+  { max: -0.5, label: "Slightly cool" },
+  { max: 0.5, label: "Neutral" },
+  { max: 1.5, label: "Slightly warm" },
+  { max: 2.5, label: "Warm" },
+  { max: Infinity, label: "Hot" },
+];
+
+export function atmosphericPressureAtElevation(elevationM = 0) {
+  const safeElevation = Number.isFinite(elevationM) ? elevationM : 0;
+  return STANDARD_ATMOSPHERIC_PRESSURE_PA * Math.pow(1 - 2.25577e-5 * safeElevation, 5.25588);
+}
+
+// Saturation vapour pressure over water (Pa), the same fit ISO 7730 uses
+export function saturationVapourPressurePa(tempC) {
+  return 1000 * Math.exp(16.6536 - 4030.183 / (tempC + 235));
+}
+
+export function humidityRatioFromVapourPressure(vapourPressurePa, pressurePa = STANDARD_ATMOSPHERIC_PRESSURE_PA) {
+  const pv = Math.max(0, Math.min(vapourPressurePa, pressurePa * 0.99));
+  return (0.622 * pv) / (pressurePa - pv);
+}
+
+export function vapourPressureFromHumidityRatio(humidityRatio, pressurePa = STANDARD_ATMOSPHERIC_PRESSURE_PA) {
+  const w = Math.max(0, humidityRatio);
+  return (w * pressurePa) / (0.622 + w);
+}
+
+export function relativeHumidityPct(tempC, humidityRatio, pressurePa = STANDARD_ATMOSPHERIC_PRESSURE_PA) {
+  const pv = vapourPressureFromHumidityRatio(humidityRatio, pressurePa);
+  return Math.max(0, Math.min(100, (100 * pv) / saturationVapourPressurePa(tempC)));
+}
+
+export function syntheticDewPointAt(date, location) {
+  const dailyMinimum = annualOutdoorPeakTemp(date, location) - (location.diurnalRange || 0);
+  return dailyMinimum - SYNTHETIC_DEW_POINT_DEPRESSION_K;
+}
+
+/**
+ * Advance the zone humidity ratio by one step. Ventilation exchanges moisture with
+ * outdoor air and latent gains add vapour; the step is solved exactly so high
+ * purge rates stay stable at hourly resolution.
+ * @param {number} humidityRatio - Indoor humidity ratio at the start of the step (kg/kg)
+ * @param {{outdoorHumidityRatio: number, achTotal: number, volume: number, latentGainsW: number}} inputs
+ * @param {number} dtSeconds
+ * @returns {number} Indoor humidity ratio at the end of the step (kg/kg)
+ */
+export function advanceZoneHumidity(humidityRatio, inputs, dtSeconds) {
+  const { outdoorHumidityRatio, achTotal, volume, latentGainsW } = inputs;
+  const moistureCapacityKg = RHO_AIR * volume * MOISTURE_BUFFER_FACTOR;
+  const exchangeKgPerS = (RHO_AIR * volume * Math.max(0, achTotal)) / 3600;
+  const sourceKgPerS = Math.max(0, latentGainsW) / LATENT_HEAT_VAPORISATION_J_PER_KG;
+  if (exchangeKgPerS <= 1e-12) {
+    return humidityRatio + (sourceKgPerS * dtSeconds) / moistureCapacityKg;
+  }
+  const equilibrium = outdoorHumidityRatio + sourceKgPerS / exchangeKgPerS;
+  const decay = Math.exp((-exchangeKgPerS * dtSeconds) / moistureCapacityKg);
+  return equilibrium + (humidityRatio - equilibrium) * decay;
+}
+
+/**
+ * ISO 7730 predicted mean vote and predicted percentage dissatisfied.
+ * @param {{airTempC: number, meanRadiantTempC?: number, airSpeedMS?: number, vapourPressurePa: number, clo?: number, met?: number}} inputs
+ * @returns {{pmv: number, ppd: number}}
+ */
+export function calculatePmvPpd({
+  airTempC,
+  meanRadiantTempC = airTempC,
+  airSpeedMS = PMV_DEFAULTS.airSpeedMS,
+  vapourPressurePa,
+  clo = PMV_DEFAULTS.clo,
+  met = PMV_DEFAULTS.met,
+}) {
+  const ta = airTempC;
+  const tr = meanRadiantTempC;
+  const pa = Math.max(0, vapourPressurePa);
+  const icl = 0.155 * Math.max(0, clo);
+  const m = Math.max(0, met) * 58.15;
+  const mw = m;
+  const fcl = icl <= 0.078 ? 1 + 1.29 * icl : 1.05 + 0.645 * icl;
+  const hcf = 12.1 * Math.sqrt(Math.max(0, airSpeedMS));
+  // The ISO 7730 reference procedure (and its 308.7 K skin constant) uses 273, not 273.15.
+  const taa = ta + 273;
+  const tra = tr + 273;
+
+  // Iterate for clothing surface temperature
+  const p1 = icl * fcl;
+  const p2 = p1 * 3.96;
+  const p3 = p1 * 100;
+  const p4 = p1 * taa;
+  const p5 = 308.7 - 0.028 * mw + p2 * Math.pow(tra / 100, 4);
+  const tclGuess = taa + (35.5 - ta) / (3.5 * icl + 0.1);
+  let xn = tclGuess / 100;
+  let xf = xn;
+  let hc = hcf;
+  for (let n = 0; n < 150; n++) {
+    xf = (xf + xn) / 2;
+    const hcn = 2.38 * Math.pow(Math.abs(100 * xf - taa), 0.25);
+    hc = Math.max(hcf, hcn);
+    xn = (p5 + p4 * hc - p2 * Math.pow(xf, 4)) / (100 + p3 * hc);
+    if (Math.abs(xn - xf) <= 0.00015) break;
+  }
+  const tcl = 100 * xn - 273;
+
+  const skinDiffusion = 3.05e-3 * (5733 - 6.99 * mw - pa);
+  const sweating = mw > 58.15 ? 0.42 * (mw - 58.15) : 0;
+  const latentRespiration = 1.7e-5 * m * (5867 - pa);
+  const dryRespiration = 0.0014 * m * (34 - ta);
+  const radiation = 3.96 * fcl * (Math.pow(xn, 4) - Math.pow(tra / 100, 4));
+  const convection = fcl * hc * (tcl - ta);
+  const ts = 0.303 * Math.exp(-0.036 * m) + 0.028;
+  const pmv =
+    ts * (mw - skinDiffusion - sweating - latentRespiration - dryRespiration - radiation - convection);
+  const ppd = 100 - 95 * Math.exp(-0.03353 * Math.pow(pmv, 4) - 0.2179 * Math.pow(pmv, 2));
+  return { pmv, ppd };
+}
+
+export function pmvSensationLabel(pmv) {
+  if (!Number.isFinite(pmv)) return "—";
+  return PMV_SENSATION_LABELS.find((entry) => pmv < entry.max)?.label ?? "Hot";
+}
+
+export function outdoorHumidityForcing(forcing, elevationM) {
+  const pressurePa = Number.isFinite(forcing.pressurePa)
+    ? forcing.pressurePa
+    : atmosphericPressureAtElevation(elevationM);
+  const saturationPa = saturationVapourPressurePa(forcing.T_out);
+  const vapourPressurePa = Number.isFinite(forcing.dewPointC)
+    ? saturationVapourPressurePa(Math.min(forcing.dewPointC, forcing.T_out))
+    : ((Number.isFinite(forcing.relHumidityPct) ? forcing.relHumidityPct : 70) / 100) * saturationPa;
+  const humidityRatio = humidityRatioFromVapourPressure(vapourPressurePa, pressurePa);
+  return {
+    ...forcing,
+    pressurePa,
+    humidityRatio,
+    relHumidityPct: relativeHumidityPct(forcing.T_out, humidityRatio, pressurePa),
+  };
+}
+
+export function zoneComfortIndices({
+  airTempC,
+  meanRadiantTempC = airTempC,
+  humidityRatio,
+  pressurePa = STANDARD_ATMOSPHERIC_PRESSURE_PA,
+  pmvInputs = PMV_DEFAULTS,
+}) {
+  const { pmv, ppd } = calculatePmvPpd({
+    airTempC,
+    meanRadiantTempC,
+    vapourPressurePa: vapourPressureFromHumidityRatio(humidityRatio, pressurePa),
+    clo: pmvInputs.clo,
+    met: pmvInputs.met,
+    airSpeedMS: pmvInputs.airSpeedMS,
+  });
+  return {
+    RH_in: relativeHumidityPct(airTempC, humidityRatio, pressurePa),
+    pmv,
+    ppd,
+  };
+}
+
+/* -------------------- Indoor air quality (CO2) -------------------- */
+export const OUTDOOR_CO2_PPM = 420;
+// Adult CO2 output per met of activity (ASHRAE 62.1 Appendix C; 0.0052 L/s at 1.2 met)
+export const CO2_GENERATION_LS_PER_MET = 0.0043;
+// Thresholds commonly used for "ventilate more" (1000 ppm) and poor air (1500 ppm)
+export const CO2_THRESHOLDS_PPM = [1000, 1500];
+
+export function occupantCo2LitresPerS(people, activityMet = DEFAULT_OCCUPANT_ACTIVITY_MET) {
+  const met = Number.isFinite(activityMet) && activityMet > 0 ? activityMet : DEFAULT_OCCUPANT_ACTIVITY_MET;
+  return Math.max(0, people) * met * CO2_GENERATION_LS_PER_MET;
+}
+
+/**
+ * Advance the zone CO2 concentration by one step. Ventilation exchanges the room air
+ * with outdoor air and occupants add CO2; solved exactly like the humidity balance.
+ * @param {number} co2Ppm - Indoor CO2 at the start of the step (ppm)
+ * @param {{outdoorCo2Ppm: number, achTotal: number, volume: number, co2LitresPerS: number}} inputs
+ * @param {number} dtSeconds
+ * @returns {number} Indoor CO2 at the end of the step (ppm)
+ */
+export function advanceZoneCo2(co2Ppm, inputs, dtSeconds) {
+  const { outdoorCo2Ppm, achTotal, volume, co2LitresPerS } = inputs;
+  const volumeL = volume * 1000;
+  const sourcePpmLitresPerS = Math.max(0, co2LitresPerS) * 1e6;
+  const exchangeLitresPerS = (volumeL * Math.max(0, achTotal)) / 3600;
+  if (exchangeLitresPerS <= 1e-9) {
+    return co2Ppm + (sourcePpmLitresPerS * dtSeconds) / volumeL;
+  }
+  const equilibrium = outdoorCo2Ppm + sourcePpmLitresPerS / exchangeLitresPerS;
+  const decay = Math.exp((-exchangeLitresPerS * dtSeconds) / volumeL);
+  return equilibrium + (co2Ppm - equilibrium) * decay;
+}
+
+/* -------------------- Surface temperatures + operative temperature -------------------- */
+
+// Internal surface resistances (ISO 6946): horizontal, upward and downward heat flow.
+export const INTERNAL_SURFACE_RESISTANCE_M2K_PER_W = {
+  wall: 0.13,
+  window: 0.13,
+  roof: 0.1,
+  floor: 0.17,
+};
+// Solar absorbed in a double-glazed unit, and the share of it released to the room side
+export const GLAZING_SOLAR_ABSORPTANCE = 0.15;
+export const GLAZING_INWARD_ABSORBED_FRACTION = 0.5;
+
+export const COMFORT_TEMPERATURE_MODES = {
+  air: {
+    label: "Air",
+    detail: "Classify comfort on indoor air temperature.",
+  },
+  operative: {
+    label: "Operative",
+    detail: "Blend air and mean radiant temperature, so cold or sunlit glass counts.",
+  },
+};
+export const COMFORT_TEMPERATURE_MODE_ORDER = ["air", "operative"];
+export const DEFAULT_COMFORT_TEMPERATURE_MODE = "air";
+
+export function comfortTemperatureKey(mode) {
+  return mode === "operative" ? "T_op" : "T_in";
+}
+
+/**
+ * Steady-state internal surface temperatures for each envelope element, from its
+ * U-value and the indoor/outdoor difference, plus the area-weighted mean radiant
+ * temperature seen from the middle of the room.
+ * @param {object} snapshot - Result of computeSnapshot for the step
+ * @param {{airTempC: number, outdoorTempC: number, massTempC?: number}} temps
+ *   massTempC (2R2C only) replaces air as the indoor reference for opaque elements.
+ */
+export function estimateSurfaceTemperatures(snapshot, { airTempC, outdoorTempC, massTempC }) {
+  const opaqueReferenceC = Number.isFinite(massTempC) ? massTempC : airTempC;
+  const uValueOf = (ua, areaM2) => (areaM2 > 1e-6 ? ua / areaM2 : 0);
+  const surfaceTemp = (referenceC, uValue, resistance, boundaryC = outdoorTempC) =>
+    referenceC - uValue * resistance * (referenceC - boundaryC);
+  const sunHeating = (incidentWPerM2, resistance) =>
+    GLAZING_SOLAR_ABSORPTANCE * GLAZING_INWARD_ABSORBED_FRACTION * Math.max(0, incidentWPerM2) * resistance;
+
+  const ua = snapshot.UA_components;
+  const windowU = uValueOf(ua.windows, snapshot.A_window_total);
+  const coldGlassC = surfaceTemp(airTempC, windowU, INTERNAL_SURFACE_RESISTANCE_M2K_PER_W.window);
+
+  const surfaces = [
+    {
+      id: "walls",
+      areaM2: snapshot.A_opaque,
+      tempC: surfaceTemp(
+        opaqueReferenceC,
+        uValueOf(ua.walls, snapshot.A_opaque),
+        INTERNAL_SURFACE_RESISTANCE_M2K_PER_W.wall,
+      ),
+    },
+    {
+      id: "roof",
+      areaM2: snapshot.A_roof,
+      tempC: surfaceTemp(
+        opaqueReferenceC,
+        uValueOf(ua.roof, snapshot.A_roof),
+        INTERNAL_SURFACE_RESISTANCE_M2K_PER_W.roof,
+      ),
+    },
+    {
+      id: "floor",
+      areaM2: snapshot.A_floor,
+      tempC: surfaceTemp(
+        opaqueReferenceC,
+        uValueOf(ua.floor, snapshot.A_floor),
+        INTERNAL_SURFACE_RESISTANCE_M2K_PER_W.floor,
+        Number.isFinite(snapshot.T_ground) ? snapshot.T_ground : outdoorTempC,
+      ),
+    },
+  ];
+
+  let glazingByFaceAreaM2 = 0;
+  FACES.forEach(({ id }) => {
+    const areaM2 = snapshot.A_window_byFace?.[id] ?? 0;
+    if (areaM2 <= 1e-6) return;
+    glazingByFaceAreaM2 += areaM2;
+    const incidentWPerM2 = (snapshot.Q_incident_byFace?.[id] ?? 0) / areaM2;
+    surfaces.push({
+      id: `window-${id}`,
+      areaM2,
+      tempC: coldGlassC + sunHeating(incidentWPerM2, INTERNAL_SURFACE_RESISTANCE_M2K_PER_W.window),
+    });
+  });
+  const otherGlazingAreaM2 = snapshot.A_window_total - glazingByFaceAreaM2;
+  if (otherGlazingAreaM2 > 1e-6) {
+    surfaces.push({ id: "window-other", areaM2: otherGlazingAreaM2, tempC: coldGlassC });
+  }
+
+  if (snapshot.A_rooflight > 1e-6) {
+    surfaces.push({
+      id: "rooflight",
+      areaM2: snapshot.A_rooflight,
+      tempC:
+        surfaceTemp(
+          airTempC,
+          uValueOf(ua.rooflight, snapshot.A_rooflight),
+          INTERNAL_SURFACE_RESISTANCE_M2K_PER_W.roof,
+        ) + sunHeating(snapshot.I_rooflight, INTERNAL_SURFACE_RESISTANCE_M2K_PER_W.roof),
+    });
+  }
+
+  const totals = surfaces.reduce(
+    (acc, surface) => {
+      const areaM2 = Math.max(0, surface.areaM2);
+      acc.area += areaM2;
+      acc.weighted += areaM2 * surface.tempC;
+      return acc;
+    },
+    { area: 0, weighted: 0 },
+  );
+  return {
+    surfaces,
+    meanRadiantTempC: totals.area > 1e-6 ? totals.weighted / totals.area : airTempC,
+  };
+}
+
+/**
+ * Operative temperature (ISO 7726): air and mean radiant temperature weighted
+ * by air speed (0.5/0.5 in still air).
+ */
+export function operativeTemperature(airTempC, meanRadiantTempC, airSpeedMS = PMV_DEFAULTS.airSpeedMS) {
+  const airWeight = airSpeedMS < 0.2 ? 0.5 : airSpeedMS < 0.6 ? 0.6 : 0.7;
+  return airWeight * airTempC + (1 - airWeight) * meanRadiantTempC;
+}
+
+/* -------------------- Adaptive comfort (EN 16798-1 / CIBSE TM52) -------------------- */
+// Comfort temperature: T_c = 0.33 * T_rm + 18.8, with category offsets from EN 16798-1 Annex B
+export const ADAPTIVE_COMFORT_CATEGORIES = {
+  I: {
+    label: "Category I",
+    detail: "High expectation: sensitive or fragile occupants.",
+    upperOffsetK: 2,
+    lowerOffsetK: 3,
+  },
+  II: {
+    label: "Category II",
+    detail: "Normal expectation: new buildings and refurbishments.",
+    upperOffsetK: 3,
+    lowerOffsetK: 4,
+  },
+  III: {
+    label: "Category III",
+    detail: "Moderate expectation: existing buildings.",
+    upperOffsetK: 4,
+    lowerOffsetK: 5,
+  },
+};
+export const ADAPTIVE_COMFORT_CATEGORY_ORDER = ["I", "II", "III"];
+export const ADAPTIVE_COMFORT_CONFIG = {
+  slope: 0.33,
+  intercept: 18.8,
+  runningMeanAlpha: 0.8,
+  upperRunningMeanRange: { min: 10, max: 30 },
+  lowerRunningMeanRange: { min: 15, max: 30 },
+  occupiedHours: { start: 9, end: 18 },
+};
+// TM52 assesses occupied hours from May to September against the Category II upper limit
+export const TM52_CONFIG = {
+  category: "II",
+  seasonMonths: { start: 4, end: 8 },
+  maxExceedancePercent: 3,
+  maxDailyWeightedExceedance: 6,
+  maxDeltaK: 4,
+};
+
+/**
+ * Exponentially weighted running mean of daily mean outdoor temperature.
+ * T_rm(d) = (1 - alpha) * T_od(d - 1) + alpha * T_rm(d - 1). The typical year is
+ * treated as cyclic, so one warm-up lap seeds 1 January from the preceding December.
+ * @param {number[]} hourlyOutdoorTemps - 8760 hourly outdoor temperatures (°C)
+ * @param {number} [alpha]
+ * @returns {number[]} Running mean for each day of the year (°C)
+ */
+export function computeRunningMeanOutdoorTemps(
+  hourlyOutdoorTemps,
+  alpha = ADAPTIVE_COMFORT_CONFIG.runningMeanAlpha,
+) {
+  const dayCount = Math.floor(hourlyOutdoorTemps.length / 24);
+  if (dayCount === 0) return [];
+  const dailyMeans = Array.from({ length: dayCount }, (_, day) => {
+    let sum = 0;
+    for (let h = 0; h < 24; h++) sum += hourlyOutdoorTemps[day * 24 + h];
+    return sum / 24;
+  });
+
+  let runningMean = dailyMeans.reduce((acc, value) => acc + value, 0) / dayCount;
+  const runningMeans = new Array(dayCount);
+  for (let lap = 0; lap < 2; lap++) {
+    for (let day = 0; day < dayCount; day++) {
+      const previousDailyMean = dailyMeans[(day - 1 + dayCount) % dayCount];
+      runningMean = (1 - alpha) * previousDailyMean + alpha * runningMean;
+      if (lap === 1) runningMeans[day] = runningMean;
+    }
+  }
+  return runningMeans;
+}
+
+export function adaptiveComfortLimits(runningMeanC, categoryId = TM52_CONFIG.category) {
+  const category =
+    ADAPTIVE_COMFORT_CATEGORIES[categoryId] ?? ADAPTIVE_COMFORT_CATEGORIES[TM52_CONFIG.category];
+  const { slope, intercept, upperRunningMeanRange, lowerRunningMeanRange } = ADAPTIVE_COMFORT_CONFIG;
+  // Outside the validity range the limits are held at the nearest boundary value
+  const clamp = (value, range) => Math.max(range.min, Math.min(range.max, value));
+  const comfortC = slope * runningMeanC + intercept;
+  return {
+    comfortC,
+    upperC: slope * clamp(runningMeanC, upperRunningMeanRange) + intercept + category.upperOffsetK,
+    lowerC: slope * clamp(runningMeanC, lowerRunningMeanRange) + intercept - category.lowerOffsetK,
+  };
+}
+
+export function isAdaptiveOccupiedHour(hourOfDay, occupiedHours = ADAPTIVE_COMFORT_CONFIG.occupiedHours) {
+  return hourOfDay >= occupiedHours.start && hourOfDay < occupiedHours.end;
+}
+
+/**
+ * Adaptive comfort categories and the three CIBSE TM52 overheating criteria.
+ * @param {{hour: number, time: Date, T_in: number}[]} records - Hourly annual records
+ * @param {number[]} runningMeans - Daily running mean outdoor temperature (°C)
+ * @param {{isOccupied?: (record: object) => boolean, temperatureKey?: string}} [options]
+ */
+export function assessAdaptiveComfort(records, runningMeans, options = {}) {
+  const isOccupied =
+    options.isOccupied ?? ((record) => isAdaptiveOccupiedHour(record.time.getUTCHours()));
+  const temperatureKey = options.temperatureKey ?? "T_in";
+  const categories = Object.fromEntries(
+    ADAPTIVE_COMFORT_CATEGORY_ORDER.map((id) => [
+      id,
+      { hoursWithin: 0, hoursAbove: 0, hoursBelow: 0, percentWithin: 0 },
+    ]),
+  );
+  let occupiedHours = 0;
+  let seasonHours = 0;
+  let exceedanceHours = 0;
+  let upperLimitHours = 0;
+  let maxDeltaK = -Infinity;
+  const dailyWeighted = new Map();
+  const daily = [];
+
+  records.forEach((record) => {
+    const day = Math.floor(record.hour / 24);
+    const runningMeanC = runningMeans[day] ?? runningMeans[runningMeans.length - 1];
+    const temperature = record[temperatureKey];
+    const tm52Limits = adaptiveComfortLimits(runningMeanC, TM52_CONFIG.category);
+
+    if (!daily[day]) {
+      daily[day] = {
+        day,
+        dateLabel: formatMonthDay(record.time),
+        runningMeanC,
+        upperC: tm52Limits.upperC,
+        lowerC: tm52Limits.lowerC,
+        maxIndoorC: -Infinity,
+        minIndoorC: Infinity,
+      };
+    }
+    daily[day].maxIndoorC = Math.max(daily[day].maxIndoorC, temperature);
+    daily[day].minIndoorC = Math.min(daily[day].minIndoorC, temperature);
+
+    if (!isOccupied(record)) return;
+    occupiedHours += 1;
+    ADAPTIVE_COMFORT_CATEGORY_ORDER.forEach((id) => {
+      const { upperC, lowerC } = adaptiveComfortLimits(runningMeanC, id);
+      const tally = categories[id];
+      if (temperature > upperC) tally.hoursAbove += 1;
+      else if (temperature < lowerC) tally.hoursBelow += 1;
+      else tally.hoursWithin += 1;
+    });
+
+    const month = record.time.getUTCMonth();
+    if (month < TM52_CONFIG.seasonMonths.start || month > TM52_CONFIG.seasonMonths.end) return;
+    seasonHours += 1;
+    // TM52 rounds the exceedance to the nearest whole kelvin
+    const deltaK = Math.round(temperature - tm52Limits.upperC);
+    maxDeltaK = Math.max(maxDeltaK, deltaK);
+    if (deltaK >= 1) {
+      exceedanceHours += 1;
+      dailyWeighted.set(day, (dailyWeighted.get(day) ?? 0) + deltaK);
+    }
+    if (deltaK > TM52_CONFIG.maxDeltaK) upperLimitHours += 1;
+  });
+
+  ADAPTIVE_COMFORT_CATEGORY_ORDER.forEach((id) => {
+    categories[id].percentWithin = occupiedHours > 0
+      ? (categories[id].hoursWithin / occupiedHours) * 100
+      : 0;
+  });
+
+  let worstDay = null;
+  let maxDailyWeighted = 0;
+  dailyWeighted.forEach((weight, day) => {
+    if (weight > maxDailyWeighted) {
+      maxDailyWeighted = weight;
+      worstDay = day;
+    }
+  });
+
+  const exceedancePercent = seasonHours > 0 ? (exceedanceHours / seasonHours) * 100 : 0;
+  const criterion1 = {
+    hours: exceedanceHours,
+    percent: exceedancePercent,
+    pass: exceedancePercent <= TM52_CONFIG.maxExceedancePercent,
+  };
+  const criterion2 = {
+    maxDailyWeighted,
+    worstDayLabel: worstDay === null ? null : formatMonthDay(dateFromTypicalYearHour(worstDay * 24)),
+    pass: maxDailyWeighted <= TM52_CONFIG.maxDailyWeightedExceedance,
+  };
+  const criterion3 = {
+    hours: upperLimitHours,
+    maxDeltaK: Number.isFinite(maxDeltaK) ? maxDeltaK : 0,
+    pass: upperLimitHours === 0,
+  };
+  const failedCount = [criterion1, criterion2, criterion3].filter((criterion) => !criterion.pass).length;
+
+  return {
+    occupiedHours,
+    categories,
+    daily: daily.filter(Boolean),
+    tm52: {
+      category: TM52_CONFIG.category,
+      assessedHours: seasonHours,
+      criterion1,
+      criterion2,
+      criterion3,
+      failedCount,
+      // A space fails TM52 when any two of the three criteria fail
+      pass: failedCount < 2,
+    },
+  };
+}
+
+/* -------------------- CIBSE TM59 overheating (homes) -------------------- */
+export const TM59_PERSON_SENSIBLE_W = 75;
+export const TM59_LIGHTING_W_PER_M2 = 2;
+export const TM59_LIGHTING_HOURS = { start: 18, end: 23 };
+// TM59 criterion (b) counts sleeping hours to 07:00, an hour past the general NIGHT_END_HOUR;
+// the night starts at NIGHT_START_HOUR as elsewhere
+export const TM59_NIGHT_END_HOUR = 7;
+export const TM59_BEDROOM_NIGHT_LIMIT_C = 26;
+export const TM59_BEDROOM_NIGHT_MAX_PERCENT = 1;
+// Occupancy and equipment profiles follow TM59 Tables 2-3 (windows wrap past midnight)
+export const TM59_ROOM_TYPES = {
+  living: {
+    label: "Living room / kitchen",
+    detail: "Two occupants 09:00-22:00, cooking peak 18:00-19:00. Assessed on criterion (a).",
+    occupiedHours: { start: 9, end: 22 },
+    occupancy: [{ start: 9, end: 22, people: 2, gainFactor: 1 }],
+    equipment: {
+      baseW: 110,
+      periods: [
+        { start: 18, end: 19, watts: 450 },
+        { start: 20, end: 22, watts: 200 },
+      ],
+    },
+    checksNightCriterion: false,
+  },
+  bedroom: {
+    label: "Double bedroom",
+    detail: "Two sleepers at 70% gains 23:00-08:00, one occupant by day. Assessed on criteria (a) and (b).",
+    occupiedHours: { start: 0, end: 24 },
+    occupancy: [
+      { start: 23, end: 8, people: 2, gainFactor: 0.7 },
+      { start: 22, end: 23, people: 2, gainFactor: 1 },
+      { start: 8, end: 9, people: 2, gainFactor: 1 },
+      { start: 9, end: 22, people: 1, gainFactor: 1 },
+    ],
+    equipment: {
+      baseW: 10,
+      periods: [{ start: 8, end: 23, watts: 80 }],
+    },
+    checksNightCriterion: true,
+  },
+};
+export const TM59_ROOM_TYPE_ORDER = ["living", "bedroom"];
+export const DEFAULT_TM59_ROOM_TYPE = "bedroom";
+
+export function isHourInWindow(hour, start, end) {
+  if (start === end) return false;
+  if (end - start >= 24) return true;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+export function isTM59NightHour(hour) {
+  return hour >= NIGHT_START_HOUR || hour < TM59_NIGHT_END_HOUR;
+}
+
+export function tm59InternalGainsW(roomTypeId, hourOfDay, floorAreaM2) {
+  const roomType = TM59_ROOM_TYPES[roomTypeId] ?? TM59_ROOM_TYPES[DEFAULT_TM59_ROOM_TYPE];
+  const occupantW = roomType.occupancy.reduce(
+    (acc, period) =>
+      isHourInWindow(hourOfDay, period.start, period.end)
+        ? acc + period.people * TM59_PERSON_SENSIBLE_W * period.gainFactor
+        : acc,
+    0,
+  );
+  const equipmentPeriod = roomType.equipment.periods.find((period) =>
+    isHourInWindow(hourOfDay, period.start, period.end),
+  );
+  const equipmentW = equipmentPeriod ? equipmentPeriod.watts : roomType.equipment.baseW;
+  const lightingW = isHourInWindow(hourOfDay, TM59_LIGHTING_HOURS.start, TM59_LIGHTING_HOURS.end)
+    ? TM59_LIGHTING_W_PER_M2 * Math.max(0, floorAreaM2)
+    : 0;
+  return occupantW + equipmentW + lightingW;
+}
+
+export function tm59LatentGainsW(roomTypeId, hourOfDay) {
+  const roomType = TM59_ROOM_TYPES[roomTypeId] ?? TM59_ROOM_TYPES[DEFAULT_TM59_ROOM_TYPE];
+  return roomType.occupancy.reduce(
+    (acc, period) =>
+      isHourInWindow(hourOfDay, period.start, period.end)
+        ? acc + period.people * OCCUPANT_LATENT_W * period.gainFactor
+        : acc,
+    0,
+  );
+}
+
+/**
+ * TM59 criteria for a home: (a) TM52 hours of exceedance over the room's occupied
+ * hours (May-September), and for bedrooms (b) no more than 1% of annual night
+ * hours (22:00-07:00) above 26 °C.
+ * @param {{hour: number, time: Date, T_in: number}[]} records - Hourly annual records
+ * @param {number[]} runningMeans - Daily running mean outdoor temperature (°C)
+ * @param {string} roomTypeId
+ * @param {{temperatureKey?: string}} [options]
+ */
+export function assessTM59(records, runningMeans, roomTypeId, options = {}) {
+  const roomType = TM59_ROOM_TYPES[roomTypeId] ?? TM59_ROOM_TYPES[DEFAULT_TM59_ROOM_TYPE];
+  const temperatureKey = options.temperatureKey ?? "T_in";
+  const { occupiedHours } = roomType;
+  const adaptive = assessAdaptiveComfort(records, runningMeans, {
+    temperatureKey,
+    isOccupied: (record) =>
+      isHourInWindow(record.time.getUTCHours(), occupiedHours.start, occupiedHours.end),
+  });
+  const criterionA = {
+    ...adaptive.tm52.criterion1,
+    assessedHours: adaptive.tm52.assessedHours,
+    maxPercent: TM52_CONFIG.maxExceedancePercent,
+  };
+
+  let criterionB = null;
+  if (roomType.checksNightCriterion) {
+    let nightHours = 0;
+    let hoursAbove = 0;
+    records.forEach((record) => {
+      if (!isTM59NightHour(record.time.getUTCHours())) return;
+      nightHours += 1;
+      if (record[temperatureKey] > TM59_BEDROOM_NIGHT_LIMIT_C) hoursAbove += 1;
+    });
+    const maxHours = Math.floor((nightHours * TM59_BEDROOM_NIGHT_MAX_PERCENT) / 100);
+    criterionB = {
+      nightHours,
+      hoursAbove,
+      maxHours,
+      percent: nightHours > 0 ? (hoursAbove / nightHours) * 100 : 0,
+      pass: hoursAbove <= maxHours,
+    };
+  }
+
+  return {
+    roomTypeId: TM59_ROOM_TYPES[roomTypeId] ? roomTypeId : DEFAULT_TM59_ROOM_TYPE,
+    criterionA,
+    criterionB,
+    pass: criterionA.pass && (criterionB ? criterionB.pass : true),
+  };
+}
+
+/* -------------------- Constructions (ISO 6946 / ISO 13786) -------------------- */
+
+function layerResistance(layer) {
+  const material = MATERIALS[layer?.material];
+  if (!material) return 0;
+  if (Number.isFinite(material.resistance)) return material.resistance;
+  return Math.max(0, layer.thicknessM || 0) / material.conductivity;
+}
+
+/** BS EN ISO 6946 U-value of homogeneous layers between the element's surface resistances. */
+export function constructionUValue(elementId, layers = []) {
+  const element = CONSTRUCTION_ELEMENTS[elementId] ?? CONSTRUCTION_ELEMENTS.wall;
+  const resistance = layers.reduce(
+    (acc, layer) => acc + layerResistance(layer),
+    element.surfaceResistanceInside + element.surfaceResistanceOutside,
+  );
+  return 1 / resistance;
+}
+
+export function constructionUValues(constructions) {
+  return Object.fromEntries(
+    CONSTRUCTION_ELEMENT_ORDER.map((elementId) => [elementId, constructionUValue(elementId, constructions[elementId])]),
+  );
+}
+
+/**
+ * Areal heat capacity kappa (J/m²K) seen from the room, by the ISO 13786 Annex A
+ * simplified method used in SAP: layers are summed from the room side until
+ * 100 mm, the first insulating layer or air cavity, or half the element thickness.
+ */
+export function constructionArealHeatCapacity(layers = []) {
+  const totalThicknessM = layers.reduce((acc, layer) => acc + Math.max(0, layer.thicknessM || 0), 0);
+  const limitM = Math.min(KAPPA_MAX_DEPTH_M, totalThicknessM / 2);
+  let depthM = 0;
+  let kappa = 0;
+  for (const layer of [...layers].reverse()) {
+    const material = MATERIALS[layer.material];
+    if (!material) continue;
+    if (Number.isFinite(material.resistance) || material.conductivity < INSULATION_CONDUCTIVITY_LIMIT) break;
+    const takenM = Math.min(Math.max(0, layer.thicknessM || 0), limitM - depthM);
+    kappa += material.density * material.specificHeat * takenM;
+    depthM += takenM;
+    if (depthM >= limitM - 1e-9) break;
+  }
+  return kappa;
+}
+
+function constructionPreset({ constructions, glazing, ...preset }) {
+  return {
+    ...preset,
+    constructions,
+    glazing,
+    values: { ...constructionUValues(constructions), window: resolveGlazingProduct(glazing).uValue },
+  };
+}
+
+export function cloneConstructions(constructions) {
+  return Object.fromEntries(
+    CONSTRUCTION_ELEMENT_ORDER.map((elementId) => [
+      elementId,
+      (constructions[elementId] ?? []).map((layer) => ({ ...layer })),
+    ]),
+  );
+}
+
+/**
+ * Thermal capacitance from the exposed internal layers. Mass capacitance is
+ * the sum of kappa × area over the net walls, roof and floor; the effective
+ * mass area follows ISO 13790 (C_m² / Σ A kappa²) and sets the 2R2C surface
+ * coupling. The 1R1C node lumps the mass with the room air and furnishings.
+ */
+export function resolveConstructionMass(constructions, dimensions = {}, windows = [], rooflightAreaM2 = 0) {
+  const width = Number.isFinite(dimensions.width) ? dimensions.width : BUILDING_WIDTH;
+  const depth = Number.isFinite(dimensions.depth) ? dimensions.depth : BUILDING_DEPTH;
+  const height = Number.isFinite(dimensions.height) ? dimensions.height : BUILDING_HEIGHT;
+  const floorAreaM2 = width * depth;
+  const windowAreaM2 = (windows || []).reduce((acc, w) => acc + Math.max(0, w.w * w.h), 0);
+  const areasM2 = {
+    wall: Math.max(0, 2 * (width + depth) * height - windowAreaM2),
+    roof: Math.max(0, floorAreaM2 - Math.max(0, rooflightAreaM2)),
+    floor: floorAreaM2,
+  };
+  const kappa = Object.fromEntries(
+    CONSTRUCTION_ELEMENT_ORDER.map((elementId) => [
+      elementId,
+      constructionArealHeatCapacity(constructions[elementId]),
+    ]),
+  );
+  let massCapacitance = 0;
+  let kappaSquaredArea = 0;
+  let totalAreaM2 = 0;
+  CONSTRUCTION_ELEMENT_ORDER.forEach((elementId) => {
+    massCapacitance += kappa[elementId] * areasM2[elementId];
+    kappaSquaredArea += kappa[elementId] ** 2 * areasM2[elementId];
+    totalAreaM2 += areasM2[elementId];
+  });
+  // With no exposed mass the surfaces still couple the (empty) mass node to the air
+  const effectiveMassAreaM2 = kappaSquaredArea > 0 ? massCapacitance ** 2 / kappaSquaredArea : totalAreaM2;
+  const airCapacitance = RHO_AIR * CP_AIR * floorAreaM2 * height + AIR_NODE_FURNISHING_J_PER_M2K * floorAreaM2;
+  return {
+    kappa,
+    areasM2,
+    massCapacitance,
+    effectiveMassAreaM2,
+    surfaceCoupling: SURFACE_COUPLING_W_PER_M2K * effectiveMassAreaM2,
+    airCapacitance,
+    lumpedCapacitance: massCapacitance + airCapacitance,
+  };
+}
+
+/* -------------------- Glazing products -------------------- */
+
+/**
+ * Whole-window values for a glazing product: Uw area-weights Ug and Uf, and the
+ * frame blocks its share of solar gain and daylight.
+ */
+export function resolveGlazingProduct(productId) {
+  const id = GLAZING_PRODUCTS[productId] ? productId : DEFAULT_GLAZING_PRODUCT;
+  const product = GLAZING_PRODUCTS[id];
+  const glassFraction = 1 - GLAZING_FRAME_FRACTION;
+  return {
+    id,
+    ...product,
+    uValue: glassFraction * product.ug + GLAZING_FRAME_FRACTION * product.uf,
+    gValue: glassFraction * product.g,
+    visibleTransmittance: glassFraction * product.vlt,
+  };
+}
+
+/** Glazing product ids for every face and the rooflight, all set to one product. */
+export function uniformGlazingProducts(productId) {
+  return Object.fromEntries(GLAZING_TARGETS.map((target) => [target, productId]));
+}
+
+/* -------------------- Blinds (moveable shading) -------------------- */
+// Shading coefficient: share of the window's solar gain still admitted with the blind
+// down (Fc factors as in BS EN ISO 52016-1 / SAP Table 6c). Internal blinds keep the
+// heat they absorb in the room, so they admit more than external ones.
+export const BLIND_TYPES = {
+  none: { label: "None", position: null, shadingCoefficient: 1, lightTransmittance: 1 },
+  internalRoller: {
+    label: "Internal roller",
+    position: "internal",
+    shadingCoefficient: 0.6,
+    lightTransmittance: 0.1,
+    detail: "Light-coloured fabric on the room side of the glass.",
+  },
+  internalVenetian: {
+    label: "Internal venetian",
+    position: "internal",
+    shadingCoefficient: 0.75,
+    lightTransmittance: 0.25,
+    detail: "Room-side slats at 45°, letting some light past.",
+  },
+  externalVenetian: {
+    label: "External venetian",
+    position: "external",
+    shadingCoefficient: 0.15,
+    lightTransmittance: 0.2,
+    detail: "Outside slats that stop the sun before it reaches the glass.",
+  },
+  externalScreen: {
+    label: "External screen",
+    position: "external",
+    shadingCoefficient: 0.25,
+    lightTransmittance: 0.1,
+    detail: "Outside fabric screen with a view through.",
+  },
+};
+export const BLIND_TYPE_ORDER = ["none", "internalRoller", "internalVenetian", "externalVenetian", "externalScreen"];
+export const BLIND_CONTROLS = {
+  always: { label: "Always down", detail: "Down in every step." },
+  irradiance: { label: "Sun on glass", detail: "Down while solar irradiance on the glass is above the threshold." },
+  overheating: {
+    label: "Occupied and hot",
+    detail: "Down while someone is in and the room is above the comfort band.",
+  },
+  glare: { label: "Glare", detail: "Down while someone is in and direct sun reaches the glass." },
+};
+export const BLIND_CONTROL_ORDER = ["always", "irradiance", "overheating", "glare"];
+export const DEFAULT_BLIND_CONTROL = "irradiance";
+export const BLIND_IRRADIANCE_THRESHOLD_RANGE = { min: 100, max: 600, step: 25 };
+// Reinhart's Lightswitch model lowers blinds once direct sun above 50 W/m² reaches the occupant
+export const BLIND_GLARE_BEAM_WM2 = 50;
+// shadingCoefficient null uses the blind type's value
+export const BLIND_DEFAULTS = {
+  type: "none",
+  control: DEFAULT_BLIND_CONTROL,
+  thresholdWm2: 300,
+  shadingCoefficient: null,
+};
+
+/**
+ * Blinds by face id with defaults filled in. Faces without a blind are left out,
+ * so an empty object means no blinds anywhere.
+ */
+export function resolveBlinds(settingsByFace = {}) {
+  return Object.fromEntries(
+    FACES.flatMap((face) => {
+      const settings = { ...BLIND_DEFAULTS, ...settingsByFace[face.id] };
+      const type = BLIND_TYPES[settings.type] ? settings.type : BLIND_DEFAULTS.type;
+      if (type === "none") return [];
+      const preset = BLIND_TYPES[type];
+      return [[
+        face.id,
+        {
+          type,
+          position: preset.position,
+          control: BLIND_CONTROLS[settings.control] ? settings.control : DEFAULT_BLIND_CONTROL,
+          thresholdWm2: Math.max(0, settings.thresholdWm2),
+          shadingCoefficient: Number.isFinite(settings.shadingCoefficient)
+            ? Math.max(0, Math.min(1, settings.shadingCoefficient))
+            : preset.shadingCoefficient,
+          lightTransmittance: preset.lightTransmittance,
+        },
+      ]];
+    }),
+  );
+}
+
+/**
+ * Whether a blind is down this step.
+ * @param {object} blind - A resolveBlinds entry
+ * @param {{incidentWm2: number, beamWm2: number, occupied: boolean, indoorTempC?: number, overheatingTempC: number}} conditions
+ *   Irradiance on the glass after external shading, and the room state
+ */
+export function blindDeployed(blind, { incidentWm2, beamWm2, occupied, indoorTempC, overheatingTempC }) {
+  switch (blind.control) {
+    case "always":
+      return true;
+    case "overheating":
+      return occupied && Number.isFinite(indoorTempC) && indoorTempC > overheatingTempC;
+    case "glare":
+      return occupied && beamWm2 > BLIND_GLARE_BEAM_WM2;
+    default:
+      return incidentWm2 > blind.thresholdWm2;
+  }
+}
+
+/* -------------------- Thermal bridges (psi-values) -------------------- */
+
+// Linear junctions of the room, with the SAP Appendix K reference each one follows
+export const THERMAL_BRIDGE_JUNCTIONS = {
+  lintel: { label: "Window head", reference: "E2" },
+  sill: { label: "Window sill", reference: "E3" },
+  jamb: { label: "Window jambs", reference: "E4" },
+  rooflight: { label: "Rooflight kerb", reference: "R1-R3" },
+  parapet: { label: "Roof parapet", reference: "E15" },
+  floorEdge: { label: "Floor edge", reference: "E5" },
+  corner: { label: "External corners", reference: "E16" },
+};
+export const THERMAL_BRIDGE_JUNCTION_ORDER = ["lintel", "sill", "jamb", "rooflight", "parapet", "floorEdge", "corner"];
+
+// Psi-values in W/mK. SAP Table K1 default and approved-detail values; the
+// bridge-free set is the Passivhaus 0.01 W/mK threshold.
+export const THERMAL_BRIDGE_PRESETS = {
+  default: {
+    label: "Unchecked details (SAP default)",
+    detail: "SAP Table K1 default psi-values, used when junctions have not been designed or checked.",
+    psi: { lintel: 1.0, sill: 0.08, jamb: 0.1, rooflight: 0.16, parapet: 1.12, floorEdge: 0.32, corner: 0.18 },
+  },
+  approved: {
+    label: "Approved construction details",
+    detail: "SAP Table K1 values for accredited or approved details: insulated lintels, returned reveals and a wrapped parapet.",
+    psi: { lintel: 0.3, sill: 0.04, jamb: 0.05, rooflight: 0.08, parapet: 0.56, floorEdge: 0.16, corner: 0.09 },
+  },
+  bridgeFree: {
+    label: "Thermal-bridge-free",
+    detail: "Every junction at the Passivhaus 0.01 W/mK limit, with continuous insulation around windows, parapet and floor.",
+    psi: { lintel: 0.01, sill: 0.01, jamb: 0.01, rooflight: 0.01, parapet: 0.01, floorEdge: 0.01, corner: 0.01 },
+  },
+  none: {
+    label: "Ignore thermal bridges",
+    detail: "Area × U only, as a plain elemental calculation.",
+    psi: { lintel: 0, sill: 0, jamb: 0, rooflight: 0, parapet: 0, floorEdge: 0, corner: 0 },
+  },
+};
+export const THERMAL_BRIDGE_PRESET_ORDER = ["default", "approved", "bridgeFree", "none"];
+export const DEFAULT_THERMAL_BRIDGE_PRESET = "approved";
+
+/**
+ * Junction lengths and psi × length heat loss coefficients for the room.
+ * Window heads, sills and jambs come from buildWindowsFromFaceState windows;
+ * the parapet and floor edge run round the whole perimeter and each of the four
+ * external corners is full height. rooflight is a resolveRooflightConfig result,
+ * or null when there is none.
+ */
+export function resolveThermalBridges(presetId, dimensions = {}, windows = [], rooflight = null) {
+  const preset = THERMAL_BRIDGE_PRESETS[presetId] ?? THERMAL_BRIDGE_PRESETS[DEFAULT_THERMAL_BRIDGE_PRESET];
+  const width = Number.isFinite(dimensions.width) ? dimensions.width : BUILDING_WIDTH;
+  const depth = Number.isFinite(dimensions.depth) ? dimensions.depth : BUILDING_DEPTH;
+  const height = Number.isFinite(dimensions.height) ? dimensions.height : BUILDING_HEIGHT;
+  const perimeterM = 2 * (width + depth);
+  const windowWidthM = (windows || []).reduce((acc, w) => acc + Math.max(0, w.w), 0);
+  const windowHeightM = (windows || []).reduce((acc, w) => acc + Math.max(0, w.h), 0);
+  const lengthsM = {
+    lintel: windowWidthM,
+    sill: windowWidthM,
+    jamb: 2 * windowHeightM,
+    rooflight: rooflight ? 2 * (Math.max(0, rooflight.width) + Math.max(0, rooflight.depth)) : 0,
+    parapet: perimeterM,
+    floorEdge: perimeterM,
+    corner: 4 * height,
+  };
+  const junctions = THERMAL_BRIDGE_JUNCTION_ORDER.map((id) => ({
+    id,
+    label: THERMAL_BRIDGE_JUNCTIONS[id].label,
+    reference: THERMAL_BRIDGE_JUNCTIONS[id].reference,
+    psi: preset.psi[id],
+    lengthM: lengthsM[id],
+    wPerK: preset.psi[id] * lengthsM[id],
+  }));
+  return {
+    presetId: THERMAL_BRIDGE_PRESETS[presetId] ? presetId : DEFAULT_THERMAL_BRIDGE_PRESET,
+    junctions,
+    totalWPerK: junctions.reduce((acc, junction) => acc + junction.wPerK, 0),
+  };
+}
+
+/* -------------------- Ground floor (ISO 13370) -------------------- */
+
+// Floor boundary: outdoor air (legacy), slab on ground, or suspended over the ventilated void under the lifted floor
+export const GROUND_FLOOR_MODES = {
+  exposed: {
+    label: "Exposed to air",
+    detail: "The floor U-value sees outdoor air temperature, as for a floor over an open undercroft.",
+  },
+  slab: {
+    label: "Slab on ground",
+    detail: "Ground-bearing slab. ISO 13370 ground U-value from the perimeter/area ratio, driven by the annual ground temperature wave.",
+  },
+  suspended: {
+    label: "Suspended floor",
+    detail: "Floor over a ventilated void, as drawn under the lifted model. ISO 13370 suspended-floor U-value with underfloor ventilation.",
+  },
+};
+export const GROUND_FLOOR_MODE_ORDER = ["suspended", "slab", "exposed"];
+export const DEFAULT_GROUND_FLOOR_MODE = "suspended";
+// Clay or silt (ISO 13370 category 1) and the ISO 13370 defaults for the underfloor void
+export const GROUND_PROPERTIES = {
+  conductivity: 1.5, // W/mK
+  periodicPenetrationDepthM: 2.2,
+};
+export const GROUND_FLOOR_CONFIG = {
+  wallThicknessM: 0.3,
+  surfaceResistanceInside: 0.17, // m²K/W, heat flow down
+  surfaceResistanceOutside: 0.04,
+  voidHeightM: 0.25, // matches the lift of the floor in the 3D model
+  voidWallUValue: 1.5, // W/m²K
+  ventilationOpeningsPerPerimeter: 0.003, // m²/m
+  windSpeedMS: 4,
+  windShieldingFactor: 0.05,
+  phaseLagMonths: 1,
+};
+const DAYS_PER_MONTH = DAYS_PER_YEAR / 12;
+
+function slabGroundUValue(lambda, characteristicDimensionM, equivalentThicknessM) {
+  const B = characteristicDimensionM;
+  const dt = equivalentThicknessM;
+  if (dt < B) return ((2 * lambda) / (Math.PI * B + dt)) * Math.log((Math.PI * B) / dt + 1);
+  return lambda / (0.457 * B + dt);
+}
+
+// First harmonic of a year of samples taken every `stepDays` from 1 January
+function fitAnnualWave(samples, stepDays, source) {
+  const n = samples.length;
+  const meanC = samples.reduce((acc, value) => acc + value, 0) / Math.max(1, n);
+  let cosSum = 0;
+  let sinSum = 0;
+  samples.forEach((value, index) => {
+    const angle = (2 * Math.PI * index * stepDays) / DAYS_PER_YEAR;
+    cosSum += (value - meanC) * Math.cos(angle);
+    sinSum += (value - meanC) * Math.sin(angle);
+  });
+  const amplitudeK = (2 / Math.max(1, n)) * Math.hypot(cosSum, sinSum);
+  const peakDay = ((Math.atan2(sinSum, cosSum) / (2 * Math.PI)) * DAYS_PER_YEAR + DAYS_PER_YEAR) % DAYS_PER_YEAR;
+  return {
+    source,
+    meanC,
+    amplitudeK,
+    coldestDay: (peakDay + DAYS_PER_YEAR / 2) % DAYS_PER_YEAR,
+  };
+}
+
+const temperatureWaveCache = new WeakMap();
+
+/**
+ * Annual temperature wave (mean, amplitude, coldest day) that drives the ground.
+ * Uses the EPW GROUND TEMPERATURES at the shallowest depth when the file has
+ * them (a ground boundary wave, see resolveGroundFloor), otherwise the first
+ * harmonic of the outdoor air temperature.
+ */
+export function annualTemperatureWave(weatherProvider) {
+  const dataset = weatherProvider?.mode === "epw" ? weatherProvider.dataset : null;
+  const cacheKey = dataset ?? weatherProvider?.syntheticProfile ?? SYNTHETIC_PROFILE;
+  if (temperatureWaveCache.has(cacheKey)) return temperatureWaveCache.get(cacheKey);
+
+  let wave;
+  const shallowest = dataset?.meta?.groundTemperatures?.[0];
+  if (shallowest?.monthlyC?.length === 12) {
+    // Monthly values sit at mid-month; shift the fitted phase back by half a month
+    const fitted = fitAnnualWave(shallowest.monthlyC, DAYS_PER_MONTH, "epw");
+    wave = {
+      ...fitted,
+      coldestDay: (fitted.coldestDay + DAYS_PER_MONTH / 2) % DAYS_PER_YEAR,
+      depthM: shallowest.depthM,
+    };
+  } else {
+    const provider = weatherProvider ?? { mode: "synthetic", syntheticProfile: SYNTHETIC_PROFILE };
+    const samples = [];
+    for (let day = 0; day < DAYS_PER_YEAR; day++) {
+      const dayStart = dateFromDayOfYearUTC(day + 1);
+      let sum = 0;
+      for (let hour = 0; hour < 24; hour += 3) {
+        sum += forcingAt(new Date(dayStart.getTime() + hour * 3600 * 1000), provider).T_out;
+      }
+      samples.push(sum / 8);
+    }
+    wave = fitAnnualWave(samples, 1, "air");
+  }
+  temperatureWaveCache.set(cacheKey, wave);
+  return wave;
+}
+
+/**
+ * Ground-coupled floor per ISO 13370. The steady-state ground U-value comes from
+ * the characteristic dimension B' = A / (0.5 P); the periodic external
+ * coefficient H_pe scales how much of the annual air temperature wave reaches the
+ * floor, one month late. An EPW ground temperature wave is already damped and
+ * lagged soil temperature, so it is used as the boundary as it is.
+ * Returns null for a floor exposed to outdoor air.
+ */
+export function resolveGroundFloor(mode, dimensions = {}, floorUValue, temperatureWave) {
+  if (!GROUND_FLOOR_MODES[mode] || mode === "exposed") return null;
+  const width = Number.isFinite(dimensions.width) ? dimensions.width : BUILDING_WIDTH;
+  const depth = Number.isFinite(dimensions.depth) ? dimensions.depth : BUILDING_DEPTH;
+  const areaM2 = width * depth;
+  const perimeterM = 2 * (width + depth);
+  const characteristicDimensionM = areaM2 / (0.5 * perimeterM);
+  const lambda = GROUND_PROPERTIES.conductivity;
+  const delta = GROUND_PROPERTIES.periodicPenetrationDepthM;
+  const cfg = GROUND_FLOOR_CONFIG;
+  const floorU = Math.max(0.05, floorUValue);
+
+  let uValue;
+  let periodicExternalWPerK;
+  let equivalentThicknessM;
+  let underfloorUValue = null;
+  if (mode === "slab") {
+    // Floor construction resistance is whatever the U-value leaves after the surface resistances
+    const floorResistance = Math.max(0, 1 / floorU - cfg.surfaceResistanceInside - cfg.surfaceResistanceOutside);
+    equivalentThicknessM =
+      cfg.wallThicknessM +
+      lambda * (cfg.surfaceResistanceInside + floorResistance + cfg.surfaceResistanceOutside);
+    uValue = slabGroundUValue(lambda, characteristicDimensionM, equivalentThicknessM);
+    periodicExternalWPerK = 0.37 * perimeterM * lambda * Math.log(delta / equivalentThicknessM + 1);
+  } else {
+    equivalentThicknessM =
+      cfg.wallThicknessM + lambda * (cfg.surfaceResistanceInside + cfg.surfaceResistanceOutside);
+    const groundU = slabGroundUValue(lambda, characteristicDimensionM, equivalentThicknessM);
+    underfloorUValue =
+      (2 * cfg.voidHeightM * cfg.voidWallUValue) / characteristicDimensionM +
+      (1450 * cfg.ventilationOpeningsPerPerimeter * cfg.windSpeedMS * cfg.windShieldingFactor) /
+        characteristicDimensionM;
+    uValue = 1 / (1 / floorU + 1 / (groundU + underfloorUValue));
+    periodicExternalWPerK =
+      (floorU * (0.37 * perimeterM * lambda * Math.log(delta / equivalentThicknessM + 1) + underfloorUValue * areaM2)) /
+      (lambda / delta + underfloorUValue + floorU);
+  }
+
+  const steadyWPerK = uValue * areaM2;
+  const wave = temperatureWave ?? { source: "air", meanC: 10, amplitudeK: 0, coldestDay: 15 };
+  const measuredGround = wave.source === "epw";
+  return {
+    mode,
+    areaM2,
+    perimeterM,
+    characteristicDimensionM,
+    equivalentThicknessM,
+    underfloorUValue,
+    uValue,
+    steadyWPerK,
+    periodicExternalWPerK,
+    // Share of the annual swing that reaches the floor boundary
+    periodicRatio: measuredGround ? 1 : Math.min(1, periodicExternalWPerK / Math.max(1e-6, steadyWPerK)),
+    lagDays: measuredGround ? 0 : cfg.phaseLagMonths * DAYS_PER_MONTH,
+    wave,
+  };
+}
+
+/** Temperature the floor loses heat to: the annual mean plus the damped, lagged seasonal swing. */
+export function groundFloorBoundaryTemperature(groundFloor, date) {
+  const { wave, periodicRatio, lagDays } = groundFloor;
+  const day = dayOfYearUTC(date) - 1 + (date.getUTCHours() + date.getUTCMinutes() / 60) / 24;
+  const phase = (2 * Math.PI * (day - lagDays - wave.coldestDay)) / DAYS_PER_YEAR;
+  return wave.meanC - periodicRatio * wave.amplitudeK * Math.cos(phase);
+}
+
+/* -------------------- Thermal engine -------------------- */
+export function computeSnapshot(params) {
+  const {
+    width,
+    depth,
+    height,
+    U_wall,
+    U_window,
+    U_roof,
+    U_floor,
+    windows,
+    blinds = null,
+    occupied = true,
+    blindsOverheatingTempC = COMFORT_BAND.max,
+    g_glass,
+    achTotal = ACH_INFILTRATION_DEFAULT,
+    heatRecoveryEfficiency = 0,
+    achHeatRecovered = achTotal,
+    T_out,
+    Q_internal,
+    latitude,
+    longitude,
+    dateMidday,
+    groundAlbedo,
+    T_room_override,
+    weatherRadiation,
+    timezoneHours = 0,
+    rooflight,
+    pv = null,
+    skyModel = DEFAULT_SKY_MODEL,
+    siteShading = null,
+    groundFloor = null,
+    thermalBridges = null,
+  } = params;
+
+  const volume = width * depth * height;
+  const hrEff = Math.max(0, Math.min(1, heatRecoveryEfficiency || 0));
+  // Heat recovery only acts on the air that passes the exchanger (MVHR supply, not infiltration)
+  const achRecovered = Math.max(0, Math.min(achTotal, achHeatRecovered));
+  const UA_vent = (RHO_AIR * CP_AIR * (achTotal - hrEff * achRecovered) * volume) / 3600;
+
+  const solarDateUtc = toSolarUtcDate(dateMidday, timezoneHours);
+  const { altitude, azimuth } = solarPosition(solarDateUtc, latitude, longitude);
+  const dayOfYear = dayOfYearUTC(solarDateUtc);
+  const clearSky = skyGroundComponents(altitude);
+  const DNI = safeRadiation(weatherRadiation?.DNI ?? clearSky.DNI);
+  const DHI = safeRadiation(weatherRadiation?.DHI ?? clearSky.DHI);
+  const GHI = safeRadiation(weatherRadiation?.GHI ?? clearSky.GHI);
+
+  const wallAreas = {
+    north: width * height,
+    south: width * height,
+    east: depth * height,
+    west: depth * height,
+  };
 
   let A_window_total = 0;
+  let UA_windows = 0;
+  // Daylight through the windows after shading, the site and blinds (lm), for the desk estimate
+  let daylightLumens = 0;
   const rooflightAreaM2 = Math.max(
     0,
     Number.isFinite(rooflight?.areaM2) ? rooflight.areaM2 : 0,
@@ -1509,9 +4238,28 @@ export function computeSnapshot(params) {
   let Q_solar = 0;
   const Q_solar_byFace = { north: 0, south: 0, east: 0, west: 0 };
   const I_beam_byFace = { north: 0, south: 0, east: 0, west: 0 };
+  const A_window_byFace = { north: 0, south: 0, east: 0, west: 0 };
+  // Incident power on each face's glazing after external shading (W), for surface temperatures
+  const Q_incident_byFace = { north: 0, south: 0, east: 0, west: 0 };
+  // Blind state by face id (not compass orientation) for faces that have a blind
+  const blindsDeployedByFace = {};
+  // Beam shading by face id while the sun reaches the face: reveals alone and all devices
+  const beamShadingByFace = {};
+  // Sun above the horizon but hidden by the site horizon or obstructions, per surface
+  const siteSunBlocked = Object.fromEntries(
+    SITE_SURFACE_LEVELS.map((level) => [
+      level,
+      Boolean(siteShading) && altitude > 0 && !siteSunVisible(siteShading, level, altitude, azimuth),
+    ]),
+  );
 
   (windows || []).forEach((w) => {
-    const { I_beam, I_diff, I_gnd } = planeIrradianceVertical({
+    const siteLevel = siteLevelForAzimuth(siteShading, w.az);
+    const {
+      I_beam: I_beam_open,
+      I_diff: I_diff_open,
+      I_gnd: I_gnd_open,
+    } = planeIrradianceVertical({
       surfaceAzimuthDeg: w.az,
       altitudeDeg: altitude,
       azimuthDeg: azimuth,
@@ -1519,27 +4267,62 @@ export function computeSnapshot(params) {
       DHI,
       GHI,
       groundAlbedo,
+      skyModel,
+      dayOfYear,
+      sunVisible: !siteSunBlocked[siteLevel],
     });
-
-    const fracOverhang = overhangShadingFraction(w.h, w.overhangDepth || 0, altitude, azimuth, w.az);
+    const I_beam = siteSunBlocked[siteLevel] ? 0 : I_beam_open;
+    const revealDiffuse = revealDiffuseFactors(w.w, w.h, w.reveal);
+    const I_diff = I_diff_open * siteSkyViewFactor(siteShading, siteLevel, 90, w.az) * revealDiffuse.sky;
+    const I_gnd = I_gnd_open * revealDiffuse.ground;
+
+    // The head reveal deepens the overhang (one shadow from the outer edge down to the
+    // glass); the jamb reveal, fins and louvres thin what is left
+    const fracHead = overhangShadingFraction(w.h, (w.overhangDepth || 0) + (w.reveal?.head ?? 0), altitude, azimuth, w.az);
+    const fracJamb = Math.min(1, revealShadowDepths(w.reveal, altitude, azimuth, w.az).jambM / Math.max(0.001, w.w));
     const fracVFins = finsShadingFraction(w.h, w.finDepth || 0, azimuth, w.az, w.overhangDepth || 0, altitude);
     const fracHFins = horizontalFinsShadingFraction(w.h, w.hFinDepth || 0, altitude, azimuth, w.az, w.overhangDepth || 0);
-    const fracExt = Math.max(0, Math.min(1, 1 - (1 - fracOverhang) * (1 - fracVFins) * (1 - fracHFins)));
+    const fracReveal = revealShadingFraction(w.w, w.h, w.reveal, altitude, azimuth, w.az);
+    const fracExt = Math.max(
+      0,
+      Math.min(1, 1 - (1 - fracHead) * (1 - fracJamb) * (1 - fracVFins) * (1 - fracHFins)),
+    );
+    if (I_beam > 0) {
+      beamShadingByFace[w.face] = { reveal: fracReveal, total: fracExt };
+    }
 
     const I_beam_shaded = I_beam * (1 - fracExt);
-    const I_incident = I_beam + I_diff + I_gnd;
-
-    const blindsFactor = autoBlinds && I_incident > blindsThreshold ? 1 - blindsReduction : 1;
-    const I_total_effective = (I_beam_shaded + I_diff + I_gnd) * blindsFactor;
+    const I_glass = I_beam_shaded + I_diff + I_gnd;
+
+    const blind = blinds?.[w.face] ?? null;
+    const blindDown = blind
+      ? blindDeployed(blind, {
+          incidentWm2: I_glass,
+          beamWm2: I_beam_shaded,
+          occupied,
+          indoorTempC: T_room_override,
+          overheatingTempC: blindsOverheatingTempC,
+        })
+      : false;
+    if (blind) blindsDeployedByFace[w.face] = blindDown;
+    const blindSolarFactor = blindDown ? blind.shadingCoefficient : 1;
+    const I_total_effective = I_glass * blindSolarFactor;
 
     const A = w.w * w.h;
     A_window_total += A;
-    const faceGain = I_total_effective * g_glass * A;
+    const gValue = Number.isFinite(w.gValue) ? w.gValue : g_glass;
+    UA_windows += (Number.isFinite(w.uValue) ? w.uValue : U_window) * A;
+    const windowVlt = Number.isFinite(w.visibleTransmittance) ? w.visibleTransmittance : visibleTransmittanceFromG(g_glass);
+    daylightLumens += windowVlt * (blindDown ? blind.lightTransmittance : 1) * I_glass * A * LUMINOUS_EFFICACY;
+    const faceGain = I_total_effective * gValue * A;
     Q_solar += faceGain;
     const orientation = cardinalFromAzimuth(w.az);
     if (orientation) {
       Q_solar_byFace[orientation] += faceGain;
       I_beam_byFace[orientation] = I_beam;
+      A_window_byFace[orientation] += A;
+      // An external blind also keeps the sun off the glass itself
+      Q_incident_byFace[orientation] += I_glass * (blindDown && blind.position === "external" ? blindSolarFactor : 1) * A;
       if (wallAreas[orientation] !== undefined) {
         wallAreas[orientation] = Math.max(0, wallAreas[orientation] - A);
       }
@@ -1547,28 +4330,54 @@ export function computeSnapshot(params) {
   });
 
   let Q_solar_rooflight = 0;
+  let I_rooflight = 0;
   if (rooflightAreaM2 > 1e-6) {
     const { I_beam, I_diff, I_gnd } = planeIrradianceHorizontalUp({
       altitudeDeg: altitude,
+      azimuthDeg: azimuth,
       DNI,
       DHI,
+      skyModel,
+      dayOfYear,
+      sunVisible: !siteSunBlocked.roof,
     });
-    const I_total_rooflight = I_beam + I_diff + I_gnd;
+    const I_total_rooflight =
+      (siteSunBlocked.roof ? 0 : I_beam) + I_diff * siteSkyViewFactor(siteShading, "roof", 0, 180) + I_gnd;
+    I_rooflight = I_total_rooflight;
     Q_solar_rooflight = I_total_rooflight * rooflightGValue * rooflightAreaM2;
     Q_solar += Q_solar_rooflight;
   }
 
+  // Rooftop PV from the same sun position and DNI/DHI/GHI; pv is a resolvePvArray result
+  const { I_poa: I_pv, P_ac: P_pv } = pvArrayOutput(pv, {
+    altitudeDeg: altitude,
+    azimuthDeg: azimuth,
+    DNI,
+    DHI,
+    GHI,
+    groundAlbedo,
+    T_out,
+    skyModel,
+    dayOfYear,
+    siteShading,
+  });
+
   const A_opaque = Object.values(wallAreas).reduce((acc, area) => acc + Math.max(0, area), 0);
   const A_floor = width * depth;
   const A_roof = Math.max(0, A_floor - rooflightAreaM2);
 
   const UA_walls = U_wall * A_opaque;
-  const UA_windows = U_window * A_window_total;
   const UA_rooflight = rooflightUValue * rooflightAreaM2;
   const UA_roof = U_roof * A_roof;
-  const UA_floor = U_floor * A_floor;
-  const UA_out = UA_walls + UA_windows + UA_rooflight + UA_roof + UA_floor;
-  const T_room_steady = T_out + (Q_solar + Q_internal) / ((UA_out + UA_vent) || 1e-6);
+  // Linear psi × length junction losses from resolveThermalBridges
+  const UA_thermalBridges = thermalBridges ? thermalBridges.totalWPerK : 0;
+  // A ground-coupled floor (ISO 13370) loses heat to the ground boundary rather than outdoor air
+  const UA_floor = groundFloor ? groundFloor.steadyWPerK : U_floor * A_floor;
+  const T_ground = groundFloor ? groundFloorBoundaryTemperature(groundFloor, dateMidday) : T_out;
+  const UA_out = UA_walls + UA_windows + UA_rooflight + UA_roof + UA_floor + UA_thermalBridges;
+  // Conductance-weighted temperature of everything the room exchanges heat with
+  const T_boundary = T_out + (UA_floor * (T_ground - T_out)) / ((UA_out + UA_vent) || 1e-6);
+  const T_room_steady = T_boundary + (Q_solar + Q_internal) / ((UA_out + UA_vent) || 1e-6);
   const T_room = Number.isFinite(T_room_override) ? T_room_override : T_room_steady;
 
   const dT = T_room - T_out;
@@ -1576,13 +4385,15 @@ export function computeSnapshot(params) {
   const Q_loss_windows = UA_windows * dT;
   const Q_loss_rooflight = UA_rooflight * dT;
   const Q_loss_roof = UA_roof * dT;
-  const Q_loss_floor = UA_floor * dT;
-  const Q_loss_fabric = UA_out * dT;
+  const Q_loss_floor = UA_floor * (T_room - T_ground);
+  const Q_loss_thermalBridges = UA_thermalBridges * dT;
+  const Q_loss_fabric =
+    Q_loss_walls + Q_loss_windows + Q_loss_rooflight + Q_loss_roof + Q_loss_floor + Q_loss_thermalBridges;
   const Q_loss_vent = UA_vent * dT;
   const Q_loss_total = Q_loss_fabric + Q_loss_vent;
 
   // Calculate desk-level illuminance
-  const illuminanceLux = calculateDeskIlluminance(GHI, A_window_total, A_floor, g_glass, depth);
+  const illuminanceLux = calculateDeskIlluminance(daylightLumens, A_floor, depth);
 
   return {
     T_room,
@@ -1590,6 +4401,15 @@ export function computeSnapshot(params) {
     Q_solar,
     Q_solar_byFace,
     I_beam_byFace,
+    Q_incident_byFace,
+    beamShadingByFace,
+    I_rooflight,
+    I_pv,
+    P_pv,
+    siteSunBlocked,
+    blindsDeployedByFace,
+    T_ground,
+    T_boundary,
     UA_out,
     UA_vent,
     altitude,
@@ -1598,6 +4418,7 @@ export function computeSnapshot(params) {
     DHI,
     GHI,
     A_window_total,
+    A_window_byFace,
     A_rooflight: rooflightAreaM2,
     A_opaque,
     A_floor,
@@ -1608,12 +4429,14 @@ export function computeSnapshot(params) {
       rooflight: UA_rooflight,
       roof: UA_roof,
       floor: UA_floor,
+      thermalBridges: UA_thermalBridges,
     },
     Q_loss_walls,
     Q_loss_windows,
     Q_loss_rooflight,
     Q_loss_roof,
     Q_loss_floor,
+    Q_loss_thermalBridges,
     Q_solar_rooflight,
     Q_loss_fabric,
     Q_loss_vent,
@@ -1661,18 +4484,213 @@ export function classifyComfortState(tempC, comfortBand = COMFORT_BAND) {
   return "comfortable";
 }
 
+export function resolveThermalNetwork(params, options = {}) {
+  const model = THERMAL_MODELS[options.thermalModel] ? options.thermalModel : DEFAULT_THERMAL_MODEL;
+  const massPreset =
+    THERMAL_MASS_PRESETS[options.thermalMassPreset] ??
+    THERMAL_MASS_PRESETS[DEFAULT_THERMAL_MASS_PRESET];
+  const floorArea = params.width * params.depth;
+  const volume = floorArea * params.height;
+  return {
+    model,
+    massPreset,
+    lumpedCapacitance: options.thermalCapacitance ?? THERMAL_CAPACITANCE_J_PER_K,
+    airCapacitance:
+      options.airCapacitance ??
+      RHO_AIR * CP_AIR * volume + AIR_NODE_FURNISHING_J_PER_M2K * floorArea,
+    massCapacitance:
+      options.massCapacitance ?? massPreset.capacitancePerFloorAreaJPerM2K * floorArea,
+    surfaceCoupling:
+      options.surfaceCouplingWPerK ??
+      SURFACE_COUPLING_W_PER_M2K * massPreset.exposedAreaRatio * floorArea,
+  };
+}
+
+/**
+ * Advance the zone temperatures by one timestep.
+ * 1R1C keeps the original forward-Euler lumped node. 2R2C solves the air and
+ * exposed-mass nodes with backward Euler, because the air node time constant
+ * (minutes) is far shorter than the 10 min / 1 h simulation steps.
+ * @param {{T_air: number, T_mass: number}} nodes - Temperatures at the start of the step (°C)
+ * @param {{UA_total: number, T_out: number, Q_solar: number, Q_internal: number, Q_hvac?: number}} loads - Conductance to the boundary (W/K), the conductance-weighted boundary temperature (outdoor air, or ground for a ground-coupled floor) and gains (W); HVAC is convective to the air
+ * @param {ReturnType<typeof resolveThermalNetwork>} network
+ * @param {number} dtSeconds
+ * @returns {{T_air: number, T_mass: number}}
+ */
+export function advanceThermalNodes(nodes, loads, network, dtSeconds) {
+  const { UA_total, T_out, Q_solar, Q_internal, Q_hvac = 0 } = loads;
+  if (network.model !== "2r2c") {
+    const dTdt =
+      (Q_solar + Q_internal + Q_hvac - UA_total * (nodes.T_air - T_out)) / network.lumpedCapacitance;
+    const T_air = nodes.T_air + dTdt * dtSeconds;
+    return { T_air, T_mass: T_air };
+  }
+
+  const Q_mass = Q_solar * MASS_NODE_SOLAR_FRACTION + Q_internal * MASS_NODE_INTERNAL_FRACTION;
+  const Q_air = Q_solar + Q_internal - Q_mass + Q_hvac;
+  const a = network.airCapacitance / dtSeconds;
+  const m = network.massCapacitance / dtSeconds;
+  const H = network.surfaceCoupling;
+  const rhsAir = a * nodes.T_air + Q_air + UA_total * T_out;
+  const rhsMass = m * nodes.T_mass + Q_mass;
+  const det = (a + UA_total + H) * (m + H) - H * H;
+  return {
+    T_air: (rhsAir * (m + H) + H * rhsMass) / det,
+    T_mass: ((a + UA_total + H) * rhsMass + H * rhsAir) / det,
+  };
+}
+
+export function resolveHvacControl(hvac) {
+  if (!hvac?.enabled) return null;
+  const pick = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+  const deadbandK = Math.max(0, pick(hvac.deadbandK, HVAC_CONTROL_DEFAULTS.deadbandK));
+  const heatingSetpointC = pick(hvac.heatingSetpointC, HVAC_CONTROL_DEFAULTS.heatingSetpointC);
+  const coolingSetpointC = Math.max(
+    heatingSetpointC + deadbandK,
+    pick(hvac.coolingSetpointC, HVAC_CONTROL_DEFAULTS.coolingSetpointC),
+  );
+  return {
+    heatingSetpointC,
+    coolingSetpointC,
+    deadbandK,
+    heatingCapacityW:
+      Math.max(0, pick(hvac.heatingCapacityKW, HVAC_CONTROL_DEFAULTS.heatingCapacityKW)) * 1000,
+    coolingCapacityW:
+      Math.max(0, pick(hvac.coolingCapacityKW, HVAC_CONTROL_DEFAULTS.coolingCapacityKW)) * 1000,
+  };
+}
+
+/**
+ * Thermostat + capacity-limited plant for one timestep.
+ * The plant switches on when the free-floating air temperature would leave the
+ * setpoint by more than half the deadband, then delivers the power needed to
+ * land on the setpoint (clamped to capacity) until the room no longer needs it.
+ * @param {{T_air: number, T_mass: number}} nodes
+ * @param {{UA_total: number, T_out: number, Q_solar: number, Q_internal: number}} loads
+ * @param {ReturnType<typeof resolveThermalNetwork>} network
+ * @param {number} dtSeconds
+ * @param {ReturnType<typeof resolveHvacControl>} control
+ * @param {"off" | "heating" | "cooling"} previousMode
+ */
+export function conditionedThermalStep(nodes, loads, network, dtSeconds, control, previousMode = "off") {
+  const free = advanceThermalNodes(nodes, loads, network, dtSeconds);
+  const halfBand = control.deadbandK / 2;
+  const heatingOn =
+    free.T_air < control.heatingSetpointC - halfBand ||
+    (previousMode === "heating" && free.T_air < control.heatingSetpointC);
+  const coolingOn =
+    !heatingOn &&
+    (free.T_air > control.coolingSetpointC + halfBand ||
+      (previousMode === "cooling" && free.T_air > control.coolingSetpointC));
+
+  let Q_hvac = 0;
+  if (heatingOn || coolingOn) {
+    // Both integrators are linear in Q_hvac, so one probe gives the response per watt.
+    const probeW = 1000;
+    const probe = advanceThermalNodes(nodes, { ...loads, Q_hvac: probeW }, network, dtSeconds);
+    const kelvinPerWatt = (probe.T_air - free.T_air) / probeW;
+    const targetC = heatingOn ? control.heatingSetpointC : control.coolingSetpointC;
+    const requestW = kelvinPerWatt > 0 ? (targetC - free.T_air) / kelvinPerWatt : 0;
+    Q_hvac = heatingOn
+      ? Math.min(Math.max(0, requestW), control.heatingCapacityW)
+      : Math.max(Math.min(0, requestW), -control.coolingCapacityW);
+  }
+
+  const next = Q_hvac === 0 ? free : advanceThermalNodes(nodes, { ...loads, Q_hvac }, network, dtSeconds);
+  return {
+    nodes: next,
+    Q_hvac,
+    heatingW: Math.max(0, Q_hvac),
+    coolingW: Math.max(0, -Q_hvac),
+    mode: heatingOn ? "heating" : coolingOn ? "cooling" : "off",
+    unmetHeating: next.T_air < control.heatingSetpointC - halfBand - HVAC_UNMET_TOLERANCE_K,
+    unmetCooling: next.T_air > control.coolingSetpointC + halfBand + HVAC_UNMET_TOLERANCE_K,
+  };
+}
+
+// Infiltration and any balanced mechanical supply at one step, before windows or purge.
+// "Background only" runs on infiltration alone; other presets keep their total rate
+// with infiltration as the floor.
+function backgroundVentilationForStep({
+  infiltration,
+  infiltrationOnly,
+  mechanicalAch,
+  achTotalPreset,
+  forcing,
+  indoorTemp,
+}) {
+  // Without an infiltration model keep the fixed-rate behaviour: the preset total
+  // already includes any mechanical supply on top of the default infiltration
+  if (!infiltration) {
+    return {
+      achInfiltration: ACH_INFILTRATION_DEFAULT,
+      achBackground: ACH_INFILTRATION_DEFAULT,
+      achBase: achTotalPreset,
+    };
+  }
+  const achInfiltration = infiltrationAchAt(infiltration, {
+    windMS: forcing.windMS,
+    indoorTempC: indoorTemp,
+    outdoorTempC: forcing.T_out,
+  });
+  const achBackground = achInfiltration + mechanicalAch;
+  const achBase = mechanicalAch > 0 || infiltrationOnly ? achBackground : achTotalPreset;
+  return { achInfiltration, achBackground, achBase };
+}
+
+// Manual openings at one step: each sash's opening rule is checked against the weather,
+// the room temperature and whether the schedule has anyone in
+function manualVentilationForStep(manualVentilationInput, { forcing, indoorTemp, occupied, roomHeightM }) {
+  if (!manualVentilationInput) return null;
+  const openedWindowArea = openedWindowAreaUnderRules(
+    manualVentilationInput.openedWindowArea,
+    manualVentilationInput.openingRules,
+    { occupied, outdoorTempC: forcing.T_out, indoorTempC: indoorTemp },
+  );
+  return calculateManualWindowVentilation(openedWindowArea, manualVentilationInput.volume, {
+    roofOpeningAreaM2: manualVentilationInput.roofOpeningAreaM2,
+    roomHeightM: manualVentilationInput.roomHeightM ?? roomHeightM,
+    stackHeightM: manualVentilationInput.stackHeightM,
+    windMS: Number.isFinite(manualVentilationInput.fixedWindMS)
+      ? manualVentilationInput.fixedWindMS
+      : forcing.windMS,
+    windDirDeg: Number.isFinite(manualVentilationInput.fixedWindDirDeg)
+      ? manualVentilationInput.fixedWindDirDeg
+      : forcing.windDirDeg,
+    orientationDeg: manualVentilationInput.orientationDeg,
+    indoorTempC: indoorTemp,
+    outdoorTempC: forcing.T_out,
+  });
+}
+
 export function simulateDay1R1C(params, baseDateLocal, weatherProvider, options = {}) {
   const stepMinutes = options.stepMinutes ?? SIMULATION_STEP_MINUTES;
   const spinupDays = options.spinupDays ?? SIMULATION_SPINUP_DAYS;
-  const thermalCapacitance = options.thermalCapacitance ?? THERMAL_CAPACITANCE_J_PER_K;
+  const thermalNetwork = resolveThermalNetwork(params, options);
+  const hvacControl = resolveHvacControl(options.hvac);
+  const heatingSystem = resolveHeatingSystem(options);
+  const electricityTariff = options.electricityTariff ?? resolveElectricityTariff(DEFAULT_ELECTRICITY_TARIFF);
   const comfortBand = options.comfortBand ?? COMFORT_BAND;
   const achTotalPreset = options.achTotal ?? ACH_INFILTRATION_DEFAULT;
+  const infiltration = options.infiltration ?? null;
+  const infiltrationOnly = options.infiltrationOnly ?? false;
+  const mechanicalAch = Math.max(0, options.mechanicalAch ?? 0);
   const heatRecoveryEfficiencyPreset = options.heatRecoveryEfficiency ?? 0;
   const manualOpenAchFixed = Math.max(0, options.manualOpenAch ?? 0);
   const manualVentilationInput = options.manualVentilationInput ?? null;
   const nightPurgeEnabled = options.nightPurgeEnabled ?? false;
   const adaptiveVentEnabled = options.adaptiveVentEnabled ?? false;
   const startIndoorTemp = options.startIndoorTemp;
+  const internalGainsAt = options.internalGainsAt ?? null;
+  const latentGainsAt = options.latentGainsAt ?? null;
+  const internalGainSchedule = options.internalGainSchedule ?? null;
+  const lighting = options.lighting ?? null;
+  const pmvInputs = { ...PMV_DEFAULTS, ...options.pmv };
+  const outdoorCo2Ppm = options.outdoorCo2Ppm ?? OUTDOOR_CO2_PPM;
+  const comfortTemperature = COMFORT_TEMPERATURE_MODES[options.comfortTemperature]
+    ? options.comfortTemperature
+    : DEFAULT_COMFORT_TEMPERATURE_MODE;
+  const volume = params.width * params.depth * params.height;
   const dtSeconds = stepMinutes * 60;
   const stepsPerDay = Math.round((24 * 60) / stepMinutes);
   const dayStart = new Date(
@@ -1683,43 +4701,49 @@ export function simulateDay1R1C(params, baseDateLocal, weatherProvider, options
   const evaluateStep = (time, indoorTemp, ventActivePrev, shouldLogTransitions = false) => {
     const forcing = forcingAt(time, weatherProvider);
     const hourOfDay = time.getUTCHours();
+    const background = backgroundVentilationForStep({
+      infiltration,
+      infiltrationOnly,
+      mechanicalAch,
+      achTotalPreset,
+      forcing,
+      indoorTemp,
+    });
     const baseVent = adaptiveVentEnabled
       ? adaptiveVentilationStateForStep({
           indoorTemp,
           outdoorTemp: forcing.T_out,
           hourOfDay,
           comfortBand,
+          achInfiltration: background.achBackground,
         })
       : ventilationStateForStep({
-          achTotal: achTotalPreset,
+          achTotal: background.achBase,
+          achInfiltration: background.achBackground,
           hourOfDay,
           nightPurgeEnabled,
           indoorTemp,
           outdoorTemp: forcing.T_out,
           comfortBand,
         });
-    const manualVent = manualVentilationInput
-      ? calculateManualWindowVentilation(
-          manualVentilationInput.openedWindowArea,
-          manualVentilationInput.volume,
-          {
-            roofOpeningAreaM2: manualVentilationInput.roofOpeningAreaM2,
-            roomHeightM: manualVentilationInput.roomHeightM ?? params.height,
-            stackHeightM: manualVentilationInput.stackHeightM,
-            windMS: Number.isFinite(manualVentilationInput.fixedWindMS)
-              ? manualVentilationInput.fixedWindMS
-              : forcing.windMS,
-            indoorTempC: indoorTemp,
-            outdoorTempC: forcing.T_out,
-          },
-        )
-      : null;
+    const scheduledGains =
+      internalGainSchedule && !internalGainsAt
+        ? scheduledInternalGains(internalGainSchedule, time, params.width * params.depth)
+        : null;
+    const occupied = scheduledGains ? scheduledGains.people > 0 : true;
+    const manualVent = manualVentilationForStep(manualVentilationInput, {
+      forcing,
+      indoorTemp,
+      occupied,
+      roomHeightM: params.height,
+    });
     const manualOpenAch = manualVent?.manualOpenAch ?? manualOpenAchFixed;
     const achTotal = baseVent.achTotal + manualOpenAch;
-    const achWindow = Math.max(0, achTotal - ACH_INFILTRATION_DEFAULT);
+    const achWindow = Math.max(0, achTotal - background.achBackground);
     const vent = {
       ...baseVent,
       achTotal,
+      achInfiltration: background.achInfiltration,
       achWindow,
       ventActive: achWindow > 0,
       manualOpenAch,
@@ -1738,34 +4762,86 @@ export function simulateDay1R1C(params, baseDateLocal, weatherProvider, options
     const hasWindowVentilation = adaptiveVentEnabled || manualOpenAch > 0 || isNightPurgeActive;
     const effectiveHeatRecovery = hasWindowVentilation ? 0 : heatRecoveryEfficiencyPreset;
 
+    const Q_latent = latentGainsAt
+      ? latentGainsAt(time)
+      : scheduledGains?.latentW ?? params.Q_latent ?? DEFAULT_LATENT_GAINS_W;
+    // Without a schedule, the head count follows the latent gains at the PMV activity
+    const co2LitresPerS =
+      scheduledGains?.co2LitresPerS ?? occupantCo2LitresPerS(Q_latent / OCCUPANT_LATENT_W, pmvInputs.met);
     const snapshot = computeSnapshot({
       ...params,
+      occupied,
+      blindsOverheatingTempC: comfortBand.max,
       dateMidday: time,
       T_out: forcing.T_out,
       achTotal: vent.achTotal,
       heatRecoveryEfficiency: effectiveHeatRecovery,
+      achHeatRecovered: mechanicalAch > 0 ? mechanicalAch : vent.achTotal,
       weatherRadiation:
         forcing.source === "epw"
           ? { DNI: forcing.DNI, DHI: forcing.DHI, GHI: forcing.GHI }
           : undefined,
       T_room_override: indoorTemp,
     });
+    // Daylight-linked lighting depends on this step's desk illuminance from the snapshot
+    const gains =
+      scheduledGains && lighting
+        ? applyLightingControl(scheduledGains, lighting, snapshot.illuminanceLux, params.width * params.depth)
+        : scheduledGains;
+    const Q_internal = internalGainsAt
+      ? internalGainsAt(time)
+      : gains?.totalW ?? params.Q_internal;
     const UA_total = snapshot.UA_out + snapshot.UA_vent;
-    const Q_passive = snapshot.Q_solar + params.Q_internal;
-    const dTdt = (Q_passive - UA_total * (indoorTemp - forcing.T_out)) / thermalCapacitance;
-    return { snapshot, forcing, UA_total, Q_passive, dTdt, vent };
+    const Q_passive = snapshot.Q_solar + Q_internal;
+    return { snapshot, forcing, UA_total, Q_internal, Q_latent, co2LitresPerS, Q_passive, vent, gains };
   };
 
   let indoorTemp = Number.isFinite(startIndoorTemp)
     ? startIndoorTemp
     : forcingAt(spinupStart, weatherProvider).T_out;
+  let massTemp = indoorTemp;
+  let indoorHumidityRatio = forcingAt(spinupStart, weatherProvider).humidityRatio;
+  let indoorCo2Ppm = outdoorCo2Ppm;
+  let hvacMode = "off";
+  const advanceNodes = (step) => {
+    const nodes = { T_air: indoorTemp, T_mass: massTemp };
+    const loads = {
+      UA_total: step.UA_total,
+      T_out: step.snapshot.T_boundary,
+      Q_solar: step.snapshot.Q_solar,
+      Q_internal: step.Q_internal,
+    };
+    const hvacStep = hvacControl
+      ? conditionedThermalStep(nodes, loads, thermalNetwork, dtSeconds, hvacControl, hvacMode)
+      : null;
+    const next = hvacStep?.nodes ?? advanceThermalNodes(nodes, loads, thermalNetwork, dtSeconds);
+    hvacMode = hvacStep?.mode ?? "off";
+    indoorTemp = next.T_air;
+    massTemp = next.T_mass;
+    indoorHumidityRatio = advanceZoneHumidity(
+      indoorHumidityRatio,
+      {
+        outdoorHumidityRatio: step.forcing.humidityRatio,
+        achTotal: step.vent.achTotal,
+        volume,
+        latentGainsW: step.Q_latent,
+      },
+      dtSeconds,
+    );
+    indoorCo2Ppm = advanceZoneCo2(
+      indoorCo2Ppm,
+      { outdoorCo2Ppm, achTotal: step.vent.achTotal, volume, co2LitresPerS: step.co2LitresPerS },
+      dtSeconds,
+    );
+    return hvacStep;
+  };
   let ventActive = false;
   let t = new Date(spinupStart);
 
   for (let i = 0; i < spinupDays * stepsPerDay; i++) {
     const step = evaluateStep(t, indoorTemp, ventActive);
     ventActive = step.vent.ventActive;
-    indoorTemp += step.dTdt * dtSeconds;
+    advanceNodes(step);
     t = new Date(t.getTime() + dtSeconds * 1000);
   }
 
@@ -1774,47 +4850,129 @@ export function simulateDay1R1C(params, baseDateLocal, weatherProvider, options
   for (let i = 0; i <= stepsPerDay; i++) {
     const step = evaluateStep(t, indoorTemp, ventActive, true);
     ventActive = step.vent.ventActive;
-    const status = classifyComfortState(indoorTemp, comfortBand);
+    const stepStartTemp = indoorTemp;
+    const stepStartMassTemp = massTemp;
+    const stepStartHumidityRatio = indoorHumidityRatio;
+    const stepStartCo2Ppm = indoorCo2Ppm;
+    const { meanRadiantTempC } = estimateSurfaceTemperatures(step.snapshot, {
+      airTempC: stepStartTemp,
+      outdoorTempC: step.forcing.T_out,
+      massTempC: thermalNetwork.model === "2r2c" ? stepStartMassTemp : undefined,
+    });
+    const stepOperativeTemp = operativeTemperature(stepStartTemp, meanRadiantTempC, pmvInputs.airSpeedMS);
+    const comfortIndices = zoneComfortIndices({
+      airTempC: stepStartTemp,
+      meanRadiantTempC,
+      humidityRatio: stepStartHumidityRatio,
+      pressurePa: step.forcing.pressurePa,
+      pmvInputs,
+    });
+    const status = classifyComfortState(
+      comfortTemperature === "operative" ? stepOperativeTemp : stepStartTemp,
+      comfortBand,
+    );
     // Steady-state HVAC: power to maintain setpoint temperature against heat flows
     const setpointTemp = status === "heating" ? comfortBand.min : comfortBand.max;
-    const qHvacSteady = step.UA_total * (setpointTemp - step.forcing.T_out) - step.Q_passive;
+    const qHvacSteady = step.UA_total * (setpointTemp - step.snapshot.T_boundary) - step.Q_passive;
+    // Conditioned mode: the thermostat power actually applied over this step
+    const hvacStep = advanceNodes(step);
+    const heatingW = hvacStep
+      ? hvacStep.heatingW
+      : status === "heating" ? Math.max(0, qHvacSteady) : 0;
+    const coolingW = hvacStep
+      ? hvacStep.coolingW
+      : status === "cooling" ? Math.max(0, -qHvacSteady) : 0;
+    const heatingEfficiency = heatingSystemEfficiency(heatingSystem, step.forcing.T_out);
+    const heatingFuelW = heatingW / heatingEfficiency;
+    const coolingFuelW = coolingW / COOLING_SYSTEM.cop;
+    const lightingElectricityW = step.gains?.lightingW ?? 0;
+    const electricityW =
+      (heatingSystem.fuel === "electricity" ? heatingFuelW : 0) + coolingFuelW + lightingElectricityW;
+    const pvBalance = pvEnergyBalance(electricityW, step.snapshot.P_pv);
 
     series.push({
       tf: i / stepsPerDay,
       time: t,
       timeLabel: formatClockTime(t),
-      T_in: indoorTemp,
+      T_in: stepStartTemp,
+      T_mass: stepStartMassTemp,
+      T_mrt: meanRadiantTempC,
+      T_op: stepOperativeTemp,
       T_out: step.forcing.T_out,
+      RH_out: step.forcing.relHumidityPct,
+      humidityRatio: stepStartHumidityRatio,
+      RH_in: comfortIndices.RH_in,
+      co2Ppm: stepStartCo2Ppm,
+      pmv: comfortIndices.pmv,
+      ppd: comfortIndices.ppd,
       Q_solar: step.snapshot.Q_solar,
+      Q_internal: step.Q_internal,
+      Q_occupants: step.gains?.occupantsW ?? null,
+      Q_equipment: step.gains?.equipmentW ?? null,
+      Q_lighting: step.gains?.lightingW ?? null,
+      lightingFraction: step.gains?.lightingFraction ?? null,
+      occupants: step.gains?.people ?? null,
+      Q_latent: step.Q_latent,
       Q_loss_fabric: step.snapshot.Q_loss_fabric,
+      Q_loss_thermalBridges: step.snapshot.Q_loss_thermalBridges,
       Q_loss_vent: step.snapshot.Q_loss_vent,
       status,
-      heatingW: status === "heating" ? Math.max(0, qHvacSteady) : 0,
-      coolingW: status === "cooling" ? Math.max(0, -qHvacSteady) : 0,
-      ventilationHelpful: status === "cooling" && step.forcing.T_out < indoorTemp - 1,
+      heatingW,
+      coolingW,
+      heatingFuelW,
+      coolingFuelW,
+      lightingElectricityW,
+      electricityW,
+      pvW: step.snapshot.P_pv,
+      gridImportW: pvBalance.gridImportKWh,
+      pvExportW: pvBalance.exportKWh,
+      electricityRate: electricityRateAt(electricityTariff, t).unitRate,
+      heatingCop: heatingSystem.heatPump ? heatingEfficiency : null,
+      hvacMode: hvacStep?.mode ?? "off",
+      unmetHeating: hvacStep?.unmetHeating === true,
+      unmetCooling: hvacStep?.unmetCooling === true,
+      ventilationHelpful: status === "cooling" && step.forcing.T_out < stepStartTemp - 1,
       windMS: step.forcing.windMS,
+      windDirDeg: step.forcing.windDirDeg,
       ventActive: step.vent.ventActive,
       achWindow: step.vent.achWindow,
       achTotal: step.vent.achTotal,
+      achInfiltration: step.vent.achInfiltration,
       manualOpenAch: step.vent.manualOpenAch,
       manualVentilationMode: step.vent.manualVentilation?.mode,
+      manualOpenAreaM2: step.vent.manualVentilation?.totalOpenAreaM2 ?? 0,
       adaptiveReason: step.vent.adaptiveReason,
       nightPurgeActive: step.vent.nightPurgeActive === true,
       nightPurgeReason: step.vent.nightPurgeReason,
       illuminanceLux: step.snapshot.illuminanceLux,
+      blindsDeployed: step.snapshot.blindsDeployedByFace,
     });
 
-    indoorTemp += step.dTdt * dtSeconds;
     t = new Date(t.getTime() + dtSeconds * 1000);
   }
 
-  return { series, stepMinutes };
+  return {
+    series,
+    stepMinutes,
+    thermalModel: thermalNetwork.model,
+    comfortTemperature,
+    hvacControl,
+    heatingSystem,
+    electricityTariff,
+  };
 }
 
 export function simulateAnnual1R1C(params, weatherProvider, options = {}) {
   const comfortBand = options.comfortBand ?? COMFORT_BAND;
-  const thermalCapacitance = options.thermalCapacitance ?? THERMAL_CAPACITANCE_J_PER_K;
+  const thermalNetwork = resolveThermalNetwork(params, options);
+  const hvacControl = resolveHvacControl(options.hvac);
+  const heatingSystem = resolveHeatingSystem(options);
+  const electricityTariff = options.electricityTariff ?? resolveElectricityTariff(DEFAULT_ELECTRICITY_TARIFF);
+  const carbonIntensity = options.carbonIntensity ?? null;
   const achTotalPreset = options.achTotal ?? ACH_INFILTRATION_DEFAULT;
+  const infiltration = options.infiltration ?? null;
+  const infiltrationOnly = options.infiltrationOnly ?? false;
+  const mechanicalAch = Math.max(0, options.mechanicalAch ?? 0);
   const heatRecoveryEfficiencyPreset = options.heatRecoveryEfficiency ?? 0;
   const manualOpenAchFixed = Math.max(0, options.manualOpenAch ?? 0);
   const manualVentilationInput = options.manualVentilationInput ?? null;
@@ -1822,6 +4980,16 @@ export function simulateAnnual1R1C(params, weatherProvider, options = {}) {
   const adaptiveVentEnabled = options.adaptiveVentEnabled ?? false;
   const spinupHours = options.spinupHours ?? 7 * 24;
   const startIndoorTemp = options.startIndoorTemp;
+  const internalGainsAt = options.internalGainsAt ?? null;
+  const latentGainsAt = options.latentGainsAt ?? null;
+  const internalGainSchedule = options.internalGainSchedule ?? null;
+  const lighting = options.lighting ?? null;
+  const pmvInputs = { ...PMV_DEFAULTS, ...options.pmv };
+  const outdoorCo2Ppm = options.outdoorCo2Ppm ?? OUTDOOR_CO2_PPM;
+  const comfortTemperature = COMFORT_TEMPERATURE_MODES[options.comfortTemperature]
+    ? options.comfortTemperature
+    : DEFAULT_COMFORT_TEMPERATURE_MODE;
+  const volume = params.width * params.depth * params.height;
   const dtSeconds = 3600;
   const totalHours = 8760;
   const weekHours = 24 * 7;
@@ -1829,43 +4997,49 @@ export function simulateAnnual1R1C(params, weatherProvider, options = {}) {
 
   const evaluateStep = (time, indoorTemp) => {
     const forcing = forcingAt(time, weatherProvider);
+    const background = backgroundVentilationForStep({
+      infiltration,
+      infiltrationOnly,
+      mechanicalAch,
+      achTotalPreset,
+      forcing,
+      indoorTemp,
+    });
     const baseVent = adaptiveVentEnabled
       ? adaptiveVentilationStateForStep({
           indoorTemp,
           outdoorTemp: forcing.T_out,
           hourOfDay: time.getUTCHours(),
           comfortBand,
+          achInfiltration: background.achBackground,
         })
       : ventilationStateForStep({
-          achTotal: achTotalPreset,
+          achTotal: background.achBase,
+          achInfiltration: background.achBackground,
           hourOfDay: time.getUTCHours(),
           nightPurgeEnabled,
           indoorTemp,
           outdoorTemp: forcing.T_out,
           comfortBand,
         });
-    const manualVent = manualVentilationInput
-      ? calculateManualWindowVentilation(
-          manualVentilationInput.openedWindowArea,
-          manualVentilationInput.volume,
-          {
-            roofOpeningAreaM2: manualVentilationInput.roofOpeningAreaM2,
-            roomHeightM: manualVentilationInput.roomHeightM ?? params.height,
-            stackHeightM: manualVentilationInput.stackHeightM,
-            windMS: Number.isFinite(manualVentilationInput.fixedWindMS)
-              ? manualVentilationInput.fixedWindMS
-              : forcing.windMS,
-            indoorTempC: indoorTemp,
-            outdoorTempC: forcing.T_out,
-          },
-        )
-      : null;
+    const scheduledGains =
+      internalGainSchedule && !internalGainsAt
+        ? scheduledInternalGains(internalGainSchedule, time, params.width * params.depth)
+        : null;
+    const occupied = scheduledGains ? scheduledGains.people > 0 : true;
+    const manualVent = manualVentilationForStep(manualVentilationInput, {
+      forcing,
+      indoorTemp,
+      occupied,
+      roomHeightM: params.height,
+    });
     const manualOpenAch = manualVent?.manualOpenAch ?? manualOpenAchFixed;
     const achTotal = baseVent.achTotal + manualOpenAch;
-    const achWindow = Math.max(0, achTotal - ACH_INFILTRATION_DEFAULT);
+    const achWindow = Math.max(0, achTotal - background.achBackground);
     const vent = {
       ...baseVent,
       achTotal,
+      achInfiltration: background.achInfiltration,
       achWindow,
       ventActive: achWindow > 0,
       manualOpenAch,
@@ -1877,31 +5051,83 @@ export function simulateAnnual1R1C(params, weatherProvider, options = {}) {
     const hasWindowVentilation = adaptiveVentEnabled || manualOpenAch > 0 || isNightPurgeActive;
     const effectiveHeatRecovery = hasWindowVentilation ? 0 : heatRecoveryEfficiencyPreset;
 
+    const Q_latent = latentGainsAt
+      ? latentGainsAt(time)
+      : scheduledGains?.latentW ?? params.Q_latent ?? DEFAULT_LATENT_GAINS_W;
+    // Without a schedule, the head count follows the latent gains at the PMV activity
+    const co2LitresPerS =
+      scheduledGains?.co2LitresPerS ?? occupantCo2LitresPerS(Q_latent / OCCUPANT_LATENT_W, pmvInputs.met);
     const snapshot = computeSnapshot({
       ...params,
+      occupied,
+      blindsOverheatingTempC: comfortBand.max,
       dateMidday: time,
       T_out: forcing.T_out,
       achTotal: vent.achTotal,
       heatRecoveryEfficiency: effectiveHeatRecovery,
+      achHeatRecovered: mechanicalAch > 0 ? mechanicalAch : vent.achTotal,
       weatherRadiation:
         forcing.source === "epw"
           ? { DNI: forcing.DNI, DHI: forcing.DHI, GHI: forcing.GHI }
           : undefined,
       T_room_override: indoorTemp,
     });
+    // Daylight-linked lighting depends on this step's desk illuminance from the snapshot
+    const gains =
+      scheduledGains && lighting
+        ? applyLightingControl(scheduledGains, lighting, snapshot.illuminanceLux, params.width * params.depth)
+        : scheduledGains;
+    const Q_internal = internalGainsAt
+      ? internalGainsAt(time)
+      : gains?.totalW ?? params.Q_internal;
     const UA_total = snapshot.UA_out + snapshot.UA_vent;
-    const Q_passive = snapshot.Q_solar + params.Q_internal;
-    const dTdt = (Q_passive - UA_total * (indoorTemp - forcing.T_out)) / thermalCapacitance;
-    return { snapshot, forcing, vent, dTdt, UA_total, Q_passive };
+    const Q_passive = snapshot.Q_solar + Q_internal;
+    return { snapshot, forcing, vent, UA_total, Q_internal, Q_latent, co2LitresPerS, Q_passive, gains };
   };
 
   const spinupStart = dateFromTypicalYearHour(-spinupHours);
   let indoorTemp = Number.isFinite(startIndoorTemp)
     ? startIndoorTemp
     : forcingAt(spinupStart, weatherProvider).T_out;
+  let massTemp = indoorTemp;
+  let indoorHumidityRatio = forcingAt(spinupStart, weatherProvider).humidityRatio;
+  let indoorCo2Ppm = outdoorCo2Ppm;
+  let hvacMode = "off";
+  const advanceNodes = (step) => {
+    const nodes = { T_air: indoorTemp, T_mass: massTemp };
+    const loads = {
+      UA_total: step.UA_total,
+      T_out: step.snapshot.T_boundary,
+      Q_solar: step.snapshot.Q_solar,
+      Q_internal: step.Q_internal,
+    };
+    const hvacStep = hvacControl
+      ? conditionedThermalStep(nodes, loads, thermalNetwork, dtSeconds, hvacControl, hvacMode)
+      : null;
+    const next = hvacStep?.nodes ?? advanceThermalNodes(nodes, loads, thermalNetwork, dtSeconds);
+    hvacMode = hvacStep?.mode ?? "off";
+    indoorTemp = next.T_air;
+    massTemp = next.T_mass;
+    indoorHumidityRatio = advanceZoneHumidity(
+      indoorHumidityRatio,
+      {
+        outdoorHumidityRatio: step.forcing.humidityRatio,
+        achTotal: step.vent.achTotal,
+        volume,
+        latentGainsW: step.Q_latent,
+      },
+      dtSeconds,
+    );
+    indoorCo2Ppm = advanceZoneCo2(
+      indoorCo2Ppm,
+      { outdoorCo2Ppm, achTotal: step.vent.achTotal, volume, co2LitresPerS: step.co2LitresPerS },
+      dtSeconds,
+    );
+    return hvacStep;
+  };
   for (let h = -spinupHours; h < 0; h++) {
     const step = evaluateStep(dateFromTypicalYearHour(h), indoorTemp);
-    indoorTemp += step.dTdt * dtSeconds;
+    advanceNodes(step);
   }
 
   const records = [];
@@ -1920,34 +5146,125 @@ export function simulateAnnual1R1C(params, weatherProvider, options = {}) {
     coolingEnergyKWh: 0,
     peakIndoorTemp: -Infinity,
     peakTime: dateFromTypicalYearHour(0),
+    peakHeatingW: 0,
+    peakHeatingTime: null,
+    peakCoolingW: 0,
+    peakCoolingTime: null,
+    unmetHeatingHours: 0,
+    unmetCoolingHours: 0,
+    manualSashOpenHours: 0,
+    meanInfiltrationAch: 0,
+    co2HoursAbove1000: 0,
+    co2HoursAbove1500: 0,
+    peakCo2Ppm: 0,
+    peakCo2Time: null,
+    heatingFuelKWh: 0,
+    coolingFuelKWh: 0,
+    lightingElectricityKWh: 0,
+    lightingHours: 0,
+    blindsHoursByFace: {},
+    electricityByBand: {},
+    electricityCarbonKg: 0,
+    pvGenerationKWh: 0,
+    pvSelfConsumedKWh: 0,
+    pvExportKWh: 0,
+    pvExportCarbonKg: 0,
   };
 
   for (let hour = 0; hour < totalHours; hour++) {
     const date = dateFromTypicalYearHour(hour);
     const step = evaluateStep(date, indoorTemp);
+    const roomTemp = indoorTemp;
+    const roomMassTemp = massTemp;
+    const roomHumidityRatio = indoorHumidityRatio;
+    const roomCo2Ppm = indoorCo2Ppm;
+    const { meanRadiantTempC } = estimateSurfaceTemperatures(step.snapshot, {
+      airTempC: roomTemp,
+      outdoorTempC: step.forcing.T_out,
+      massTempC: thermalNetwork.model === "2r2c" ? roomMassTemp : undefined,
+    });
+    const roomOperativeTemp = operativeTemperature(roomTemp, meanRadiantTempC, pmvInputs.airSpeedMS);
+    // Temperature the comfort metrics are judged on (air or operative)
+    const comfortTemp = comfortTemperature === "operative" ? roomOperativeTemp : roomTemp;
+    const comfortIndices = zoneComfortIndices({
+      airTempC: roomTemp,
+      meanRadiantTempC,
+      humidityRatio: roomHumidityRatio,
+      pressurePa: step.forcing.pressurePa,
+      pmvInputs,
+    });
+    const hvacStep = advanceNodes(step);
 
-    const status = classifyComfortState(indoorTemp, comfortBand);
+    const status = classifyComfortState(comfortTemp, comfortBand);
     // Steady-state HVAC: power to maintain setpoint temperature against heat flows
     // Q_hvac = UA * (T_setpoint - T_out) - Q_passive
     // Positive = heating needed, Negative = cooling needed
     const setpointTemp = status === "heating" ? comfortBand.min : comfortBand.max;
-    const qHvacSteady = step.UA_total * (setpointTemp - step.forcing.T_out) - step.Q_passive;
-    const heatingW = status === "heating" ? Math.max(0, qHvacSteady) : 0;
-    const coolingW = status === "cooling" ? Math.max(0, -qHvacSteady) : 0;
+    const qHvacSteady = step.UA_total * (setpointTemp - step.snapshot.T_boundary) - step.Q_passive;
+    // Conditioned mode replaces the estimate with the thermostat power applied this hour
+    const heatingW = hvacStep
+      ? hvacStep.heatingW
+      : status === "heating" ? Math.max(0, qHvacSteady) : 0;
+    const coolingW = hvacStep
+      ? hvacStep.coolingW
+      : status === "cooling" ? Math.max(0, -qHvacSteady) : 0;
     metrics.heatingEnergyKWh += heatingW / 1000;
     metrics.coolingEnergyKWh += coolingW / 1000;
-    const over26 = indoorTemp > 26;
-    const over28 = indoorTemp > 28;
+    // Fuel is accumulated hourly so heat pump COP follows the outdoor temperature
+    const heatingFuelKWh = heatingW / 1000 / heatingSystemEfficiency(heatingSystem, step.forcing.T_out);
+    const coolingFuelKWh = coolingW / 1000 / COOLING_SYSTEM.cop;
+    metrics.heatingFuelKWh += heatingFuelKWh;
+    metrics.coolingFuelKWh += coolingFuelKWh;
+    // Lighting power is drawn for the whole hour and also heats the room through Q_internal
+    const lightingKWh = (step.gains?.lightingW ?? 0) / 1000;
+    metrics.lightingElectricityKWh += lightingKWh;
+    if (lightingKWh > 0) metrics.lightingHours += 1;
+    // ...PV serves this hour's electricity first, then imports are costed at this
+    // hour's tariff price and grid intensity; exports displace grid electricity
+    const electricityKWh =
+      (heatingSystem.fuel === "electricity" ? heatingFuelKWh : 0) + coolingFuelKWh + lightingKWh;
+    const pvKWh = step.snapshot.P_pv / 1000;
+    const pvBalance = pvEnergyBalance(electricityKWh, pvKWh);
+    const gridIntensity = gridCarbonIntensityAt(carbonIntensity, date);
+    metrics.pvGenerationKWh += pvKWh;
+    metrics.pvSelfConsumedKWh += pvBalance.selfConsumedKWh;
+    metrics.pvExportKWh += pvBalance.exportKWh;
+    metrics.pvExportCarbonKg += pvBalance.exportKWh * gridIntensity;
+    addElectricityUse(metrics.electricityByBand, electricityTariff, date, pvBalance.gridImportKWh, 1);
+    metrics.electricityCarbonKg += pvBalance.gridImportKWh * gridIntensity;
+    if (heatingW > metrics.peakHeatingW) {
+      metrics.peakHeatingW = heatingW;
+      metrics.peakHeatingTime = date;
+    }
+    if (coolingW > metrics.peakCoolingW) {
+      metrics.peakCoolingW = coolingW;
+      metrics.peakCoolingTime = date;
+    }
+    if (hvacStep?.unmetHeating) metrics.unmetHeatingHours += 1;
+    if (hvacStep?.unmetCooling) metrics.unmetCoolingHours += 1;
+    if (step.vent.manualVentilation?.totalOpenAreaM2 > 0) metrics.manualSashOpenHours += 1;
+    Object.entries(step.snapshot.blindsDeployedByFace).forEach(([faceId, deployed]) => {
+      metrics.blindsHoursByFace[faceId] = (metrics.blindsHoursByFace[faceId] ?? 0) + (deployed ? 1 : 0);
+    });
+    metrics.meanInfiltrationAch += step.vent.achInfiltration / totalHours;
+    if (roomCo2Ppm > CO2_THRESHOLDS_PPM[0]) metrics.co2HoursAbove1000 += 1;
+    if (roomCo2Ppm > CO2_THRESHOLDS_PPM[1]) metrics.co2HoursAbove1500 += 1;
+    if (roomCo2Ppm > metrics.peakCo2Ppm) {
+      metrics.peakCo2Ppm = roomCo2Ppm;
+      metrics.peakCo2Time = date;
+    }
+    const over26 = comfortTemp > 26;
+    const over28 = comfortTemp > 28;
     const month = date.getUTCMonth();
     const week = Math.floor(hour / weekHours);
 
     if (status === "comfortable") metrics.hoursInComfort += 1;
     if (over26) metrics.overheatingHours26 += 1;
     if (over28) metrics.overheatingHours28 += 1;
-    metrics.heatingDegreeHours += Math.max(0, comfortBand.min - indoorTemp);
-    metrics.coolingDegreeHours += Math.max(0, indoorTemp - comfortBand.max);
-    if (indoorTemp > metrics.peakIndoorTemp) {
-      metrics.peakIndoorTemp = indoorTemp;
+    metrics.heatingDegreeHours += Math.max(0, comfortBand.min - comfortTemp);
+    metrics.coolingDegreeHours += Math.max(0, comfortTemp - comfortBand.max);
+    if (comfortTemp > metrics.peakIndoorTemp) {
+      metrics.peakIndoorTemp = comfortTemp;
       metrics.peakTime = date;
     }
 
@@ -1962,17 +5279,29 @@ export function simulateAnnual1R1C(params, weatherProvider, options = {}) {
       time: date,
       timeLabel: formatClockTime(date),
       dateLabel: formatMonthDayTime(date),
-      T_in: indoorTemp,
+      T_in: roomTemp,
+      T_mass: roomMassTemp,
+      T_mrt: meanRadiantTempC,
+      T_op: roomOperativeTemp,
       T_out: step.forcing.T_out,
+      RH_in: comfortIndices.RH_in,
+      co2Ppm: roomCo2Ppm,
+      pmv: comfortIndices.pmv,
+      ppd: comfortIndices.ppd,
       Q_solar: step.snapshot.Q_solar,
+      Q_internal: step.Q_internal,
+      occupants: step.gains?.people ?? null,
       ventOn: step.vent.ventActive ? 1 : 0,
       achTotal: step.vent.achTotal,
+      heatingW,
+      coolingW,
     });
-
-    indoorTemp += step.dTdt * dtSeconds;
   }
 
-  const histogram = buildTemperatureHistogram(records.map((r) => r.T_in));
+  const temperatureKey = comfortTemperatureKey(comfortTemperature);
+  const histogram = buildTemperatureHistogram(records.map((r) => r[temperatureKey]));
+  const runningMeanOutdoorTemps = computeRunningMeanOutdoorTemps(records.map((r) => r.T_out));
+  const adaptiveComfort = assessAdaptiveComfort(records, runningMeanOutdoorTemps, { temperatureKey });
   const monthlyData = MONTH_SHORT.map((label, idx) => ({
     month: label,
     over26: monthly[idx].over26,
@@ -1996,6 +5325,7 @@ export function simulateAnnual1R1C(params, weatherProvider, options = {}) {
       hour: idx,
       clock: row.timeLabel,
       T_in: row.T_in,
+      T_op: row.T_op,
       T_out: row.T_out,
     }));
   };
@@ -2011,7 +5341,16 @@ export function simulateAnnual1R1C(params, weatherProvider, options = {}) {
   };
 
   return {
+    thermalModel: thermalNetwork.model,
+    comfortTemperature,
+    hvacControl,
+    heatingSystem,
+    electricityTariff,
+    carbonIntensity: carbonIntensity?.meta ?? null,
     metrics,
+    adaptiveComfort,
+    runningMeanOutdoorTemps,
+    records,
     histogram,
     monthlyData,
     worstWeek: {
@@ -2028,3 +5367,389 @@ export function simulateAnnual1R1C(params, weatherProvider, options = {}) {
     },
   };
 }
+
+export function simulateTM59(params, weatherProvider, roomTypeId = DEFAULT_TM59_ROOM_TYPE, options = {}) {
+  const floorAreaM2 = params.width * params.depth;
+  const annual = simulateAnnual1R1C(params, weatherProvider, {
+    ...options,
+    // TM59 criteria (a) and (b) apply to free-running homes, so the room is never conditioned
+    hvac: { ...options.hvac, enabled: false },
+    internalGainsAt: (time) => tm59InternalGainsW(roomTypeId, time.getUTCHours(), floorAreaM2),
+    latentGainsAt: (time) => tm59LatentGainsW(roomTypeId, time.getUTCHours()),
+  });
+  return {
+    annual,
+    assessment: assessTM59(annual.records, annual.runningMeanOutdoorTemps, roomTypeId, {
+      temperatureKey: comfortTemperatureKey(annual.comfortTemperature),
+    }),
+  };
+}
+
+/* -------------------- Annual daylight (sDA, ASE, UDI) -------------------- */
+export const DAYLIGHT_WORKING_PLANE_M = 0.85;
+export const DAYLIGHT_GRID_SPACING_M = 0.3;
+// IES LM-83 analysis period: 08:00-18:00 local standard time, every day
+export const DAYLIGHT_ANALYSIS_HOURS = { start: 8, end: 18 };
+export const DAYLIGHT_SURFACE_REFLECTANCE = { floor: 0.2, walls: 0.5, ceiling: 0.7 };
+export const SDA_THRESHOLD_LUX = 300;
+export const SDA_TIME_FRACTION = 0.5;
+export const ASE_THRESHOLD_LUX = 1000;
+export const ASE_HOURS_LIMIT = 250;
+// Useful daylight illuminance bands (Nabil & Mardaljevic), upper limits in lux
+export const UDI_BANDS = [
+  { id: "fellShort", label: "Below 100 lux", maxLux: 100, color: "#1e3a8a" },
+  { id: "supplementary", label: "100-300 lux", maxLux: 300, color: "#0ea5e9" },
+  { id: "autonomous", label: "300-3000 lux", maxLux: 3000, color: "#22c55e" },
+  { id: "exceeded", label: "Above 3000 lux", maxLux: Infinity, color: "#f97316" },
+];
+
+// Outward normal, wall plane and along-face axis of each face in plan (x east, y north, from
+// the room centre). `centerSign` maps the window centre ratio to plan, as drawn in the preview.
+const DAYLIGHT_FACE_PLAN = {
+  north: { nx: 0, ny: 1, lateral: "x", centerSign: -1 },
+  south: { nx: 0, ny: -1, lateral: "x", centerSign: 1 },
+  east: { nx: 1, ny: 0, lateral: "y", centerSign: 1 },
+  west: { nx: -1, ny: 0, lateral: "y", centerSign: -1 },
+};
+
+// Remaining share of a half-plane view past a projection of `depth` over a span `span`,
+// averaged across the span (overhang over window height, fins over their gap)
+function averageViewPastProjection(span, depth) {
+  if (depth <= 0 || span <= 0) return 1;
+  return (Math.hypot(span, depth) - depth) / span;
+}
+
+// Configuration factor from an upward-facing point to a planar polygon above it
+// (Lambert's contour integral: sum of edge angles projected on the point's normal)
+function upwardPointToPolygonViewFactor(point, vertices) {
+  let sum = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    const ax = a.x - point.x;
+    const ay = a.y - point.y;
+    const az = a.z - point.z;
+    const bx = b.x - point.x;
+    const by = b.y - point.y;
+    const bz = b.z - point.z;
+    const cx = ay * bz - az * by;
+    const cy = az * bx - ax * bz;
+    const cz = ax * by - ay * bx;
+    const crossLength = Math.hypot(cx, cy, cz);
+    if (crossLength < 1e-12) continue;
+    const angle = Math.atan2(crossLength, ax * bx + ay * by + az * bz);
+    sum += (angle * cz) / crossLength;
+  }
+  return Math.abs(sum) / (2 * Math.PI);
+}
+
+/**
+ * Window and rooflight apertures in plan coordinates, with what the grid needs from each:
+ * the glazed rectangle above the working plane, light transmittance and the
+ * time-independent share of sky and ground the external shading leaves visible.
+ */
+function daylightApertures(params, workingPlaneM) {
+  const { width, depth, height, windows = [], rooflight, g_glass } = params;
+  const apertures = [];
+  windows.forEach((w) => {
+    const plan = DAYLIGHT_FACE_PLAN[w.face];
+    if (!plan) return;
+    const faceSpan = plan.lateral === "x" ? width : depth;
+    const planeOffset = plan.lateral === "x" ? depth / 2 : width / 2;
+    const centerLateral = plan.centerSign * (w.centerRatio ?? 0) * (faceSpan / 2);
+    const sill = w.sill ?? 0;
+    const head = sill + w.h;
+    const lateralMin = centerLateral - w.w / 2;
+    const lateralMax = centerLateral + w.w / 2;
+    const toPlan = (lateral, z) =>
+      plan.lateral === "x"
+        ? { x: lateral, y: plan.ny * planeOffset, z }
+        : { x: plan.nx * planeOffset, y: lateral, z };
+    const bottom = Math.max(sill, workingPlaneM);
+    const gap = (encoded) => briseSoleilGap(encoded, w.h);
+    const finView = w.finDepth > 0 ? averageViewPastProjection(gap(w.finDepth), EXTERNAL_SHADING_PROJECTION_M) : 1;
+    const slatView = w.hFinDepth > 0 ? averageViewPastProjection(gap(w.hFinDepth), EXTERNAL_SHADING_PROJECTION_M) : 1;
+    const revealDiffuse = revealDiffuseFactors(w.w, w.h, w.reveal);
+    apertures.push({
+      type: "window",
+      face: w.face,
+      plan,
+      planeOffset,
+      lateralMin,
+      lateralMax,
+      sill,
+      head,
+      areaM2: w.w * w.h,
+      az: w.az,
+      window: w,
+      vlt: Number.isFinite(w.visibleTransmittance) ? w.visibleTransmittance : visibleTransmittanceFromG(g_glass),
+      // Only glazing above the working plane can light it
+      vertices:
+        head > bottom
+          ? [toPlan(lateralMin, bottom), toPlan(lateralMax, bottom), toPlan(lateralMax, head), toPlan(lateralMin, head)]
+          : null,
+      skyView: averageViewPastProjection(w.h, w.overhangDepth || 0) * finView * slatView * revealDiffuse.sky,
+      groundView: finView * slatView * revealDiffuse.ground,
+    });
+  });
+  const rooflightWidth = rooflight?.width ?? 0;
+  const rooflightDepth = rooflight?.depth ?? 0;
+  if (rooflight?.areaM2 > 1e-6 && rooflightWidth > 0 && rooflightDepth > 0) {
+    const halfW = rooflightWidth / 2;
+    const halfD = rooflightDepth / 2;
+    apertures.push({
+      type: "rooflight",
+      halfW,
+      halfD,
+      areaM2: rooflight.areaM2,
+      vlt: Number.isFinite(rooflight.visibleTransmittance)
+        ? rooflight.visibleTransmittance
+        : visibleTransmittanceFromG(Number.isFinite(rooflight.gValue) ? rooflight.gValue : g_glass),
+      vertices: [
+        { x: -halfW, y: -halfD, z: height },
+        { x: halfW, y: -halfD, z: height },
+        { x: halfW, y: halfD, z: height },
+        { x: -halfW, y: halfD, z: height },
+      ],
+    });
+  }
+  return apertures;
+}
+
+/**
+ * Climate-based daylight over the weather year on a floor grid at the working plane.
+ * Each hour of the analysis period sums, at every grid point:
+ * - sky and ground light through each window and the rooflight, treating the glazing as
+ *   a diffuse source lit by its outdoor diffuse illuminance, weighted by the aperture's
+ *   configuration factor from the point;
+ * - direct sun where the sun patch through an aperture lands, cut by the overhang's
+ *   shadow line and thinned by fins and louvres;
+ * - an inter-reflected share that is uniform over the room (split-flux).
+ * Blinds are ignored, as for LM-83 sunlight exposure.
+ * @param {object} params - Same params as simulateAnnual1R1C (windows from buildWindowsFromFaceState)
+ * @param {object} weatherProvider
+ * @param {{orientationDeg?: number, gridSpacingM?: number, workingPlaneM?: number}} [options]
+ */
+export function simulateAnnualDaylight(params, weatherProvider, options = {}) {
+  const {
+    width,
+    depth,
+    height,
+    latitude,
+    longitude,
+    timezoneHours = 0,
+    groundAlbedo,
+    skyModel = DEFAULT_SKY_MODEL,
+    siteShading = null,
+  } = params;
+  const orientationDeg = options.orientationDeg ?? 0;
+  const workingPlaneM = Math.min(options.workingPlaneM ?? DAYLIGHT_WORKING_PLANE_M, height - 0.1);
+  const spacingM = options.gridSpacingM ?? DAYLIGHT_GRID_SPACING_M;
+  const cols = Math.max(1, Math.round(width / spacingM));
+  const rows = Math.max(1, Math.round(depth / spacingM));
+  const cellWidthM = width / cols;
+  const cellDepthM = depth / rows;
+  const apertures = daylightApertures(params, workingPlaneM);
+
+  // Grid rows run from the north wall (row 0) to the south wall
+  const points = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const point = {
+        x: -width / 2 + (col + 0.5) * cellWidthM,
+        y: depth / 2 - (row + 0.5) * cellDepthM,
+        z: workingPlaneM,
+      };
+      points.push({
+        ...point,
+        viewFactors: apertures.map((aperture) =>
+          aperture.vertices ? upwardPointToPolygonViewFactor(point, aperture.vertices) : 0,
+        ),
+        daylitHours: 0,
+        sunlitHours: 0,
+        luxSum: 0,
+        udiHours: Object.fromEntries(UDI_BANDS.map((band) => [band.id, 0])),
+      });
+    }
+  }
+
+  // Split-flux inter-reflection (BRE): sky and sun light first strikes the floor and lower
+  // walls, ground-reflected light the ceiling and upper walls; the rest is spread evenly
+  const floorAreaM2 = width * depth;
+  const halfWallAreaM2 = (width + depth) * height;
+  const surfaceAreaM2 = 2 * floorAreaM2 + 2 * halfWallAreaM2;
+  const wallsLight = halfWallAreaM2 * DAYLIGHT_SURFACE_REFLECTANCE.walls;
+  const lowerReflectance =
+    (floorAreaM2 * DAYLIGHT_SURFACE_REFLECTANCE.floor + wallsLight) / (floorAreaM2 + halfWallAreaM2);
+  const upperReflectance =
+    (floorAreaM2 * DAYLIGHT_SURFACE_REFLECTANCE.ceiling + wallsLight) / (floorAreaM2 + halfWallAreaM2);
+  const meanReflectance = (lowerReflectance + upperReflectance) / 2;
+  const reflectedLuxPerLumen = 1 / (surfaceAreaM2 * (1 - meanReflectance));
+
+  const { start, end } = DAYLIGHT_ANALYSIS_HOURS;
+  let analysisHours = 0;
+  for (let hour = 0; hour < 8760; hour++) {
+    const hourOfDay = hour % 24;
+    if (hourOfDay < start || hourOfDay >= end) continue;
+    analysisHours += 1;
+    const date = dateFromTypicalYearHour(hour);
+    const forcing = forcingAt(date, weatherProvider);
+    const solarDateUtc = toSolarUtcDate(date, timezoneHours);
+    const { altitude, azimuth } = solarPosition(solarDateUtc, latitude, longitude);
+    const dayOfYear = dayOfYearUTC(solarDateUtc);
+    const clearSky = skyGroundComponents(altitude);
+    const radiation = forcing.source === "epw" ? forcing : clearSky;
+    const DNI = safeRadiation(radiation.DNI ?? clearSky.DNI);
+    const DHI = safeRadiation(radiation.DHI ?? clearSky.DHI);
+    const GHI = safeRadiation(radiation.GHI ?? clearSky.GHI);
+    const sunUp = altitude > 0;
+    // Sun direction in the building's own plan frame
+    const relativeAzimuth = deg2rad(azimuth - orientationDeg);
+    const cosAlt = Math.cos(deg2rad(altitude));
+    const sun = {
+      x: cosAlt * Math.sin(relativeAzimuth),
+      y: cosAlt * Math.cos(relativeAzimuth),
+      z: Math.sin(deg2rad(altitude)),
+    };
+    const beamLux = sunUp ? DNI * LUMINOUS_EFFICACY * sun.z : 0;
+
+    // Entering flux split by the surfaces it strikes first
+    let downwardLumens = 0;
+    let upwardLumens = 0;
+    const exitances = [];
+    const beams = [];
+    apertures.forEach((aperture) => {
+      if (aperture.type === "rooflight") {
+        const sunVisible = sunUp && !(siteShading && !siteSunVisible(siteShading, "roof", altitude, azimuth));
+        const { I_beam, I_diff } = planeIrradianceHorizontalUp({
+          altitudeDeg: altitude,
+          azimuthDeg: azimuth,
+          DNI,
+          DHI,
+          skyModel,
+          dayOfYear,
+          sunVisible,
+        });
+        const diffuse = I_diff * siteSkyViewFactor(siteShading, "roof", 0, 180);
+        exitances.push(aperture.vlt * diffuse * LUMINOUS_EFFICACY);
+        downwardLumens += aperture.vlt * aperture.areaM2 * (diffuse + (sunVisible ? I_beam : 0)) * LUMINOUS_EFFICACY;
+        beams.push(sunVisible && sun.z > 0 ? { lux: aperture.vlt * beamLux } : null);
+        return;
+      }
+      const w = aperture.window;
+      const siteLevel = siteLevelForAzimuth(siteShading, w.az);
+      const sunVisible = sunUp && !(siteShading && !siteSunVisible(siteShading, siteLevel, altitude, azimuth));
+      const { I_beam, I_diff, I_gnd } = planeIrradianceVertical({
+        surfaceAzimuthDeg: w.az,
+        altitudeDeg: altitude,
+        azimuthDeg: azimuth,
+        DNI,
+        DHI,
+        GHI,
+        groundAlbedo,
+        skyModel,
+        dayOfYear,
+        sunVisible,
+      });
+      const sky = I_diff * siteSkyViewFactor(siteShading, siteLevel, 90, w.az) * aperture.skyView;
+      const ground = I_gnd * aperture.groundView;
+      const lumensPerWm2 = aperture.vlt * aperture.areaM2 * LUMINOUS_EFFICACY;
+      exitances.push(aperture.vlt * sky * LUMINOUS_EFFICACY);
+      upwardLumens += ground * lumensPerWm2;
+      const facing = sun.x * aperture.plan.nx + sun.y * aperture.plan.ny;
+      if (!sunVisible || facing <= 1e-6 || I_beam <= 0) {
+        downwardLumens += sky * lumensPerWm2;
+        beams.push(null);
+        return;
+      }
+      // The overhang and head reveal shade the top of the window; the jamb reveal,
+      // fins and louvres thin the rest
+      const reveal = revealShadowDepths(w.reveal, altitude, azimuth, w.az);
+      const overhangShadowM = Math.min(
+        w.h,
+        w.h * overhangShadingFraction(w.h, w.overhangDepth || 0, altitude, azimuth, w.az) + reveal.headM,
+      );
+      const thinning =
+        Math.max(0, 1 - reveal.jambM / w.w) *
+        (1 - finsShadingFraction(w.h, w.finDepth || 0, azimuth, w.az, w.overhangDepth || 0, altitude)) *
+        (1 - horizontalFinsShadingFraction(w.h, w.hFinDepth || 0, altitude, azimuth, w.az, w.overhangDepth || 0));
+      const sunlitShare = Math.max(0, 1 - overhangShadowM / w.h) * thinning;
+      downwardLumens += (sky + I_beam * sunlitShare) * lumensPerWm2;
+      beams.push({
+        lux: aperture.vlt * beamLux * thinning,
+        facing,
+        sunlitHead: aperture.head - overhangShadowM,
+      });
+    });
+    const reflectedLux =
+      (downwardLumens * lowerReflectance + upwardLumens * upperReflectance) * reflectedLuxPerLumen;
+
+    points.forEach((point) => {
+      let skyLux = reflectedLux;
+      let sunLux = 0;
+      apertures.forEach((aperture, index) => {
+        skyLux += exitances[index] * point.viewFactors[index];
+        const beam = beams[index];
+        if (!beam) return;
+        if (aperture.type === "rooflight") {
+          const t = (height - point.z) / sun.z;
+          if (Math.abs(point.x + t * sun.x) <= aperture.halfW && Math.abs(point.y + t * sun.y) <= aperture.halfD) {
+            sunLux += beam.lux;
+          }
+          return;
+        }
+        // Follow the ray from the point towards the sun to the window wall
+        const { plan } = aperture;
+        const t = (aperture.planeOffset - (point.x * plan.nx + point.y * plan.ny)) / beam.facing;
+        const lateral = plan.lateral === "x" ? point.x + t * sun.x : point.y + t * sun.y;
+        const z = point.z + t * sun.z;
+        if (
+          lateral >= aperture.lateralMin &&
+          lateral <= aperture.lateralMax &&
+          z >= aperture.sill &&
+          z <= beam.sunlitHead
+        ) {
+          sunLux += beam.lux;
+        }
+      });
+      const lux = skyLux + sunLux;
+      point.luxSum += lux;
+      if (lux >= SDA_THRESHOLD_LUX) point.daylitHours += 1;
+      if (sunLux >= ASE_THRESHOLD_LUX) point.sunlitHours += 1;
+      const band = UDI_BANDS.find((entry) => lux < entry.maxLux) ?? UDI_BANDS[UDI_BANDS.length - 1];
+      point.udiHours[band.id] += 1;
+    });
+  }
+
+  const hoursDivisor = Math.max(1, analysisHours);
+  const gridPoints = points.map((point) => ({
+    x: point.x,
+    y: point.y,
+    daylitFraction: point.daylitHours / hoursDivisor,
+    sunlitHours: point.sunlitHours,
+    meanLux: point.luxSum / hoursDivisor,
+    udi: Object.fromEntries(UDI_BANDS.map((band) => [band.id, point.udiHours[band.id] / hoursDivisor])),
+  }));
+  const pointCount = Math.max(1, gridPoints.length);
+  return {
+    workingPlaneM,
+    cols,
+    rows,
+    cellWidthM,
+    cellDepthM,
+    analysisHours,
+    points: gridPoints,
+    // Glazed spans on the plan outline, for drawing the map
+    apertures: apertures.map((aperture) =>
+      aperture.type === "rooflight"
+        ? { type: "rooflight", halfW: aperture.halfW, halfD: aperture.halfD }
+        : { type: "window", face: aperture.face, lateralMin: aperture.lateralMin, lateralMax: aperture.lateralMax },
+    ),
+    sDA: gridPoints.filter((point) => point.daylitFraction >= SDA_TIME_FRACTION).length / pointCount,
+    ase: gridPoints.filter((point) => point.sunlitHours > ASE_HOURS_LIMIT).length / pointCount,
+    udi: Object.fromEntries(
+      UDI_BANDS.map((band) => [band.id, gridPoints.reduce((acc, point) => acc + point.udi[band.id], 0) / pointCount]),
+    ),
+    meanLux: gridPoints.reduce((acc, point) => acc + point.meanLux, 0) / pointCount,
+  };
+}
@@ -85,7 +85,7 @@ function drawMetricRow(ctx, label, value, unit, color, x, y, width) {
 /**
  * Draw the metrics panel
  */
-export function drawMetricsPanel(ctx, data, x, y, width = 200, height = 340) {
+export function drawMetricsPanel(ctx, data, x, y, width = 200, height = 372) {
   // Panel background
   ctx.fillStyle = COLORS.panelBg;
   roundRect(ctx, x, y, width, height, 12);
@@ -155,6 +155,19 @@ export function drawMetricsPanel(ctx, data, x, y, width = 200, height = 340) {
     currentY,
     width - padding * 2
   );
+  currentY += rowHeight;
+
+  // Already inside the heat loss total
+  drawMetricRow(
+    ctx,
+    "Thermal bridges",
+    Math.round(data.Q_loss_thermalBridges ?? 0).toString(),
+    "W",
+    COLORS.heatLoss,
+    x + padding,
+    currentY,
+    width - padding * 2
+  );
   currentY += rowHeight + 12;
 
   // Ventilation section
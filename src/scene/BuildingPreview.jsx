@@ -19,14 +19,20 @@ import {
   Vector3,
 } from "three";
 import { Card } from "@/components/ui/card";
+import { RoofPvArray } from "@/scene/components/roof/RoofPvArray";
+import { SiteObstructions } from "@/scene/components/site/SiteObstructions";
+import { WindowBlind } from "@/scene/components/windows/WindowBlind";
+import { glazingProductMaterialProps } from "@/scene/utils/glazing";
 import { cn } from "@/lib/utils";
 import {
   BUILDING_DEPTH,
   BUILDING_HEIGHT,
   BUILDING_WIDTH,
+  DEFAULT_GLAZING_SETBACK_M,
   FACES,
   MIN_WINDOW_CLEAR_HEIGHT,
   clampWindowCenterRatio,
+  resolveGlazingProduct,
   resolveRooflightConfig,
   WINDOW_SEGMENT_STATE,
   nextWindowSegmentState,
@@ -52,6 +58,9 @@ const WINDOW_CILL_FRAME_OVERLAP = 0.005; // tuck cill 5 mm under frame
 const WINDOW_CILL_VERTICAL_OVERLAP = 0.005; // raise cill 5 mm into frame line to avoid clash
 const WINDOW_OPEN_TRAVEL = 0.15; // 150 mm
 const MAX_WINDOW_LEAF_WIDTH = 0.9; // 900 mm
+const BLIND_REVEAL_INSET = 0.04; // blind centre line 40 mm in from the wall face
+const BLIND_REVEAL_CLEARANCE = 0.01;
+const BLIND_CILL_CLEARANCE = 0.02;
 const ROOFLIGHT_FRAME_THICKNESS = 0.05;
 const ROOFLIGHT_PANEL_THICKNESS = 0.02;
 const ROOFLIGHT_SASH_PROFILE = 0.04;
@@ -277,10 +286,13 @@ function WallFace({
   windowCillLift = 0,
   windowHeadDrop = 0,
   windowCenterRatio = 0,
+  glazingSetback = DEFAULT_GLAZING_SETBACK_M,
   getWindowSegmentState,
   onToggleWindow,
   wallMaterialProps,
   glassMaterialProps,
+  glazingProduct = null,
+  blind = null,
   frameMaterialProps,
   shadingMaterialProps,
   cillMaterialProps,
@@ -288,6 +300,10 @@ function WallFace({
   onHoverClickable,
 }) {
   useThree(); // Keep hook for R3F context
+  const productGlassMaterialProps = useMemo(
+    () => glazingProductMaterialProps(glassMaterialProps, glazingProduct),
+    [glassMaterialProps, glazingProduct]
+  );
   const wt = WALL_THICKNESS;
   const OUTER_FRAME_PROFILE = 0.05; // 50 mm fixed frame
   const SASH_PROFILE = 0.04; // 40 mm operable inner sash
@@ -325,7 +341,9 @@ function WallFace({
   const leafHeight = clearOpeningHeight;
   const sashProfile = Math.min(SASH_PROFILE, leafWidth * 0.45, leafHeight * 0.45);
   const leafPitch = leafWidth + mullionWidth;
-  const sashSurfaceZ = frameDepth / 2 - 0.002;
+  // Frame's outer face sits glazingSetback behind the outer wall face (-z is outside)
+  const safeGlazingSetback = Math.max(0, Math.min(glazingSetback, wt - frameDepth));
+  const sashSurfaceZ = -wt / 2 + safeGlazingSetback + frameDepth / 2 - 0.002;
   const cillWidth = windowWidth + WINDOW_CILL_END_OVERHANG * 2;
   const cillFrontEdgeZ = -wt / 2 - WINDOW_CILL_PROJECTION;
   const cillBackEdgeZ = sashSurfaceZ + frameDepth / 2 + WINDOW_CILL_FRAME_OVERLAP;
@@ -508,7 +526,7 @@ function WallFace({
               onToggle={enableWindowToggle ? () => onToggleWindow?.(faceId, leafIndex) : undefined}
               showInteractionHint={false}
               frameMaterialProps={frameMaterialProps}
-              glassMaterialProps={glassMaterialProps}
+              glassMaterialProps={productGlassMaterialProps}
               onHoverClickable={onHoverClickable}
             />
           );
@@ -547,6 +565,22 @@ function WallFace({
         <boxGeometry args={[cillWidth, WINDOW_CILL_THICKNESS, cillDepth]} />
         <meshPhysicalMaterial {...cillMaterialProps} />
       </mesh>
+      {/* Blind in the outer or inner reveal, clear of the frame and cill */}
+      {blind && (
+        <WindowBlind
+          type={blind.type}
+          deployed={blind.deployed}
+          xCenter={windowCenterX}
+          bottomY={windowBottomY + BLIND_CILL_CLEARANCE}
+          width={Math.max(0.05, windowWidth - BLIND_REVEAL_CLEARANCE * 2)}
+          height={Math.max(0.1, windowHeight - BLIND_CILL_CLEARANCE)}
+          z={
+            blind.position === "external"
+              ? Math.min(-wt / 2 + BLIND_REVEAL_INSET, sashSurfaceZ - frameDepth / 2 - BLIND_REVEAL_INSET)
+              : Math.max(wt / 2 - BLIND_REVEAL_INSET, sashSurfaceZ + frameDepth / 2 + BLIND_REVEAL_INSET)
+          }
+        />
+      )}
       {/* Note: Overhang support columns are now rendered in the main BuildingPreview component */}
       {/* Vertical fins (brise-soleil) */}
       {finDepth > 0.01 && (() => {
@@ -1248,6 +1282,10 @@ function RoomModel({
   rooflightSpec,
   rooflightEnabled = true,
   onToggleRooflight,
+  pvArray = null,
+  siteShading = null,
+  glazingProducts = null,
+  blinds = null,
   downlightsOn = false,
   downlightIntensity = 60,
   downlightAngle = 0.95,
@@ -1315,6 +1353,19 @@ function RoomModel({
       maxZ: openingMaxZ,
     }
     : null;
+  // Rooflight outer frame in building coordinates, kept clear of PV rows
+  const pvRooflightRect = useMemo(
+    () =>
+      hasRooflight
+        ? {
+          minX: resolvedRooflight.centerX - resolvedRooflight.width / 2,
+          maxX: resolvedRooflight.centerX + resolvedRooflight.width / 2,
+          minZ: resolvedRooflight.centerZ - resolvedRooflight.depth / 2,
+          maxZ: resolvedRooflight.centerZ + resolvedRooflight.depth / 2,
+        }
+        : null,
+    [hasRooflight, resolvedRooflight.centerX, resolvedRooflight.centerZ, resolvedRooflight.width, resolvedRooflight.depth]
+  );
   const southSlabDepth = Math.max(0, openingMinZ + roofHalfD);
   const northSlabDepth = Math.max(0, roofHalfD - openingMaxZ);
   const westSlabWidth = Math.max(0, openingMinX + roofHalfW);
@@ -1578,13 +1629,23 @@ function RoomModel({
     [glassRoughnessMap, glassNormalMap]
   );
 
+  const resolvedGlazing = useMemo(
+    () =>
+      glazingProducts
+        ? Object.fromEntries(
+            Object.entries(glazingProducts).map(([target, productId]) => [target, resolveGlazingProduct(productId)])
+          )
+        : {},
+    [glazingProducts]
+  );
+
   // Separate material for rooflight glass (box geometry needs FrontSide to avoid artifacts)
   const rooflightGlassMaterialProps = useMemo(
     () => ({
-      ...glassMaterialProps,
+      ...glazingProductMaterialProps(glassMaterialProps, resolvedGlazing.rooflight),
       side: FrontSide,
     }),
-    [glassMaterialProps]
+    [glassMaterialProps, resolvedGlazing]
   );
 
   const grassTexture = useMemo(() => {
@@ -1969,6 +2030,8 @@ function RoomModel({
         />
       </mesh>
 
+      <SiteObstructions siteShading={siteShading} orientationDeg={orientationDeg} />
+
       {/* Gravel perimeter strip (fixed 1.5m wide, tracks building size changes) */}
       {(() => {
         const gravelThickness = 0.01;
@@ -2214,6 +2277,15 @@ function RoomModel({
           position={[roofOffsetX, height + FLOOR_THICKNESS + 0.003, roofOffsetZ]}
         />
 
+        <RoofPvArray
+          pvArray={pvArray}
+          orientationDeg={orientationDeg}
+          width={width}
+          depth={depth}
+          rooflightRect={pvRooflightRect}
+          roofTopY={height + FLOOR_THICKNESS}
+        />
+
         {downlightLayout.map((position, index) => (
           <CeilingDownlight
             key={`downlight-${index}`}
@@ -2261,12 +2333,15 @@ function RoomModel({
             windowCillLift={faceConfigs.south.cillLift ?? 0}
             windowHeadDrop={faceConfigs.south.headDrop ?? 0}
             windowCenterRatio={faceConfigs.south.windowCenterRatio ?? 0}
+            glazingSetback={faceConfigs.south.glazingSetback ?? DEFAULT_GLAZING_SETBACK_M}
             getWindowSegmentState={getWindowSegmentState}
             onToggleWindow={toggleWindowSegment}
             onResizeGlazing={onResizeWindowGlazing}
             onJambDragStateChange={onJambDragStateChange}
             wallMaterialProps={wallMaterialProps}
             glassMaterialProps={glassMaterialProps}
+            glazingProduct={resolvedGlazing.south ?? null}
+            blind={blinds?.south ?? null}
             frameMaterialProps={frameMaterialProps}
             shadingMaterialProps={shadingMaterialProps}
             cillMaterialProps={frameMaterialProps}
@@ -2292,12 +2367,15 @@ function RoomModel({
             windowCillLift={faceConfigs.north.cillLift ?? 0}
             windowHeadDrop={faceConfigs.north.headDrop ?? 0}
             windowCenterRatio={faceConfigs.north.windowCenterRatio ?? 0}
+            glazingSetback={faceConfigs.north.glazingSetback ?? DEFAULT_GLAZING_SETBACK_M}
             getWindowSegmentState={getWindowSegmentState}
             onToggleWindow={toggleWindowSegment}
             onResizeGlazing={onResizeWindowGlazing}
             onJambDragStateChange={onJambDragStateChange}
             wallMaterialProps={wallMaterialProps}
             glassMaterialProps={glassMaterialProps}
+            glazingProduct={resolvedGlazing.north ?? null}
+            blind={blinds?.north ?? null}
             frameMaterialProps={frameMaterialProps}
             shadingMaterialProps={shadingMaterialProps}
             cillMaterialProps={frameMaterialProps}
@@ -2323,12 +2401,15 @@ function RoomModel({
             windowCillLift={faceConfigs.east.cillLift ?? 0}
             windowHeadDrop={faceConfigs.east.headDrop ?? 0}
             windowCenterRatio={faceConfigs.east.windowCenterRatio ?? 0}
+            glazingSetback={faceConfigs.east.glazingSetback ?? DEFAULT_GLAZING_SETBACK_M}
             getWindowSegmentState={getWindowSegmentState}
             onToggleWindow={toggleWindowSegment}
             onResizeGlazing={onResizeWindowGlazing}
             onJambDragStateChange={onJambDragStateChange}
             wallMaterialProps={wallMaterialProps}
             glassMaterialProps={glassMaterialProps}
+            glazingProduct={resolvedGlazing.east ?? null}
+            blind={blinds?.east ?? null}
             frameMaterialProps={frameMaterialProps}
             shadingMaterialProps={shadingMaterialProps}
             cillMaterialProps={frameMaterialProps}
@@ -2354,12 +2435,15 @@ function RoomModel({
             windowCillLift={faceConfigs.west.cillLift ?? 0}
             windowHeadDrop={faceConfigs.west.headDrop ?? 0}
             windowCenterRatio={faceConfigs.west.windowCenterRatio ?? 0}
+            glazingSetback={faceConfigs.west.glazingSetback ?? DEFAULT_GLAZING_SETBACK_M}
             getWindowSegmentState={getWindowSegmentState}
             onToggleWindow={toggleWindowSegment}
             onResizeGlazing={onResizeWindowGlazing}
             onJambDragStateChange={onJambDragStateChange}
             wallMaterialProps={wallMaterialProps}
             glassMaterialProps={glassMaterialProps}
+            glazingProduct={resolvedGlazing.west ?? null}
+            blind={blinds?.west ?? null}
             frameMaterialProps={frameMaterialProps}
             shadingMaterialProps={shadingMaterialProps}
             cillMaterialProps={frameMaterialProps}
@@ -3072,6 +3156,10 @@ export function BuildingPreview({
   rooflightSpec,
   rooflightEnabled = true,
   onToggleRooflight,
+  pvArray = null,
+  siteShading = null,
+  glazingProducts = null,
+  blinds = null,
   downlightsOn = false,
   downlightIntensity = 60,
   downlightAngle = 0.95,
@@ -3266,6 +3354,10 @@ export function BuildingPreview({
             onHoverClickable={setIsOverClickable}
             rooflightSpec={rooflightSpec}
             rooflightEnabled={rooflightEnabled}
+            pvArray={pvArray}
+            siteShading={siteShading}
+            glazingProducts={glazingProducts}
+            blinds={blinds}
             onToggleRooflight={onToggleRooflight}
             downlightsOn={downlightsOn}
             downlightIntensity={downlightIntensity}
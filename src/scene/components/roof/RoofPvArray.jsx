@@ -0,0 +1,182 @@
+import { useMemo } from "react";
+import { PV_MODULE, deg2rad } from "@/engine";
+
+const PV_PANEL_THICKNESS = 0.035;
+const PV_FRAME_CLEARANCE = 0.08; // low edge height above the roof finish
+const PV_LEG_SIZE = 0.04;
+const PV_ROW_GAP_RATIO = 1.2; // row gap as a multiple of the panel's rise, to limit row-to-row shading
+const PV_MODULE_GAP = 0.02;
+const PV_EDGE_INSET = 0.15;
+const PV_ROOFLIGHT_CLEARANCE = 0.2;
+const PV_LAYOUT_STEP = 0.05;
+
+/**
+ * Lay out modules in rows facing the array azimuth, centred on the roof and clear
+ * of the parapet and rooflight. The count follows the array area; if the roof runs
+ * out, the rows stop at what fits.
+ */
+function layoutPvRows({
+  pvArray,
+  width,
+  depth,
+  rooflightRect,
+  moduleWidth,
+  moduleLength,
+  rowPhase,
+  rotation,
+}) {
+  const moduleArea = PV_MODULE.widthM * PV_MODULE.heightM;
+  const targetCount = Math.max(1, Math.round(pvArray.areaM2 / moduleArea));
+  const tilt = deg2rad(pvArray.tiltDeg);
+  const planDepth = moduleLength * Math.cos(tilt);
+  const rise = moduleLength * Math.sin(tilt);
+  const rowPitch = planDepth + Math.max(PV_MODULE_GAP, rise * PV_ROW_GAP_RATIO);
+  const columnPitch = moduleWidth + PV_MODULE_GAP;
+  const facing = { x: Math.sin(rotation), z: Math.cos(rotation) };
+  const along = { x: Math.cos(rotation), z: -Math.sin(rotation) };
+
+  const halfW = width / 2 - PV_EDGE_INSET;
+  const halfD = depth / 2 - PV_EDGE_INSET;
+  const fits = (x, z) => {
+    const corners = [
+      [-moduleWidth / 2, -planDepth / 2],
+      [moduleWidth / 2, -planDepth / 2],
+      [-moduleWidth / 2, planDepth / 2],
+      [moduleWidth / 2, planDepth / 2],
+    ].map(([u, v]) => [x + along.x * u + facing.x * v, z + along.z * u + facing.z * v]);
+    if (corners.some(([cx, cz]) => Math.abs(cx) > halfW || Math.abs(cz) > halfD)) return false;
+    if (!rooflightRect) return true;
+    const minX = Math.min(...corners.map(([cx]) => cx));
+    const maxX = Math.max(...corners.map(([cx]) => cx));
+    const minZ = Math.min(...corners.map(([, cz]) => cz));
+    const maxZ = Math.max(...corners.map(([, cz]) => cz));
+    return (
+      maxX < rooflightRect.minX - PV_ROOFLIGHT_CLEARANCE ||
+      minX > rooflightRect.maxX + PV_ROOFLIGHT_CLEARANCE ||
+      maxZ < rooflightRect.minZ - PV_ROOFLIGHT_CLEARANCE ||
+      minZ > rooflightRect.maxZ + PV_ROOFLIGHT_CLEARANCE
+    );
+  };
+
+  // Each row is packed along its length wherever a module fits, so rotated arrays
+  // still find room on narrow roofs
+  const reach = Math.hypot(width, depth) / 2;
+  const rows = Math.ceil(reach / rowPitch) + 1;
+  const candidates = [];
+  const at = (u, v) => ({ x: along.x * u + facing.x * v, z: along.z * u + facing.z * v });
+  for (let row = -rows; row <= rows; row++) {
+    const v = (row + rowPhase) * rowPitch;
+    const placed = [];
+    let lastU = -Infinity;
+    for (let u = -reach; u <= reach; u += PV_LAYOUT_STEP) {
+      if (u - lastU < columnPitch) continue;
+      const { x, z } = at(u, v);
+      if (!fits(x, z)) continue;
+      placed.push(u);
+      lastU = u;
+    }
+    if (placed.length === 0) continue;
+    // Packing starts at one end, so share any room left at the far end of the row
+    let slack = 0;
+    while (slack < reach) {
+      const { x, z } = at(placed[placed.length - 1] + slack + PV_LAYOUT_STEP, v);
+      if (!fits(x, z)) break;
+      slack += PV_LAYOUT_STEP;
+    }
+    const shift = placed.every((u) => fits(at(u + slack / 2, v).x, at(u + slack / 2, v).z)) ? slack / 2 : 0;
+    placed.forEach((u) => {
+      const { x, z } = at(u + shift, v);
+      candidates.push({ x, z, distance: Math.hypot(u + shift, v * 1.5) });
+    });
+  }
+  candidates.sort((a, b) => a.distance - b.distance);
+  return {
+    rotation,
+    tilt,
+    rise,
+    planDepth,
+    moduleWidth,
+    moduleLength,
+    modules: candidates.slice(0, targetCount),
+  };
+}
+
+// Try landscape and portrait modules, with rows on or between the roof centre, and keep the fullest.
+// Rotated rows rarely fit a narrow roof beside the rooflight, so rows squared to the nearest roof
+// edge are tried as well; this only affects the drawing, output still uses the set azimuth.
+function layoutPvModules({ pvArray, orientationDeg, ...args }) {
+  // Array azimuth relative to the building, which the scene rotates by orientationDeg
+  const rotation = deg2rad(pvArray.azimuthDeg - orientationDeg);
+  const squared = (Math.PI / 2) * Math.round(rotation / (Math.PI / 2));
+  let best = null;
+  [rotation, squared].forEach((candidateRotation) => {
+    [
+      [PV_MODULE.widthM, PV_MODULE.heightM],
+      [PV_MODULE.heightM, PV_MODULE.widthM],
+    ].forEach(([moduleWidth, moduleLength]) => {
+      [0, 0.5].forEach((rowPhase) => {
+        const layout = layoutPvRows({
+          ...args,
+          pvArray,
+          moduleWidth,
+          moduleLength,
+          rowPhase,
+          rotation: candidateRotation,
+        });
+        if (!best || layout.modules.length > best.modules.length) best = layout;
+      });
+    });
+  });
+  return best;
+}
+
+export function RoofPvArray({
+  pvArray,
+  orientationDeg = 0,
+  width,
+  depth,
+  rooflightRect = null,
+  roofTopY = 0,
+}) {
+  const layout = useMemo(
+    () => (pvArray ? layoutPvModules({ pvArray, orientationDeg, width, depth, rooflightRect }) : null),
+    [pvArray, orientationDeg, width, depth, rooflightRect],
+  );
+  if (!layout || layout.modules.length === 0) return null;
+
+  const centreHeight = PV_FRAME_CLEARANCE + layout.rise / 2;
+  const backLegHeight = PV_FRAME_CLEARANCE + layout.rise;
+
+  return (
+    <group position={[0, roofTopY, 0]}>
+      {layout.modules.map(({ x, z }, index) => (
+        <group key={`pv-${index}`} position={[x, 0, z]} rotation={[0, layout.rotation, 0]}>
+          <mesh position={[0, centreHeight, 0]} rotation={[layout.tilt, 0, 0]} castShadow receiveShadow>
+            <boxGeometry args={[layout.moduleWidth, PV_PANEL_THICKNESS, layout.moduleLength]} />
+            <meshPhysicalMaterial
+              color="#1e2a44"
+              roughness={0.28}
+              metalness={0.35}
+              clearcoat={0.8}
+              clearcoatRoughness={0.12}
+            />
+          </mesh>
+          {[-1, 1].map((side) => (
+            <mesh
+              key={side}
+              position={[
+                side * (layout.moduleWidth / 2 - PV_LEG_SIZE),
+                backLegHeight / 2,
+                -layout.planDepth / 2 + PV_LEG_SIZE / 2,
+              ]}
+              castShadow
+            >
+              <boxGeometry args={[PV_LEG_SIZE, backLegHeight, PV_LEG_SIZE]} />
+              <meshStandardMaterial color="#a8b3c2" roughness={0.45} metalness={0.7} />
+            </mesh>
+          ))}
+        </group>
+      ))}
+    </group>
+  );
+}
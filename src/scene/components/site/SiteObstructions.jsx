@@ -0,0 +1,53 @@
+import { DoubleSide } from "three";
+import { SITE_HORIZON_SECTORS, deg2rad } from "@/engine";
+
+const HORIZON_RADIUS = 40;
+const HORIZON_SECTOR_DEG = 360 / SITE_HORIZON_SECTORS.length;
+
+/**
+ * Neighbouring blocks and the terrain horizon from a resolveSiteShading result.
+ * Drawn inside the building's rotated group: blocks are already in the building
+ * frame, while horizon sectors are true bearings and are turned back by the
+ * orientation.
+ */
+export function SiteObstructions({ siteShading, orientationDeg = 0 }) {
+  if (!siteShading) return null;
+
+  return (
+    <group>
+      {siteShading.obstructions.map((box, index) => (
+        <mesh
+          key={`site-block-${index}`}
+          position={[box.centerX, box.heightM / 2, box.centerZ]}
+          castShadow
+          receiveShadow
+        >
+          <boxGeometry args={[box.maxX - box.minX, box.heightM, box.maxZ - box.minZ]} />
+          <meshStandardMaterial color="#cfc8bb" roughness={0.9} metalness={0} />
+        </mesh>
+      ))}
+      {siteShading.horizonDeg.map((elevationDeg, index) => {
+        if (elevationDeg <= 0) return null;
+        const bandHeight = HORIZON_RADIUS * Math.tan(deg2rad(elevationDeg));
+        const centreBearing = deg2rad(index * HORIZON_SECTOR_DEG - orientationDeg);
+        return (
+          <mesh key={`site-horizon-${index}`} position={[0, bandHeight / 2, 0]}>
+            <cylinderGeometry
+              args={[
+                HORIZON_RADIUS,
+                HORIZON_RADIUS,
+                bandHeight,
+                12,
+                1,
+                true,
+                centreBearing - deg2rad(HORIZON_SECTOR_DEG / 2),
+                deg2rad(HORIZON_SECTOR_DEG),
+              ]}
+            />
+            <meshStandardMaterial color="#7d8f6e" roughness={1} metalness={0} side={DoubleSide} />
+          </mesh>
+        );
+      })}
+    </group>
+  );
+}
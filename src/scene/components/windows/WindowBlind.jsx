@@ -0,0 +1,69 @@
+import { useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { MathUtils } from "three";
+
+const CASSETTE_HEIGHT = 0.07;
+const CASSETTE_DEPTH = 0.05;
+const SLAT_PITCH = 0.07;
+const SLAT_DEPTH = 0.06;
+const SLAT_TILT = Math.PI / 4;
+// Share of the drop left showing when the blind is up, so the stack reads under the cassette
+const RAISED_DROP_FRACTION = 0.03;
+
+const BLIND_MATERIALS = {
+  internalRoller: { color: "#ece7dc", roughness: 0.95, metalness: 0, transparent: true, opacity: 0.92 },
+  internalVenetian: { color: "#f1f5f9", roughness: 0.5, metalness: 0.2 },
+  externalVenetian: { color: "#94a3b8", roughness: 0.35, metalness: 0.6 },
+  externalScreen: { color: "#334155", roughness: 0.9, metalness: 0, transparent: true, opacity: 0.85 },
+};
+const CASSETTE_MATERIAL = { color: "#9aa5b1", roughness: 0.4, metalness: 0.5 };
+
+/**
+ * A blind hung in the window reveal from a head cassette. Venetian types draw tilted
+ * slats, roller and screen types a single fabric sheet. The drop eases between up and
+ * down so stepping through the day shows the blind moving.
+ */
+export function WindowBlind({ type, deployed, xCenter, bottomY, width, height, z }) {
+  const dropGroupRef = useRef(null);
+  const dropRef = useRef(deployed ? 1 : RAISED_DROP_FRACTION);
+  const dropHeight = Math.max(0.05, height - CASSETTE_HEIGHT);
+  const headY = bottomY + height - CASSETTE_HEIGHT;
+  const materialProps = BLIND_MATERIALS[type] ?? BLIND_MATERIALS.internalRoller;
+  const slatted = type === "internalVenetian" || type === "externalVenetian";
+  const slatCount = Math.max(1, Math.floor(dropHeight / SLAT_PITCH));
+
+  useFrame((_, delta) => {
+    dropRef.current = MathUtils.damp(dropRef.current, deployed ? 1 : RAISED_DROP_FRACTION, 6, delta);
+    if (dropGroupRef.current) dropGroupRef.current.scale.y = dropRef.current;
+  });
+
+  return (
+    <group position={[xCenter, headY, z]}>
+      <mesh position={[0, CASSETTE_HEIGHT / 2, 0]} castShadow receiveShadow>
+        <boxGeometry args={[width, CASSETTE_HEIGHT, CASSETTE_DEPTH]} />
+        <meshStandardMaterial {...CASSETTE_MATERIAL} />
+      </mesh>
+      <group ref={dropGroupRef}>
+        {slatted ? (
+          Array.from({ length: slatCount }, (_, index) => (
+            <mesh
+              key={`slat-${index}`}
+              position={[0, -(index + 0.5) * SLAT_PITCH, 0]}
+              rotation={[SLAT_TILT, 0, 0]}
+              castShadow
+              receiveShadow
+            >
+              <boxGeometry args={[width - 0.01, 0.004, SLAT_DEPTH]} />
+              <meshStandardMaterial {...materialProps} />
+            </mesh>
+          ))
+        ) : (
+          <mesh position={[0, -dropHeight / 2, 0]} castShadow receiveShadow>
+            <boxGeometry args={[width - 0.01, dropHeight, 0.004]} />
+            <meshStandardMaterial {...materialProps} />
+          </mesh>
+        )}
+      </group>
+    </group>
+  );
+}
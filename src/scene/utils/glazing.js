@@ -0,0 +1,16 @@
+/**
+ * Tint the shared glass material for a resolveGlazingProduct result. The glass
+ * takes the product colour, and lower light transmittance reads as darker, less
+ * transparent glass.
+ */
+export function glazingProductMaterialProps(baseProps, product) {
+  if (!product) return baseProps;
+  const darkening = Math.max(0, 0.85 - product.vlt);
+  return {
+    ...baseProps,
+    color: product.tint,
+    attenuationColor: product.tint,
+    opacity: Math.min(0.75, (baseProps.opacity ?? 0.38) + darkening * 1.2),
+    transmission: Math.max(0.6, (baseProps.transmission ?? 0.97) - darkening),
+  };
+}
@@ -0,0 +1,126 @@
+const HALF_HOURS_PER_DAY = 48;
+const DAYS_PER_MODEL_YEAR = 365;
+const HALF_HOURS_PER_YEAR = HALF_HOURS_PER_DAY * DAYS_PER_MODEL_YEAR;
+const MIN_VALID_ROWS = HALF_HOURS_PER_DAY;
+
+/**
+ * @typedef {Object} HalfHourlyTariff
+ * @property {{name: string, rowCount: number, filledSlots: number, meanRate: number, minRate: number, maxRate: number}} meta
+ * @property {number[]} prices - £/kWh for each half hour of a 365-day year, from 1 Jan 00:00 (GMT)
+ */
+
+function parseNumeric(value) {
+  const cleaned = (value ?? "").trim().replace(/^"|"$/g, "");
+  if (cleaned.length === 0) return null;
+  const parsed = Number(cleaned);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Timestamps are read as UTC (GMT) unless they carry an offset, matching the
+ * model's local standard time. Accepts ISO 8601 and UK dd/mm/yyyy hh:mm.
+ */
+export function parseCsvTimestamp(value) {
+  const cleaned = (value ?? "").trim().replace(/^"|"$/g, "");
+  const ukMatch = cleaned.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})[ T](\d{1,2}):(\d{2})/);
+  if (ukMatch) {
+    const [, day, month, year, hour, minute] = ukMatch.map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute));
+  }
+  const isoMatch = cleaned.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/);
+  if (!isoMatch) return null;
+  const parsed = new Date(
+    isoMatch[6] ? cleaned.replace(" ", "T") : `${cleaned.replace(" ", "T")}Z`,
+  );
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function halfHourSlot(date) {
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  let dayIndex = Math.floor((date.getTime() - yearStart) / (24 * 3600 * 1000));
+  const isLeapYear = new Date(Date.UTC(date.getUTCFullYear(), 1, 29)).getUTCMonth() === 1;
+  if (isLeapYear) {
+    if (dayIndex === 59) return null; // 29 Feb has no slot in the model year
+    if (dayIndex > 59) dayIndex -= 1;
+  }
+  if (dayIndex < 0 || dayIndex >= DAYS_PER_MODEL_YEAR) return null;
+  return dayIndex * HALF_HOURS_PER_DAY + date.getUTCHours() * 2 + Math.floor(date.getUTCMinutes() / 30);
+}
+
+/**
+ * Parse a half-hourly electricity price CSV (e.g. an Agile export) into a full
+ * model year. Each row needs a start timestamp and a price; the price is the last
+ * numeric column, in p/kWh or £/kWh. Gaps are filled with the mean price for
+ * that half hour of the day.
+ * @param {string} csvText
+ * @param {string} [name]
+ * @returns {HalfHourlyTariff}
+ */
+export function parseHalfHourlyTariffCsv(csvText, name = "Imported half-hourly tariff") {
+  const lines = csvText.replace(/\r/g, "").split("\n").filter((line) => line.trim().length > 0);
+  const rows = [];
+
+  lines.forEach((line) => {
+    const fields = line.split(",");
+    const timestampIndex = fields.findIndex((field) => parseCsvTimestamp(field) !== null);
+    if (timestampIndex === -1) return;
+    let price = null;
+    for (let i = fields.length - 1; i > timestampIndex; i--) {
+      price = parseNumeric(fields[i]);
+      if (price !== null) break;
+    }
+    if (price === null) return;
+    const slot = halfHourSlot(parseCsvTimestamp(fields[timestampIndex]));
+    if (slot === null) return;
+    rows.push({ slot, price });
+  });
+
+  if (rows.length < MIN_VALID_ROWS) {
+    throw new Error(
+      `Tariff CSV parse failed: found ${rows.length} priced half hours, need at least ${MIN_VALID_ROWS}.`,
+    );
+  }
+
+  // Agile exports are in p/kWh; a median above £1/kWh means pence
+  const sortedPrices = rows.map((row) => row.price).sort((a, b) => a - b);
+  const medianPrice = sortedPrices[Math.floor(sortedPrices.length / 2)];
+  const toPounds = medianPrice > 1 ? 0.01 : 1;
+
+  const sums = new Array(HALF_HOURS_PER_YEAR).fill(0);
+  const counts = new Array(HALF_HOURS_PER_YEAR).fill(0);
+  rows.forEach(({ slot, price }) => {
+    sums[slot] += price * toPounds;
+    counts[slot] += 1;
+  });
+
+  const slotOfDaySums = new Array(HALF_HOURS_PER_DAY).fill(0);
+  const slotOfDayCounts = new Array(HALF_HOURS_PER_DAY).fill(0);
+  sums.forEach((sum, slot) => {
+    if (counts[slot] === 0) return;
+    slotOfDaySums[slot % HALF_HOURS_PER_DAY] += sum / counts[slot];
+    slotOfDayCounts[slot % HALF_HOURS_PER_DAY] += 1;
+  });
+  const overallMean =
+    slotOfDaySums.reduce((acc, value) => acc + value, 0) /
+    Math.max(1, slotOfDayCounts.reduce((acc, value) => acc + value, 0));
+
+  let filledSlots = 0;
+  const prices = sums.map((sum, slot) => {
+    if (counts[slot] > 0) return sum / counts[slot];
+    filledSlots += 1;
+    const ofDay = slot % HALF_HOURS_PER_DAY;
+    return slotOfDayCounts[ofDay] > 0 ? slotOfDaySums[ofDay] / slotOfDayCounts[ofDay] : overallMean;
+  });
+
+  return {
+    meta: {
+      name,
+      rowCount: rows.length,
+      filledSlots,
+      meanRate: prices.reduce((acc, value) => acc + value, 0) / prices.length,
+      minRate: Math.min(...prices),
+      maxRate: Math.max(...prices),
+    },
+    prices,
+  };
+}
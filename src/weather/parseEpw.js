@@ -6,17 +6,27 @@ const HOURS_PER_YEAR = 8760;
  * @typedef {Object} WeatherHour
  * @property {string} ts
  * @property {number} tDryC
+ * @property {number=} dewPointC
+ * @property {number=} relHumidityPct - Relative humidity (0-100 %)
+ * @property {number=} pressurePa - Station pressure (Pa)
  * @property {number} ghiWhm2
  * @property {number} dniWhm2
  * @property {number} dhiWhm2
  * @property {number=} windMS
+ * @property {number=} windDirDeg - Direction the wind blows from (degrees clockwise from north)
  * @property {number=} totalSkyCover - Total sky cover in tenths (0-10)
  * @property {number=} opaqueSkyCover - Opaque sky cover in tenths (0-10)
  */
 
+/**
+ * @typedef {Object} GroundTemperatureDepth
+ * @property {number} depthM
+ * @property {number[]} monthlyC - Undisturbed ground temperature for January to December
+ */
+
 /**
  * @typedef {Object} WeatherDataset
- * @property {{name: string, lat: number, lon: number, elevationM: number, tzHours: number}} meta
+ * @property {{name: string, lat: number, lon: number, elevationM: number, tzHours: number, groundTemperatures: GroundTemperatureDepth[]}} meta
  * @property {WeatherHour[]} hours
  */
 
@@ -39,6 +49,28 @@ function sanitizeWind(value) {
   return Math.max(0, value);
 }
 
+function sanitizeWindDirection(value) {
+  if (isMissing(value) || value < 0 || value > 360) return undefined;
+  return value % 360;
+}
+
+function sanitizeDewPoint(value) {
+  if (isMissing(value) || value < -70 || value > 70) return undefined;
+  return value;
+}
+
+function sanitizeHumidity(value) {
+  // EPW marks missing relative humidity as 999; anything outside 0-100 % is not a reading
+  if (isMissing(value) || value < 0 || value > 100) return undefined;
+  return value;
+}
+
+function sanitizePressure(value) {
+  // EPW valid range is 31,000-120,000 Pa
+  if (isMissing(value) || value < 31000 || value > 120000) return undefined;
+  return value;
+}
+
 function sanitizeSkyCover(value) {
   if (isMissing(value)) return undefined;
   // Sky cover is in tenths (0-10)
@@ -78,6 +110,23 @@ function fillMissingTemperatures(values) {
   return out;
 }
 
+// GROUND TEMPERATURES,<count>, then per depth: depth, conductivity, density, specific heat, 12 monthly values
+function parseGroundTemperatures(headerLines) {
+  const line = headerLines.find((entry) => entry.toUpperCase().startsWith("GROUND TEMPERATURES"));
+  if (!line) return [];
+  const fields = line.split(",");
+  const count = Number.parseInt(fields[1], 10);
+  const depths = [];
+  for (let i = 0; i < (Number.isInteger(count) ? count : 0); i++) {
+    const offset = 2 + i * 16;
+    const depthM = parseNumeric(fields[offset]);
+    const monthlyC = fields.slice(offset + 4, offset + 16).map(parseNumeric);
+    if (!Number.isFinite(depthM) || monthlyC.length !== 12 || !monthlyC.every(Number.isFinite)) continue;
+    depths.push({ depthM, monthlyC });
+  }
+  return depths.sort((a, b) => a.depthM - b.depthM);
+}
+
 /**
  * Parse EPW text into weather rows.
  * @param {string} epwText
@@ -118,9 +167,13 @@ export function parseEpwText(epwText) {
     if (!Number.isInteger(month) || !Number.isInteger(day) || !Number.isInteger(hour)) return;
 
     const tDryRaw = parseNumeric(fields[6]);
+    const dewPointRaw = parseNumeric(fields[7]);
+    const relHumidityRaw = parseNumeric(fields[8]);
+    const pressureRaw = parseNumeric(fields[9]);
     const ghiRaw = parseNumeric(fields[13]);
     const dniRaw = parseNumeric(fields[14]);
     const dhiRaw = parseNumeric(fields[15]);
+    const windDirRaw = parseNumeric(fields[20]);
     const windRaw = parseNumeric(fields[21]);
     const totalSkyCoverRaw = parseNumeric(fields[22]); // Total sky cover (tenths)
     const opaqueSkyCoverRaw = parseNumeric(fields[23]); // Opaque sky cover (tenths)
@@ -130,10 +183,14 @@ export function parseEpwText(epwText) {
     hours.push({
       ts: `${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")} ${String(hour).padStart(2, "0")}:00`,
       tDryC: 0,
+      dewPointC: sanitizeDewPoint(dewPointRaw),
+      relHumidityPct: sanitizeHumidity(relHumidityRaw),
+      pressurePa: sanitizePressure(pressureRaw),
       ghiWhm2: sanitizeRadiation(ghiRaw),
       dniWhm2: sanitizeRadiation(dniRaw),
       dhiWhm2: sanitizeRadiation(dhiRaw),
       windMS: sanitizeWind(windRaw),
+      windDirDeg: sanitizeWindDirection(windDirRaw),
       totalSkyCover: sanitizeSkyCover(totalSkyCoverRaw),
       opaqueSkyCover: sanitizeSkyCover(opaqueSkyCoverRaw),
     });
@@ -155,6 +212,7 @@ export function parseEpwText(epwText) {
       lon,
       elevationM,
       tzHours,
+      groundTemperatures: parseGroundTemperatures(lines.slice(0, EPW_HEADER_LINES)),
     },
     hours,
   };
@@ -11,7 +11,13 @@ import {
   DEFAULT_U_VALUE_PRESET,
   THERMAL_CAPACITANCE_J_PER_K,
   U_VALUE_PRESETS,
+  advanceZoneCo2,
+  constructionUValue,
   deg2rad,
+  infiltrationAchAt,
+  occupantCo2LitresPerS,
+  resolveInfiltration,
+  revealShadingFraction,
   solarPosition,
 } from "./src/engine/index.js";
 
@@ -245,6 +251,90 @@ const ventSensitivityPass =
 console.log(`RESULT: ${ventSensitivityPass ? "PASS ✓" : "FAIL ✗"}`);
 console.log();
 
+// Test 6: U-value build-up (BS EN ISO 6946)
+console.log("TEST 6: Wall U-value Build-up (ISO 6946)");
+console.log("-".repeat(50));
+
+// 102.5 mm brick + 100 mm mineral wool + 13 mm plaster, Rsi 0.13 + Rse 0.04:
+// R = 0.13 + 0.1025/0.77 + 0.100/0.035 + 0.013/0.57 + 0.04
+//   = 0.13 + 0.1331 + 2.8571 + 0.0228 + 0.04 = 3.1830 m²K/W  ->  U = 0.3142 W/m²K
+const wallLayers = [
+  { material: "brick", thicknessM: 0.1025 },
+  { material: "mineralWool", thicknessM: 0.1 },
+  { material: "plaster", thicknessM: 0.013 },
+];
+const wallU = constructionUValue("wall", wallLayers);
+const expectedWallU = 0.3142;
+console.log("Layers: 102.5 mm brick, 100 mm mineral wool, 13 mm plaster");
+console.log(`Calculated U: ${wallU.toFixed(4)} W/m²K`);
+console.log(`Expected U:   ${expectedWallU.toFixed(4)} W/m²K`);
+const uValuePass = Math.abs(wallU - expectedWallU) < 0.001;
+console.log(`RESULT: ${uValuePass ? "PASS ✓" : "FAIL ✗"}`);
+console.log();
+
+// Test 7: Air test result to infiltration ACH
+console.log("TEST 7: Infiltration from q50");
+console.log("-".repeat(50));
+
+// 3 x 4 x 2.5 m room: envelope 2(3 + 4)2.5 + 2(3 x 4) = 59 m², volume 30 m³
+// q50 = 5 m³/h.m² -> n50 = 5 x 59 / 30 = 9.833 ach
+// 8 m/s wind x 0.5 (normal shelter) = 4 m/s -> dP = 0.5 x 1.2 x 4² x 0.5 = 4.8 Pa
+// No stack (indoor = outdoor): ACH = 0.5 x n50 x (4.8 / 50)^0.67 = 0.5 x 9.833 x 0.2080 = 1.023
+const testInfiltration = resolveInfiltration({ metric: "q50", value: 5 }, "normal", { width: 3, depth: 4, height: 2.5 });
+const windAch = infiltrationAchAt(testInfiltration, { windMS: 8, indoorTempC: 10, outdoorTempC: 10 });
+const expectedN50 = 9.833;
+const expectedWindAch = 1.023;
+console.log(`Calculated n50: ${testInfiltration.n50.toFixed(3)} ach (expected ${expectedN50.toFixed(3)})`);
+console.log(`Calculated ACH: ${windAch.toFixed(3)} at 8 m/s, no stack (expected ${expectedWindAch.toFixed(3)})`);
+const infiltrationPass =
+  Math.abs(testInfiltration.n50 - expectedN50) < 0.001 && Math.abs(windAch - expectedWindAch) < 0.002;
+console.log(`RESULT: ${infiltrationPass ? "PASS ✓" : "FAIL ✗"}`);
+console.log();
+
+// Test 8: CO2 steady state
+console.log("TEST 8: CO2 Steady State");
+console.log("-".repeat(50));
+
+// One person at 1.2 met: G = 1.2 x 0.0043 = 0.00516 L/s
+// 30 m³ at 1 ach: Q = 30000 / 3600 = 8.333 L/s
+// C = 420 + 0.00516 x 1e6 / 8.333 = 420 + 619.2 = 1039.2 ppm
+const co2Inputs = { outdoorCo2Ppm: 420, achTotal: 1, volume: 30, co2LitresPerS: occupantCo2LitresPerS(1, 1.2) };
+let co2Ppm = 420;
+for (let hour = 0; hour < 48; hour++) co2Ppm = advanceZoneCo2(co2Ppm, co2Inputs, 3600);
+const expectedCo2Ppm = 1039.2;
+console.log(`Calculated after 48 h: ${co2Ppm.toFixed(1)} ppm`);
+console.log(`Expected steady state: ${expectedCo2Ppm.toFixed(1)} ppm`);
+const co2Pass = Math.abs(co2Ppm - expectedCo2Ppm) < 0.1;
+console.log(`RESULT: ${co2Pass ? "PASS ✓" : "FAIL ✗"}`);
+console.log();
+
+// Test 9: Reveal shading
+console.log("TEST 9: Window Reveal Shading");
+console.log("-".repeat(50));
+
+// 1.0 m wide x 1.5 m high south window, 150 mm reveals
+// Sun due south at 45°: head shadow 0.15 x tan 45° = 0.15 m, no jamb shadow -> 0.15 / 1.5 = 0.100
+// Sun at 30° altitude, 45° off the normal: tan(profile) = tan 30° / cos 45° = 0.8165
+//   head 0.15 x 0.8165 = 0.1225 m, jamb 0.15 x tan 45° = 0.15 m
+//   shaded = 1 - (1 - 0.1225 / 1.5)(1 - 0.15 / 1.0) = 1 - 0.9183 x 0.85 = 0.219
+const testReveal = { head: 0.15, jamb: 0.15, cill: 0.15 };
+const revealCases = [
+  { altitude: 45, azimuth: 180, expected: 0.1 },
+  { altitude: 30, azimuth: 225, expected: 0.219 },
+];
+const revealResults = revealCases.map((entry) => ({
+  ...entry,
+  fraction: revealShadingFraction(1.0, 1.5, testReveal, entry.altitude, entry.azimuth, 180),
+}));
+revealResults.forEach((entry) => {
+  console.log(
+    `  Sun ${entry.altitude}° at ${entry.azimuth}° -> ${entry.fraction.toFixed(3)} shaded (expected ${entry.expected.toFixed(3)})`,
+  );
+});
+const revealPass = revealResults.every((entry) => Math.abs(entry.fraction - entry.expected) < 0.001);
+console.log(`RESULT: ${revealPass ? "PASS ✓" : "FAIL ✗"}`);
+console.log();
+
 // Summary
 console.log("=".repeat(60));
 console.log("VERIFICATION SUMMARY");
@@ -253,6 +343,10 @@ console.log(`Solar position June 21:     ${june21Pass ? "PASS ✓" : "FAIL ✗"}
 console.log(`Solar position Dec 21:      ${dec21Pass ? "PASS ✓" : "FAIL ✗"}`);
 console.log(`Thermal time constant:      ${tauPass ? "PASS ✓" : "FAIL ✗"}`);
 console.log(`Ventilation sensitivity:    ${ventSensitivityPass ? "PASS ✓" : "FAIL ✗"}`);
+console.log(`Wall U-value build-up:      ${uValuePass ? "PASS ✓" : "FAIL ✗"}`);
+console.log(`Infiltration from q50:      ${infiltrationPass ? "PASS ✓" : "FAIL ✗"}`);
+console.log(`CO2 steady state:           ${co2Pass ? "PASS ✓" : "FAIL ✗"}`);
+console.log(`Reveal shading:             ${revealPass ? "PASS ✓" : "FAIL ✗"}`);
 console.log();
 console.log("NOTES:");
 console.log("- Heat balance equations follow ISO 52016-1 simplified method");